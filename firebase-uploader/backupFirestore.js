@@ -0,0 +1,221 @@
+/**
+ * Firestore backup and restore - snapshot the app's data before risky admin
+ * operations (season creation, bulk imports, result corrections) and put it back.
+ *
+ * export   Writes games, predictions, teams, nationalLeagues and config to a
+ *          timestamped JSON file in backups/ (format: src/backup.js; Timestamps
+ *          become { __timestamp: <ISO string> }). --season exports only that
+ *          season's games and their predictions.
+ * restore  Makes the restored collections (or, with --season, the season's
+ *          games and predictions) exactly match the backup: backed-up documents
+ *          are overwritten, documents created since are deleted. The document
+ *          counts are checked afterwards and a mismatch exits with code 1.
+ *          Against production it needs --yes, and the data it replaces is first
+ *          saved to backups/pre-restore-*.json.
+ * seed     restore into the Firestore emulator, for debugging with real data.
+ *          Refuses to run unless FIRESTORE_EMULATOR_HOST is set.
+ *
+ * Usage:
+ *   node backupFirestore.js export                                # Full backup
+ *   node backupFirestore.js export --season 2025-26               # One season (use __none__ for games without one)
+ *   node backupFirestore.js export --collections teams,config     # Only these collections
+ *   node backupFirestore.js export --out backups/my-backup.json   # Choose the file name
+ *   node backupFirestore.js restore backups/<file>.json --dry-run # Only show what would change
+ *   node backupFirestore.js restore backups/<file>.json --yes     # Restore everything in the backup
+ *   node backupFirestore.js restore backups/<file>.json --season 2025-26 --yes
+ *   FIRESTORE_EMULATOR_HOST=localhost:8080 node backupFirestore.js seed backups/<file>.json
+ */
+const admin = require('firebase-admin');
+const fs = require('fs');
+const path = require('path');
+
+const SERVICE_ACCOUNT_KEY_PATH = './serviceAccountKey.json';
+const EMULATOR_PROJECT_ID = 'demo-ea-predictor';
+const BACKUP_DIR = path.join(__dirname, 'backups');
+const BATCH_SIZE = 400;  // Firestore allows 500 writes per batch
+const USAGE = 'Usage: node backupFirestore.js export [--season <season>] [--collections a,b] [--out <file.json>]\n' +
+    '       node backupFirestore.js restore <file.json> [--season <season>] [--collections a,b] [--dry-run] [--yes]\n' +
+    '       node backupFirestore.js seed <file.json> [--season <season>] [--collections a,b]';
+
+// Parse CLI args
+const args = process.argv.slice(2);
+const [command, file] = args.filter((arg, i) => !arg.startsWith('--') && !(i > 0 && ['--season', '--collections', '--out'].includes(args[i - 1])));
+const dryRun = args.includes('--dry-run');
+const confirmed = args.includes('--yes');
+const optionValue = name => (args.indexOf(name) !== -1 ? args[args.indexOf(name) + 1] || '' : null);
+const season = optionValue('--season');
+const collectionsArg = optionValue('--collections');
+const outPath = optionValue('--out');
+const onlyCollections = collectionsArg ? collectionsArg.split(',').map(name => name.trim()).filter(Boolean) : null;
+const useEmulator = !!process.env.FIRESTORE_EMULATOR_HOST;
+
+if (!['export', 'restore', 'seed'].includes(command) || (command !== 'export' && !file) ||
+    season === '' || collectionsArg === '' || (onlyCollections && onlyCollections.length === 0) || outPath === '') {
+    console.error(USAGE);
+    process.exit(1);
+}
+if (command === 'seed' && !useEmulator) {
+    console.error('seed only writes to the emulator: set FIRESTORE_EMULATOR_HOST (e.g. localhost:8080).');
+    process.exit(1);
+}
+if (command === 'restore' && !useEmulator && !dryRun && !confirmed) {
+    console.error('Restoring overwrites production data. Check it with --dry-run first, then run again with --yes.');
+    process.exit(1);
+}
+
+if (!admin.apps.length) {
+    if (useEmulator) {
+        admin.initializeApp({ projectId: process.env.GCLOUD_PROJECT || EMULATOR_PROJECT_ID });
+    } else {
+        admin.initializeApp({
+            credential: admin.credential.cert(require(SERVICE_ACCOUNT_KEY_PATH)),
+        });
+    }
+}
+const db = admin.firestore();
+
+function projectId() {
+    const options = admin.app().options;
+    return options.projectId || (options.credential && options.credential.projectId) || null;
+}
+
+/**
+ * Read whole collections as serialised JSON
+ * @returns {Promise<object>} { collectionName: { docId: data } }
+ */
+async function readCollections(names, serializeValue) {
+    const collections = {};
+    for (const name of names) {
+        const snapshot = await db.collection(name).get();
+        collections[name] = {};
+        snapshot.forEach(doc => {
+            collections[name][doc.id] = serializeValue(doc.data());
+        });
+    }
+    return collections;
+}
+
+/**
+ * Write a backup file and return its path
+ */
+function writeBackup(collections, filePath, backupSeason, backupModule) {
+    const backup = {
+        version: backupModule.BACKUP_VERSION,
+        createdAt: new Date().toISOString(),
+        projectId: projectId(),
+        season: backupSeason,
+        collections,
+    };
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(backup, null, 2));
+    return filePath;
+}
+
+/**
+ * Collections needed to plan a restore: the restored ones, plus games when
+ * restoring predictions of one season (predictions belong to a season through their game)
+ */
+function collectionsToRead(names, restoreSeason) {
+    return restoreSeason && names.includes('predictions') && !names.includes('games') ? [...names, 'games'] : names;
+}
+
+async function exportBackup(backupModule) {
+    const { BACKUP_COLLECTIONS, serializeValue, filterCollectionsBySeason, countDocuments, backupFileName } = backupModule;
+    let names = onlyCollections || BACKUP_COLLECTIONS;
+    if (season) {
+        names = collectionsToRead(names.filter(name => backupModule.SEASON_COLLECTIONS.includes(name)), season);
+    }
+
+    console.log(`Exporting ${names.join(', ')}${season ? ` (season ${season})` : ''} from ${useEmulator ? 'the emulator' : projectId()}...`);
+    let collections = await readCollections(names, serializeValue);
+    if (season) {
+        const filtered = filterCollectionsBySeason(collections, season);
+        collections = Object.fromEntries(Object.keys(filtered)
+            .filter(name => !onlyCollections || onlyCollections.includes(name))
+            .map(name => [name, filtered[name]]));
+    }
+
+    const filePath = writeBackup(collections, outPath || path.join(BACKUP_DIR, backupFileName(new Date(), season)), season, backupModule);
+    Object.entries(countDocuments(collections)).forEach(([name, count]) => console.log(`  ${name}: ${count} documents`));
+    console.log(`\nBackup written to ${filePath}`);
+    return true;
+}
+
+/**
+ * Apply one collection's part of a restore plan in batches
+ */
+async function applyCollection(name, collectionPlan, toFirestore) {
+    const operations = [
+        ...Object.entries(collectionPlan.write).map(([id, data]) => batch => batch.set(db.collection(name).doc(id), toFirestore(data))),
+        ...collectionPlan.delete.map(id => batch => batch.delete(db.collection(name).doc(id))),
+    ];
+    for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+        const batch = db.batch();
+        operations.slice(i, i + BATCH_SIZE).forEach(operation => operation(batch));
+        await batch.commit();
+    }
+}
+
+async function restoreBackup(backupModule) {
+    const { serializeValue, deserializeValue, filterCollectionsBySeason, restoreCollections, planRestore, countDocuments, verifyCounts, backupFileName } = backupModule;
+    const backup = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const restoreSeason = season || backup.season || null;
+    const names = restoreCollections(backup, { season: restoreSeason, only: onlyCollections });
+    const target = useEmulator ? 'the emulator' : projectId();
+
+    console.log(`Backup ${file}: created ${backup.createdAt} from ${backup.projectId || 'unknown project'}${backup.season ? `, season ${backup.season}` : ''}.`);
+    console.log(`${dryRun ? 'Dry run: restore' : 'Restoring'} ${names.join(', ')}${restoreSeason ? ` (season ${restoreSeason})` : ''} to ${target}...\n`);
+
+    const readNames = collectionsToRead(names, restoreSeason);
+    const current = await readCollections(readNames, serializeValue);
+    const plan = planRestore(backup, current, { season, only: onlyCollections });
+    Object.entries(plan).forEach(([name, collectionPlan]) => {
+        console.log(`  ${name}: ${Object.keys(collectionPlan.write).length} to write, ${collectionPlan.delete.length} to delete`);
+    });
+    if (dryRun) return true;
+
+    // Keep what is about to be replaced, so a wrong restore can be undone
+    if (!useEmulator) {
+        const replaced = restoreSeason ? filterCollectionsBySeason(current, restoreSeason) : current;
+        const kept = Object.fromEntries(names.map(name => [name, replaced[name] || {}]));
+        const safetyPath = path.join(BACKUP_DIR, `pre-restore-${backupFileName(new Date(), restoreSeason)}`);
+        writeBackup(kept, safetyPath, restoreSeason, backupModule);
+        console.log(`\nCurrent data saved to ${safetyPath}`);
+    }
+
+    const toFirestore = data => deserializeValue(data, date => admin.firestore.Timestamp.fromDate(date));
+    for (const [name, collectionPlan] of Object.entries(plan)) {
+        await applyCollection(name, collectionPlan, toFirestore);
+    }
+
+    // Verify: each restored collection (or season) must now hold exactly the backed-up documents
+    const after = await readCollections(readNames, serializeValue);
+    const restored = restoreSeason ? filterCollectionsBySeason(after, restoreSeason) : after;
+    const actual = countDocuments(Object.fromEntries(names.map(name => [name, restored[name] || {}])));
+    const expected = Object.fromEntries(Object.entries(plan).map(([name, collectionPlan]) => [name, collectionPlan.expected]));
+    const mismatches = verifyCounts(expected, actual);
+
+    console.log('\n=== VERIFICATION ===');
+    Object.entries(expected).forEach(([name, count]) => {
+        console.log(`${actual[name] === count ? '✓' : '✗'} ${name}: ${actual[name] ?? 0}/${count} documents`);
+    });
+    if (mismatches.length > 0) {
+        mismatches.forEach(message => console.error(`  ${message}`));
+        return false;
+    }
+    console.log('\nRestore complete.');
+    return true;
+}
+
+async function main() {
+    // The shared modules are ESM (they also run in the browser)
+    const backupModule = await import('./src/backup.js');
+    return command === 'export' ? exportBackup(backupModule) : restoreBackup(backupModule);
+}
+
+main()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(err => {
+        console.error('Fatal error:', err.message || err);
+        process.exit(1);
+    });
@@ -1,6 +1,12 @@
 /**
  * Check Firestore team names against TheSportsDB API canonical names.
- * Reports any mismatches so you can fix them at the source.
+ * Reports any mismatches so you can fix them at the source, or register the
+ * TheSportsDB spelling in the team alias registry (src/teamAliases.js):
+ * --write-aliases stores it as providerNames.thesportsdb and as an alias on the
+ * team, so fixture search and logo lookup resolve both names to the same team.
+ *
+ * Teams that already have a providerNames.thesportsdb are searched under that
+ * name and count as "aliased" when the API returns it.
  *
  * Usage:
  *   node checkTeamNames.js               # Pull from Firestore, save cache, check all
@@ -8,6 +14,7 @@
  *   node checkTeamNames.js --resume       # Resume from last saved progress
  *   node checkTeamNames.js --cache --resume
  *   node checkTeamNames.js --reset        # Clear progress and start fresh
+ *   node checkTeamNames.js --write-aliases  # Also write the suggested aliases to Firestore
  */
 const admin = require('firebase-admin');
 const fs = require('fs');
@@ -32,6 +39,7 @@ const args = process.argv.slice(2);
 const useCache = args.includes('--cache');
 const useResume = args.includes('--resume');
 const useReset = args.includes('--reset');
+const writeAliases = args.includes('--write-aliases');
 
 if (!admin.apps.length) {
     admin.initializeApp({
@@ -44,14 +52,21 @@ function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+function emptyResults() {
+    return { matches: [], aliased: [], mismatches: [], notFound: [] };
+}
+
 /**
  * Load saved progress, if any.
  */
 function loadProgress() {
     if (fs.existsSync(PROGRESS_FILE)) {
-        return JSON.parse(fs.readFileSync(PROGRESS_FILE, 'utf-8'));
+        const progress = JSON.parse(fs.readFileSync(PROGRESS_FILE, 'utf-8'));
+        // Progress saved before the alias registry has no "aliased" list
+        progress.results = { ...emptyResults(), ...progress.results };
+        return progress;
     }
-    return { checkedIds: [], results: { matches: [], mismatches: [], notFound: [] } };
+    return { checkedIds: [], results: emptyResults() };
 }
 
 /**
@@ -64,15 +79,22 @@ function saveProgress(checkedIds, results) {
 /**
  * Fetch and classify a single team name against the API.
  * Retries on 429 (rate limit) with exponential backoff.
+ *
+ * @param {object} team - Team document ({ id, name, aliases, providerNames })
+ * @param {object} results - { matches, aliased, mismatches, notFound }
+ * @param {function} fetch
+ * @param {object} aliasRegistry - { registry, suggestAliasUpdate } (see src/teamAliases.js)
  */
-async function checkSingleTeam(team, results, fetch) {
+async function checkSingleTeam(team, results, fetch, aliasRegistry) {
     const name = team.name;
     if (!name) {
         results.notFound.push({ id: team.id, firestoreName: '(no name field)', apiName: null });
         return;
     }
 
-    const url = `${THESPORTSDB_BASE_URL}/searchteams.php?t=${encodeURIComponent(name)}`;
+    const { registry, suggestAliasUpdate } = aliasRegistry;
+    const searchName = registry.providerName(name);
+    const url = `${THESPORTSDB_BASE_URL}/searchteams.php?t=${encodeURIComponent(searchName)}`;
 
     for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
         try {
@@ -106,14 +128,24 @@ async function checkSingleTeam(team, results, fetch) {
                 return;
             }
 
-            if (soccerTeam.strTeam === name) {
+            const apiName = soccerTeam.strTeam;
+            const suggestion = apiName === name ? null : suggestAliasUpdate(team, apiName);
+            const owner = registry.resolve(apiName);
+            if (apiName === name) {
                 results.matches.push({ id: team.id, name });
                 process.stdout.write('.');
+            } else if (!suggestion) {
+                // Different spelling, already registered for this team
+                results.aliased.push({ id: team.id, firestoreName: name, apiName });
+                process.stdout.write('~');
             } else {
                 results.mismatches.push({
                     id: team.id,
                     firestoreName: name,
-                    apiName: soccerTeam.strTeam
+                    apiName,
+                    suggestion,
+                    // The API name already resolves to another team: an alias would be ignored
+                    conflictWith: owner && owner.id !== team.id ? owner.id : null,
                 });
                 process.stdout.write('X');
             }
@@ -129,8 +161,31 @@ async function checkSingleTeam(team, results, fetch) {
     }
 }
 
+/**
+ * Write the suggested aliases of the mismatched teams to Firestore (and the cache)
+ *
+ * @param {array} teams - All team documents (updated in place)
+ * @param {array} entries - Results with a suggestion
+ * @returns {Promise<number>} Number of teams updated
+ */
+async function writeSuggestedAliases(teams, entries) {
+    let written = 0;
+    for (const entry of entries) {
+        if (!entry.suggestion || entry.conflictWith) continue;
+        await db.collection('teams').doc(entry.id).update(entry.suggestion);
+        const team = teams.find(t => t.id === entry.id);
+        if (team) Object.assign(team, entry.suggestion);
+        console.log(`  ✓ ${entry.id}: "${entry.apiName}" registered for "${entry.firestoreName}"`);
+        written++;
+    }
+    fs.writeFileSync(CACHE_FILE, JSON.stringify(teams, null, 2));
+    return written;
+}
+
 async function checkTeamNames() {
     const fetch = await fetchPromise;
+    // The registry module is ESM (it also runs in the browser)
+    const { createTeamRegistry, suggestAliasUpdate } = await import('./src/teamAliases.js');
 
     let teams;
 
@@ -147,6 +202,8 @@ async function checkTeamNames() {
         console.log(`Saved ${teams.length} teams to ${CACHE_FILE}\n`);
     }
 
+    const aliasRegistry = { registry: createTeamRegistry(teams), suggestAliasUpdate };
+
     // Deduplicate by team name — skip teams whose name was already checked
     const seen = new Set();
     const uniqueTeams = [];
@@ -163,14 +220,14 @@ async function checkTeamNames() {
     // Load or reset progress
     let progress;
     if (useReset) {
-        progress = { checkedIds: [], results: { matches: [], mismatches: [], notFound: [] } };
+        progress = { checkedIds: [], results: emptyResults() };
         if (fs.existsSync(PROGRESS_FILE)) fs.unlinkSync(PROGRESS_FILE);
         console.log('Progress reset.\n');
     } else if (useResume) {
         progress = loadProgress();
         console.log(`Resuming — ${progress.checkedIds.length} teams already checked.\n`);
     } else {
-        progress = { checkedIds: [], results: { matches: [], mismatches: [], notFound: [] } };
+        progress = { checkedIds: [], results: emptyResults() };
     }
 
     const checkedSet = new Set(progress.checkedIds);
@@ -186,7 +243,7 @@ async function checkTeamNames() {
     for (let i = 0; i < remaining.length; i++) {
         const team = remaining[i];
         process.stdout.write(`[${i + 1}/${remaining.length}] ${team.name || '(no name)'}: `);
-        await checkSingleTeam(team, results, fetch);
+        await checkSingleTeam(team, results, fetch, aliasRegistry);
         process.stdout.write('\n');
 
         checkedIds.push(team.id);
@@ -204,20 +261,33 @@ async function checkTeamNames() {
     console.log('\n');
 
     // --- Report ---
-    const { matches, mismatches, notFound } = results;
+    const { matches, aliased, mismatches, notFound } = results;
     console.log(`=== RESULTS ===`);
     console.log(`✓ Matching: ${matches.length}`);
+    console.log(`~ Aliased: ${aliased.length}`);
     console.log(`✗ Mismatches: ${mismatches.length}`);
     console.log(`? Not found: ${notFound.length}\n`);
 
     if (mismatches.length > 0) {
         console.log('--- MISMATCHES (Firestore name → API name) ---');
         mismatches.forEach(m => {
-            console.log(`  ${m.id}: "${m.firestoreName}" → "${m.apiName}"`);
+            const note = m.conflictWith ? ` (already an alias of ${m.conflictWith})` : '';
+            console.log(`  ${m.id}: "${m.firestoreName}" → "${m.apiName}"${note}`);
         });
         console.log('');
     }
 
+    const suggestions = mismatches.filter(entry => entry.suggestion && !entry.conflictWith);
+    if (suggestions.length > 0) {
+        if (writeAliases) {
+            console.log('--- WRITING ALIASES ---');
+            const written = await writeSuggestedAliases(teams, suggestions);
+            console.log(`Registered ${written} alias(es).\n`);
+        } else {
+            console.log(`${suggestions.length} suggested alias(es). Run with --write-aliases to register them.\n`);
+        }
+    }
+
     if (notFound.length > 0) {
         console.log('--- NOT FOUND ON API ---');
         notFound.forEach(n => {
@@ -0,0 +1,266 @@
+/**
+ * Team badge ingestion: copies every team's badge into Cloud Storage and
+ * points the team's logoUrl at it, replacing hot-linked provider images and
+ * the hand-placed PNGs in team_logos/.
+ *
+ * For each team in the Firestore `teams` collection:
+ * 1. Look the team up on the fixture provider (TheSportsDB by default, under
+ *    its providerNames.thesportsdb from the alias registry) and download the
+ *    badge's 250px rendition; if there is none, use team_logos/<teamId>.png
+ * 2. Normalise it (src/badges.js): any PNG/JPEG/GIF/WebP is framed in the same
+ *    256x256 SVG. Teams with no badge anywhere get a placeholder with their initials.
+ * 3. Upload it to team-badges/<teamId>.svg and write logoUrl, logoSource
+ *    ('provider', 'local' or 'placeholder') and logoUpdatedAt to the team
+ *
+ * Teams that already have a logoSource are skipped unless --force. Progress is
+ * saved after every team (badges_progress.json), like checkTeamNames.js; teams
+ * that failed stay in the progress file and are retried by --resume.
+ *
+ * Usage:
+ *   node ingestBadges.js                 # Ingest badges of all teams not ingested yet
+ *   node ingestBadges.js --resume        # Resume from last saved progress
+ *   node ingestBadges.js --reset         # Clear progress and start fresh
+ *   node ingestBadges.js --force         # Re-ingest teams that already have a badge
+ *   node ingestBadges.js --team lazio    # Only this team (document id)
+ *   node ingestBadges.js --dry-run       # Only look up badges (no upload, no Firestore writes)
+ *
+ * Against the emulators (no service account needed):
+ *   FIRESTORE_EMULATOR_HOST=localhost:8080 FIREBASE_STORAGE_EMULATOR_HOST=localhost:9199 node ingestBadges.js
+ */
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// node-fetch v3 is ESM-only — resolve it once at startup
+const fetchPromise = import('node-fetch').then(mod => mod.default);
+
+const SERVICE_ACCOUNT_KEY_PATH = './serviceAccountKey.json';
+const EMULATOR_PROJECT_ID = 'demo-ea-predictor';
+const STORAGE_BUCKET = process.env.STORAGE_BUCKET || 'ea-football-predictor.firebasestorage.app';
+const BADGES_FOLDER = 'team-badges';
+const LOCAL_LOGOS_DIR = path.join(__dirname, 'team_logos');
+const PROGRESS_FILE = path.join(__dirname, 'badges_progress.json');
+const REQUEST_DELAY_MS = 2200;  // ~27 req/min to stay under free-tier rate limit
+
+// Parse CLI args
+const args = process.argv.slice(2);
+const useResume = args.includes('--resume');
+const useReset = args.includes('--reset');
+const force = args.includes('--force');
+const dryRun = args.includes('--dry-run');
+const teamIndex = args.indexOf('--team');
+const onlyTeamId = teamIndex !== -1 ? args[teamIndex + 1] : null;
+
+if (teamIndex !== -1 && !onlyTeamId) {
+    console.error('Usage: node ingestBadges.js [--resume|--reset] [--force] [--dry-run] [--team <teamId>]');
+    process.exit(1);
+}
+
+if (!admin.apps.length) {
+    if (process.env.FIRESTORE_EMULATOR_HOST) {
+        admin.initializeApp({ projectId: process.env.GCLOUD_PROJECT || EMULATOR_PROJECT_ID, storageBucket: STORAGE_BUCKET });
+    } else {
+        admin.initializeApp({
+            credential: admin.credential.cert(require(SERVICE_ACCOUNT_KEY_PATH)),
+            storageBucket: STORAGE_BUCKET,
+        });
+    }
+}
+const db = admin.firestore();
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function emptyResults() {
+    return { provider: [], local: [], placeholder: [], skipped: [], errors: [] };
+}
+
+/**
+ * Load saved progress, if any.
+ */
+function loadProgress() {
+    if (fs.existsSync(PROGRESS_FILE)) {
+        return JSON.parse(fs.readFileSync(PROGRESS_FILE, 'utf-8'));
+    }
+    return { checkedIds: [], results: emptyResults() };
+}
+
+/**
+ * Save progress to disk so we can resume later.
+ */
+function saveProgress(checkedIds, results) {
+    fs.writeFileSync(PROGRESS_FILE, JSON.stringify({ checkedIds, results }, null, 2));
+}
+
+/**
+ * Firebase Storage download URL of an uploaded file (works without making the bucket public)
+ */
+function downloadUrl(bucketName, filePath, token) {
+    if (process.env.FIREBASE_STORAGE_EMULATOR_HOST) {
+        return `http://${process.env.FIREBASE_STORAGE_EMULATOR_HOST}/v0/b/${bucketName}/o/${encodeURIComponent(filePath)}?alt=media&token=${token}`;
+    }
+    return `https://firebasestorage.googleapis.com/v0/b/${bucketName}/o/${encodeURIComponent(filePath)}?alt=media&token=${token}`;
+}
+
+/**
+ * Find the badge image of a team: provider first, then team_logos/<teamId>.png
+ *
+ * @returns {Promise<object>} { source: 'provider'|'local'|null, bytes: Buffer|null, detail }
+ */
+async function findBadge(team, provider, registry, fetch, badgeVariantUrl) {
+    const providerTeam = await provider.searchTeam(registry.providerName(team.name));
+    const badgeUrl = providerTeam && providerTeam.strBadge;
+    if (badgeUrl) {
+        // Prefer the provider's small rendition, fall back to the full-size image
+        for (const url of [...new Set([badgeVariantUrl(badgeUrl), badgeUrl])]) {
+            const response = await fetch(url);
+            if (response.ok) {
+                return { source: 'provider', bytes: Buffer.from(await response.arrayBuffer()), detail: url };
+            }
+        }
+    }
+
+    const localFile = path.join(LOCAL_LOGOS_DIR, `${team.id}.png`);
+    if (fs.existsSync(localFile)) {
+        return { source: 'local', bytes: fs.readFileSync(localFile), detail: localFile };
+    }
+    return { source: null, bytes: null, detail: providerTeam ? 'provider has no badge' : 'team not found on provider' };
+}
+
+/**
+ * Ingest one team's badge
+ *
+ * @returns {Promise<object>} { kind: 'provider'|'local'|'placeholder'|'skipped', entry }
+ */
+async function ingestTeamBadge(team, context) {
+    const { provider, registry, fetch, bucket, badges } = context;
+    const { normalizeBadge, placeholderBadgeSvg, badgeVariantUrl, BADGE_CONTENT_TYPE } = badges;
+
+    if (team.logoSource && !force) {
+        return { kind: 'skipped', entry: { id: team.id, name: team.name, detail: `already ingested (${team.logoSource})` } };
+    }
+
+    const badge = await findBadge(team, provider, registry, fetch, badgeVariantUrl);
+    let svg;
+    let kind = badge.source;
+    let detail = badge.detail;
+    if (badge.bytes) {
+        try {
+            svg = normalizeBadge(badge.bytes);
+        } catch (error) {
+            detail = `${badge.detail}: ${error.message}`;
+            kind = null;
+        }
+    }
+    if (!svg) {
+        svg = placeholderBadgeSvg(team.name);
+        kind = 'placeholder';
+    }
+
+    const entry = { id: team.id, name: team.name, detail };
+    if (dryRun) {
+        return { kind, entry };
+    }
+
+    const filePath = `${BADGES_FOLDER}/${team.id}.svg`;
+    const token = crypto.randomUUID();
+    await bucket.file(filePath).save(Buffer.from(svg, 'utf8'), {
+        contentType: BADGE_CONTENT_TYPE,
+        metadata: {
+            cacheControl: 'public, max-age=86400',
+            metadata: { firebaseStorageDownloadTokens: token, source: kind },
+        },
+    });
+
+    const logoUrl = downloadUrl(bucket.name, filePath, token);
+    await db.collection('teams').doc(team.id).update({
+        logoUrl,
+        logoSource: kind,
+        logoUpdatedAt: new Date().toISOString(),
+    });
+    entry.logoUrl = logoUrl;
+    return { kind, entry };
+}
+
+async function ingestBadges() {
+    const fetch = await fetchPromise;
+    // The shared modules are ESM (they also run in the browser)
+    const { getFixtureProvider } = await import('./src/providers.js');
+    const { createTeamRegistry } = await import('./src/teamAliases.js');
+    const badges = await import('./src/badges.js');
+
+    console.log('Fetching all teams from Firestore...\n');
+    const snapshot = await db.collection('teams').get();
+    const teams = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const selected = onlyTeamId ? teams.filter(team => team.id === onlyTeamId) : teams;
+    if (onlyTeamId && selected.length === 0) {
+        throw new Error(`No team with id "${onlyTeamId}"`);
+    }
+
+    const provider = await getFixtureProvider();
+    const context = { provider, registry: createTeamRegistry(teams), fetch, bucket: admin.storage().bucket(), badges };
+
+    // Load or reset progress
+    let progress;
+    if (useReset) {
+        progress = { checkedIds: [], results: emptyResults() };
+        if (fs.existsSync(PROGRESS_FILE)) fs.unlinkSync(PROGRESS_FILE);
+        console.log('Progress reset.\n');
+    } else if (useResume) {
+        progress = loadProgress();
+        progress.results.errors = [];  // retried below
+        console.log(`Resuming — ${progress.checkedIds.length} teams already done.\n`);
+    } else {
+        progress = { checkedIds: [], results: emptyResults() };
+    }
+
+    const checkedSet = new Set(progress.checkedIds);
+    const remaining = selected.filter(team => !checkedSet.has(team.id));
+    const results = progress.results;
+    const checkedIds = [...progress.checkedIds];
+
+    console.log(`Found ${teams.length} teams, ${remaining.length} remaining (provider: ${provider.name})${dryRun ? ' (dry run)' : ''}.\n`);
+
+    for (let i = 0; i < remaining.length; i++) {
+        const team = remaining[i];
+        process.stdout.write(`[${i + 1}/${remaining.length}] ${team.name || team.id}: `);
+        try {
+            const { kind, entry } = await ingestTeamBadge(team, context);
+            results[kind].push(entry);
+            process.stdout.write(`${kind}${entry.detail ? ` (${entry.detail})` : ''}\n`);
+            // Failed teams are not marked done, so --resume retries them
+            checkedIds.push(team.id);
+            if (kind !== 'skipped' && i < remaining.length - 1) {
+                await sleep(REQUEST_DELAY_MS);
+            }
+        } catch (error) {
+            results.errors.push({ id: team.id, name: team.name, detail: error.message });
+            process.stdout.write(`error (${error.message})\n`);
+        }
+        if (!dryRun) saveProgress(checkedIds, results);
+    }
+
+    // Keep the progress file while there are errors to retry
+    if (results.errors.length === 0 && fs.existsSync(PROGRESS_FILE)) fs.unlinkSync(PROGRESS_FILE);
+
+    console.log('\n=== RESULTS ===');
+    console.log(`✓ Provider badges: ${results.provider.length}`);
+    console.log(`✓ Local badges: ${results.local.length}`);
+    console.log(`◇ Placeholders: ${results.placeholder.length}`);
+    console.log(`- Skipped: ${results.skipped.length}`);
+    console.log(`✗ Errors: ${results.errors.length}\n`);
+    if (results.errors.length > 0) {
+        results.errors.forEach(e => console.log(`  ${e.id}: ${e.detail}`));
+        console.log('\nRun again with --resume to retry them.');
+    }
+    return results;
+}
+
+ingestBadges()
+    .then(results => process.exit(results.errors.length > 0 ? 1 : 0))
+    .catch(err => {
+        console.error('Fatal error:', err);
+        process.exit(1);
+    });
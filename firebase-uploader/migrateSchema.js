@@ -0,0 +1,129 @@
+/**
+ * Schema migration - rewrites games and predictions into the canonical schema
+ * (src/schema.js): lowercase legacy field names become the canonical ones,
+ * Status is lowercased, Timestamp kick-offs become UTC ISO strings, scores
+ * stored as text become numbers.
+ *
+ * --dry-run prints the diff of every document that would change and writes
+ * nothing. Documents that are still not canonical after migrating (e.g. a game
+ * without teams) cannot be fixed automatically: they are listed and the script
+ * exits with code 1, so fix them by hand (admin panel or Firebase console) and
+ * run it again. Running it twice is safe; canonical documents are left alone.
+ *
+ * Against production it needs --yes; take a backup first (npm run backup).
+ *
+ * Usage:
+ *   node migrateSchema.js --dry-run                    # Show the diff, write nothing
+ *   node migrateSchema.js --yes                        # Migrate games and predictions
+ *   node migrateSchema.js --collection games --yes     # Only one collection
+ *   FIRESTORE_EMULATOR_HOST=localhost:8080 node migrateSchema.js
+ */
+const admin = require('firebase-admin');
+
+const SERVICE_ACCOUNT_KEY_PATH = './serviceAccountKey.json';
+const EMULATOR_PROJECT_ID = 'demo-ea-predictor';
+const BATCH_SIZE = 400;  // Firestore allows 500 writes per batch
+const COLLECTIONS = ['games', 'predictions'];
+const USAGE = 'Usage: node migrateSchema.js [--collection games|predictions] [--dry-run] [--yes]';
+
+// Parse CLI args
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const confirmed = args.includes('--yes');
+const collectionIndex = args.indexOf('--collection');
+const onlyCollection = collectionIndex !== -1 ? args[collectionIndex + 1] || '' : null;
+const useEmulator = !!process.env.FIRESTORE_EMULATOR_HOST;
+
+if (onlyCollection !== null && !COLLECTIONS.includes(onlyCollection)) {
+    console.error(USAGE);
+    process.exit(1);
+}
+if (!useEmulator && !dryRun && !confirmed) {
+    console.error('Migrating rewrites production data. Take a backup (npm run backup), check the diff with --dry-run, then run again with --yes.');
+    process.exit(1);
+}
+
+if (!admin.apps.length) {
+    if (useEmulator) {
+        admin.initializeApp({ projectId: process.env.GCLOUD_PROJECT || EMULATOR_PROJECT_ID });
+    } else {
+        admin.initializeApp({
+            credential: admin.credential.cert(require(SERVICE_ACCOUNT_KEY_PATH)),
+        });
+    }
+}
+const db = admin.firestore();
+
+/**
+ * Plan the migration of one collection
+ * @returns {Promise<object>} { total, updates: [{ id, changes }], invalid: [{ id, errors }] }
+ */
+async function planCollection(name, schema) {
+    const toTimestamp = date => admin.firestore.Timestamp.fromDate(date);
+    const migrate = name === 'games' ? data => schema.migrateGame(data) : data => schema.migratePrediction(data, toTimestamp);
+    const validate = name === 'games' ? schema.validateGame : schema.validatePrediction;
+
+    const snapshot = await db.collection(name).get();
+    const updates = [];
+    const invalid = [];
+    snapshot.forEach(doc => {
+        const { data, changes } = migrate(doc.data());
+        if (changes.length > 0) updates.push({ id: doc.id, changes });
+        const errors = validate(data);
+        if (errors.length > 0) invalid.push({ id: doc.id, errors });
+    });
+    return { total: snapshot.size, updates, invalid };
+}
+
+/**
+ * Write the changes in batches (removed fields are deleted)
+ */
+async function applyUpdates(name, updates) {
+    for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+        const batch = db.batch();
+        updates.slice(i, i + BATCH_SIZE).forEach(({ id, changes }) => {
+            const update = Object.fromEntries(changes.map(change => [
+                change.field,
+                change.to === undefined ? admin.firestore.FieldValue.delete() : change.to,
+            ]));
+            batch.update(db.collection(name).doc(id), update);
+        });
+        await batch.commit();
+    }
+}
+
+async function main() {
+    // The shared modules are ESM (they also run in the browser)
+    const schema = await import('./src/schema.js');
+    const names = onlyCollection ? [onlyCollection] : COLLECTIONS;
+    console.log(`${dryRun ? 'Dry run: migrating' : 'Migrating'} ${names.join(', ')} in ${useEmulator ? 'the emulator' : 'production'}...`);
+
+    let invalidCount = 0;
+    for (const name of names) {
+        const { total, updates, invalid } = await planCollection(name, schema);
+        console.log(`\n=== ${name}: ${updates.length} of ${total} documents to migrate ===`);
+        updates.forEach(({ id, changes }) => {
+            console.log(`${name}/${id}`);
+            schema.formatChanges(changes).forEach(line => console.log(`  ${line}`));
+        });
+        if (!dryRun && updates.length > 0) {
+            await applyUpdates(name, updates);
+            console.log(`✓ ${updates.length} ${name} migrated`);
+        }
+        if (invalid.length > 0) {
+            console.log(`\n✗ ${invalid.length} ${name} need fixing by hand:`);
+            invalid.forEach(({ id, errors }) => console.log(`  ${name}/${id}: ${errors.join('; ')}`));
+        }
+        invalidCount += invalid.length;
+    }
+
+    console.log(dryRun ? '\nDry run complete - nothing written.' : '\nMigration complete.');
+    return invalidCount === 0;
+}
+
+main()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(err => {
+        console.error('Fatal error:', err.message || err);
+        process.exit(1);
+    });
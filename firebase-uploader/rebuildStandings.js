@@ -0,0 +1,109 @@
+/**
+ * Standings rebuild - recomputes the season standings (standings/{season},
+ * see src/standings.js) from every game and prediction.
+ *
+ * The standings are kept up to date as results come in: the admin panel and
+ * updateResults.js recompute the fecha of every game they write. Rebuild after
+ * anything that bypasses them: a season's scoring profile changed, data edited
+ * in the Firebase console, a restored backup or a schema migration. Standings
+ * are derived data, so rebuilding is always safe; standings of seasons that no
+ * longer have games are deleted.
+ *
+ * Usage:
+ *   node rebuildStandings.js                     # Every season (and the "No Season" games)
+ *   node rebuildStandings.js --season 2025-26    # One season (use __none__ for games without one)
+ *   node rebuildStandings.js --dry-run           # Print the standings, write nothing
+ *   FIRESTORE_EMULATOR_HOST=localhost:8080 node rebuildStandings.js
+ */
+const admin = require('firebase-admin');
+
+const SERVICE_ACCOUNT_KEY_PATH = './serviceAccountKey.json';
+const EMULATOR_PROJECT_ID = 'demo-ea-predictor';
+const NO_SEASON = '__none__';
+const USAGE = 'Usage: node rebuildStandings.js [--season <season>] [--dry-run]';
+
+// Parse CLI args
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const seasonIndex = args.indexOf('--season');
+const onlySeason = seasonIndex !== -1 ? args[seasonIndex + 1] || '' : null;
+const useEmulator = !!process.env.FIRESTORE_EMULATOR_HOST;
+
+if (onlySeason === '') {
+    console.error(USAGE);
+    process.exit(1);
+}
+
+if (!admin.apps.length) {
+    if (useEmulator) {
+        admin.initializeApp({ projectId: process.env.GCLOUD_PROJECT || EMULATOR_PROJECT_ID });
+    } else {
+        admin.initializeApp({
+            credential: admin.credential.cert(require(SERVICE_ACCOUNT_KEY_PATH)),
+        });
+    }
+}
+const db = admin.firestore();
+
+/**
+ * Print the top of a season's standings
+ */
+function printStandings(label, standings, gameCount) {
+    const ranked = Object.values(standings.players)
+        .sort((a, b) => b.totalPoints - a.totalPoints || b.fechasWonCount - a.fechasWonCount || b.perfectScoresCount - a.perfectScoresCount);
+    console.log(`\n=== ${label}: ${gameCount} games, ${Object.keys(standings.fechas).length} fechas, ${ranked.length} players ===`);
+    ranked.slice(0, 5).forEach((player, index) => {
+        console.log(`  ${index + 1}. ${player.playerName || '(no name)'} - ${player.totalPoints} pts, ${player.fechasWonCount} fechas won, ${player.perfectScoresCount} perfect`);
+    });
+}
+
+async function main() {
+    // The shared modules are ESM (they also run in the browser)
+    const { STANDINGS_COLLECTION, buildStandings, standingsDocId } = await import('./src/standings.js');
+    console.log(`${dryRun ? 'Dry run: rebuilding' : 'Rebuilding'} standings${onlySeason ? ` of ${onlySeason}` : ''} in ${useEmulator ? 'the emulator' : 'production'}...`);
+
+    const [gamesSnapshot, predictionsSnapshot, configSnap] = await Promise.all([
+        db.collection('games').get(),
+        db.collection('predictions').get(),
+        db.collection('config').doc('activeSeason').get(),
+    ]);
+    const scoringProfiles = (configSnap.exists && configSnap.data().scoringProfiles) || {};
+    const games = gamesSnapshot.docs.map(gameDoc => ({ id: gameDoc.id, ...gameDoc.data() }));
+    const predictions = predictionsSnapshot.docs.map(predictionDoc => predictionDoc.data());
+
+    // null = the "No Season" games
+    const seasons = onlySeason
+        ? [onlySeason === NO_SEASON ? null : onlySeason]
+        : [...new Set(games.map(game => game.season || null))];
+
+    const written = new Set();
+    for (const season of seasons) {
+        const seasonGames = games.filter(game => (game.season || null) === season);
+        const gameIds = new Set(seasonGames.map(game => game.id));
+        const standings = buildStandings(season, seasonGames, predictions.filter(pred => gameIds.has(pred.gameId)), scoringProfiles);
+        printStandings(season || 'No Season', standings, seasonGames.length);
+
+        const docId = standingsDocId(season);
+        written.add(docId);
+        if (!dryRun) {
+            await db.collection(STANDINGS_COLLECTION).doc(docId).set({ ...standings, updatedAt: new Date().toISOString() });
+        }
+    }
+
+    if (!onlySeason) {
+        const stale = (await db.collection(STANDINGS_COLLECTION).get()).docs.filter(standingsDoc => !written.has(standingsDoc.id));
+        stale.forEach(standingsDoc => console.log(`\n${STANDINGS_COLLECTION}/${standingsDoc.id} has no games left${dryRun ? ' (would be deleted)' : ' - deleted'}`));
+        if (!dryRun) {
+            await Promise.all(stale.map(standingsDoc => standingsDoc.ref.delete()));
+        }
+    }
+
+    console.log(dryRun ? '\nDry run complete - nothing written.' : `\n✓ ${written.size} standings document(s) rebuilt.`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(err => {
+        console.error('Fatal error:', err.message || err);
+        process.exit(1);
+    });
@@ -2,6 +2,13 @@
 
 # Run all tests for firebase-uploader modules
 # Usage: ./run-tests.sh
+#
+# Runs every tests/test*.js except the emulator suites, which have their own
+# scripts (npm run test:rules, npm run test:updater). testFetchFixtures.js uses
+# the configured fixture provider: FIXTURE_PROVIDER=json runs it offline
+# (npm test does).
+
+cd "$(dirname "$0")"
 
 echo ""
 echo "╔════════════════════════════════════════════════════╗"
@@ -11,22 +18,40 @@ echo ""
 
 # Colors
 GREEN='\033[0;32m'
+RED='\033[0;31m'
 YELLOW='\033[1;33m'
 NC='\033[0m' # No Color
 
-echo -e "${YELLOW}Running fetchFixtures tests...${NC}"
-echo ""
+# Need the Firestore emulator: run with npm run test:rules / test:updater
+EMULATOR_TESTS="testFirestoreRules.js testUpdateResultsCli.js"
+
+TEST_EXIT_CODE=0
+FAILED_TESTS=""
+
+for TEST_FILE in tests/test*.js; do
+    TEST_NAME=$(basename "$TEST_FILE")
+    if [ "$TEST_NAME" = "testHelpers.js" ] || [[ " $EMULATOR_TESTS " == *" $TEST_NAME "* ]]; then
+        continue
+    fi
 
-node tests/testFetchFixtures.js
+    echo -e "${YELLOW}Running ${TEST_NAME}...${NC}"
+    echo ""
 
-TEST_EXIT_CODE=$?
+    node "$TEST_FILE"
+    EXIT_CODE=$?
+    if [ $EXIT_CODE -ne 0 ]; then
+        TEST_EXIT_CODE=$EXIT_CODE
+        FAILED_TESTS="$FAILED_TESTS $TEST_NAME"
+    fi
+    echo ""
+done
 
 echo ""
 echo "╔════════════════════════════════════════════════════╗"
 if [ $TEST_EXIT_CODE -eq 0 ]; then
     echo -e "║  ${GREEN}✓ All tests passed!${NC}"
 else
-    echo -e "║  ✗ Some tests failed (exit code: $TEST_EXIT_CODE)"
+    echo -e "║  ${RED}✗ Some tests failed:${FAILED_TESTS}${NC}"
 fi
 echo "╚════════════════════════════════════════════════════╝"
 echo ""
@@ -0,0 +1,76 @@
+/**
+ * Grant or revoke admin roles in Firestore config/admins.
+ * Use this to bootstrap the first owner; after that owners can manage
+ * roles from the Admin Roles section of admin.html.
+ *
+ * Roles: owner, results, fixtures, seasons
+ *
+ * Usage:
+ *   node setAdminRole.js <uid> owner              # Make a user an owner
+ *   node setAdminRole.js <uid> results fixtures   # Replace a user's roles
+ *   node setAdminRole.js <uid> --remove           # Remove all roles from a user
+ *   node setAdminRole.js --list                   # Show current admins
+ */
+const admin = require('firebase-admin');
+
+const SERVICE_ACCOUNT_KEY_PATH = './serviceAccountKey.json';
+const serviceAccount = require(SERVICE_ACCOUNT_KEY_PATH);
+
+const ADMIN_ROLES = ['owner', 'results', 'fixtures', 'seasons'];
+
+// Parse CLI args
+const args = process.argv.slice(2);
+const listOnly = args.includes('--list');
+const remove = args.includes('--remove');
+const [uid, ...roles] = args.filter(arg => !arg.startsWith('--'));
+
+if (!admin.apps.length) {
+    admin.initializeApp({
+        credential: admin.credential.cert(serviceAccount),
+    });
+}
+const db = admin.firestore();
+
+async function setAdminRole() {
+    const adminsRef = db.collection('config').doc('admins');
+    const snapshot = await adminsRef.get();
+    const currentRoles = snapshot.exists ? (snapshot.data().roles || {}) : {};
+
+    if (listOnly) {
+        console.log('=== ADMINS (config/admins) ===');
+        Object.entries(currentRoles).forEach(([id, userRoles]) => {
+            console.log(`  ${id}: ${Array.isArray(userRoles) ? userRoles.join(', ') : userRoles}`);
+        });
+        if (Object.keys(currentRoles).length === 0) console.log('  (none)');
+        process.exit(0);
+    }
+
+    if (!uid || (!remove && roles.length === 0)) {
+        console.error('Usage: node setAdminRole.js <uid> <role...> | <uid> --remove | --list');
+        process.exit(1);
+    }
+
+    const unknown = roles.filter(role => !ADMIN_ROLES.includes(role));
+    if (unknown.length > 0) {
+        console.error(`Unknown role(s): ${unknown.join(', ')}. Valid roles: ${ADMIN_ROLES.join(', ')}`);
+        process.exit(1);
+    }
+
+    const updatedRoles = { ...currentRoles };
+    if (remove) {
+        delete updatedRoles[uid];
+    } else {
+        updatedRoles[uid] = [...new Set(roles)];
+    }
+
+    await adminsRef.set({ roles: updatedRoles });
+    console.log(remove
+        ? `✓ Removed all admin roles from ${uid}`
+        : `✓ ${uid} now has role(s): ${updatedRoles[uid].join(', ')}`);
+    process.exit(0);
+}
+
+setAdminRole().catch(err => {
+    console.error('Fatal error:', err);
+    process.exit(1);
+});
@@ -0,0 +1,219 @@
+/**
+ * Firestore Backup Module
+ *
+ * Backup file format and restore planning for backupFirestore.js. A backup is
+ * one JSON file:
+ *
+ *   {
+ *     version: 1,
+ *     createdAt: '2025-08-01T10:00:00.000Z',
+ *     projectId: 'ea-football-predictor',
+ *     season: null,                          // or the season the export was filtered by
+ *     collections: {
+ *       games: { '<docId>': { HomeTeam: 'Lazio', KickOffTime: { __timestamp: '2025-08-23T18:45:00.000Z' }, ... } },
+ *       predictions: { ... }, teams: { ... }, nationalLeagues: { ... }, config: { ... }
+ *     }
+ *   }
+ *
+ * Firestore Timestamps are stored as { __timestamp: <ISO string> } so they can
+ * be read (and diffed) as plain JSON and turned back into Timestamps on restore.
+ *
+ * Season filters: games belong to a season through their `season` field
+ * (NO_SEASON selects games without one, like the "No Season" option of the
+ * season selector) and predictions through their gameId. teams,
+ * nationalLeagues and config are not per season, so a season-filtered backup
+ * or restore only covers games and predictions.
+ *
+ * Pure functions only: no Firestore or network access, works in the browser and in Node.js.
+ *
+ * Usage:
+ *   import { serializeValue, planRestore } from './backup.js';
+ *   backup.collections.games[doc.id] = serializeValue(doc.data());
+ *   const plan = planRestore(backup, current, { season: '2025-26' });   // what to write and delete
+ */
+
+export const BACKUP_VERSION = 1;
+
+// Collections exported by default
+export const BACKUP_COLLECTIONS = ['games', 'predictions', 'teams', 'nationalLeagues', 'config'];
+
+// Collections that can be filtered by season
+export const SEASON_COLLECTIONS = ['games', 'predictions'];
+
+// Season filter value for games without a season
+export const NO_SEASON = '__none__';
+
+const TIMESTAMP_KEY = '__timestamp';
+
+/**
+ * Whether a value is a Firestore Timestamp (admin or web SDK)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isTimestamp(value) {
+    return !!value && typeof value === 'object' && typeof value.toDate === 'function' &&
+        typeof value.seconds === 'number' && typeof value.nanoseconds === 'number';
+}
+
+/**
+ * Convert a Firestore value to plain JSON: Timestamps and Dates become
+ * { __timestamp: <ISO string> }, arrays and maps are converted recursively
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+export function serializeValue(value) {
+    if (isTimestamp(value)) return { [TIMESTAMP_KEY]: value.toDate().toISOString() };
+    if (value instanceof Date) return { [TIMESTAMP_KEY]: value.toISOString() };
+    if (Array.isArray(value)) return value.map(serializeValue);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, serializeValue(item)]));
+    }
+    return value;
+}
+
+/**
+ * Convert a serialised value back for writing to Firestore
+ *
+ * @param {*} value
+ * @param {function} toTimestamp - Date => Timestamp (e.g. admin.firestore.Timestamp.fromDate)
+ * @returns {*}
+ */
+export function deserializeValue(value, toTimestamp) {
+    if (Array.isArray(value)) return value.map(item => deserializeValue(item, toTimestamp));
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value);
+        if (keys.length === 1 && keys[0] === TIMESTAMP_KEY) {
+            return toTimestamp(new Date(value[TIMESTAMP_KEY]));
+        }
+        return Object.fromEntries(keys.map(key => [key, deserializeValue(value[key], toTimestamp)]));
+    }
+    return value;
+}
+
+/**
+ * Whether a game belongs to a season (NO_SEASON: games without a season)
+ * @param {object} game - Game document data
+ * @param {string} season
+ * @returns {boolean}
+ */
+export function isGameInSeason(game, season) {
+    return season === NO_SEASON ? !game.season : game.season === season;
+}
+
+/**
+ * Keep only the documents of one season: games with that season, predictions
+ * of those games (gameIds are the ids of the season's games, which may include
+ * games that only exist on the other side of a restore). Other collections are left out.
+ *
+ * @param {object} collections - { collectionName: { docId: data } }
+ * @param {string} season
+ * @param {Set<string>} [gameIds] - Season game ids (default: the games in `collections`)
+ * @returns {object} Filtered collections (games and predictions only)
+ */
+export function filterCollectionsBySeason(collections, season, gameIds = null) {
+    const games = Object.fromEntries(Object.entries(collections.games || {})
+        .filter(([, game]) => isGameInSeason(game, season)));
+    const seasonGameIds = gameIds || new Set(Object.keys(games));
+    const predictions = Object.fromEntries(Object.entries(collections.predictions || {})
+        .filter(([, prediction]) => seasonGameIds.has(prediction.gameId)));
+    return { games, predictions };
+}
+
+/**
+ * Number of documents per collection
+ * @param {object} collections - { collectionName: { docId: data } }
+ * @returns {object} { collectionName: count }
+ */
+export function countDocuments(collections) {
+    return Object.fromEntries(Object.entries(collections).map(([name, docs]) => [name, Object.keys(docs).length]));
+}
+
+/**
+ * Collections to restore: the ones in the backup, narrowed to `only` if given
+ * and to SEASON_COLLECTIONS when restoring a single season
+ *
+ * @param {object} backup - Parsed backup file
+ * @param {object} options - { season, only: string[] }
+ * @returns {string[]}
+ * @throws {Error} If a requested collection is not in the backup
+ */
+export function restoreCollections(backup, { season = null, only = null } = {}) {
+    const available = Object.keys(backup.collections || {});
+    const missing = (only || []).filter(name => !available.includes(name));
+    if (missing.length > 0) {
+        throw new Error(`Not in the backup: ${missing.join(', ')} (it has ${available.join(', ') || 'no collections'})`);
+    }
+    return (only || available).filter(name => !season || SEASON_COLLECTIONS.includes(name));
+}
+
+/**
+ * Work out a restore: every backed-up document is written (overwriting the
+ * current one) and current documents that are not in the backup are deleted,
+ * so each restored collection (or season) ends up exactly as in the backup.
+ * A backup exported for one season is restored as that season.
+ *
+ * @param {object} backup - Parsed backup file
+ * @param {object} current - Current Firestore data, same shape as backup.collections
+ * @param {object} options - { season, only: string[] } (see restoreCollections)
+ * @returns {object} { collectionName: { write: { docId: data }, delete: string[], expected: number } }
+ * @throws {Error} On an unsupported backup version, a season the backup does not have or a missing collection
+ */
+export function planRestore(backup, current, { season = null, only = null } = {}) {
+    if (backup.version !== BACKUP_VERSION) {
+        throw new Error(`Unsupported backup version ${backup.version} (expected ${BACKUP_VERSION})`);
+    }
+    if (backup.season && season && backup.season !== season) {
+        throw new Error(`Backup only has season "${backup.season}", cannot restore "${season}"`);
+    }
+    // A season backup always restores just that season, never whole collections
+    season = season || backup.season || null;
+    const names = restoreCollections(backup, { season, only });
+
+    let source = backup.collections;
+    let target = current;
+    if (season) {
+        // Predictions of games on either side belong to the season being restored
+        const gameIds = new Set([
+            ...Object.keys(filterCollectionsBySeason(backup.collections, season).games),
+            ...Object.keys(filterCollectionsBySeason(current, season).games),
+        ]);
+        source = filterCollectionsBySeason(backup.collections, season, gameIds);
+        target = filterCollectionsBySeason(current, season, gameIds);
+    }
+
+    return Object.fromEntries(names.map(name => {
+        const write = source[name] || {};
+        const existing = Object.keys(target[name] || {});
+        return [name, {
+            write,
+            delete: existing.filter(id => !(id in write)),
+            expected: Object.keys(write).length,
+        }];
+    }));
+}
+
+/**
+ * Compare expected and actual document counts after a restore
+ *
+ * @param {object} expected - { collectionName: count }
+ * @param {object} actual - { collectionName: count }
+ * @returns {string[]} One message per collection whose count differs (empty if all match)
+ */
+export function verifyCounts(expected, actual) {
+    return Object.entries(expected)
+        .filter(([name, count]) => (actual[name] ?? 0) !== count)
+        .map(([name, count]) => `${name}: expected ${count} documents, found ${actual[name] ?? 0}`);
+}
+
+/**
+ * Backup file name for a snapshot: backup-2025-08-01T10-00-00Z[-<season>].json
+ * @param {Date} date
+ * @param {string|null} season
+ * @returns {string}
+ */
+export function backupFileName(date = new Date(), season = null) {
+    const stamp = date.toISOString().replace(/\.\d{3}Z$/, 'Z').replace(/:/g, '-');
+    const suffix = season ? `-${season.replace(/[^A-Za-z0-9_-]+/g, '_')}` : '';
+    return `backup-${stamp}${suffix}.json`;
+}
@@ -0,0 +1,161 @@
+/**
+ * Team Badges Module
+ *
+ * Helpers for the badge ingestion pipeline (ingestBadges.js) and the pages
+ * that show team logos:
+ * - every stored badge is the same format and size: a BADGE_SIZE x BADGE_SIZE
+ *   SVG, with the provider's image (PNG/JPEG/WebP/GIF) centred inside it, so
+ *   no image library is needed to normalise badges of any shape
+ * - teams without a badge get a generated placeholder with their initials,
+ *   also used by index.html for teams that are not in Firestore
+ *
+ * Pure functions only: no Firestore or network access, works in the browser and in Node.js.
+ *
+ * Usage:
+ *   import { normalizeBadge, placeholderBadgeSvg, placeholderBadgeDataUrl } from './badges.js';
+ *   const svg = normalizeBadge(await (await fetch(badgeVariantUrl(team.strBadge))).arrayBuffer());
+ *   img.src = team.logoUrl || placeholderBadgeDataUrl('Atlético Madrid');   // "AM" badge
+ */
+
+// Side of the square every stored badge is framed in (px)
+export const BADGE_SIZE = 256;
+
+export const BADGE_CONTENT_TYPE = 'image/svg+xml';
+
+// Words left out of initials ("FC Porto" -> "POR", "Club Brugge" -> "BRU")
+const INITIALS_STOP_WORDS = ['fc', 'cf', 'afc', 'sc', 'ac', 'cd', 'club', 'de', 'del', 'la', 'the', 'and'];
+
+// Leading bytes of the image formats a badge may come in
+const IMAGE_SIGNATURES = [
+    { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+    { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+    { type: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], at8: [0x57, 0x45, 0x42, 0x50] },
+];
+
+/**
+ * URL of the provider's small (250px) rendition of a badge. TheSportsDB
+ * serves resized previews at "<badge url>/small"; other URLs are unchanged.
+ *
+ * @param {string} url - e.g. TheSportsDB strBadge
+ * @returns {string|null}
+ */
+export function badgeVariantUrl(url) {
+    if (!url) return null;
+    return /thesportsdb\.com\/images\/media\/team\/badge\/[^/]+\.(png|jpe?g)$/i.test(url) ? `${url}/small` : url;
+}
+
+/**
+ * Detect an image's format from its first bytes
+ * @param {Uint8Array|ArrayBuffer} data
+ * @returns {string|null} MIME type, or null if it is not a supported image
+ */
+export function detectImageType(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const startsWith = (signature, offset = 0) => signature.every((byte, i) => bytes[offset + i] === byte);
+    const match = IMAGE_SIGNATURES.find(sig => startsWith(sig.bytes) && (!sig.at8 || startsWith(sig.at8, 8)));
+    return match ? match.type : null;
+}
+
+/**
+ * Base64 of binary data (Buffer in Node.js, btoa in the browser)
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+    if (typeof Buffer !== 'undefined') return Buffer.from(bytes).toString('base64');
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+}
+
+/**
+ * Escape text for SVG/XML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Normalise a badge image: frame it, centred and scaled to fit, in a square
+ * BADGE_SIZE SVG (transparent background)
+ *
+ * @param {Uint8Array|ArrayBuffer} data - Image bytes
+ * @returns {string} SVG document
+ * @throws {Error} If the data is not a PNG, JPEG, GIF or WebP image
+ */
+export function normalizeBadge(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const type = detectImageType(bytes);
+    if (!type) {
+        throw new Error('Not a PNG, JPEG, GIF or WebP image');
+    }
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${BADGE_SIZE}" height="${BADGE_SIZE}" viewBox="0 0 ${BADGE_SIZE} ${BADGE_SIZE}">` +
+        `<image width="${BADGE_SIZE}" height="${BADGE_SIZE}" preserveAspectRatio="xMidYMid meet" href="data:${type};base64,${toBase64(bytes)}"/>` +
+        '</svg>';
+}
+
+/**
+ * Up to three initials of a team name: first letters of the main words, or
+ * the first three letters of a one-word name ("Real Madrid" -> "RM", "Barcelona" -> "BAR")
+ *
+ * @param {string} name
+ * @returns {string} Uppercase initials ('?' if the name has no letters)
+ */
+export function teamInitials(name) {
+    const words = String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean);
+    const mainWords = words.filter(word => !INITIALS_STOP_WORDS.includes(word.toLowerCase()));
+    const used = mainWords.length > 0 ? mainWords : words;
+
+    if (used.length === 0) return '?';
+    if (used.length === 1) return used[0].slice(0, 3).toUpperCase();
+    return used.slice(0, 3).map(word => word[0]).join('').toUpperCase();
+}
+
+/**
+ * Colour for a team's placeholder, always the same for the same name
+ * @param {string} name
+ * @returns {string} CSS hsl() colour
+ */
+function placeholderColor(name) {
+    let hash = 0;
+    for (const char of String(name || '')) {
+        hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+    }
+    return `hsl(${hash % 360}, 55%, 38%)`;
+}
+
+/**
+ * Placeholder badge: a shield in a colour derived from the name, with the initials
+ *
+ * @param {string} name - Team name
+ * @returns {string} SVG document (BADGE_SIZE square)
+ */
+export function placeholderBadgeSvg(name) {
+    const initials = teamInitials(name);
+    const fontSize = initials.length > 2 ? 72 : 92;
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${BADGE_SIZE}" height="${BADGE_SIZE}" viewBox="0 0 ${BADGE_SIZE} ${BADGE_SIZE}">` +
+        `<title>${escapeXml(name || '')}</title>` +
+        `<path d="M128 12 L228 48 V124 C228 184 184 226 128 244 C72 226 28 184 28 124 V48 Z" fill="${placeholderColor(name)}" stroke="#ffffff" stroke-width="8"/>` +
+        `<text x="128" y="136" text-anchor="middle" dominant-baseline="middle" font-family="Arial, Helvetica, sans-serif" font-weight="bold" font-size="${fontSize}" fill="#ffffff">${escapeXml(initials)}</text>` +
+        '</svg>';
+}
+
+/**
+ * Placeholder badge as a data: URL, for <img src> without an upload
+ * @param {string} name - Team name
+ * @returns {string}
+ */
+export function placeholderBadgeDataUrl(name) {
+    return `data:${BADGE_CONTENT_TYPE};charset=utf-8,${encodeURIComponent(placeholderBadgeSvg(name))}`;
+}
@@ -0,0 +1,555 @@
+/**
+ * CSV Transfer Module
+ *
+ * Spreadsheet import and export for the admin "Spreadsheets (CSV)" section
+ * (js/admin-panel.js):
+ * - exports of a season's games, its predictions with the points
+ *   calculatePoints gives them (jokers and multipliers included) and the
+ *   leaderboard, as CSV that Excel and Google Sheets open directly
+ * - imports of games and predictions, planned row by row so the admin can
+ *   preview every problem (unknown teams or userIds, duplicate rows, scores
+ *   that are not whole numbers...) before anything is written
+ *
+ * Reading accepts comma, semicolon (Excel in Spanish and most European
+ * locales) or tab separated files; column names are matched case-insensitively.
+ *
+ * Pure functions only: no Firestore or network access, works in the browser and in Node.js.
+ *
+ * Usage:
+ *   import { predictionsToCsv, planPredictionsImport } from './csvTransfer.js';
+ *   download(predictionsToCsv(games, predictions, scoringProfiles));
+ *   const plan = planPredictionsImport(await file.text(), { games, existingPredictions, knownUsers });
+ *   if (plan.errorCount === 0) plan.rows.filter(row => row.action !== 'skip').forEach(write);
+ */
+
+import {
+    GAME_STAGES,
+    GAME_STATUSES,
+    calculatePoints,
+    calculatePlayerStats,
+    rankPlayers,
+    getPlayerNames,
+    enforceOneJokerPerFecha,
+    getScoringProfileForGame,
+    getKickOffDate,
+    isKnockoutGame,
+} from '../../js/calculations.js';
+import { normalizeTeamName } from './teamAliases.js';
+import { isSameFixture } from './roundImport.js';
+
+export const GAME_CSV_COLUMNS = [
+    'gameId', 'season', 'Fecha', 'League', 'Stage', 'Multiplier', 'Knockout', 'HomeTeam', 'AwayTeam', 'KickOffTime',
+    'Status', 'HomeScore', 'AwayScore', 'ExtraTimeHomeScore', 'ExtraTimeAwayScore', 'PenaltyWinner', 'thesportsdbEventId',
+];
+
+export const PREDICTION_CSV_COLUMNS = [
+    'predictionId', 'gameId', 'Fecha', 'HomeTeam', 'AwayTeam', 'userId', 'playerName',
+    'predictedHomeScore', 'predictedAwayScore', 'joker', 'predictedQualifier', 'points',
+];
+
+export const LEADERBOARD_CSV_COLUMNS = [
+    'rank', 'userId', 'playerName', 'totalPoints', 'fechasWonCount', 'perfectScoresCount', 'gamesParticipated',
+];
+
+// Columns an import file must have (predictions may name the game by Fecha and teams instead of gameId)
+const REQUIRED_GAME_COLUMNS = ['HomeTeam', 'AwayTeam', 'KickOffTime', 'Fecha'];
+const REQUIRED_PREDICTION_COLUMNS = ['userId', 'predictedHomeScore', 'predictedAwayScore'];
+
+// Kick-off as written by the exports (ISO) or typed into a spreadsheet ("2025-08-23 18:45")
+const KICKOFF_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+// Yes/no cells: Excel writes TRUE/FALSE (VERDADERO/FALSO in Spanish)
+const TRUE_VALUES = ['true', 'verdadero', 'yes', 'y', 'si', 'sí', 'x', '1'];
+const FALSE_VALUES = ['false', 'falso', 'no', 'n', '0', ''];
+
+// ===================================
+// CSV reading and writing
+// ===================================
+
+/**
+ * Quote a cell for CSV. Text starting with = + - @ is prefixed with an
+ * apostrophe so spreadsheets don't run it as a formula.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document (CRLF line endings, like Excel)
+ * @param {string[]} columns - Header row
+ * @param {array} rows - One array of cells per row
+ * @returns {string}
+ */
+export function toCsv(columns, rows) {
+    return [columns, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Separator of a CSV file, guessed from its header line
+ * @param {string} headerLine
+ * @returns {string} ',', ';' or '\t'
+ */
+function detectDelimiter(headerLine) {
+    const counts = [',', ';', '\t'].map(delimiter => [delimiter, headerLine.split(delimiter).length]);
+    return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Parse CSV text into rows of cells (quoted cells may contain separators,
+ * quotes and line breaks). A UTF-8 byte order mark and blank lines are ignored.
+ *
+ * @param {string} text
+ * @returns {object} { rows: string[][], lines: number[] } - lines[i] is the file line rows[i] starts on
+ */
+export function parseCsv(text) {
+    const source = String(text || '').replace(/^\ufeff/, '');
+    const delimiter = detectDelimiter(source.split(/\r?\n/, 1)[0]);
+    const rows = [];
+    const lines = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.some(value => value.trim() !== '')) {
+            rows.push(row);
+            lines.push(rowLine);
+        }
+        row = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) endRow();
+    return { rows, lines };
+}
+
+/**
+ * Parse a CSV file with a header row into records keyed by the expected
+ * column names (matched case-insensitively; unknown columns are ignored)
+ *
+ * @param {string} text
+ * @param {string[]} columns - Known column names
+ * @returns {object} { records: [{ line, values }], columns: string[] (known columns present) }
+ */
+function readRecords(text, columns) {
+    const { rows, lines } = parseCsv(text);
+    if (rows.length === 0) return { records: [], columns: [] };
+
+    const byLowerName = new Map(columns.map(column => [column.toLowerCase(), column]));
+    const header = rows[0].map(name => byLowerName.get(name.trim().toLowerCase()) || null);
+    const records = rows.slice(1).map((cells, i) => {
+        const values = {};
+        header.forEach((column, index) => {
+            if (column) values[column] = (cells[index] || '').trim();
+        });
+        return { line: lines[i + 1], values };
+    });
+    return { records, columns: header.filter(Boolean) };
+}
+
+// ===================================
+// Exports
+// ===================================
+
+/**
+ * Kick-off of a game as a UTC ISO string (Timestamps, Dates and strings)
+ * @param {object} game
+ * @returns {string}
+ */
+function kickOffIso(game) {
+    const date = getKickOffDate(game);
+    return date ? date.toISOString() : '';
+}
+
+/**
+ * Games in kick-off order
+ * @param {array} games
+ * @returns {array}
+ */
+function sortByKickOff(games) {
+    const time = game => (getKickOffDate(game) || new Date(8.64e15)).getTime();
+    return [...games].sort((a, b) => time(a) - time(b));
+}
+
+/**
+ * CSV of a season's games (kick-off order, kick-off in UTC)
+ * @param {array} games - Game documents ({ id, ...data })
+ * @returns {string}
+ */
+export function gamesToCsv(games) {
+    const rows = sortByKickOff(games).map(game => [
+        game.id, game.season || '', game.Fecha || '', game.League || '', game.Stage || '', game.Multiplier ?? '',
+        isKnockoutGame(game), game.HomeTeam, game.AwayTeam, kickOffIso(game), game.Status || '',
+        game.HomeScore ?? '', game.AwayScore ?? '', game.ExtraTimeHomeScore ?? '', game.ExtraTimeAwayScore ?? '',
+        game.PenaltyWinner || '', game.thesportsdbEventId || '',
+    ]);
+    return toCsv(GAME_CSV_COLUMNS, rows);
+}
+
+/**
+ * CSV of every prediction for the given games, with its points (empty until
+ * the game is finished). Only one joker per fecha counts, as on the leaderboard.
+ *
+ * @param {array} games - Game documents ({ id, ...data })
+ * @param {array} predictions - Prediction documents ({ id, ...data })
+ * @param {object} scoringProfiles - Map of season name to scoring profile (config/activeSeason)
+ * @returns {string}
+ */
+export function predictionsToCsv(games, predictions, scoringProfiles = {}) {
+    const gameMap = new Map(games.map(game => [game.id, game]));
+    const order = new Map(sortByKickOff(games).map((game, index) => [game.id, index]));
+    const rows = enforceOneJokerPerFecha(predictions.filter(pred => gameMap.has(pred.gameId)), games)
+        .sort((a, b) => (order.get(a.gameId) - order.get(b.gameId)) || String(a.playerName || a.userId).localeCompare(String(b.playerName || b.userId)))
+        .map(pred => {
+            const game = gameMap.get(pred.gameId);
+            const points = calculatePoints(pred, game, getScoringProfileForGame(game, scoringProfiles));
+            return [
+                pred.id || '', pred.gameId, game.Fecha || '', game.HomeTeam, game.AwayTeam, pred.userId, pred.playerName || '',
+                pred.predictedHomeScore, pred.predictedAwayScore, pred.joker === true, pred.predictedQualifier || '',
+                points ?? '',
+            ];
+        });
+    return toCsv(PREDICTION_CSV_COLUMNS, rows);
+}
+
+/**
+ * CSV of the leaderboard (calculatePlayerStats and rankPlayers, like
+ * the leaderboard page; tied players share a rank)
+ *
+ * @param {array} games - Game documents ({ id, ...data })
+ * @param {array} predictions - Prediction documents
+ * @param {object} scoringProfiles - Map of season name to scoring profile
+ * @returns {string}
+ */
+export function leaderboardToCsv(games, predictions, scoringProfiles = {}) {
+    const userNames = getPlayerNames(predictions);
+    const sorted = rankPlayers(calculatePlayerStats(games, predictions, scoringProfiles), userNames);
+    const sameStats = (a, b) => a.totalPoints === b.totalPoints && a.fechasWonCount === b.fechasWonCount &&
+        a.perfectScoresCount === b.perfectScoresCount;
+    let rank = 0;
+    const rows = sorted.map(([userId, stats], index) => {
+        if (index === 0 || !sameStats(stats, sorted[index - 1][1])) rank = index + 1;
+        return [rank, userId, userNames[userId] || userId, stats.totalPoints, stats.fechasWonCount,
+            stats.perfectScoresCount, stats.gamesParticipated];
+    });
+    return toCsv(LEADERBOARD_CSV_COLUMNS, rows);
+}
+
+// ===================================
+// Import validation
+// ===================================
+
+/**
+ * Parse a score cell: whole number >= 0, or null when empty
+ * @returns {object} { value, error }
+ */
+function parseScore(text, label, required = false) {
+    if (text === undefined || text === '') {
+        return required ? { value: null, error: `${label} is missing` } : { value: null, error: null };
+    }
+    if (!/^\d+$/.test(text)) {
+        return { value: null, error: `${label} "${text}" is not a whole number` };
+    }
+    return { value: Number(text), error: null };
+}
+
+/**
+ * Parse a yes/no cell (TRUE/FALSE as Excel writes them, yes/no, 1/0, x)
+ * @returns {object} { value, error }
+ */
+function parseFlag(text, label) {
+    const value = (text || '').toLowerCase();
+    if (TRUE_VALUES.includes(value)) return { value: true, error: null };
+    if (FALSE_VALUES.includes(value)) return { value: false, error: null };
+    return { value: false, error: `${label} "${text}" must be TRUE or FALSE` };
+}
+
+/**
+ * Result of an import plan: header errors, one entry per row and the totals
+ */
+function finishPlan(rows, headerErrors) {
+    return {
+        headerErrors,
+        rows,
+        errorCount: headerErrors.length + rows.filter(row => row.errors.length > 0).length,
+        writeCount: rows.filter(row => row.errors.length === 0 && row.action !== 'skip').length,
+    };
+}
+
+/**
+ * Plan a games import into one season
+ *
+ * Row actions: 'create', or 'skip' for games already in Firestore (same event
+ * ID, or same teams on the same day). Errors: missing or unknown teams,
+ * unreadable kick-offs, scores that are not whole numbers, invalid stage,
+ * status or multiplier, another season, and duplicate rows in the file.
+ *
+ * @param {string} text - CSV file contents
+ * @param {object} options
+ * @param {object} options.registry - Team alias registry (createTeamRegistry); names are stored canonical
+ * @param {array} options.existingGames - Games of the season already in Firestore
+ * @param {string} options.season - Season the games are imported into
+ * @returns {object} { headerErrors, rows: [{ line, game, action, errors, warnings }], errorCount, writeCount }
+ */
+export function planGamesImport(text, { registry, existingGames = [], season }) {
+    const { records, columns } = readRecords(text, GAME_CSV_COLUMNS);
+    const missing = REQUIRED_GAME_COLUMNS.filter(column => !columns.includes(column));
+    if (records.length === 0 || missing.length > 0) {
+        return finishPlan([], [records.length === 0 && columns.length === 0
+            ? 'The file is empty'
+            : `Missing column(s): ${missing.join(', ') || 'none'}${records.length === 0 ? ' and no rows' : ''}`]);
+    }
+
+    const stageIds = GAME_STAGES.map(stage => stage.id);
+    const statusIds = GAME_STATUSES.map(status => status.id);
+    const seen = [];
+
+    const rows = records.map(({ line, values }) => {
+        const errors = [];
+        const warnings = [];
+
+        const team = (name, label) => {
+            if (!name) {
+                errors.push(`${label} is missing`);
+                return name;
+            }
+            const known = registry.resolve(name);
+            if (!known) {
+                errors.push(`unknown team "${name}"`);
+                return name;
+            }
+            return known.name || name;
+        };
+        const HomeTeam = team(values.HomeTeam, 'HomeTeam');
+        const AwayTeam = team(values.AwayTeam, 'AwayTeam');
+
+        let KickOffTime = null;
+        if (!values.KickOffTime) {
+            errors.push('KickOffTime is missing');
+        } else if (!KICKOFF_PATTERN.test(values.KickOffTime) || isNaN(new Date(values.KickOffTime.replace(' ', 'T')).getTime())) {
+            errors.push(`KickOffTime "${values.KickOffTime}" is not a date like 2025-08-23 18:45 or 2025-08-23T18:45:00Z`);
+        } else {
+            KickOffTime = new Date(values.KickOffTime.replace(' ', 'T')).toISOString();
+        }
+
+        if (!values.Fecha) errors.push('Fecha is missing');
+        if (values.season && values.season !== season) {
+            errors.push(`season "${values.season}" is not the season being imported (${season})`);
+        }
+
+        const Stage = values.Stage || stageIds[0];
+        if (!stageIds.includes(Stage)) errors.push(`unknown Stage "${values.Stage}"`);
+        const Status = (values.Status || 'upcoming').toLowerCase();
+        if (!statusIds.includes(Status)) errors.push(`unknown Status "${values.Status}"`);
+        const Multiplier = values.Multiplier ? Number(values.Multiplier) : 1;
+        if (!Number.isInteger(Multiplier) || Multiplier < 1) errors.push(`Multiplier "${values.Multiplier}" must be a whole number of 1 or more`);
+        const knockout = parseFlag(values.Knockout, 'Knockout');
+        if (knockout.error) errors.push(knockout.error);
+
+        const scores = {};
+        ['HomeScore', 'AwayScore', 'ExtraTimeHomeScore', 'ExtraTimeAwayScore'].forEach(field => {
+            const score = parseScore(values[field], field);
+            if (score.error) errors.push(score.error);
+            scores[field] = score.value;
+        });
+        if (Status === 'finished' && (scores.HomeScore === null || scores.AwayScore === null)) {
+            errors.push('finished games need HomeScore and AwayScore');
+        }
+        const PenaltyWinner = (values.PenaltyWinner || '').toLowerCase() || null;
+        if (PenaltyWinner && !['home', 'away'].includes(PenaltyWinner)) {
+            errors.push(`PenaltyWinner "${values.PenaltyWinner}" must be home or away`);
+        }
+
+        const game = {
+            HomeTeam,
+            AwayTeam,
+            KickOffTime,
+            League: values.League || null,
+            Status,
+            HomeScore: scores.HomeScore,
+            AwayScore: scores.AwayScore,
+            Fecha: values.Fecha || '',
+            season,
+            Stage,
+            Multiplier,
+            ...(values.thesportsdbEventId ? { thesportsdbEventId: values.thesportsdbEventId } : {}),
+            ...(knockout.value ? {
+                Knockout: true,
+                ExtraTimeHomeScore: scores.ExtraTimeHomeScore,
+                ExtraTimeAwayScore: scores.ExtraTimeAwayScore,
+                PenaltyWinner,
+            } : {}),
+        };
+
+        let action = 'create';
+        if (errors.length === 0) {
+            const duplicate = seen.find(entry => isSameFixture(entry.game, game));
+            if (duplicate) {
+                errors.push(`duplicate of line ${duplicate.line}`);
+            } else if (existingGames.some(existing => isSameFixture(existing, game))) {
+                action = 'skip';
+                warnings.push('already in Firestore, skipped');
+            }
+            seen.push({ line, game });
+        }
+        return { line, game, action, errors, warnings };
+    });
+    return finishPlan(rows, []);
+}
+
+/**
+ * Plan a predictions import for the games of one season
+ *
+ * The game is found by gameId, or by Fecha + HomeTeam + AwayTeam (names
+ * compared like the alias registry does). Row actions: 'create', 'update'
+ * (replaces an imported prediction stored for that player and game) or 'skip'
+ * (same prediction already stored). Errors: unknown games and userIds, scores
+ * that are not whole numbers, invalid joker or qualifier, the same player
+ * predicting the same game twice in the file, new or changed predictions for
+ * games that already have a result, changes to a prediction the player saved
+ * themselves, and predictions for the importing admin (firestore.rules
+ * rejects those writes). The points column of an
+ * exported file is ignored.
+ *
+ * @param {string} text - CSV file contents
+ * @param {object} options
+ * @param {array} options.games - Games of the season ({ id, ...data })
+ * @param {array} options.existingPredictions - Their stored predictions ({ id, ...data })
+ * @param {object} options.knownUsers - { userId: playerName } of the players in the pool
+ * @param {Date} options.now - Current time (kicked-off games get a warning)
+ * @param {string|null} options.adminUid - The importing admin, who can't import their own predictions
+ * @returns {object} { headerErrors, rows: [{ line, prediction, existingId, game, action, errors, warnings }], errorCount, writeCount }
+ */
+export function planPredictionsImport(text, { games, existingPredictions = [], knownUsers = {}, now = new Date(), adminUid = null }) {
+    const { records, columns } = readRecords(text, PREDICTION_CSV_COLUMNS);
+    const missing = REQUIRED_PREDICTION_COLUMNS.filter(column => !columns.includes(column));
+    if (!columns.includes('gameId') && !['Fecha', 'HomeTeam', 'AwayTeam'].every(column => columns.includes(column))) {
+        missing.push('gameId (or Fecha, HomeTeam and AwayTeam)');
+    }
+    if (records.length === 0 || missing.length > 0) {
+        return finishPlan([], [records.length === 0 && columns.length === 0
+            ? 'The file is empty'
+            : `Missing column(s): ${missing.join(', ') || 'none'}${records.length === 0 ? ' and no rows' : ''}`]);
+    }
+
+    const gameMap = new Map(games.map(game => [game.id, game]));
+    const gameKey = (fecha, home, away) => [fecha, normalizeTeamName(home), normalizeTeamName(away)].join('|').toLowerCase();
+    const gamesByKey = new Map(games.map(game => [gameKey(game.Fecha || '', game.HomeTeam, game.AwayTeam), game]));
+    const stored = new Map(existingPredictions.map(pred => [`${pred.userId}|${pred.gameId}`, pred]));
+    const seen = new Map();
+
+    const rows = records.map(({ line, values }) => {
+        const errors = [];
+        const warnings = [];
+
+        const game = values.gameId
+            ? gameMap.get(values.gameId)
+            : gamesByKey.get(gameKey(values.Fecha || '', values.HomeTeam || '', values.AwayTeam || ''));
+        if (!game) {
+            errors.push(values.gameId
+                ? `unknown gameId "${values.gameId}"`
+                : `no game ${values.HomeTeam || '?'} vs ${values.AwayTeam || '?'} in Fecha "${values.Fecha || ''}"`);
+        }
+
+        const userId = values.userId || '';
+        if (!userId) {
+            errors.push('userId is missing');
+        } else if (!(userId in knownUsers)) {
+            errors.push(`unknown userId "${userId}"`);
+        } else if (adminUid && userId === adminUid) {
+            errors.push('you cannot import your own prediction');
+        }
+
+        const home = parseScore(values.predictedHomeScore, 'predictedHomeScore', true);
+        const away = parseScore(values.predictedAwayScore, 'predictedAwayScore', true);
+        [home, away].forEach(score => { if (score.error) errors.push(score.error); });
+        const joker = parseFlag(values.joker, 'joker');
+        if (joker.error) errors.push(joker.error);
+
+        const qualifier = (values.predictedQualifier || '').toLowerCase() || null;
+        if (qualifier && !['home', 'away'].includes(qualifier)) {
+            errors.push(`predictedQualifier "${values.predictedQualifier}" must be home or away`);
+        } else if (qualifier && game && !isKnockoutGame(game)) {
+            warnings.push('predictedQualifier ignored (not a knockout game)');
+        }
+
+        const prediction = {
+            userId,
+            playerName: values.playerName || knownUsers[userId] || userId,
+            gameId: game ? game.id : (values.gameId || ''),
+            predictedHomeScore: home.value,
+            predictedAwayScore: away.value,
+            joker: joker.value,
+            ...(qualifier && game && isKnockoutGame(game) ? { predictedQualifier: qualifier } : {}),
+        };
+
+        let action = 'create';
+        const existing = game && userId ? stored.get(`${userId}|${game.id}`) : null;
+        if (game && userId) {
+            const key = `${userId}|${game.id}`;
+            if (seen.has(key)) {
+                errors.push(`duplicate of line ${seen.get(key)} (same player and game)`);
+            } else {
+                seen.set(key, line);
+            }
+        }
+        if (errors.length === 0) {
+            if (existing) {
+                const unchanged = existing.predictedHomeScore === prediction.predictedHomeScore &&
+                    existing.predictedAwayScore === prediction.predictedAwayScore &&
+                    (existing.joker === true) === prediction.joker &&
+                    (existing.predictedQualifier || null) === (prediction.predictedQualifier || null);
+                action = unchanged ? 'skip' : 'update';
+                warnings.push(unchanged
+                    ? 'same prediction already stored, skipped'
+                    : `replaces ${existing.predictedHomeScore}-${existing.predictedAwayScore}${existing.joker === true ? ' (joker)' : ''}`);
+            }
+            const kickOff = getKickOffDate(game);
+            const hasResult = game.Status === 'finished' || (game.HomeScore !== null && game.HomeScore !== undefined);
+            if (action !== 'skip' && hasResult) {
+                // firestore.rules rejects imported predictions once the result is in
+                errors.push('game already has a result');
+            } else if (action === 'update' && !existing.importedBy) {
+                errors.push('the player saved this prediction themselves, it cannot be replaced');
+            } else if (action !== 'skip' && kickOff && kickOff <= now) {
+                warnings.push('game has kicked off');
+            }
+        }
+        return { line, prediction, existingId: existing ? existing.id : null, game: game || null, action, errors, warnings };
+    });
+    return finishPlan(rows, []);
+}
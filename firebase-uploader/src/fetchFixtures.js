@@ -3,22 +3,43 @@
  * 
  * Provides functions to search for fixtures between two teams
  * and map results to Firestore format with thesportsdbEventId.
+ * This is the default fixture provider (see providers.js); the event mapping
+ * helpers are exported so other providers return exactly the same shapes.
  * 
  * Usage:
  *   import { searchFixture, searchTeam } from './fetchFixtures.js';
  *   const fixtures = await searchFixture('Barcelona', 'Real Madrid');
  */
 
+/**
+ * Read an environment variable in Node.js (always undefined in the browser)
+ * Used to point the module at a stubbed TheSportsDB in tests.
+ */
+function readEnv(name) {
+    return typeof process !== 'undefined' && process.env ? process.env[name] : undefined;
+}
+
 // TheSportsDB API Configuration
 const THESPORTSDB_API_KEY = '123'; // Your free API key from TheSportsDB
-const THESPORTSDB_BASE_URL = `https://www.thesportsdb.com/api/v1/json/${THESPORTSDB_API_KEY}`;
+const THESPORTSDB_BASE_URL = readEnv('THESPORTSDB_BASE_URL') || `https://www.thesportsdb.com/api/v1/json/${THESPORTSDB_API_KEY}`;
 
 // Rate limiting: 30 requests per minute for free tier
 // That's approximately 1 request every 2 seconds (2000ms)
-// Using 2100ms to be safe with a small buffer
-const RATE_LIMIT_MS = 2100;
+// Using 2100ms to be safe with a small buffer (THESPORTSDB_RATE_LIMIT_MS overrides it for stubs)
+const RATE_LIMIT_MS = Number(readEnv('THESPORTSDB_RATE_LIMIT_MS') ?? 2100);
 let lastRequestTime = 0;
 
+// TheSportsDB league IDs offered by the admin "Import League Round" section (see listRound)
+export const THESPORTSDB_LEAGUES = Object.freeze([
+    { id: '4328', name: 'Premier League' },
+    { id: '4335', name: 'La Liga' },
+    { id: '4332', name: 'Serie A' },
+    { id: '4331', name: 'Bundesliga' },
+    { id: '4334', name: 'Ligue 1' },
+    { id: '4480', name: 'Champions League' },
+    { id: '4481', name: 'Europa League' },
+]);
+
 /**
  * Helper function to enforce rate limiting
  * Ensures we don't exceed TheSportsDB API limits
@@ -40,7 +61,7 @@ async function enforceRateLimit() {
  * Search for a team by name on TheSportsDB
  * 
  * @param {string} teamName - Team name to search for (e.g., "Manchester United")
- * @returns {Promise<object|null>} Object with {idTeam, strTeam} or null if not found
+ * @returns {Promise<object|null>} Object with {idTeam, strTeam, strBadge} or null if not found
  */
 export async function searchTeam(teamName) {
     if (!teamName || teamName.trim().length === 0) {
@@ -70,7 +91,8 @@ export async function searchTeam(teamName) {
         const team = data.teams[0];
         return {
             idTeam: team.idTeam,
-            strTeam: team.strTeam
+            strTeam: team.strTeam,
+            strBadge: team.strBadge || null
         };
     } catch (error) {
         console.error('[searchTeam] Error:', error.message);
@@ -144,21 +166,6 @@ function formatDateToISO(dateString) {
     }
 }
 
-// Utility: Convert ISO string to Firestore Timestamp if available
-function toFirestoreTimestamp(isoString) {
-    // If running in Node.js with firebase-admin, use native Timestamp
-    try {
-        const admin = require('firebase-admin');
-        if (admin.firestore && admin.firestore.Timestamp) {
-            return admin.firestore.Timestamp.fromDate(new Date(isoString));
-        }
-    } catch (e) {
-        // Not running in Node.js or firebase-admin not available
-    }
-    // Fallback: return ISO string (for browser/client)
-    return isoString;
-}
-
 /**
  * Map TheSportsDB event data to Firestore game format
  * Includes auto-populated League when available
@@ -166,12 +173,12 @@ function toFirestoreTimestamp(isoString) {
  * @param {object} event - Event object from TheSportsDB
  * @returns {object} Game object formatted for Firestore
  */
-function mapEventToFirestoreFormat(event) {
+export function mapEventToFirestoreFormat(event) {
     const isoKickoff = formatDateToISO(event.strTimestamp || event.dateEvent);
     return {
         HomeTeam: event.strHomeTeam || 'Unknown',
         AwayTeam: event.strAwayTeam || 'Unknown',
-        KickOffTime: toFirestoreTimestamp(isoKickoff),
+        KickOffTime: isoKickoff,
         Status: 'upcoming',
         League: normalizeLeague(event.strLeague) || 'Other',
         thesportsdbEventId: event.idEvent,
@@ -181,6 +188,30 @@ function mapEventToFirestoreFormat(event) {
     };
 }
 
+/**
+ * Pick the upcoming fixtures out of a list of TheSportsDB events:
+ * de-duplicated, future kick-offs only, sorted chronologically, at most 5
+ * 
+ * @param {array} events - Event objects from TheSportsDB
+ * @param {Date} now - Current time
+ * @returns {array} Fixture objects in Firestore format
+ */
+export function selectUpcomingFixtures(events, now = new Date()) {
+    const eventIds = new Set();
+    return events
+        .filter(event => {
+            if (eventIds.has(event.idEvent)) return false;
+            eventIds.add(event.idEvent);
+            // FIX: Use formatter for UTC-correct comparison
+            const isoString = formatDateToISO(event.strTimestamp || event.dateEvent);
+            const eventDate = new Date(isoString);
+            return eventDate > now;
+        })
+        .map(event => mapEventToFirestoreFormat(event))
+        .sort((a, b) => new Date(a.KickOffTime) - new Date(b.KickOffTime))
+        .slice(0, 5);
+}
+
 /**
  * Search for fixtures between two teams
  * Tries both team orders since the API is order-sensitive
@@ -214,21 +245,7 @@ export async function searchFixture(homeTeamName, awayTeamName) {
         if (allEvents.length === 0) {
             return [];
         }
-        const now = new Date();
-        const eventIds = new Set();
-        const fixtures = allEvents
-            .filter(event => {
-                if (eventIds.has(event.idEvent)) return false;
-                eventIds.add(event.idEvent);
-                // FIX: Use formatter for UTC-correct comparison
-                const isoString = formatDateToISO(event.strTimestamp || event.dateEvent);
-                const eventDate = new Date(isoString);
-                return eventDate > now;
-            })
-            .map(event => mapEventToFirestoreFormat(event))
-            .sort((a, b) => new Date(a.KickOffTime) - new Date(b.KickOffTime))
-            .slice(0, 5);
-        return fixtures;
+        return selectUpcomingFixtures(allEvents);
     } catch (error) {
         console.error('[searchFixture] Error:', error.message);
         return [];
@@ -236,9 +253,165 @@ export async function searchFixture(homeTeamName, awayTeamName) {
 }
 
 
+// strStatus values meaning the match is over (lowercase)
+const FINISHED_STATUSES = ['ft', 'aet', 'pen', 'ap', 'match finished', 'full time', 'after extra time', 'after penalties'];
+const EXTRA_TIME_STATUSES = ['aet', 'pen', 'ap', 'after extra time', 'after penalties'];
+const PENALTY_STATUSES = ['pen', 'ap', 'after penalties'];
+
+// strStatus values for matches that were not (fully) played (lowercase)
+const POSTPONED_STATUSES = ['pst', 'postp', 'postponed', 'match postponed'];
+const CANCELLED_STATUSES = ['canc', 'cancelled', 'canceled', 'match cancelled', 'match canceled'];
+const ABANDONED_STATUSES = ['abd', 'abandoned', 'match abandoned'];
+
+/**
+ * Map a TheSportsDB strStatus to the app's game Status
+ * 
+ * @param {string} strStatus - e.g. "Match Finished", "PST", "Match Cancelled"
+ * @returns {string|null} 'finished', 'postponed', 'cancelled', 'abandoned',
+ *   or null when the match has not been decided yet (not started / in play)
+ */
+export function parseEventStatus(strStatus) {
+    const status = (strStatus || '').trim().toLowerCase();
+    if (!status) return null;
+    if (POSTPONED_STATUSES.includes(status) || status.includes('postponed')) return 'postponed';
+    if (CANCELLED_STATUSES.includes(status) || status.includes('cancel')) return 'cancelled';
+    if (ABANDONED_STATUSES.includes(status) || status.includes('abandoned')) return 'abandoned';
+    if (FINISHED_STATUSES.includes(status) || status.includes('finished') || status.includes('full time')) return 'finished';
+    return null;
+}
+
+/**
+ * Parse a score field from TheSportsDB ("2", 2, "" or null)
+ * 
+ * @param {string|number|null} value
+ * @returns {number|null}
+ */
+function parseScore(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const score = parseInt(value, 10);
+    return isNaN(score) ? null : score;
+}
+
+/**
+ * Count goals scored within the first 90 minutes (stoppage time included)
+ * from a goal details string like "12':Messi;45+2':Suarez;105':Neymar".
+ * 
+ * @param {string} goalDetails - strHomeGoalDetails / strAwayGoalDetails
+ * @returns {number|null} Goal count, or null if the string has no minutes
+ */
+function countRegularTimeGoals(goalDetails) {
+    if (!goalDetails || typeof goalDetails !== 'string') return null;
+    const minutes = [...goalDetails.matchAll(/(\d+)(?:\s*\+\s*\d+)?\s*'/g)].map(match => parseInt(match[1], 10));
+    if (minutes.length === 0) return null;
+    return minutes.filter(minute => minute <= 90).length;
+}
+
+/**
+ * Work out the knockout details of a finished TheSportsDB event:
+ * the 90-minute score, the score after extra time and the penalty winner.
+ * 
+ * intHomeScore/intAwayScore include extra-time goals, so when a match went to
+ * extra time the 90-minute score is rebuilt from the goal details; if those are
+ * missing it is left null for the admin to fill in. The penalty shoot-out score
+ * is read from strResult (e.g. "Barcelona win 4-3 on penalties").
+ * 
+ * @param {object} event - Event object from TheSportsDB lookupevent.php
+ * @returns {object} { homeScore, awayScore, extraTimeHomeScore, extraTimeAwayScore, penaltyWinner, wentToExtraTime, wentToPenalties }
+ */
+export function parseKnockoutResult(event) {
+    const status = (event.strStatus || '').trim().toLowerCase();
+    const finalHome = parseScore(event.intHomeScore);
+    const finalAway = parseScore(event.intAwayScore);
+    const result = event.strResult || '';
+    const penaltyMatch = result.match(/(\d+)\s*[-–:]\s*(\d+)\s*(?:on\s+|after\s+)?(?:pens|penalties|penalty|pen\.?|p\.)/i)
+        || result.match(/(?:pens|penalties|penalty|pen\.?)\s*:?\s*\(?(\d+)\s*[-–:]\s*(\d+)/i);
+
+    const wentToPenalties = PENALTY_STATUSES.includes(status) || !!penaltyMatch;
+    const wentToExtraTime = wentToPenalties || EXTRA_TIME_STATUSES.includes(status);
+
+    if (!wentToExtraTime) {
+        return {
+            homeScore: finalHome,
+            awayScore: finalAway,
+            extraTimeHomeScore: null,
+            extraTimeAwayScore: null,
+            penaltyWinner: null,
+            wentToExtraTime: false,
+            wentToPenalties: false,
+        };
+    }
+
+    // 90-minute score from goal details, only trusted if it adds up with the final score
+    let homeScore = countRegularTimeGoals(event.strHomeGoalDetails);
+    let awayScore = countRegularTimeGoals(event.strAwayGoalDetails);
+    if (finalHome === 0) homeScore = 0;
+    if (finalAway === 0) awayScore = 0;
+    if (homeScore === null || awayScore === null || homeScore > finalHome || awayScore > finalAway) {
+        homeScore = null;
+        awayScore = null;
+    }
+
+    let penaltyWinner = null;
+    if (penaltyMatch) {
+        const first = parseInt(penaltyMatch[1], 10);
+        const second = parseInt(penaltyMatch[2], 10);
+        // Shoot-out scores are written home-away unless the text names the away team first
+        const awayNamedFirst = event.strAwayTeam && result.toLowerCase().indexOf(event.strAwayTeam.toLowerCase()) === 0;
+        if (first !== second) {
+            const firstWins = first > second;
+            penaltyWinner = firstWins !== !!awayNamedFirst ? 'home' : 'away';
+        }
+    }
+
+    return {
+        homeScore,
+        awayScore,
+        extraTimeHomeScore: finalHome,
+        extraTimeAwayScore: finalAway,
+        penaltyWinner,
+        wentToExtraTime,
+        wentToPenalties,
+    };
+}
+
+/**
+ * Map a TheSportsDB event to the result object returned by lookupEventById
+ * 
+ * @param {object} event - Event object from TheSportsDB lookupevent.php
+ * @returns {object} Result object (see lookupEventById)
+ */
+export function mapEventToResult(event) {
+    const gameStatus = parseEventStatus(event.strStatus);
+    const isFinished = gameStatus === 'finished';
+    const knockout = parseKnockoutResult(event);
+
+    return {
+        homeScore: knockout.homeScore,
+        awayScore: knockout.awayScore,
+        extraTimeHomeScore: knockout.extraTimeHomeScore,
+        extraTimeAwayScore: knockout.extraTimeAwayScore,
+        penaltyWinner: knockout.penaltyWinner,
+        wentToExtraTime: knockout.wentToExtraTime,
+        wentToPenalties: knockout.wentToPenalties,
+        status: event.strStatus || null,
+        gameStatus,
+        kickOffTime: formatDateToISO(event.strTimestamp || (event.dateEvent && event.strTime ? `${event.dateEvent} ${event.strTime}` : null)),
+        homeTeam: event.strHomeTeam,
+        awayTeam: event.strAwayTeam,
+        isFinished,
+    };
+}
+
 /**
  * Look up a single event by its TheSportsDB event ID.
  * Returns normalized result with scores and finished status.
+ * For matches decided in extra time or on penalties, homeScore/awayScore are
+ * the 90-minute score and the extra-time score / penalty winner are returned
+ * separately (see parseKnockoutResult).
+ * 
+ * gameStatus is the app Status the event maps to (see parseEventStatus) and
+ * kickOffTime its current kick-off as a UTC ISO string (null if the API has no time),
+ * so rescheduled games can be detected.
  * 
  * This is the core reusable function — used by the admin "Update Results" 
  * button client-side, and can be replicated in a GitHub Actions script server-side.
@@ -270,27 +443,53 @@ export async function lookupEventById(eventId) {
             return null;
         }
 
-        const event = data.events[0];
-        const isFinished = (event.strStatus || '').toLowerCase().includes('finished')
-            || (event.strStatus || '').toLowerCase().includes('full time')
-            || (event.strStatus || '').toLowerCase() === 'ft';
-
-        return {
-            homeScore: event.intHomeScore !== null && event.intHomeScore !== '' 
-                ? parseInt(event.intHomeScore, 10) : null,
-            awayScore: event.intAwayScore !== null && event.intAwayScore !== '' 
-                ? parseInt(event.intAwayScore, 10) : null,
-            status: event.strStatus || null,
-            homeTeam: event.strHomeTeam,
-            awayTeam: event.strAwayTeam,
-            isFinished,
-        };
+        return mapEventToResult(data.events[0]);
     } catch (error) {
         console.error('[lookupEventById] Error:', error.message);
         return null;
     }
 }
 
+/**
+ * List every event of a league round (matchday), e.g. La Liga 2025-2026 round 12
+ * 
+ * @param {string} leagueId - TheSportsDB league ID (e.g., "4335" for La Liga)
+ * @param {string} season - TheSportsDB season (e.g., "2025-2026")
+ * @param {string|number} round - Round number
+ * @returns {Promise<array>} Fixture objects in Firestore format, sorted by kick-off
+ */
+export async function listRound(leagueId, season, round) {
+    if (!leagueId || !season || !round) {
+        console.error('[listRound] League ID, season and round are required');
+        return [];
+    }
+
+    try {
+        await enforceRateLimit();
+
+        const url = `${THESPORTSDB_BASE_URL}/eventsround.php?id=${encodeURIComponent(leagueId)}&r=${encodeURIComponent(round)}&s=${encodeURIComponent(season)}`;
+        const response = await fetch(url);
+
+        if (!response.ok) {
+            console.error(`[listRound] API returned status ${response.status}`);
+            return [];
+        }
+
+        const data = await response.json();
+        if (!data.events || !Array.isArray(data.events)) {
+            console.warn(`[listRound] No events found for league ${leagueId}, season ${season}, round ${round}`);
+            return [];
+        }
+
+        return data.events
+            .map(event => mapEventToFirestoreFormat(event))
+            .sort((a, b) => new Date(a.KickOffTime) - new Date(b.KickOffTime));
+    } catch (error) {
+        console.error('[listRound] Error:', error.message);
+        return [];
+    }
+}
+
 /**
  * Debug function: Log fixture details for inspection
  * 
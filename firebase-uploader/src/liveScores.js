@@ -0,0 +1,206 @@
+/**
+ * Live Scores Module
+ *
+ * Provisional scoring while games are in progress. calculatePoints only scores
+ * finished games, so a game that is being played scores nothing until its
+ * result is recorded. With the current score from the fixture provider
+ * (provider.lookupEvent, see providers.js) these functions project what every
+ * prediction would score, and where every player would rank, if the current
+ * scores hold.
+ *
+ * A game is in progress when its Status is 'live', or when it is still
+ * 'upcoming' less than LIVE_WINDOW_MS after kick-off (no result update has run
+ * yet). Projections are never stored: the official totals (calculatePlayerStats,
+ * standings.js) keep counting finished games only.
+ *
+ * Pure functions only: no Firestore or network access, works in the browser and in Node.js.
+ *
+ * Usage:
+ *   import { getInProgressGames, toLiveScore, projectLiveStandings } from './liveScores.js';
+ *   const liveScores = {};
+ *   for (const game of getInProgressGames(games, now)) {
+ *       const score = toLiveScore(await provider.lookupEvent(game.thesportsdbEventId));
+ *       if (score) liveScores[game.id] = score;
+ *   }
+ *   const { rows } = projectLiveStandings(games, predictions, scoringProfiles, liveScores, userNames);
+ *
+ * With the season's standings document (standings.js) only the fechas being
+ * played need their games and predictions:
+ *   const fechaGames = getLiveFechaGames(games, getInProgressGames(games, now));
+ *   projectLiveStandings(fechaGames, predictionsOnFechaGames, scoringProfiles, liveScores, userNames, null, standings);
+ */
+
+import {
+    calculatePlayerStats,
+    calculatePoints,
+    enforceOneJokerPerFecha,
+    filterPredictionsByMembers,
+    getKickOffDate,
+    getScoringProfileForGame,
+    rankPlayers,
+} from '../../js/calculations.js';
+import { fechaKey, summarizeStandings, updateStandingsFecha } from './standings.js';
+
+// How long after kick-off an 'upcoming' game is still treated as in progress
+// (stoppage time, extra time and a late result update included)
+export const LIVE_WINDOW_MS = 3 * 60 * 60 * 1000;
+
+// How often pages look the live scores up again
+export const LIVE_POLL_MS = 60 * 1000;
+
+// Provider statuses that mean the game is not being played after all
+const CALLED_OFF_STATUSES = ['postponed', 'cancelled', 'abandoned'];
+
+function isScore(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Whether a game is being played at this moment
+ *
+ * @param {object} game - Game data (Status, KickOffTime)
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export function isInProgress(game, now) {
+    if (!game) return false;
+    if (game.Status === 'live') return true;
+    if (game.Status !== 'upcoming') return false;
+    const kickOff = getKickOffDate(game);
+    return !!kickOff && kickOff.getTime() <= now.getTime() && now.getTime() - kickOff.getTime() < LIVE_WINDOW_MS;
+}
+
+/**
+ * Games being played at this moment
+ *
+ * @param {Array} games - Game data ({ id, ...data })
+ * @param {Date} now - Current time
+ * @returns {Array} The games in progress, in the given order
+ */
+export function getInProgressGames(games, now) {
+    return games.filter(game => isInProgress(game, now));
+}
+
+/**
+ * Every game of the fechas that have a game in progress
+ * (what projectLiveStandings needs next to a standings document)
+ *
+ * @param {Array} games - Game data ({ id, ...data })
+ * @param {Array} inProgress - The games in progress (see getInProgressGames)
+ * @returns {Array} Games of those fechas, in the given order
+ */
+export function getLiveFechaGames(games, inProgress) {
+    const fechas = new Set(inProgress.map(fechaKey));
+    return games.filter(game => fechas.has(fechaKey(game)));
+}
+
+/**
+ * Live score from a provider lookup (see lookupEventById)
+ *
+ * @param {object|null} result - provider.lookupEvent result
+ * @returns {object|null} { homeScore, awayScore, status, finished }, or null when
+ *   there is no usable score (not started, lookup failed, called off, or the
+ *   90-minute score of a game in extra time is unknown)
+ */
+export function toLiveScore(result) {
+    if (!result || !isScore(result.homeScore) || !isScore(result.awayScore)) return null;
+    if (CALLED_OFF_STATUSES.includes(result.gameStatus)) return null;
+    return {
+        homeScore: result.homeScore,
+        awayScore: result.awayScore,
+        status: result.status || null,
+        finished: result.gameStatus === 'finished',
+    };
+}
+
+/**
+ * Live score an admin entered on a 'live' game (used when the provider has none)
+ *
+ * @param {object} game - Game data
+ * @returns {object|null} { homeScore, awayScore, status, finished } or null
+ */
+export function liveScoreFromGame(game) {
+    if (!game || game.Status !== 'live' || !isScore(game.HomeScore) || !isScore(game.AwayScore)) return null;
+    return { homeScore: game.HomeScore, awayScore: game.AwayScore, status: null, finished: false };
+}
+
+/**
+ * Games with the live scores applied as if they were final
+ * Games with a live score become { ...game, Status: 'finished', HomeScore,
+ * AwayScore, Provisional: true }; games already finished keep their official result.
+ *
+ * @param {Array} games - Game data ({ id, ...data })
+ * @param {object} liveScores - { gameId: live score (see toLiveScore) }
+ * @returns {Array} Projected games, in the given order
+ */
+export function projectLiveGames(games, liveScores) {
+    return games.map(game => {
+        const score = liveScores[game.id];
+        if (!score || game.Status === 'finished') return game;
+        return { ...game, Status: 'finished', HomeScore: score.homeScore, AwayScore: score.awayScore, Provisional: true };
+    });
+}
+
+/**
+ * Standings if the live scores hold, next to the official ranks
+ *
+ * @param {Array} games - Game data ({ id, ...data })
+ * @param {Array} predictions - Predictions on those games
+ * @param {object} scoringProfiles - Map of season name to scoring profile
+ * @param {object} liveScores - { gameId: live score (see toLiveScore) }
+ * @param {object} userNames - { userId: name }, for ties
+ * @param {Array|null} memberIds - Group member userIds (as calculatePlayerStats), null = everyone
+ * @param {object|null} standings - Season standings document; games and predictions then only
+ *   need to cover the fechas being played (getLiveFechaGames), the other fechas come from it
+ * @returns {object} { games: projected games, rows: [{ userId, rank, officialRank,
+ *   livePoints, officialPoints, totalPoints, fechasWonCount, perfectScoresCount }] }
+ *   rows are in projected rank order; livePoints are the provisional points from
+ *   the games in progress, officialRank is null for players with no official total yet
+ */
+export function projectLiveStandings(games, predictions, scoringProfiles, liveScores, userNames = {}, memberIds = null, standings = null) {
+    const projectedGames = projectLiveGames(games, liveScores);
+    let officialStats;
+    let provisionalStats;
+    if (standings) {
+        // Recompute the fechas being played with the projected games, as refreshStandings would
+        let projected = standings;
+        new Set(projectedGames.map(fechaKey)).forEach(key => {
+            const fechaGames = projectedGames.filter(game => fechaKey(game) === key);
+            projected = updateStandingsFecha(projected, standings.season, fechaGames[0].Fecha || null, fechaGames, predictions, scoringProfiles);
+        });
+        officialStats = summarizeStandings(standings, memberIds);
+        provisionalStats = summarizeStandings(projected, memberIds);
+    } else {
+        officialStats = calculatePlayerStats(games, predictions, scoringProfiles, memberIds);
+        provisionalStats = calculatePlayerStats(projectedGames, predictions, scoringProfiles, memberIds);
+    }
+    const official = rankPlayers(officialStats, userNames);
+    const provisional = rankPlayers(provisionalStats, userNames);
+    const officialRanks = new Map(official.map(([userId, stats], index) => [userId, { rank: index + 1, points: stats.totalPoints }]));
+
+    // Provisional points per player from the games in progress (one joker per fecha, as in the totals)
+    const gameMap = new Map(projectedGames.map(game => [game.id, game]));
+    const livePoints = {};
+    enforceOneJokerPerFecha(filterPredictionsByMembers(predictions, memberIds), projectedGames).forEach(pred => {
+        const game = gameMap.get(pred.gameId);
+        if (!game || !game.Provisional) return;
+        const points = calculatePoints(pred, game, getScoringProfileForGame(game, scoringProfiles));
+        const userId = pred.userId || 'unknown';
+        livePoints[userId] = (livePoints[userId] || 0) + (points || 0);
+    });
+
+    const rows = provisional.map(([userId, stats], index) => {
+        const before = officialRanks.get(userId);
+        return {
+            userId,
+            rank: index + 1,
+            officialRank: before ? before.rank : null,
+            livePoints: livePoints[userId] || 0,
+            officialPoints: before ? before.points : 0,
+            totalPoints: stats.totalPoints,
+            fechasWonCount: stats.fechasWonCount,
+            perfectScoresCount: stats.perfectScoresCount,
+        };
+    });
+    return { games: projectedGames, rows };
+}
@@ -0,0 +1,204 @@
+/**
+ * Fixture/Result Providers Module
+ *
+ * A provider is where fixtures and results come from. Every caller (the admin
+ * fixture search and "Update All Results" button, updateResults.js and the
+ * fixture tests) goes through getFixtureProvider() instead of calling
+ * TheSportsDB directly, so another data source can be plugged in later.
+ *
+ * Provider interface (all methods async, same return shapes as fetchFixtures.js):
+ *   name                                  - 'thesportsdb', 'json', ...
+ *   searchTeam(teamName)                  - { idTeam, strTeam, strBadge } or null
+ *   searchFixture(homeTeam, awayTeam)     - up to 5 upcoming fixtures in Firestore format
+ *   lookupEvent(eventId)                  - result object (see lookupEventById) or null
+ *   listRound(leagueId, season, round)    - all fixtures of a league round in Firestore format
+ *
+ * Implementations:
+ * - TheSportsDB (default)
+ * - JSON file: TheSportsDB-shaped teams/events read from a local file, for
+ *   working and testing with no network (see mock-data/thesportsdb-events.json)
+ *
+ * Selecting the provider:
+ * - Node.js: FIXTURE_PROVIDER=json [FIXTURE_PROVIDER_FILE=path/to/events.json]
+ * - Browser: admin.html?provider=json[&providerFile=url/to/events.json]
+ *
+ * Usage:
+ *   import { getFixtureProvider } from './providers.js';
+ *   const provider = await getFixtureProvider();
+ *   const fixtures = await provider.searchFixture('Barcelona', 'Real Madrid');
+ */
+
+import {
+    searchTeam,
+    searchFixture,
+    lookupEventById,
+    listRound,
+    mapEventToFirestoreFormat,
+    mapEventToResult,
+    selectUpcomingFixtures,
+} from './fetchFixtures.js';
+import { normalizeTeamName } from './teamAliases.js';
+
+export const DEFAULT_PROVIDER = 'thesportsdb';
+
+// Bundled offline data, used by the JSON provider when no file is given
+const DEFAULT_JSON_FILE = new URL('../mock-data/thesportsdb-events.json', import.meta.url);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let currentProvider = null;
+
+/**
+ * Read a provider setting: environment variable in Node.js, URL query
+ * parameter in the browser
+ *
+ * @param {string} envName - e.g. "FIXTURE_PROVIDER"
+ * @param {string} paramName - e.g. "provider"
+ * @returns {string|null}
+ */
+function readSetting(envName, paramName) {
+    if (typeof process !== 'undefined' && process.env) {
+        return process.env[envName] || null;
+    }
+    if (typeof window !== 'undefined' && window.location) {
+        return new URLSearchParams(window.location.search).get(paramName);
+    }
+    return null;
+}
+
+/**
+ * TheSportsDB provider (the default)
+ * @returns {object} Provider
+ */
+export function createTheSportsDbProvider() {
+    return {
+        name: 'thesportsdb',
+        searchTeam,
+        searchFixture,
+        lookupEvent: lookupEventById,
+        listRound,
+    };
+}
+
+/**
+ * Load the JSON provider data: an object as-is, a file path/URL with fs in
+ * Node.js, or a URL with fetch in the browser
+ *
+ * @param {object|string|URL} source
+ * @returns {Promise<object>} { teams: [], events: [] }
+ */
+async function loadJsonSource(source) {
+    if (typeof source === 'object' && !(source instanceof URL)) {
+        return source;
+    }
+    if (typeof window === 'undefined') {
+        const { readFile } = await import('fs/promises');
+        return JSON.parse(await readFile(source, 'utf8'));
+    }
+    const response = await fetch(source);
+    if (!response.ok) {
+        throw new Error(`Could not load ${source} (status ${response.status})`);
+    }
+    return response.json();
+}
+
+/**
+ * Resolve relative dates in the mock data: an event with "daysFromNow"
+ * (and an optional "strTime", default 20:00:00 UTC) gets dateEvent and
+ * strTimestamp relative to today, so upcoming fixtures stay upcoming
+ *
+ * @param {object} event - TheSportsDB-shaped event
+ * @param {Date} now - Current time
+ * @returns {object} Event with absolute dates
+ */
+function resolveEventDates(event, now) {
+    if (typeof event.daysFromNow !== 'number') return event;
+    const { daysFromNow, ...rest } = event;
+    const dateEvent = new Date(now.getTime() + daysFromNow * DAY_MS).toISOString().slice(0, 10);
+    const strTime = event.strTime || '20:00:00';
+    return { ...rest, dateEvent, strTime, strTimestamp: `${dateEvent}T${strTime}` };
+}
+
+/**
+ * JSON file provider: answers every query from TheSportsDB-shaped data
+ *
+ * File format:
+ *   {
+ *     "teams":  [{ "idTeam": "133739", "strTeam": "Barcelona", "strBadge": "https://..." }, ...],
+ *     "events": [{ "idEvent": "...", "strHomeTeam": "...", "strAwayTeam": "...",
+ *                  "strLeague": "...", "idLeague": "...", "strSeason": "...", "intRound": "...",
+ *                  "strTimestamp" or "daysFromNow", "strStatus", "intHomeScore", ... }, ...]
+ *   }
+ *
+ * @param {object|string|URL} source - Data object, file path or URL (defaults to the bundled mock data)
+ * @returns {Promise<object>} Provider
+ */
+export async function createJsonFileProvider(source = DEFAULT_JSON_FILE) {
+    const data = await loadJsonSource(source);
+    const now = new Date();
+    const teams = data.teams || [];
+    const events = (data.events || []).map(event => resolveEventDates(event, now));
+    const sameName = (a, b) => normalizeTeamName(a) === normalizeTeamName(b);
+
+    return {
+        name: 'json',
+
+        async searchTeam(teamName) {
+            if (!teamName || teamName.trim().length === 0) return null;
+            const team = teams.find(t => sameName(t.strTeam, teamName));
+            return team ? { idTeam: team.idTeam, strTeam: team.strTeam, strBadge: team.strBadge || null } : null;
+        },
+
+        async searchFixture(homeTeamName, awayTeamName) {
+            if (!homeTeamName || !awayTeamName) return [];
+            // Both team orders, like the TheSportsDB search
+            const matches = events.filter(event =>
+                (sameName(event.strHomeTeam, homeTeamName) && sameName(event.strAwayTeam, awayTeamName)) ||
+                (sameName(event.strHomeTeam, awayTeamName) && sameName(event.strAwayTeam, homeTeamName)));
+            return selectUpcomingFixtures(matches);
+        },
+
+        async lookupEvent(eventId) {
+            if (!eventId) return null;
+            const event = events.find(e => String(e.idEvent) === String(eventId));
+            return event ? mapEventToResult(event) : null;
+        },
+
+        async listRound(leagueId, season, round) {
+            return events
+                .filter(event => String(event.idLeague) === String(leagueId) &&
+                    event.strSeason === season && String(event.intRound) === String(round))
+                .map(event => mapEventToFirestoreFormat(event))
+                .sort((a, b) => new Date(a.KickOffTime) - new Date(b.KickOffTime));
+        },
+    };
+}
+
+/**
+ * Get the configured provider (created once, then reused)
+ * @returns {Promise<object>} Provider
+ */
+export async function getFixtureProvider() {
+    if (currentProvider) return currentProvider;
+
+    const name = (readSetting('FIXTURE_PROVIDER', 'provider') || DEFAULT_PROVIDER).toLowerCase();
+    if (name === 'json') {
+        const file = readSetting('FIXTURE_PROVIDER_FILE', 'providerFile');
+        currentProvider = await createJsonFileProvider(file || DEFAULT_JSON_FILE);
+    } else if (name === DEFAULT_PROVIDER) {
+        currentProvider = createTheSportsDbProvider();
+    } else {
+        throw new Error(`Unknown fixture provider "${name}" (expected "thesportsdb" or "json")`);
+    }
+    return currentProvider;
+}
+
+/**
+ * Replace the provider returned by getFixtureProvider (e.g. a second data
+ * source, or a provider built from test data); null restores the configured one
+ *
+ * @param {object|null} provider
+ */
+export function setFixtureProvider(provider) {
+    currentProvider = provider;
+}
@@ -0,0 +1,247 @@
+/**
+ * Result Updates Module
+ *
+ * Decides what to write to a game document after looking up its event with the
+ * fixture provider (see providers.js; lookupEventById in fetchFixtures.js for
+ * TheSportsDB). Shared by the admin "Update All Results" button
+ * (js/admin-panel.js) and the server-side updater CLI (updateResults.js), so
+ * both apply exactly the same rules.
+ *
+ * Also plans the reconciliation pass that runs after it: finished games from the
+ * last few days are looked up again and any score the provider has amended is
+ * queued for admin review (resultReviews) instead of being overwritten, and
+ * upcoming games further ahead get their kick-off synced.
+ *
+ * Pure functions only: no Firestore or network access, works in the browser and in Node.js.
+ *
+ * Usage:
+ *   import { shouldCheckGame, planResultUpdate } from './resultUpdates.js';
+ *   if (shouldCheckGame(game, now).check) {
+ *       const plan = planResultUpdate(game, await lookupEventById(game.thesportsdbEventId), now);
+ *       if (plan.update) await updateDoc(gameRef, plan.update);
+ *   }
+ */
+
+// Game statuses the updater looks at; finished and voided games are never touched
+export const PENDING_STATUSES = ['upcoming', 'postponed'];
+
+// Upcoming games kicking off within this window are checked for postponements too
+export const POSTPONEMENT_LOOKAHEAD_MS = 48 * 60 * 60 * 1000;
+
+// Reconciliation: finished games from the last RECONCILE_DAYS days are re-verified
+export const RECONCILE_DAYS = 3;
+
+// Reconciliation: upcoming games kicking off within this window get their kick-off synced
+export const KICKOFF_SYNC_WINDOW_MS = 14 * 24 * 60 * 60 * 1000;
+
+// Result fields compared by the reconciliation pass (knockout games also compare extra time and penalties)
+const SCORE_FIELDS = ['HomeScore', 'AwayScore'];
+const KNOCKOUT_FIELDS = ['ExtraTimeHomeScore', 'ExtraTimeAwayScore', 'PenaltyWinner'];
+
+// Statuses TheSportsDB can report for a match that was not played as scheduled
+const CALLED_OFF_STATUSES = ['postponed', 'cancelled', 'abandoned'];
+const VOIDED_STATUSES = ['cancelled', 'abandoned'];
+
+/**
+ * Convert a stored KickOffTime (Firestore Timestamp, Date or ISO string) to a Date
+ * @param {*} value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const date = value.toDate ? value.toDate() : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Whether a pending game should be looked up on TheSportsDB
+ *
+ * @param {object} game - Game document data (HomeTeam, Status, KickOffTime, thesportsdbEventId)
+ * @param {Date} now - Current time
+ * @returns {object} { check: boolean, reason: string|null } - reason explains a skip
+ */
+export function shouldCheckGame(game, now = new Date()) {
+    if (!game.thesportsdbEventId) {
+        return { check: false, reason: 'no event ID' };
+    }
+    const kickOff = toDate(game.KickOffTime);
+    if (game.Status === 'upcoming' && kickOff && kickOff.getTime() > now.getTime() + POSTPONEMENT_LOOKAHEAD_MS) {
+        return { check: false, reason: "hasn't kicked off yet" };
+    }
+    return { check: true, reason: null };
+}
+
+/**
+ * Work out the Firestore update for a game from its TheSportsDB lookup result
+ *
+ * Outcomes (plan.type):
+ * - 'finished'    final score (90-minute score; extra time and penalties for knockout games)
+ * - 'called-off'  game became postponed, cancelled or abandoned
+ * - 'rescheduled' new kick-off in the future: KickOffTime moves and Status goes back to 'upcoming'
+ * - 'unchanged'   already has the reported status (re-running the updater is a no-op)
+ * - 'waiting'     not finished yet
+ * - 'manual'      finished, but the result cannot be stored automatically: an admin
+ *                 has to enter it (a warning, not a failure)
+ * - 'error'       lookup failed
+ *
+ * @param {object} game - Game document data
+ * @param {object|null} result - Result of provider.lookupEvent (null if the lookup failed)
+ * @param {Date} now - Current time
+ * @returns {object} { type, update: object|null, message, warnings: string[] }
+ */
+export function planResultUpdate(game, result, now = new Date()) {
+    const plan = (type, update, message, warnings = []) => ({ type, update, message, warnings });
+
+    if (!result) {
+        return plan('error', null, 'API lookup failed');
+    }
+
+    // Called off: postponed games wait for a new date, cancelled/abandoned ones are void
+    if (CALLED_OFF_STATUSES.includes(result.gameStatus)) {
+        if (game.Status === result.gameStatus) {
+            return plan('unchanged', null, `still ${result.gameStatus}`);
+        }
+        const voided = VOIDED_STATUSES.includes(result.gameStatus);
+        return plan('called-off', { Status: result.gameStatus }, `${result.gameStatus}${voided ? " (predictions won't score)" : ''}`);
+    }
+
+    // New kick-off date: move the game and reopen it for predictions
+    const storedKickOff = toDate(game.KickOffTime);
+    const apiKickOff = toDate(result.kickOffTime);
+    const kickOffChanged = apiKickOff && (!storedKickOff || storedKickOff.getTime() !== apiKickOff.getTime());
+    if (!result.isFinished && kickOffChanged && apiKickOff > now) {
+        return plan('rescheduled', { KickOffTime: result.kickOffTime, Status: 'upcoming' },
+            `rescheduled to ${result.kickOffTime}, predictions reopened`);
+    }
+
+    if (!result.isFinished) {
+        return plan('waiting', null, `not finished yet (status: ${result.status || 'unknown'})`);
+    }
+
+    // Knockout games are scored on the 90-minute score; if TheSportsDB only
+    // has the score after extra time, leave the game for a manual update
+    if (result.homeScore === null || result.awayScore === null) {
+        return plan('manual', null, 'went to extra time but the 90-minute score is unknown, update it manually');
+    }
+
+    const update = {
+        HomeScore: result.homeScore,
+        AwayScore: result.awayScore,
+        Status: 'finished',
+    };
+    const warnings = [];
+    if (game.Knockout === true) {
+        update.ExtraTimeHomeScore = result.extraTimeHomeScore;
+        update.ExtraTimeAwayScore = result.extraTimeAwayScore;
+        update.PenaltyWinner = result.penaltyWinner;
+        if (result.wentToPenalties && !result.penaltyWinner) {
+            warnings.push('penalty winner unknown, set PenaltyWinner manually');
+        }
+    }
+    return plan('finished', update, `updated: ${update.HomeScore}-${update.AwayScore}`, warnings);
+}
+
+/**
+ * Whether the reconciliation pass should look a game up again
+ *
+ * - 'result'  finished game that kicked off within the last `days` days
+ * - 'kickoff' upcoming game beyond the regular 48-hour lookahead but within
+ *             KICKOFF_SYNC_WINDOW_MS (closer games are already checked by the update pass)
+ *
+ * @param {object} game - Game document data
+ * @param {Date} now - Current time
+ * @param {number} days - Look-back window for finished games
+ * @returns {object} { check: boolean, kind: 'result'|'kickoff'|null }
+ */
+export function shouldReconcileGame(game, now = new Date(), days = RECONCILE_DAYS) {
+    const skip = { check: false, kind: null };
+    const kickOff = toDate(game.KickOffTime);
+    if (!game.thesportsdbEventId || !kickOff) return skip;
+
+    const sinceKickOff = now.getTime() - kickOff.getTime();
+    if (game.Status === 'finished' && sinceKickOff >= 0 && sinceKickOff <= days * 24 * 60 * 60 * 1000) {
+        return { check: true, kind: 'result' };
+    }
+    const untilKickOff = -sinceKickOff;
+    if (game.Status === 'upcoming' && untilKickOff > POSTPONEMENT_LOOKAHEAD_MS && untilKickOff <= KICKOFF_SYNC_WINDOW_MS) {
+        return { check: true, kind: 'kickoff' };
+    }
+    return skip;
+}
+
+/**
+ * Compare a finished game's stored result with the provider's
+ *
+ * Outcomes (plan.type):
+ * - 'match'       provider agrees with Firestore
+ * - 'discrepancy' provider reports a different result: plan.review is the entry
+ *                 for the admin review queue (nothing is written to the game)
+ * - 'manual'      the provider no longer reports a final score: an admin has to
+ *                 check the result (a warning, not a failure)
+ * - 'error'       lookup failed
+ *
+ * @param {object} game - Game document data (with id)
+ * @param {object|null} result - Result of provider.lookupEvent
+ * @returns {object} { type, review: object|null, message }
+ */
+export function planReconciliation(game, result) {
+    const plan = (type, review, message) => ({ type, review, message });
+
+    if (!result) {
+        return plan('error', null, 'API lookup failed');
+    }
+    if (!result.isFinished || result.homeScore === null || result.awayScore === null) {
+        return plan('manual', null, `provider has no final 90-minute score (status: ${result.status || 'unknown'})`);
+    }
+
+    const provider = {
+        HomeScore: result.homeScore,
+        AwayScore: result.awayScore,
+        ExtraTimeHomeScore: result.extraTimeHomeScore,
+        ExtraTimeAwayScore: result.extraTimeAwayScore,
+        PenaltyWinner: result.penaltyWinner,
+    };
+    const fields = game.Knockout === true ? [...SCORE_FIELDS, ...KNOCKOUT_FIELDS] : SCORE_FIELDS;
+    const stored = {};
+    const reported = {};
+    fields.forEach(field => {
+        stored[field] = game[field] ?? null;
+        reported[field] = provider[field] ?? null;
+    });
+
+    const differing = fields.filter(field => stored[field] !== reported[field]);
+    if (differing.length === 0) {
+        return plan('match', null, `confirmed ${stored.HomeScore}-${stored.AwayScore}`);
+    }
+
+    return plan('discrepancy', {
+        gameId: game.id,
+        season: game.season || null,
+        Fecha: game.Fecha || null,
+        HomeTeam: game.HomeTeam,
+        AwayTeam: game.AwayTeam,
+        Knockout: game.Knockout === true,
+        thesportsdbEventId: game.thesportsdbEventId,
+        fields: differing,
+        stored,
+        provider: reported,
+        status: 'open',
+    }, `provider reports ${reported.HomeScore}-${reported.AwayScore}, Firestore has ${stored.HomeScore}-${stored.AwayScore}`);
+}
+
+/**
+ * Whether a discrepancy should be written to the review queue, given the
+ * review already stored for the game (resultReviews/{gameId}, or null).
+ * The same provider result is never queued twice: an open review stays as is
+ * and a dismissed one stays dismissed until the provider reports something new.
+ *
+ * @param {object|null} existingReview - Stored review document data
+ * @param {object} review - plan.review from planReconciliation
+ * @returns {boolean}
+ */
+export function shouldQueueReview(existingReview, review) {
+    if (!existingReview || existingReview.status === 'accepted') return true;
+    const previous = existingReview.provider || {};
+    const fields = new Set([...Object.keys(previous), ...Object.keys(review.provider)]);
+    return [...fields].some(field => (previous[field] ?? null) !== (review.provider[field] ?? null));
+}
@@ -0,0 +1,96 @@
+/**
+ * Round Import Module
+ *
+ * Turns the fixtures of a league round (provider.listRound, see providers.js)
+ * into game documents for one Fecha, and flags the ones already in Firestore so
+ * a round can be imported again without creating duplicates. Used by the
+ * admin "Import League Round" section (js/admin-panel.js).
+ *
+ * Pure functions only: no Firestore or network access, works in the browser and in Node.js.
+ *
+ * Usage:
+ *   import { planRoundImport } from './roundImport.js';
+ *   const plan = planRoundImport(await provider.listRound('4328', '2025-2026', 14), seasonGames,
+ *       { Fecha: 'GW14', season: '2025-26', Stage: 'regular', Multiplier: 1 });
+ *   for (const entry of plan.filter(e => !e.alreadyImported)) await addDoc(gamesRef, entry.game);
+ */
+
+/**
+ * Convert a KickOffTime (Firestore Timestamp, Date or ISO string) to a Date
+ * @param {*} value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const date = value.toDate ? value.toDate() : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Whether a stored game is the same match as a provider fixture: same event
+ * ID, or (for games added by hand without one) same teams on the same UTC day
+ *
+ * @param {object} game - Game document data
+ * @param {object} fixture - Fixture in Firestore format
+ * @returns {boolean}
+ */
+export function isSameFixture(game, fixture) {
+    if (game.thesportsdbEventId && fixture.thesportsdbEventId) {
+        return String(game.thesportsdbEventId) === String(fixture.thesportsdbEventId);
+    }
+    const sameTeams = (game.HomeTeam || '').trim().toLowerCase() === (fixture.HomeTeam || '').trim().toLowerCase() &&
+        (game.AwayTeam || '').trim().toLowerCase() === (fixture.AwayTeam || '').trim().toLowerCase();
+    const gameDate = toDate(game.KickOffTime);
+    const fixtureDate = toDate(fixture.KickOffTime);
+    return sameTeams && !!gameDate && !!fixtureDate &&
+        gameDate.toISOString().slice(0, 10) === fixtureDate.toISOString().slice(0, 10);
+}
+
+/**
+ * Build the game document for a fixture
+ *
+ * @param {object} fixture - Fixture in Firestore format (KickOffTime as ISO string)
+ * @param {object} gameFields - Fields shared by the whole round: Fecha, season, Stage, Multiplier
+ * @returns {object} Game document data
+ */
+export function buildGameFromFixture(fixture, gameFields) {
+    const kickOff = toDate(fixture.KickOffTime);
+    return {
+        HomeTeam: fixture.HomeTeam,
+        AwayTeam: fixture.AwayTeam,
+        KickOffTime: kickOff ? kickOff.toISOString() : null,
+        League: fixture.League,
+        Status: 'upcoming',
+        HomeScore: null,
+        AwayScore: null,
+        thesportsdbEventId: fixture.thesportsdbEventId,
+        ...gameFields,
+    };
+}
+
+/**
+ * Plan the import of a league round
+ *
+ * Each entry is selected by default unless the game is already in Firestore
+ * or has already kicked off (predictions would be closed straight away).
+ *
+ * @param {array} fixtures - Fixtures of the round in Firestore format
+ * @param {array} existingGames - Game documents already stored (e.g. the active season's)
+ * @param {object} gameFields - Fields shared by the whole round: Fecha, season, Stage, Multiplier
+ * @param {Date} now - Current time
+ * @returns {array} [{ fixture, game, alreadyImported, started, selected }]
+ */
+export function planRoundImport(fixtures, existingGames, gameFields, now = new Date()) {
+    return fixtures.map(fixture => {
+        const alreadyImported = existingGames.some(game => isSameFixture(game, fixture));
+        const kickOff = toDate(fixture.KickOffTime);
+        const started = !!kickOff && kickOff <= now;
+        return {
+            fixture,
+            game: buildGameFromFixture(fixture, gameFields),
+            alreadyImported,
+            started,
+            selected: !alreadyImported && !started,
+        };
+    });
+}
@@ -0,0 +1,319 @@
+/**
+ * Canonical Data Schema
+ *
+ * The one shape games and predictions are stored in. Pages and calculations.js
+ * read these fields as they are; older documents are rewritten into it by
+ * migrateSchema.js.
+ *
+ *   games/{id}:
+ *     HomeTeam, AwayTeam   string (canonical team names)
+ *     KickOffTime          UTC ISO string, exactly 'YYYY-MM-DDTHH:mm:ss.sssZ'
+ *                          (firestore.rules reads it by position, and strings in this
+ *                          format sort chronologically in orderBy('KickOffTime'))
+ *     Status               lowercase GAME_STATUSES id ('upcoming', 'finished', ...)
+ *     Fecha, League        string or null
+ *     season               string, or missing/null for historical "No Season" games
+ *     HomeScore, AwayScore whole number >= 0 or null (90-minute score)
+ *     Stage                GAME_STAGES id; Multiplier whole number >= 1; Knockout boolean
+ *     ExtraTimeHomeScore, ExtraTimeAwayScore   whole number >= 0 or null
+ *     PenaltyWinner        'home', 'away' or null
+ *     thesportsdbEventId   string or null
+ *
+ *   predictions/{id}:
+ *     userId, gameId       string
+ *     playerName           string (name when the prediction was made)
+ *     predictedHomeScore, predictedAwayScore   whole number >= 0
+ *     joker                boolean; predictedQualifier 'home', 'away' or null
+ *     timestamp            Firestore Timestamp (Date when writing)
+ *     season               string or null; importedBy / importedAt on CSV imports
+ *
+ * Other fields are allowed and left alone. Legacy documents used lowercase
+ * names (homeScore, status, fecha, kickOffTime, ...), capitalised statuses,
+ * Timestamp kick-offs and scores stored as text; migrateGame/migratePrediction
+ * turn those into the shape above and list every change.
+ *
+ * Pure functions only: no Firestore or network access, works in the browser and in Node.js.
+ *
+ * Usage:
+ *   import { validateGame, migrateGame } from './schema.js';
+ *   const errors = validateGame(gameData);                  // [] when canonical
+ *   const { data, changes } = migrateGame(doc.data());     // canonical copy + diff
+ */
+
+import { GAME_STAGES, GAME_STATUSES } from '../../js/calculations.js';
+
+// KickOffTime exactly as Date.prototype.toISOString() writes it
+export const KICKOFF_FORMAT = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+const QUALIFIERS = ['home', 'away'];
+
+/**
+ * Canonical game fields: type, whether the field must be present and whether null is allowed
+ */
+export const GAME_FIELDS = Object.freeze({
+    HomeTeam: { type: 'text', required: true },
+    AwayTeam: { type: 'text', required: true },
+    KickOffTime: { type: 'isoDate', required: true },
+    Status: { type: 'enum', values: GAME_STATUSES.map(status => status.id), required: true },
+    Fecha: { type: 'text', nullable: true },
+    League: { type: 'text', nullable: true },
+    season: { type: 'text', nullable: true },
+    HomeScore: { type: 'score', nullable: true },
+    AwayScore: { type: 'score', nullable: true },
+    Stage: { type: 'enum', values: GAME_STAGES.map(stage => stage.id), nullable: true },
+    Multiplier: { type: 'multiplier' },
+    Knockout: { type: 'boolean' },
+    ExtraTimeHomeScore: { type: 'score', nullable: true },
+    ExtraTimeAwayScore: { type: 'score', nullable: true },
+    PenaltyWinner: { type: 'enum', values: QUALIFIERS, nullable: true },
+    thesportsdbEventId: { type: 'text', nullable: true },
+});
+
+/**
+ * Canonical prediction fields
+ */
+export const PREDICTION_FIELDS = Object.freeze({
+    userId: { type: 'text', required: true },
+    gameId: { type: 'text', required: true },
+    playerName: { type: 'text' },
+    predictedHomeScore: { type: 'score', required: true },
+    predictedAwayScore: { type: 'score', required: true },
+    joker: { type: 'boolean' },
+    predictedQualifier: { type: 'enum', values: QUALIFIERS, nullable: true },
+    timestamp: { type: 'timestamp' },
+    season: { type: 'text', nullable: true },
+    importedBy: { type: 'text' },
+    importedAt: { type: 'isoDate' },
+});
+
+// Legacy field names and their canonical replacement
+export const LEGACY_GAME_FIELDS = Object.freeze({
+    homeTeam: 'HomeTeam',
+    awayTeam: 'AwayTeam',
+    kickOffTime: 'KickOffTime',
+    status: 'Status',
+    fecha: 'Fecha',
+    league: 'League',
+    Season: 'season',
+    homeScore: 'HomeScore',
+    awayScore: 'AwayScore',
+    stage: 'Stage',
+    multiplier: 'Multiplier',
+    knockout: 'Knockout',
+    extraTimeHomeScore: 'ExtraTimeHomeScore',
+    extraTimeAwayScore: 'ExtraTimeAwayScore',
+    penaltyWinner: 'PenaltyWinner',
+});
+
+/**
+ * Whether a value is a Firestore Timestamp (admin or web SDK)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isTimestamp(value) {
+    return !!value && typeof value === 'object' && typeof value.toDate === 'function' &&
+        typeof value.seconds === 'number' && typeof value.nanoseconds === 'number';
+}
+
+/**
+ * Check one field against its spec
+ * @returns {string|null} Problem, or null if the value is fine
+ */
+function checkField(name, value, spec) {
+    if (value === undefined) return spec.required ? `${name} is missing` : null;
+    if (value === null) return spec.nullable ? null : `${name} is null`;
+
+    const shown = typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+    switch (spec.type) {
+        case 'text':
+            return typeof value === 'string' && value.trim() !== '' ? null : `${name} must be non-empty text`;
+        case 'isoDate':
+            return typeof value === 'string' && KICKOFF_FORMAT.test(value) && !isNaN(new Date(value).getTime())
+                ? null
+                : `${name} ${isTimestamp(value) ? 'is a Timestamp' : shown}, expected a UTC ISO string like 2025-08-23T18:45:00.000Z`;
+        case 'enum':
+            return spec.values.includes(value) ? null : `${name} ${shown} is not one of ${spec.values.join(', ')}`;
+        case 'score':
+            return Number.isInteger(value) && value >= 0 ? null : `${name} ${shown} is not a whole number >= 0`;
+        case 'multiplier':
+            return Number.isInteger(value) && value >= 1 ? null : `${name} ${shown} is not a whole number >= 1`;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${name} ${shown} is not true or false`;
+        case 'timestamp':
+            return isTimestamp(value) || value instanceof Date ? null : `${name} ${shown} is not a Timestamp`;
+        default:
+            return null;
+    }
+}
+
+function validateFields(data, fields) {
+    if (!data || typeof data !== 'object') return ['document has no data'];
+    return Object.entries(fields)
+        .map(([name, spec]) => checkField(name, data[name], spec))
+        .filter(Boolean);
+}
+
+/**
+ * List what keeps a game from being canonical
+ *
+ * @param {object} game - Game document data
+ * @returns {string[]} Problems (empty when the game matches the schema)
+ */
+export function validateGame(game) {
+    const errors = validateFields(game, GAME_FIELDS);
+    if (!game || typeof game !== 'object') return errors;
+
+    Object.entries(LEGACY_GAME_FIELDS).forEach(([legacy, canonical]) => {
+        if (game[legacy] !== undefined) errors.push(`${legacy} should be ${canonical}`);
+    });
+    if (game.HomeTeam && game.HomeTeam === game.AwayTeam) errors.push('HomeTeam and AwayTeam are the same team');
+    if (game.Status === 'finished' && (game.HomeScore == null || game.AwayScore == null)) {
+        errors.push('finished games need HomeScore and AwayScore');
+    }
+    return errors;
+}
+
+/**
+ * List what keeps a prediction from being canonical
+ *
+ * @param {object} prediction - Prediction document data
+ * @returns {string[]} Problems (empty when the prediction matches the schema)
+ */
+export function validatePrediction(prediction) {
+    return validateFields(prediction, PREDICTION_FIELDS);
+}
+
+// ===================================
+// Migration of legacy documents
+// ===================================
+
+function toWholeNumber(value) {
+    if (typeof value === 'string' && /^\s*\d+\s*$/.test(value)) return Number(value);
+    if (typeof value === 'number' && Number.isInteger(value)) return value;
+    return value;
+}
+
+function toBoolean(value) {
+    if (value === 'true' || value === 1) return true;
+    if (value === 'false' || value === 0) return false;
+    return value;
+}
+
+// "2025-08-23", "2025-08-23 18:45" or "2025-08-23T18:45:00" with or without a zone
+const DATE_TIME_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?))?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+function toIsoString(value) {
+    let date = null;
+    if (isTimestamp(value)) {
+        date = value.toDate();
+    } else if (value instanceof Date) {
+        date = value;
+    } else if (typeof value === 'string') {
+        // Kick-offs without a zone are UTC (as formatDateToISO stores them), not
+        // the local time of the machine running the migration
+        const match = value.trim().match(DATE_TIME_PATTERN);
+        date = match
+            ? new Date(`${match[1]}T${match[2] || '00:00'}${match[3] || 'Z'}`)
+            : new Date(value);
+    }
+    return date && !isNaN(date.getTime()) ? date.toISOString() : value;
+}
+
+// How a value of each field type is brought into canonical form (unfixable values are kept)
+const CONVERSIONS = {
+    text: value => (typeof value === 'number' ? String(value) : (typeof value === 'string' ? value.trim() : value)),
+    isoDate: toIsoString,
+    enum: value => (typeof value === 'string' ? value.trim().toLowerCase() : value),
+    score: toWholeNumber,
+    multiplier: toWholeNumber,
+    boolean: toBoolean,
+    timestamp: value => value,
+};
+
+/**
+ * Whether two stored values are the same (Timestamps compared by instant)
+ */
+function sameValue(a, b) {
+    if (isTimestamp(a) && isTimestamp(b)) return a.toDate().getTime() === b.toDate().getTime();
+    return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Build the canonical copy of a document and the list of changes made
+ */
+function migrateFields(data, fields, legacyFields, convertTimestamp) {
+    const migrated = { ...data };
+
+    // Legacy names: the canonical field wins unless it is empty
+    Object.entries(legacyFields).forEach(([legacy, canonical]) => {
+        if (!(legacy in migrated)) return;
+        if (migrated[canonical] === undefined || (migrated[canonical] === null && migrated[legacy] !== null)) {
+            migrated[canonical] = migrated[legacy];
+        }
+        delete migrated[legacy];
+    });
+
+    Object.entries(fields).forEach(([name, spec]) => {
+        const value = migrated[name];
+        if (value === undefined || value === null) return;
+        migrated[name] = spec.type === 'timestamp' ? convertTimestamp(value) : CONVERSIONS[spec.type](value);
+        // Empty text means "not set" where the schema allows null
+        if (migrated[name] === '' && spec.nullable) migrated[name] = null;
+    });
+
+    const names = new Set([...Object.keys(data), ...Object.keys(migrated)]);
+    const changes = [...names]
+        .filter(name => !sameValue(data[name], migrated[name]))
+        .map(name => ({ field: name, from: data[name], to: migrated[name] }));
+    return { data: migrated, changes };
+}
+
+/**
+ * Rewrite a game into the canonical schema
+ *
+ * @param {object} game - Game document data (without id)
+ * @returns {object} { data, changes: [{ field, from, to }] } - `to` undefined = field removed
+ */
+export function migrateGame(game) {
+    return migrateFields(game, GAME_FIELDS, LEGACY_GAME_FIELDS, value => value);
+}
+
+/**
+ * Rewrite a prediction into the canonical schema
+ *
+ * @param {object} prediction - Prediction document data (without id)
+ * @param {function} toTimestamp - Date => Timestamp, for timestamps stored as text or milliseconds
+ * @returns {object} { data, changes: [{ field, from, to }] }
+ */
+export function migratePrediction(prediction, toTimestamp = date => date) {
+    const convertTimestamp = value => {
+        if (isTimestamp(value)) return value;
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? value : toTimestamp(date);
+    };
+    return migrateFields(prediction, PREDICTION_FIELDS, {}, convertTimestamp);
+}
+
+/**
+ * Readable form of a stored value for the dry-run diff
+ * @param {*} value
+ * @returns {string}
+ */
+export function describeValue(value) {
+    if (value === undefined) return '(removed)';
+    if (isTimestamp(value)) return `Timestamp(${value.toDate().toISOString()})`;
+    if (value instanceof Date) return `Date(${value.toISOString()})`;
+    return JSON.stringify(value);
+}
+
+/**
+ * One line per change, e.g. 'Status: "Finished" -> "finished"'
+ *
+ * @param {Array} changes - From migrateGame / migratePrediction
+ * @returns {string[]}
+ */
+export function formatChanges(changes) {
+    return changes.map(change => change.from === undefined
+        ? `${change.field}: (new) ${describeValue(change.to)}`
+        : `${change.field}: ${describeValue(change.from)} -> ${describeValue(change.to)}`);
+}
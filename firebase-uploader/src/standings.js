@@ -0,0 +1,290 @@
+/**
+ * Season Standings Module
+ *
+ * Materialised leaderboard of one season, so the leaderboard reads a single
+ * document instead of every game and prediction of the season:
+ *
+ *   standings/{standingsDocId(season)}:
+ *     season      season name, or null for historical "No Season" games
+ *     fechas      { [Fecha]: { fecha, lastKickOff, players: { userId: { playerName, points, perfect, played } } } }
+ *                 (games without a Fecha are kept under NO_FECHA and never win a fecha)
+ *     players     { userId: { playerName, totalPoints, fechasWonCount, perfectScoresCount, gamesParticipated } }
+ *     updatedAt   UTC ISO string of the last write
+ *
+ * When a result changes only the fechas of the changed games are recomputed
+ * (refreshStandings) and the totals are summed again from the fecha entries.
+ * rebuildStandings.js recomputes a whole season as a fallback, e.g. after a
+ * season's scoring profile changed. Totals and fechas won are the same as
+ * calculatePlayerStats in js/calculations.js for the same games and predictions;
+ * summarizeStandings also ranks a group from the per-fecha scores, and
+ * standingsRankProgression charts the ranks after each fecha.
+ *
+ * Pure functions only: no Firestore or network access, works in the browser and in Node.js.
+ * refreshStandings does its reads and writes through the store it is given.
+ *
+ * Usage:
+ *   import { buildStandings, summarizeStandings } from './standings.js';
+ *   const standings = buildStandings('2025-26', games, predictions, scoringProfiles);
+ *   const playerStats = summarizeStandings(standings, memberIds);   // like calculatePlayerStats
+ */
+
+import {
+    calculatePoints,
+    enforceOneJokerPerFecha,
+    getKickOffDate,
+    getMaxPoints,
+    getPointsMultiplier,
+    getScoringProfileForGame,
+    rankFechaProgression,
+} from '../../js/calculations.js';
+
+// Collection of the standings documents
+export const STANDINGS_COLLECTION = 'standings';
+
+// Fecha entry of the games that have no Fecha
+export const NO_FECHA = '_noFecha';
+
+// Document id of the historical "No Season" standings
+const NO_SEASON_DOC_ID = '_noSeason';
+
+/**
+ * Standings document id of a season (season names may contain '/')
+ * @param {string|null} season - Season name, or null/undefined for "No Season" games
+ * @returns {string}
+ */
+export function standingsDocId(season) {
+    return season ? encodeURIComponent(season) : NO_SEASON_DOC_ID;
+}
+
+/**
+ * Fecha entry key of a game
+ * @param {object} game
+ * @returns {string}
+ */
+export function fechaKey(game) {
+    return (game && game.Fecha) || NO_FECHA;
+}
+
+/**
+ * Score one fecha
+ *
+ * @param {Array} games - The fecha's games ({ id, ...data })
+ * @param {Array} predictions - Predictions on those games (others are ignored)
+ * @param {object} scoringProfiles - Map of season name to scoring profile
+ * @returns {object} { fecha, lastKickOff, players: { userId: { playerName, points, perfect, played } } }
+ */
+export function computeFechaEntry(games, predictions, scoringProfiles = {}) {
+    const gameMap = new Map(games.map(game => [game.id, game]));
+    const players = {};
+
+    // Only one joker per player counts in a fecha
+    enforceOneJokerPerFecha(predictions.filter(pred => gameMap.has(pred.gameId)), games).forEach(pred => {
+        const userId = pred.userId || 'unknown';
+        if (!players[userId]) {
+            players[userId] = { playerName: null, points: 0, perfect: 0, played: 0 };
+        }
+        const player = players[userId];
+        if (pred.playerName) player.playerName = pred.playerName;
+
+        const game = gameMap.get(pred.gameId);
+        const scoringProfile = getScoringProfileForGame(game, scoringProfiles);
+        const points = calculatePoints(pred, game, scoringProfile);
+        if (points === null) return;
+
+        player.points += points;
+        player.played += 1;
+        if (points === getMaxPoints(scoringProfile, game) * getPointsMultiplier(pred, game)) {
+            player.perfect += 1;
+        }
+    });
+
+    const kickOffs = games.map(getKickOffDate).filter(Boolean).map(date => date.getTime());
+    return {
+        fecha: (games[0] && games[0].Fecha) || null,
+        lastKickOff: kickOffs.length > 0 ? new Date(Math.max(...kickOffs)).toISOString() : null,
+        players,
+    };
+}
+
+/**
+ * Player stats from the fecha entries, in the shape of calculatePlayerStats
+ *
+ * @param {object} standings - Standings document (only fechas is read)
+ * @param {Array|null} memberIds - Group member userIds; fechas are then won against members only. null = everyone
+ * @returns {object} { userId: { totalPoints, fechasWonCount, perfectScoresCount, gamesParticipated } }
+ */
+export function summarizeStandings(standings, memberIds = null) {
+    const members = memberIds ? new Set(memberIds) : null;
+    const playerStats = {};
+
+    Object.entries((standings && standings.fechas) || {}).forEach(([key, entry]) => {
+        const players = Object.entries(entry.players || {}).filter(([userId]) => !members || members.has(userId));
+        players.forEach(([userId, player]) => {
+            if (!playerStats[userId]) {
+                playerStats[userId] = { totalPoints: 0, fechasWonCount: 0, perfectScoresCount: 0, gamesParticipated: 0 };
+            }
+            playerStats[userId].totalPoints += player.points;
+            playerStats[userId].perfectScoresCount += player.perfect;
+            playerStats[userId].gamesParticipated += player.played;
+        });
+
+        // Everyone tied on the highest score of a fecha wins it
+        const scored = players.filter(([, player]) => player.played > 0);
+        if (key === NO_FECHA || scored.length === 0) return;
+        const maxScore = Math.max(...scored.map(([, player]) => player.points));
+        scored.forEach(([userId, player]) => {
+            if (player.points === maxScore) playerStats[userId].fechasWonCount += 1;
+        });
+    });
+
+    return playerStats;
+}
+
+/**
+ * Ranks after each fecha from the fecha entries, like calculateRankProgression
+ * (fechas in the order of their last kick-off; games without a Fecha are left out)
+ *
+ * @param {object} standings - Standings document (only fechas is read)
+ * @param {Array|null} memberIds - Group member userIds, null = everyone
+ * @param {object} userNames - { userId: name }, for ties
+ * @returns {Array} [{ fecha, ranks: { userId: rank }, totals: { userId: totalPoints } }], oldest fecha first
+ */
+export function standingsRankProgression(standings, memberIds = null, userNames = {}) {
+    const members = memberIds ? new Set(memberIds) : null;
+    const fechaScores = {};
+    const lastKickOffs = {};
+
+    Object.entries((standings && standings.fechas) || {}).forEach(([key, entry]) => {
+        if (key === NO_FECHA) return;
+        const scores = {};
+        Object.entries(entry.players || {}).forEach(([userId, player]) => {
+            if (player.played > 0 && (!members || members.has(userId))) {
+                scores[userId] = { points: player.points, perfect: player.perfect };
+            }
+        });
+        if (Object.keys(scores).length === 0) return;
+        fechaScores[key] = scores;
+        lastKickOffs[key] = entry.lastKickOff ? Date.parse(entry.lastKickOff) : 0;
+    });
+
+    return rankFechaProgression(fechaScores, lastKickOffs, userNames);
+}
+
+/**
+ * Latest display name of every player (from the most recent fecha they predicted in)
+ *
+ * @param {object} standings - Standings document
+ * @returns {object} { userId: playerName }
+ */
+export function standingsPlayerNames(standings) {
+    const entries = Object.values((standings && standings.fechas) || {})
+        .sort((a, b) => (a.lastKickOff || '').localeCompare(b.lastKickOff || ''));
+    const names = {};
+    entries.forEach(entry => {
+        Object.entries(entry.players || {}).forEach(([userId, player]) => {
+            if (player.playerName) names[userId] = player.playerName;
+        });
+    });
+    return names;
+}
+
+/**
+ * Standings document with its totals summed from the fecha entries
+ */
+function withTotals(season, fechas) {
+    const standings = { season: season || null, fechas };
+    const names = standingsPlayerNames(standings);
+    const players = {};
+    Object.entries(summarizeStandings(standings)).forEach(([userId, stats]) => {
+        players[userId] = { playerName: names[userId] || null, ...stats };
+    });
+    return { ...standings, players };
+}
+
+/**
+ * Full standings of a season
+ *
+ * @param {string|null} season - Season name, or null for "No Season" games
+ * @param {Array} games - Every game of the season ({ id, ...data })
+ * @param {Array} predictions - Predictions on those games
+ * @param {object} scoringProfiles - Map of season name to scoring profile
+ * @returns {object} Standings document (without updatedAt)
+ */
+export function buildStandings(season, games, predictions, scoringProfiles = {}) {
+    const gamesByFecha = {};
+    games.forEach(game => {
+        (gamesByFecha[fechaKey(game)] = gamesByFecha[fechaKey(game)] || []).push(game);
+    });
+
+    const fechas = {};
+    Object.entries(gamesByFecha).forEach(([key, fechaGames]) => {
+        fechas[key] = computeFechaEntry(fechaGames, predictions, scoringProfiles);
+    });
+    return withTotals(season, fechas);
+}
+
+/**
+ * Standings with one fecha recomputed (the other fechas are kept as they are)
+ *
+ * @param {object|null} standings - Current standings document (null if there is none yet)
+ * @param {string|null} season - Season name, or null for "No Season" games
+ * @param {string|null} fecha - Fecha name, or null for the games without a Fecha
+ * @param {Array} games - Every game of that fecha; none removes the fecha
+ * @param {Array} predictions - Predictions on those games
+ * @param {object} scoringProfiles - Map of season name to scoring profile
+ * @returns {object} Standings document (without updatedAt)
+ */
+export function updateStandingsFecha(standings, season, fecha, games, predictions, scoringProfiles = {}) {
+    const fechas = { ...((standings && standings.fechas) || {}) };
+    const key = fecha || NO_FECHA;
+    if (games.length > 0) {
+        fechas[key] = computeFechaEntry(games, predictions, scoringProfiles);
+    } else {
+        delete fechas[key];
+    }
+    return withTotals(season, fechas);
+}
+
+/**
+ * Season/fecha pairs touched by a change of these games
+ * Pass the games before and after an edit, so a game moved to another fecha
+ * or season updates both.
+ *
+ * @param {Array} games - Game data (null entries are skipped)
+ * @returns {Array} [{ season, fecha }] without duplicates (null = no season / no Fecha)
+ */
+export function affectedFechas(games) {
+    const seen = new Map();
+    games.filter(Boolean).forEach(game => {
+        const target = { season: game.season || null, fecha: game.Fecha || null };
+        seen.set(`${standingsDocId(target.season)}|${fechaKey(game)}`, target);
+    });
+    return [...seen.values()];
+}
+
+/**
+ * Recompute the fechas touched by a change and store the standings
+ *
+ * The store does the Firestore work in the caller's SDK:
+ *   getFechaGames(season, fecha) - games of the fecha ({ id, ...data }; null = no season / no Fecha)
+ *   getPredictions(gameIds)      - predictions on those games
+ *   updateStandings(docId, update) - apply update(current standings or null) => new standings
+ *                                  atomically (a transaction), adding updatedAt
+ *
+ * @param {object} store - See above
+ * @param {Array} fechas - From affectedFechas
+ * @param {object} scoringProfiles - Map of season name to scoring profile
+ * @returns {Promise<Array>} Standings document ids that were written
+ */
+export async function refreshStandings(store, fechas, scoringProfiles = {}) {
+    const written = [];
+    for (const { season, fecha } of fechas) {
+        const games = await store.getFechaGames(season, fecha);
+        const predictions = games.length > 0 ? await store.getPredictions(games.map(game => game.id)) : [];
+        const docId = standingsDocId(season);
+        await store.updateStandings(docId, current =>
+            updateStandingsFecha(current, season, fecha, games, predictions, scoringProfiles));
+        if (!written.includes(docId)) written.push(docId);
+    }
+    return written;
+}
@@ -0,0 +1,133 @@
+/**
+ * Team Alias Registry Module
+ *
+ * One place to answer "which team is this name?". The registry is built from
+ * the Firestore `teams` collection: the document id is the canonical team id,
+ * and each team can list other spellings of its name:
+ *
+ *   teams/atletico_madrid {
+ *     name: 'Atlético Madrid',                            // canonical display name
+ *     aliases: ['Atletico Madrid', 'Atleti'],              // local spellings
+ *     providerNames: { thesportsdb: 'Atletico Madrid' },   // name used by each provider
+ *     logoUrl: '...'
+ *   }
+ *
+ * Names are compared after normalizeTeamName (case, accents and punctuation
+ * are ignored), so "Atlético Madrid" and "atletico madrid" already match
+ * without an alias. Used by the admin fixture search and round import
+ * (js/admin-panel.js), the logo lookup in index.html and checkTeamNames.js,
+ * which can write suggested aliases back (suggestAliasUpdate).
+ *
+ * Pure functions only: no Firestore or network access, works in the browser and in Node.js.
+ *
+ * Usage:
+ *   import { createTeamRegistry } from './teamAliases.js';
+ *   const registry = createTeamRegistry(teams);   // [{ id, name, aliases, providerNames, logoUrl }]
+ *   registry.providerName('Atleti');              // 'Atletico Madrid'
+ *   registry.canonicalName('Atletico Madrid');    // 'Atlético Madrid'
+ *   registry.logoUrl('ATLETICO MADRID');          // the team's logoUrl
+ */
+
+export const DEFAULT_ALIAS_PROVIDER = 'thesportsdb';
+
+/**
+ * Normalise a team name for comparison: lowercase, no accents, punctuation
+ * and repeated spaces removed, "&" read as "and"
+ *
+ * @param {string} name - e.g. "Brighton & Hove Albion"
+ * @returns {string} e.g. "brighton and hove albion" ('' for empty input)
+ */
+export function normalizeTeamName(name) {
+    if (typeof name !== 'string') return '';
+    return name
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Every name a team is known by: canonical name, aliases and provider names
+ * @param {object} team - Team document data
+ * @returns {string[]}
+ */
+function namesOf(team) {
+    return [team.name, ...(team.aliases || []), ...Object.values(team.providerNames || {})]
+        .filter(name => typeof name === 'string' && name.trim() !== '');
+}
+
+/**
+ * Build the alias registry
+ *
+ * If two teams claim the same spelling, the first team (in the given order)
+ * keeps it; canonical names always win over aliases.
+ *
+ * @param {array} teams - Team documents ({ id, name, aliases, providerNames, logoUrl })
+ * @returns {object} Registry: { teams, resolve, canonicalName, providerName, logoUrl }
+ */
+export function createTeamRegistry(teams = []) {
+    const index = new Map();
+    const add = (name, team) => {
+        const key = normalizeTeamName(name);
+        if (key && !index.has(key)) index.set(key, team);
+    };
+    teams.forEach(team => add(team.name, team));
+    teams.forEach(team => namesOf(team).forEach(name => add(name, team)));
+
+    const resolve = name => index.get(normalizeTeamName(name)) || null;
+
+    return {
+        teams,
+
+        /** Team document for any known spelling, or null */
+        resolve,
+
+        /** Canonical display name, or the input unchanged for unknown teams */
+        canonicalName(name) {
+            const team = resolve(name);
+            return team && team.name ? team.name : name;
+        },
+
+        /** Name to send to a provider, or the input unchanged for unknown teams */
+        providerName(name, provider = DEFAULT_ALIAS_PROVIDER) {
+            const team = resolve(name);
+            if (!team) return name;
+            return (team.providerNames && team.providerNames[provider]) || team.name || name;
+        },
+
+        /** logoUrl of the team, or null */
+        logoUrl(name) {
+            const team = resolve(name);
+            return team && team.logoUrl ? team.logoUrl : null;
+        },
+    };
+}
+
+/**
+ * Fields to write back to a team so a provider's spelling resolves to it:
+ * the provider name and the same spelling as a local alias
+ *
+ * @param {object} team - Team document data
+ * @param {string} providerTeamName - Name the provider uses (e.g. TheSportsDB strTeam)
+ * @param {string} provider - Provider name (default 'thesportsdb')
+ * @returns {object|null} { providerNames, aliases } to merge into the team, or null if nothing is missing
+ */
+export function suggestAliasUpdate(team, providerTeamName, provider = DEFAULT_ALIAS_PROVIDER) {
+    if (!providerTeamName || !providerTeamName.trim()) return null;
+
+    const providerNames = { ...(team.providerNames || {}) };
+    const aliases = [...(team.aliases || [])];
+    let changed = false;
+
+    if (providerNames[provider] !== providerTeamName) {
+        providerNames[provider] = providerTeamName;
+        changed = true;
+    }
+    if (providerTeamName !== team.name && !aliases.includes(providerTeamName)) {
+        aliases.push(providerTeamName);
+        changed = true;
+    }
+    return changed ? { providerNames, aliases } : null;
+}
@@ -0,0 +1,183 @@
+/**
+ * Test Module for src/backup.js
+ *
+ * Offline checks (no Firestore calls) of the backup tool (backupFirestore.js):
+ * - Timestamps survive the round trip through JSON
+ * - season filters pick a season's games and their predictions
+ * - a restore writes the backup and deletes documents created since
+ * - document counts are compared after a restore
+ *
+ * Usage:
+ *   node tests/testBackup.js
+ */
+
+import {
+    NO_SEASON,
+    serializeValue,
+    deserializeValue,
+    filterCollectionsBySeason,
+    planRestore,
+    verifyCounts,
+    backupFileName,
+} from '../src/backup.js';
+import { printHeader, printSubHeader, check, assertEqual, finish, colors } from './testHelpers.js';
+
+// Same shape as a Firestore Timestamp (admin and web SDK)
+class FakeTimestamp {
+    constructor(date) {
+        this.seconds = Math.floor(date.getTime() / 1000);
+        this.nanoseconds = (date.getTime() % 1000) * 1e6;
+    }
+
+    toDate() {
+        return new Date(this.seconds * 1000 + this.nanoseconds / 1e6);
+    }
+}
+
+function backupOf(collections, fields = {}) {
+    return { version: 1, createdAt: '2026-03-01T12:00:00.000Z', projectId: 'test', season: null, collections, ...fields };
+}
+
+const collections = {
+    games: {
+        g1: { HomeTeam: 'Lazio', AwayTeam: 'Roma', season: '2025-26' },
+        g2: { HomeTeam: 'Inter', AwayTeam: 'Milan', season: '2024-25' },
+        g3: { HomeTeam: 'Napoli', AwayTeam: 'Juventus' },
+    },
+    predictions: {
+        p1: { gameId: 'g1', userId: 'u1', homeScore: 2, awayScore: 1 },
+        p2: { gameId: 'g2', userId: 'u1', homeScore: 0, awayScore: 0 },
+        p3: { gameId: 'g3', userId: 'u2', homeScore: 1, awayScore: 1 },
+    },
+    teams: { lazio: { name: 'Lazio' } },
+    config: { activeSeason: { name: '2025-26' } },
+};
+
+async function runTests() {
+    printHeader('TESTING backup (serialisation and restore planning)');
+
+    printSubHeader('Serialisation');
+
+    await check('Timestamps become tagged ISO strings, nested ones too', () => {
+        const kickOff = new FakeTimestamp(new Date('2025-08-23T18:45:00.000Z'));
+        const json = serializeValue({
+            KickOffTime: kickOff,
+            history: [{ at: kickOff, note: 'moved' }],
+            HomeScore: null,
+            Knockout: false,
+        });
+        assertEqual(json, {
+            KickOffTime: { __timestamp: '2025-08-23T18:45:00.000Z' },
+            history: [{ at: { __timestamp: '2025-08-23T18:45:00.000Z' }, note: 'moved' }],
+            HomeScore: null,
+            Knockout: false,
+        }, 'serialised');
+    });
+
+    await check('Restoring turns them back into Timestamps', () => {
+        const data = deserializeValue(
+            JSON.parse(JSON.stringify(serializeValue({ KickOffTime: new FakeTimestamp(new Date('2025-08-23T18:45:00.000Z')), Fecha: 'GW1' }))),
+            date => new FakeTimestamp(date));
+        assertEqual(data.KickOffTime instanceof FakeTimestamp, true, 'Timestamp');
+        assertEqual(data.KickOffTime.toDate().toISOString(), '2025-08-23T18:45:00.000Z', 'same instant');
+        assertEqual(data.Fecha, 'GW1', 'other fields');
+    });
+
+    printSubHeader('Season filters');
+
+    await check("A season keeps its games and their predictions only", () => {
+        const filtered = filterCollectionsBySeason(collections, '2025-26');
+        assertEqual(Object.keys(filtered), ['games', 'predictions'], 'collections');
+        assertEqual(Object.keys(filtered.games), ['g1'], 'games');
+        assertEqual(Object.keys(filtered.predictions), ['p1'], 'predictions');
+    });
+
+    await check('NO_SEASON selects games without a season', () => {
+        const filtered = filterCollectionsBySeason(collections, NO_SEASON);
+        assertEqual(Object.keys(filtered.games), ['g3'], 'games');
+        assertEqual(Object.keys(filtered.predictions), ['p3'], 'predictions');
+    });
+
+    printSubHeader('Restore planning');
+
+    await check('Full restore writes every document and deletes newer ones', () => {
+        const current = {
+            games: { g1: collections.games.g1, g4: { HomeTeam: 'Torino', AwayTeam: 'Genoa', season: '2025-26' } },
+            predictions: {},
+            teams: collections.teams,
+            config: collections.config,
+        };
+        const plan = planRestore(backupOf(collections), current);
+        assertEqual(Object.keys(plan), ['games', 'predictions', 'teams', 'config'], 'collections');
+        assertEqual(Object.keys(plan.games.write), ['g1', 'g2', 'g3'], 'games written');
+        assertEqual(plan.games.delete, ['g4'], 'games deleted');
+        assertEqual(plan.predictions.expected, 3, 'expected predictions');
+    });
+
+    await check('Season restore leaves other seasons and collections alone', () => {
+        const current = {
+            games: {
+                g1: { ...collections.games.g1, HomeScore: 9 },
+                g2: collections.games.g2,
+                g4: { HomeTeam: 'Torino', AwayTeam: 'Genoa', season: '2025-26' },
+            },
+            predictions: { p2: collections.predictions.p2, p9: { gameId: 'g4', userId: 'u1' } },
+        };
+        const plan = planRestore(backupOf(collections), current, { season: '2025-26' });
+        assertEqual(Object.keys(plan), ['games', 'predictions'], 'collections');
+        assertEqual(plan.games, { write: { g1: collections.games.g1 }, delete: ['g4'], expected: 1 }, 'games');
+        assertEqual(plan.predictions, { write: { p1: collections.predictions.p1 }, delete: ['p9'], expected: 1 }, 'predictions of the deleted game too');
+    });
+
+    await check('A season backup is restored as that season', () => {
+        const seasonBackup = backupOf(filterCollectionsBySeason(collections, '2025-26'), { season: '2025-26' });
+        const plan = planRestore(seasonBackup, collections);
+        assertEqual(plan.games.delete, [], 'other seasons kept');
+        assertEqual(plan.predictions.delete, [], 'their predictions kept');
+
+        let message = null;
+        try {
+            planRestore(seasonBackup, collections, { season: '2024-25' });
+        } catch (error) {
+            message = error.message;
+        }
+        assertEqual(message, 'Backup only has season "2025-26", cannot restore "2024-25"', 'other season');
+    });
+
+    await check('Collections can be picked, unknown ones are rejected', () => {
+        const plan = planRestore(backupOf(collections), collections, { only: ['teams'] });
+        assertEqual(Object.keys(plan), ['teams'], 'collections');
+
+        let message = null;
+        try {
+            planRestore(backupOf(collections), collections, { only: ['nationalLeagues'] });
+        } catch (error) {
+            message = error.message;
+        }
+        assertEqual(message, 'Not in the backup: nationalLeagues (it has games, predictions, teams, config)', 'error');
+    });
+
+    printSubHeader('Verification and file names');
+
+    await check('Count mismatches are reported per collection', () => {
+        assertEqual(verifyCounts({ games: 3, teams: 1 }, { games: 3, teams: 1 }), [], 'match');
+        assertEqual(verifyCounts({ games: 3, teams: 1 }, { games: 2 }), [
+            'games: expected 3 documents, found 2',
+            'teams: expected 1 documents, found 0',
+        ], 'mismatch');
+    });
+
+    await check('Backup files are named after the time and season', () => {
+        const date = new Date('2026-03-01T12:05:09.123Z');
+        assertEqual(backupFileName(date), 'backup-2026-03-01T12-05-09Z.json', 'full');
+        assertEqual(backupFileName(date, '2025/26'), 'backup-2026-03-01T12-05-09Z-2025_26.json', 'season');
+    });
+
+    finish();
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error(`${colors.red}Fatal error during testing:${colors.reset}`, error);
+    process.exit(1);
+});
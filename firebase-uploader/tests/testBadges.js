@@ -0,0 +1,101 @@
+/**
+ * Test Module for src/badges.js
+ *
+ * Offline checks of the badge helpers used by ingestBadges.js and index.html:
+ * - provider badge rendition URLs
+ * - image format detection and normalisation into a square SVG
+ * - team initials and the generated placeholder badge
+ *
+ * Usage:
+ *   node tests/testBadges.js
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+    BADGE_SIZE,
+    badgeVariantUrl,
+    detectImageType,
+    normalizeBadge,
+    teamInitials,
+    placeholderBadgeSvg,
+    placeholderBadgeDataUrl,
+} from '../src/badges.js';
+import { printHeader, printSubHeader, check, assertEqual, finish, colors } from './testHelpers.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SAMPLE_LOGO = path.join(__dirname, '..', 'team_logos', 'psg.png');
+
+async function runTests() {
+    printHeader('TESTING badges (normalisation and placeholders)');
+
+    printSubHeader('Provider badges');
+
+    await check('TheSportsDB badges use the 250px rendition', () => {
+        const url = 'https://r2.thesportsdb.com/images/media/team/badge/abc123.png';
+        assertEqual(badgeVariantUrl(url), `${url}/small`, 'TheSportsDB');
+        assertEqual(badgeVariantUrl('https://example.com/logo.png'), 'https://example.com/logo.png', 'other host');
+        assertEqual(badgeVariantUrl(null), null, 'missing');
+    });
+
+    printSubHeader('Normalisation');
+
+    await check('Image formats are detected from their bytes', () => {
+        assertEqual(detectImageType(fs.readFileSync(SAMPLE_LOGO)), 'image/png', 'png');
+        assertEqual(detectImageType(new Uint8Array([0xff, 0xd8, 0xff, 0xe0])), 'image/jpeg', 'jpeg');
+        assertEqual(detectImageType(Buffer.from('<html>Not found</html>')), null, 'html error page');
+    });
+
+    await check('Badges of any shape are framed in the same square SVG', () => {
+        const svg = normalizeBadge(fs.readFileSync(SAMPLE_LOGO));   // 640x400 PNG
+        assertEqual(svg.startsWith(`<svg xmlns="http://www.w3.org/2000/svg" width="${BADGE_SIZE}" height="${BADGE_SIZE}"`), true, 'square frame');
+        assertEqual(svg.includes('preserveAspectRatio="xMidYMid meet"'), true, 'keeps the aspect ratio');
+        assertEqual(svg.includes('href="data:image/png;base64,iVBORw0KGgo'), true, 'embedded PNG');
+    });
+
+    await check('Data that is not an image is rejected', () => {
+        let message = null;
+        try {
+            normalizeBadge(Buffer.from('{"error":"not found"}'));
+        } catch (error) {
+            message = error.message;
+        }
+        assertEqual(message, 'Not a PNG, JPEG, GIF or WebP image', 'error');
+    });
+
+    printSubHeader('Placeholders');
+
+    await check('Initials skip club prefixes and accents', () => {
+        assertEqual(
+            ['Real Madrid', 'Atlético Madrid', 'Barcelona', 'FC Porto', 'Bodø/Glimt', 'Brighton and Hove Albion', ''].map(teamInitials),
+            ['RM', 'AM', 'BAR', 'POR', 'BG', 'BHA', '?'],
+            'initials');
+    });
+
+    await check('Placeholder badge shows the initials in a stable colour', () => {
+        const svg = placeholderBadgeSvg('Real Madrid');
+        assertEqual(svg.includes('>RM</text>'), true, 'initials');
+        assertEqual(svg, placeholderBadgeSvg('Real Madrid'), 'same badge every time');
+        const fill = name => placeholderBadgeSvg(name).match(/fill="(hsl[^"]+)"/)[1];
+        assertEqual(fill('Real Madrid') !== fill('Barcelona'), true, 'different teams, different colours');
+    });
+
+    await check('Team names are escaped in the SVG', () => {
+        assertEqual(placeholderBadgeSvg('<b>Evil & Co</b>').includes('<title>&lt;b&gt;Evil &amp; Co&lt;/b&gt;</title>'), true, 'title');
+    });
+
+    await check('Placeholder data URL can be used as an <img> src', () => {
+        const url = placeholderBadgeDataUrl('Getafe');
+        assertEqual(url.startsWith('data:image/svg+xml;charset=utf-8,%3Csvg'), true, 'prefix');
+        assertEqual(decodeURIComponent(url.split(',')[1]), placeholderBadgeSvg('Getafe'), 'content');
+    });
+
+    finish();
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error(`${colors.red}Fatal error during testing:${colors.reset}`, error);
+    process.exit(1);
+});
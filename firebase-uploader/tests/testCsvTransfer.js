@@ -0,0 +1,198 @@
+/**
+ * Test Module for src/csvTransfer.js
+ *
+ * Offline checks (no Firestore calls) of the admin spreadsheet import/export:
+ * - CSV quoting, Excel separators and round trips
+ * - exported predictions carry their calculatePoints points, the leaderboard its ranks
+ * - import previews report unknown teams and userIds, duplicate rows and
+ *   scores that are not whole numbers before anything is written
+ *
+ * Usage:
+ *   node tests/testCsvTransfer.js
+ */
+
+import {
+    toCsv,
+    parseCsv,
+    gamesToCsv,
+    predictionsToCsv,
+    leaderboardToCsv,
+    planGamesImport,
+    planPredictionsImport,
+} from '../src/csvTransfer.js';
+import { createTeamRegistry } from '../src/teamAliases.js';
+import { printHeader, printSubHeader, check, assertEqual, finish, colors } from './testHelpers.js';
+
+const now = new Date('2026-03-01T12:00:00.000Z');
+
+const games = [
+    { id: 'g2', season: '2025-26', Fecha: 'GW2', HomeTeam: 'Roma', AwayTeam: 'Lazio', KickOffTime: '2026-03-07T19:45:00.000Z', Status: 'upcoming', HomeScore: null, AwayScore: null },
+    { id: 'g1', season: '2025-26', Fecha: 'GW1', HomeTeam: 'Lazio', AwayTeam: 'Atlético Madrid', KickOffTime: '2026-02-21T18:00:00.000Z', Status: 'finished', HomeScore: 2, AwayScore: 1, Multiplier: 2 },
+];
+
+const predictions = [
+    { id: 'p1', gameId: 'g1', userId: 'u1', playerName: 'Ana', predictedHomeScore: 2, predictedAwayScore: 1, joker: true },
+    { id: 'p2', gameId: 'g1', userId: 'u2', playerName: 'Ben', predictedHomeScore: 0, predictedAwayScore: 0 },
+    { id: 'p3', gameId: 'g2', userId: 'u1', playerName: 'Ana', predictedHomeScore: 1, predictedAwayScore: 1, importedBy: 'admin' },
+];
+
+const registry = createTeamRegistry([
+    { id: 'lazio', name: 'Lazio' },
+    { id: 'roma', name: 'Roma' },
+    { id: 'atletico_madrid', name: 'Atlético Madrid', aliases: ['Atleti'] },
+]);
+
+const knownUsers = { u1: 'Ana', u2: 'Ben' };
+
+async function runTests() {
+    printHeader('TESTING csvTransfer (spreadsheet import and export)');
+
+    printSubHeader('CSV format');
+
+    await check('Cells with separators and quotes are quoted, formulas are neutralised', () => {
+        assertEqual(toCsv(['a', 'b'], [['x,y', 'say "hi"'], ['=SUM(A1)', 3]]),
+            'a,b\r\n"x,y","say ""hi"""\r\n\'=SUM(A1),3\r\n', 'csv');
+    });
+
+    await check('Excel semicolon files with a BOM and quoted line breaks are read', () => {
+        const { rows, lines } = parseCsv('\ufeffuserId;note\r\nu1;"two\nlines"\r\n\r\nu2;"a;b"\r\n');
+        assertEqual(rows, [['userId', 'note'], ['u1', 'two\nlines'], ['u2', 'a;b']], 'rows');
+        assertEqual(lines, [1, 2, 5], 'line numbers');
+    });
+
+    printSubHeader('Exports');
+
+    await check('Games are exported in kick-off order', () => {
+        const [header, first, second] = parseCsv(gamesToCsv(games)).rows;
+        assertEqual(header.slice(0, 3), ['gameId', 'season', 'Fecha'], 'header');
+        assertEqual([first[0], second[0]], ['g1', 'g2'], 'order');
+        assertEqual(first[9], '2026-02-21T18:00:00.000Z', 'kick-off');
+    });
+
+    await check('Predictions carry their points (joker and multiplier applied)', () => {
+        const rows = parseCsv(predictionsToCsv(games, predictions, {})).rows;
+        const points = Object.fromEntries(rows.slice(1).map(row => [row[0], row[11]]));
+        assertEqual(points, { p1: '40', p2: '0', p3: '' }, 'points by prediction');
+    });
+
+    await check('Leaderboard ranks players like the leaderboard page', () => {
+        const rows = parseCsv(leaderboardToCsv(games, predictions, {})).rows;
+        assertEqual(rows.slice(1), [['1', 'u1', 'Ana', '40', '1', '1', '1'], ['2', 'u2', 'Ben', '0', '0', '0', '1']], 'rows');
+    });
+
+    printSubHeader('Games import');
+
+    await check('Valid rows are created with canonical team names', () => {
+        const plan = planGamesImport(
+            'HomeTeam,AwayTeam,KickOffTime,Fecha,League\nAtleti,Roma,2026-03-14T20:00:00Z,GW3,Friendly\n',
+            { registry, existingGames: games, season: '2025-26' });
+        assertEqual(plan.errorCount, 0, 'errors');
+        assertEqual(plan.rows[0].action, 'create', 'action');
+        assertEqual(plan.rows[0].game.HomeTeam, 'Atlético Madrid', 'canonical name');
+        assertEqual(plan.rows[0].game.KickOffTime, '2026-03-14T20:00:00.000Z', 'kick-off');
+        assertEqual([plan.rows[0].game.season, plan.rows[0].game.Status, plan.rows[0].game.Multiplier], ['2025-26', 'upcoming', 1], 'defaults');
+    });
+
+    await check('Unknown teams, bad scores and duplicates are reported per line', () => {
+        const plan = planGamesImport([
+            'HomeTeam,AwayTeam,KickOffTime,Fecha,Status,HomeScore,AwayScore',
+            'Lazio,Roma,2026-03-14T20:00:00Z,GW3,,,',
+            'Lazio,Roma,2026-03-14T21:00:00Z,GW3,,,',
+            'Lazio,Juventus,2026-03-15T20:00:00Z,GW3,,,',
+            'Roma,Lazio,2026-03-16T20:00:00Z,GW3,finished,2.5,1',
+            'Roma,Lazio,2026-03-07T19:45:00Z,GW2,,,',
+        ].join('\n'), { registry, existingGames: games, season: '2025-26' });
+        assertEqual(plan.rows.map(row => [row.line, row.errors]), [
+            [2, []],
+            [3, ['duplicate of line 2']],
+            [4, ['unknown team "Juventus"']],
+            [5, ['HomeScore "2.5" is not a whole number', 'finished games need HomeScore and AwayScore']],
+            [6, []],
+        ], 'errors');
+        assertEqual(plan.rows[4].action, 'skip', 'already in Firestore');
+        assertEqual([plan.errorCount, plan.writeCount], [3, 1], 'totals');
+    });
+
+    await check('Missing columns are reported before any row', () => {
+        const plan = planGamesImport('HomeTeam,AwayTeam\nLazio,Roma\n', { registry, season: '2025-26' });
+        assertEqual(plan.headerErrors, ['Missing column(s): KickOffTime, Fecha'], 'header errors');
+        assertEqual(plan.rows, [], 'no rows');
+    });
+
+    printSubHeader('Predictions import');
+
+    await check('Predictions are matched by gameId or by Fecha and teams', () => {
+        const plan = planPredictionsImport([
+            'gameId,Fecha,HomeTeam,AwayTeam,userId,predictedHomeScore,predictedAwayScore,joker',
+            'g2,,,,u2,2,0,TRUE',
+            ',GW2,ROMA,lazio,u1,3,1,no',
+        ].join('\n'), { games, existingPredictions: predictions, knownUsers, now });
+        assertEqual(plan.errorCount, 0, 'errors');
+        assertEqual(plan.rows[0].prediction, {
+            userId: 'u2', playerName: 'Ben', gameId: 'g2', predictedHomeScore: 2, predictedAwayScore: 0, joker: true,
+        }, 'new prediction');
+        assertEqual([plan.rows[1].action, plan.rows[1].existingId, plan.rows[1].warnings], ['update', 'p3', ['replaces 1-1']], 'replaces stored prediction');
+    });
+
+    await check('Unknown userIds and games, bad scores and duplicates are reported', () => {
+        const plan = planPredictionsImport([
+            'gameId;userId;predictedHomeScore;predictedAwayScore',
+            'g2;u2;1;0',
+            'g2;u2;2;0',
+            'g2;u9;1;0',
+            'g7;u1;1;0',
+            'g2;u1;-1;x',
+        ].join('\r\n'), { games, existingPredictions: predictions, knownUsers, now });
+        assertEqual(plan.rows.map(row => row.errors), [
+            [],
+            ['duplicate of line 2 (same player and game)'],
+            ['unknown userId "u9"'],
+            ['unknown gameId "g7"'],
+            ['predictedHomeScore "-1" is not a whole number', 'predictedAwayScore "x" is not a whole number'],
+        ], 'errors');
+        assertEqual(plan.writeCount, 1, 'only the valid row is written');
+    });
+
+    await check('Predictions for games that already have a result are rejected', () => {
+        const plan = planPredictionsImport([
+            'gameId,userId,predictedHomeScore,predictedAwayScore,joker',
+            'g1,u3,1,0,',
+            'g1,u2,2,2,',
+            'g1,u1,2,1,TRUE',
+        ].join('\n'), { games, existingPredictions: predictions, knownUsers: { ...knownUsers, u3: 'Cam' }, now });
+        assertEqual(plan.rows.map(row => [row.action, row.errors]), [
+            ['create', ['game already has a result']],
+            ['update', ['game already has a result']],
+            ['skip', []],
+        ], 'actions/errors');
+        assertEqual(plan.writeCount, 0, 'nothing is written');
+    });
+
+    await check("Players' own predictions and the admin's own are not imported", () => {
+        const ownPrediction = { id: 'p4', gameId: 'g2', userId: 'u2', playerName: 'Ben', predictedHomeScore: 0, predictedAwayScore: 2 };
+        const plan = planPredictionsImport([
+            'gameId,userId,predictedHomeScore,predictedAwayScore',
+            'g2,u2,1,0',
+            'g2,u1,2,2',
+        ].join('\n'), { games, existingPredictions: [...predictions, ownPrediction], knownUsers, now, adminUid: 'u1' });
+        assertEqual(plan.rows.map(row => row.errors), [
+            ['the player saved this prediction themselves, it cannot be replaced'],
+            ['you cannot import your own prediction'],
+        ], 'errors');
+    });
+
+    await check('Re-importing an exported file changes nothing', () => {
+        const plan = planPredictionsImport(predictionsToCsv(games, predictions, {}),
+            { games, existingPredictions: predictions, knownUsers, now });
+        assertEqual(plan.errorCount, 0, 'errors');
+        assertEqual(plan.rows.map(row => row.action), ['skip', 'skip', 'skip'], 'actions');
+    });
+
+    finish();
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error(`${colors.red}Fatal error during testing:${colors.reset}`, error);
+    process.exit(1);
+});
@@ -0,0 +1,59 @@
+/**
+ * Test Module for parseEventStatus (src/fetchFixtures.js)
+ *
+ * Offline checks (no API calls) that TheSportsDB strStatus values map to the
+ * app's game Status: finished, postponed, cancelled, abandoned (or null while
+ * the match is still to be decided).
+ *
+ * Usage:
+ *   node tests/testEventStatus.js
+ */
+
+import { parseEventStatus } from '../src/fetchFixtures.js';
+import { printHeader, printSubHeader, check, assertEqual, finish, colors } from './testHelpers.js';
+
+async function runTests() {
+    printHeader('TESTING parseEventStatus');
+
+    printSubHeader('Played matches');
+
+    await check('Finished statuses map to finished', () => {
+        for (const strStatus of ['FT', 'Match Finished', 'AET', 'PEN', 'After Penalties']) {
+            assertEqual(parseEventStatus(strStatus), 'finished', strStatus);
+        }
+    });
+
+    await check('Not started and in-play statuses are undecided', () => {
+        for (const strStatus of ['NS', 'Not Started', '1H', 'HT', '', null]) {
+            assertEqual(parseEventStatus(strStatus), null, String(strStatus));
+        }
+    });
+
+    printSubHeader('Postponed, cancelled and abandoned');
+
+    await check('Postponed statuses map to postponed', () => {
+        for (const strStatus of ['PST', 'Postponed', 'Match Postponed']) {
+            assertEqual(parseEventStatus(strStatus), 'postponed', strStatus);
+        }
+    });
+
+    await check('Cancelled statuses map to cancelled', () => {
+        for (const strStatus of ['CANC', 'Cancelled', 'Match Canceled']) {
+            assertEqual(parseEventStatus(strStatus), 'cancelled', strStatus);
+        }
+    });
+
+    await check('Abandoned statuses map to abandoned', () => {
+        for (const strStatus of ['ABD', 'Match Abandoned']) {
+            assertEqual(parseEventStatus(strStatus), 'abandoned', strStatus);
+        }
+    });
+
+    finish();
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error(`${colors.red}Fatal error during testing:${colors.reset}`, error);
+    process.exit(1);
+});
@@ -8,15 +8,16 @@
  * - Data structure validation
  * - League normalization
  * 
+ * Runs against the configured fixture provider (see src/providers.js),
+ * TheSportsDB by default.
+ * 
  * Usage:
  *   node testFetchFixtures.js
+ *   FIXTURE_PROVIDER=json node testFetchFixtures.js   # Offline, bundled mock data
  */
 
-import { 
-    searchTeam, 
-    searchFixture,
-    logFixtureDetails 
-} from '../src/fetchFixtures.js';
+import { logFixtureDetails } from '../src/fetchFixtures.js';
+import { getFixtureProvider } from '../src/providers.js';
 
 // ============================================
 // TEST UTILITIES
@@ -103,12 +104,15 @@ function validateFixtureStructure(fixture) {
 // ============================================
 
 async function runTests() {
-    printHeader('TESTING fetchFixtures.js Module');
+    const provider = await getFixtureProvider();
+    const { searchTeam, searchFixture } = provider;
+
+    printHeader(`TESTING fetchFixtures.js Module (provider: ${provider.name})`);
 
     // ---- Test 1: API Connectivity ----
     printSubHeader('Test 1: API Connectivity');
     
-    printTest('Can reach TheSportsDB API');
+    printTest(`Can reach the ${provider.name} provider`);
     try {
         const teamId = await searchTeam('Manchester United');
         if (teamId) {
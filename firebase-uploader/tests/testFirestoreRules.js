@@ -0,0 +1,325 @@
+/**
+ * Test Module for firestore.rules
+ *
+ * Runs against the Firestore emulator and verifies:
+ * - Predictions can be created/updated before kick-off
+ * - Predictions are rejected once the game has kicked off
+ *   (KickOffTime stored as ISO string or as Timestamp)
+ * - Predictions are rejected for games that are no longer 'upcoming'
+ * - Users cannot write predictions for someone else
+ * - Admin roles from config/admins (owner, results, fixtures, seasons)
+ * - Season standings: public reads, written by results and fixtures admins
+ * - Private groups: members-only reads, joining only with the invite code,
+ *   join/leave yourself only, owner-only edits
+ *
+ * Usage (starts and stops the emulator):
+ *   npm run test:rules
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, collection, setDoc, updateDoc, getDoc, getDocs, deleteDoc, writeBatch, arrayUnion, arrayRemove, Timestamp } from 'firebase/firestore';
+import { printHeader, printSubHeader, check, finish, colors } from './testHelpers.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RULES_PATH = path.join(__dirname, '..', '..', 'firestore.rules');
+const PROJECT_ID = 'demo-ea-predictor';
+
+const HOUR_MS = 60 * 60 * 1000;
+const inOneHour = new Date(Date.now() + HOUR_MS);
+const oneHourAgo = new Date(Date.now() - HOUR_MS);
+
+// Seed data: one game per lock scenario
+const games = {
+    futureIso: { HomeTeam: 'Barcelona', AwayTeam: 'Real Madrid', Status: 'upcoming', KickOffTime: inOneHour.toISOString() },
+    pastIso: { HomeTeam: 'Liverpool', AwayTeam: 'Chelsea', Status: 'upcoming', KickOffTime: oneHourAgo.toISOString() },
+    futureTimestamp: { HomeTeam: 'Lazio', AwayTeam: 'Roma', Status: 'upcoming', KickOffTime: Timestamp.fromDate(inOneHour) },
+    pastTimestamp: { HomeTeam: 'Porto', AwayTeam: 'Benfica', Status: 'upcoming', KickOffTime: Timestamp.fromDate(oneHourAgo) },
+    finishedEarly: { HomeTeam: 'Ajax', AwayTeam: 'PSV', Status: 'finished', KickOffTime: inOneHour.toISOString() },
+    postponed: { HomeTeam: 'Celtic', AwayTeam: 'Rangers', Status: 'postponed', KickOffTime: oneHourAgo.toISOString() },
+    inPlay: { HomeTeam: 'Sevilla', AwayTeam: 'Betis', Status: 'upcoming', KickOffTime: oneHourAgo.toISOString() },
+    played: { HomeTeam: 'Lyon', AwayTeam: 'Marseille', Status: 'finished', KickOffTime: oneHourAgo.toISOString(), HomeScore: 2, AwayScore: 1 },
+};
+
+function predictionFor(userId, gameId, home = 1, away = 0) {
+    return {
+        userId,
+        playerName: userId,
+        gameId,
+        predictedHomeScore: home,
+        predictedAwayScore: away,
+        timestamp: new Date(),
+    };
+}
+
+async function runTests() {
+    printHeader('TESTING firestore.rules (prediction lock, admin roles & groups)');
+
+    if (!process.env.FIRESTORE_EMULATOR_HOST) {
+        console.log(`${colors.yellow}FIRESTORE_EMULATOR_HOST is not set. Run with: npm run test:rules${colors.reset}`);
+    }
+
+    const testEnv = await initializeTestEnvironment({
+        projectId: PROJECT_ID,
+        firestore: { rules: fs.readFileSync(RULES_PATH, 'utf8') },
+    });
+
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        for (const [id, game] of Object.entries(games)) {
+            await setDoc(doc(db, 'games', id), game);
+        }
+        // Existing predictions made before kick-off
+        await setDoc(doc(db, 'predictions', 'alice-pastIso'), predictionFor('alice', 'pastIso'));
+        await setDoc(doc(db, 'predictions', 'alice-futureIso'), predictionFor('alice', 'futureIso'));
+        await setDoc(doc(db, 'predictions', 'bob-played'), predictionFor('bob', 'played'));
+        await setDoc(doc(db, 'predictions', 'alice-inPlay'), predictionFor('alice', 'inPlay'));
+        // Imported for the results admin "scorer" by another admin
+        await setDoc(doc(db, 'predictions', 'scorer-imported'), { ...predictionFor('scorer', 'inPlay'), importedBy: 'owner1' });
+        // Group owned by carol with alice as a member
+        await setDoc(doc(db, 'groups', 'office'), { name: 'Office', inviteCode: 'ABC234', ownerId: 'carol', members: ['carol', 'alice'], createdAt: new Date() });
+        await setDoc(doc(db, 'inviteCodes', 'ABC234'), { groupId: 'office', ownerId: 'carol' });
+        // Admin roles
+        await setDoc(doc(db, 'config', 'admins'), {
+            roles: {
+                owner1: ['owner'],
+                scorer: ['results'],
+                fixer: ['fixtures'],
+                seasoner: ['seasons'],
+            },
+        });
+    });
+
+    const alice = testEnv.authenticatedContext('alice').firestore();
+    const guest = testEnv.unauthenticatedContext().firestore();
+
+    // ---- Reads ----
+    printSubHeader('Public reads');
+
+    await check('Signed-out user can read games', () =>
+        assertSucceeds(getDoc(doc(guest, 'games', 'futureIso'))));
+    await check('Signed-out user can read predictions', () =>
+        assertSucceeds(getDoc(doc(guest, 'predictions', 'alice-pastIso'))));
+
+    // ---- Create before/after kick-off ----
+    printSubHeader('Create prediction');
+
+    await check('Allowed before kick-off (ISO string)', () =>
+        assertSucceeds(setDoc(doc(alice, 'predictions', 'new-futureIso'), predictionFor('alice', 'futureIso'))));
+    await check('Allowed before kick-off (Timestamp)', () =>
+        assertSucceeds(setDoc(doc(alice, 'predictions', 'new-futureTs'), predictionFor('alice', 'futureTimestamp'))));
+    await check('Rejected after kick-off (ISO string)', () =>
+        assertFails(setDoc(doc(alice, 'predictions', 'new-pastIso'), predictionFor('alice', 'pastIso'))));
+    await check('Rejected after kick-off (Timestamp)', () =>
+        assertFails(setDoc(doc(alice, 'predictions', 'new-pastTs'), predictionFor('alice', 'pastTimestamp'))));
+    await check('Rejected for a game that is no longer upcoming', () =>
+        assertFails(setDoc(doc(alice, 'predictions', 'new-finished'), predictionFor('alice', 'finishedEarly'))));
+    await check('Rejected for a postponed game', () =>
+        assertFails(setDoc(doc(alice, 'predictions', 'new-postponed'), predictionFor('alice', 'postponed'))));
+    await check('Rejected for a game that does not exist', () =>
+        assertFails(setDoc(doc(alice, 'predictions', 'new-missing'), predictionFor('alice', 'missingGame'))));
+    await check('Rejected when signed out', () =>
+        assertFails(setDoc(doc(guest, 'predictions', 'guest-futureIso'), predictionFor('alice', 'futureIso'))));
+    await check('Rejected for another user', () =>
+        assertFails(setDoc(doc(alice, 'predictions', 'bob-futureIso'), predictionFor('bob', 'futureIso'))));
+    await check('Rejected for a non-integer score', () =>
+        assertFails(setDoc(doc(alice, 'predictions', 'bad-score'), predictionFor('alice', 'futureIso', 1.5, 0))));
+    await check('Allowed with a joker flag', () =>
+        assertSucceeds(setDoc(doc(alice, 'predictions', 'joker-futureIso'), { ...predictionFor('alice', 'futureIso'), joker: true })));
+    await check('Rejected for a non-boolean joker flag', () =>
+        assertFails(setDoc(doc(alice, 'predictions', 'bad-joker'), { ...predictionFor('alice', 'futureIso'), joker: 2 })));
+    await check('Allowed with a qualifier pick', () =>
+        assertSucceeds(setDoc(doc(alice, 'predictions', 'qualifier-futureIso'), { ...predictionFor('alice', 'futureIso', 1, 1), predictedQualifier: 'away' })));
+    await check('Rejected for an unknown qualifier pick', () =>
+        assertFails(setDoc(doc(alice, 'predictions', 'bad-qualifier'), { ...predictionFor('alice', 'futureIso', 1, 1), predictedQualifier: 'draw' })));
+
+    // ---- Update before/after kick-off ----
+    printSubHeader('Update prediction');
+
+    await check('Allowed before kick-off', () =>
+        assertSucceeds(updateDoc(doc(alice, 'predictions', 'alice-futureIso'), { predictedHomeScore: 3 })));
+    await check('Rejected after kick-off (half-time edit)', () =>
+        assertFails(updateDoc(doc(alice, 'predictions', 'alice-pastIso'), { predictedHomeScore: 3 })));
+    await check('Rejected when moving a prediction to another game', () =>
+        assertFails(updateDoc(doc(alice, 'predictions', 'alice-futureIso'), { gameId: 'futureTimestamp' })));
+
+    // ---- Admin roles ----
+    printSubHeader('Admin roles');
+
+    const owner = testEnv.authenticatedContext('owner1').firestore();
+    const scorer = testEnv.authenticatedContext('scorer').firestore();
+    const fixer = testEnv.authenticatedContext('fixer').firestore();
+    const seasoner = testEnv.authenticatedContext('seasoner').firestore();
+    const newGame = { HomeTeam: 'Inter', AwayTeam: 'Milan', Status: 'upcoming', KickOffTime: inOneHour.toISOString() };
+
+    await check('Player without a role cannot update a game', () =>
+        assertFails(updateDoc(doc(alice, 'games', 'pastIso'), { HomeScore: 1, AwayScore: 0, Status: 'finished' })));
+    await check('results role can enter a score', () =>
+        assertSucceeds(updateDoc(doc(scorer, 'games', 'pastIso'), { HomeScore: 1, AwayScore: 0, Status: 'finished' })));
+    await check('results role can enter extra time and penalties', () =>
+        assertSucceeds(updateDoc(doc(scorer, 'games', 'pastIso'), { ExtraTimeHomeScore: 1, ExtraTimeAwayScore: 1, PenaltyWinner: 'home' })));
+    await check('results role can reschedule a postponed game', () =>
+        assertSucceeds(updateDoc(doc(scorer, 'games', 'postponed'), { KickOffTime: inOneHour.toISOString(), Status: 'upcoming' })));
+    await check('Predictions reopen once a postponed game is rescheduled', () =>
+        assertSucceeds(setDoc(doc(alice, 'predictions', 'rescheduled'), predictionFor('alice', 'postponed'))));
+    const auditEntry = (changedBy, reason = 'Wrong score entered') => ({
+        gameId: 'pastIso', changedBy, reason, changedAt: new Date().toISOString(),
+        before: { HomeScore: 1, AwayScore: 0 }, after: { HomeScore: 1, AwayScore: 1 },
+    });
+    await check('results role can write a result correction audit entry', () =>
+        assertSucceeds(setDoc(doc(scorer, 'gameAudit', 'audit1'), auditEntry('scorer'))));
+    await check('Audit entry must name the admin who made the change', () =>
+        assertFails(setDoc(doc(scorer, 'gameAudit', 'audit2'), auditEntry('owner1'))));
+    await check('Audit entry needs a reason', () =>
+        assertFails(setDoc(doc(scorer, 'gameAudit', 'audit3'), auditEntry('scorer', ''))));
+    await check('Audit entries cannot be edited or deleted', async () => {
+        await assertFails(updateDoc(doc(scorer, 'gameAudit', 'audit1'), { reason: 'Changed' }));
+        await assertFails(deleteDoc(doc(owner, 'gameAudit', 'audit1')));
+    });
+    await check('Player cannot write audit entries', () =>
+        assertFails(setDoc(doc(alice, 'gameAudit', 'audit4'), auditEntry('alice'))));
+    await check('Signed-out user can read the audit trail', () =>
+        assertSucceeds(getDoc(doc(guest, 'gameAudit', 'audit1'))));
+    const review = { gameId: 'pastIso', fields: ['AwayScore'], stored: { AwayScore: 0 }, provider: { AwayScore: 1 }, status: 'open' };
+    await check('results role can queue and resolve a result review', async () => {
+        await assertSucceeds(setDoc(doc(scorer, 'resultReviews', 'pastIso'), review));
+        await assertSucceeds(updateDoc(doc(scorer, 'resultReviews', 'pastIso'), { status: 'dismissed', resolvedBy: 'scorer' }));
+    });
+    await check('Player cannot read or write result reviews', async () => {
+        await assertFails(getDoc(doc(alice, 'resultReviews', 'pastIso')));
+        await assertFails(setDoc(doc(alice, 'resultReviews', 'pastIso'), review));
+    });
+    const imported = (importedBy, gameId = 'inPlay') => ({ ...predictionFor('bob', gameId, 2, 2), importedBy });
+    await check('results role can import a prediction for a player, even after kick-off', () =>
+        assertSucceeds(setDoc(doc(scorer, 'predictions', 'bob-inPlay'), imported('scorer'))));
+    await check('results role can replace an imported prediction', () =>
+        assertSucceeds(updateDoc(doc(scorer, 'predictions', 'bob-inPlay'), { predictedHomeScore: 3, importedBy: 'scorer' })));
+    await check('Imported prediction is rejected once the game is finished', () =>
+        assertFails(setDoc(doc(scorer, 'predictions', 'bob-finishedEarly'), imported('scorer', 'finishedEarly'))));
+    await check('results role cannot overwrite a prediction after its game has finished', () =>
+        assertFails(updateDoc(doc(scorer, 'predictions', 'bob-played'), { predictedHomeScore: 2, predictedAwayScore: 1, importedBy: 'scorer' })));
+    await check('results role cannot overwrite a prediction the player made themselves', () =>
+        assertFails(updateDoc(doc(scorer, 'predictions', 'alice-inPlay'), { predictedHomeScore: 4, importedBy: 'scorer' })));
+    await check('results role cannot import a prediction for themselves after kick-off', () =>
+        assertFails(setDoc(doc(scorer, 'predictions', 'scorer-inPlay'), { ...predictionFor('scorer', 'inPlay'), importedBy: 'scorer' })));
+    await check('results role cannot overwrite their own imported prediction after kick-off', () =>
+        assertFails(updateDoc(doc(scorer, 'predictions', 'scorer-imported'), { predictedHomeScore: 5, importedBy: 'scorer' })));
+    await check('Imported prediction cannot be moved to another player', () =>
+        assertFails(updateDoc(doc(scorer, 'predictions', 'bob-inPlay'), { userId: 'alice', importedBy: 'scorer' })));
+    await check('Imported prediction must name the admin who imported it', () =>
+        assertFails(setDoc(doc(scorer, 'predictions', 'bob-futureIso'), imported('owner1', 'futureIso'))));
+    await check('Imported prediction needs an existing game', () =>
+        assertFails(setDoc(doc(scorer, 'predictions', 'bob-nogame'), imported('scorer', 'noSuchGame'))));
+    await check('fixtures role cannot import predictions', () =>
+        assertFails(setDoc(doc(fixer, 'predictions', 'bob-futureIso'), imported('fixer', 'futureIso'))));
+    await check('Player cannot import predictions for someone else', () =>
+        assertFails(setDoc(doc(alice, 'predictions', 'bob-futureIso'), imported('alice', 'futureIso'))));
+    await check('results role cannot edit teams', () =>
+        assertFails(updateDoc(doc(scorer, 'games', 'pastIso'), { HomeTeam: 'Everton' })));
+    await check('results role cannot add games', () =>
+        assertFails(setDoc(doc(scorer, 'games', 'newGame1'), newGame)));
+    await check('fixtures role can add games', () =>
+        assertSucceeds(setDoc(doc(fixer, 'games', 'newGame2'), newGame)));
+    await check('fixtures role can delete a game', () =>
+        assertSucceeds(deleteDoc(doc(fixer, 'games', 'newGame2'))));
+    await check("fixtures role can delete a deleted game's predictions", () =>
+        assertSucceeds(deleteDoc(doc(fixer, 'predictions', 'rescheduled'))));
+    await check('results and fixtures roles can update the season standings', async () => {
+        await assertSucceeds(setDoc(doc(scorer, 'standings', '2025-26'), { season: '2025-26', fechas: {}, players: {} }));
+        await assertSucceeds(setDoc(doc(fixer, 'standings', '2025-26'), { season: '2025-26', fechas: {}, players: {} }));
+    });
+    await check('Player cannot write the standings; everyone can read them', async () => {
+        await assertFails(setDoc(doc(alice, 'standings', '2025-26'), { players: { alice: { totalPoints: 999 } } }));
+        await assertSucceeds(getDoc(doc(guest, 'standings', '2025-26')));
+    });
+    await check('results role cannot delete predictions', () =>
+        assertFails(deleteDoc(doc(scorer, 'predictions', 'alice-futureIso'))));
+    await check('Player cannot delete predictions', () =>
+        assertFails(deleteDoc(doc(alice, 'predictions', 'alice-futureIso'))));
+    await check('fixtures role cannot change the active season', () =>
+        assertFails(setDoc(doc(fixer, 'config', 'activeSeason'), { name: 'Hacked' }, { merge: true })));
+    await check('seasons role can change the active season', () =>
+        assertSucceeds(setDoc(doc(seasoner, 'config', 'activeSeason'), { name: 'Season 2' }, { merge: true })));
+    await check('seasons role cannot grant roles', () =>
+        assertFails(setDoc(doc(seasoner, 'config', 'admins'), { roles: { seasoner: ['owner'] } })));
+    await check('owner can grant roles', () =>
+        assertSucceeds(setDoc(doc(owner, 'config', 'admins'), { roles: { owner1: ['owner'], alice: ['results'] } })));
+    await check('owner can add games', () =>
+        assertSucceeds(setDoc(doc(owner, 'games', 'newGame3'), newGame)));
+
+    // ---- Groups ----
+    printSubHeader('Groups');
+
+    const bob = testEnv.authenticatedContext('bob').firestore();
+    const carol = testEnv.authenticatedContext('carol').firestore();
+    const newGroup = (ownerId) => ({ name: 'Family', inviteCode: 'XYZ789', ownerId, members: [ownerId], createdAt: new Date() });
+
+    // Join batch as joinGroupByCode writes it
+    const joinWith = (db, uid, code, groupId) => {
+        const batch = writeBatch(db);
+        batch.set(doc(db, 'inviteCodes', code, 'joins', uid), { groupId, joinedAt: new Date() });
+        batch.update(doc(db, 'groups', groupId), { members: arrayUnion(uid) });
+        return batch.commit();
+    };
+
+    await check('Signed-out user cannot read groups', () =>
+        assertFails(getDoc(doc(guest, 'groups', 'office'))));
+    await check('Non-member cannot read a group', () =>
+        assertFails(getDoc(doc(bob, 'groups', 'office'))));
+    await check('Member can read their group', () =>
+        assertSucceeds(getDoc(doc(alice, 'groups', 'office'))));
+    await check('results admin can read groups (CSV import players)', () =>
+        assertSucceeds(getDocs(collection(scorer, 'groups'))));
+    await check('Signed-in user can look up an invite code', () =>
+        assertSucceeds(getDoc(doc(bob, 'inviteCodes', 'ABC234'))));
+    await check('Invite codes cannot be listed', () =>
+        assertFails(getDocs(collection(bob, 'inviteCodes'))));
+    await check('User can create a group they own, with its invite code', () => {
+        const batch = writeBatch(bob);
+        batch.set(doc(bob, 'groups', 'family'), newGroup('bob'));
+        batch.set(doc(bob, 'inviteCodes', 'XYZ789'), { groupId: 'family', ownerId: 'bob' });
+        return assertSucceeds(batch.commit());
+    });
+    await check('User cannot point an invite code at someone else\'s group', () =>
+        assertFails(setDoc(doc(bob, 'inviteCodes', 'HIJACK'), { groupId: 'office', ownerId: 'bob' })));
+    await check('User cannot take over an existing invite code', () =>
+        assertFails(setDoc(doc(bob, 'inviteCodes', 'ABC234'), { groupId: 'family', ownerId: 'bob' })));
+    await check('User cannot create a group owned by someone else', () =>
+        assertFails(setDoc(doc(bob, 'groups', 'fake'), newGroup('carol'))));
+    await check('User cannot create a group with other members', () =>
+        assertFails(setDoc(doc(bob, 'groups', 'stuffed'), { ...newGroup('bob'), members: ['bob', 'alice'] })));
+    await check('User cannot join a group without its invite code', () =>
+        assertFails(updateDoc(doc(bob, 'groups', 'office'), { members: arrayUnion('bob') })));
+    await check('User cannot join a group with another group\'s code', () =>
+        assertFails(joinWith(bob, 'bob', 'XYZ789', 'office')));
+    await check('User can join a group with its invite code', () =>
+        assertSucceeds(joinWith(bob, 'bob', 'ABC234', 'office')));
+    await check('User cannot add someone else to a group', () =>
+        assertFails(updateDoc(doc(bob, 'groups', 'office'), { members: arrayUnion('dave') })));
+    await check('Member cannot rename a group', () =>
+        assertFails(updateDoc(doc(bob, 'groups', 'office'), { name: 'Renamed' })));
+    await check('Member cannot remove another member', () =>
+        assertFails(updateDoc(doc(bob, 'groups', 'office'), { members: arrayRemove('alice') })));
+    await check('Member can leave a group', () =>
+        assertSucceeds(updateDoc(doc(bob, 'groups', 'office'), { members: arrayRemove('bob') })));
+    await check('Owner cannot leave their own group', () =>
+        assertFails(updateDoc(doc(carol, 'groups', 'office'), { members: ['alice'] })));
+    await check('Owner can rename the group and remove members', () =>
+        assertSucceeds(updateDoc(doc(carol, 'groups', 'office'), { name: 'Office 2026', members: ['carol'] })));
+    await check('Non-owner cannot delete a group', () =>
+        assertFails(deleteDoc(doc(alice, 'groups', 'family'))));
+    await check('Owner can delete their group', () =>
+        assertSucceeds(deleteDoc(doc(bob, 'groups', 'family'))));
+
+    await testEnv.cleanup();
+    finish();
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error(`${colors.red}Fatal error during testing:${colors.reset}`, error);
+    process.exit(1);
+});
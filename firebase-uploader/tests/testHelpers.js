@@ -0,0 +1,90 @@
+/**
+ * Shared test utilities for firebase-uploader test suites
+ *
+ * Same console output format as testFetchFixtures.js:
+ *   printHeader / printSubHeader / printTest / pass / fail / printSummary
+ *
+ * Usage:
+ *   import { printHeader, printTest, pass, fail, finish } from './testHelpers.js';
+ */
+
+export const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    green: '\x1b[32m',
+    red: '\x1b[31m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    cyan: '\x1b[36m',
+};
+
+let testCount = 0;
+let passCount = 0;
+let failCount = 0;
+
+export function printHeader(text) {
+    console.log(`\n${colors.bright}${colors.cyan}${'='.repeat(60)}${colors.reset}`);
+    console.log(`${colors.bright}${colors.cyan}  ${text}${colors.reset}`);
+    console.log(`${colors.bright}${colors.cyan}${'='.repeat(60)}${colors.reset}\n`);
+}
+
+export function printSubHeader(text) {
+    console.log(`\n${colors.bright}${colors.blue}▶ ${text}${colors.reset}`);
+}
+
+export function printTest(description) {
+    testCount++;
+    process.stdout.write(`  Test ${testCount}: ${description} ... `);
+}
+
+export function pass(message = '') {
+    passCount++;
+    console.log(`${colors.green}✓ PASS${colors.reset}${message ? ' - ' + message : ''}`);
+}
+
+export function fail(message = '') {
+    failCount++;
+    console.log(`${colors.red}✗ FAIL${colors.reset}${message ? ' - ' + message : ''}`);
+}
+
+/**
+ * Run a single named check. The check passes when it resolves without throwing.
+ * @param {string} description - Test description
+ * @param {function} fn - Async test body; throw to fail
+ */
+export async function check(description, fn) {
+    printTest(description);
+    try {
+        const message = await fn();
+        pass(typeof message === 'string' ? message : '');
+    } catch (error) {
+        fail(error.message);
+    }
+}
+
+/**
+ * Throw unless actual deep-equals expected (JSON comparison).
+ */
+export function assertEqual(actual, expected, label = 'value') {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a !== e) {
+        throw new Error(`${label}: expected ${e}, got ${a}`);
+    }
+}
+
+export function printSummary() {
+    console.log(`\n${colors.bright}${colors.cyan}${'='.repeat(60)}${colors.reset}`);
+    console.log(`${colors.bright}Test Summary${colors.reset}`);
+    console.log(`${colors.bright}${colors.cyan}${'='.repeat(60)}${colors.reset}`);
+    console.log(`Total: ${testCount} | ${colors.green}Pass: ${passCount}${colors.reset} | ${colors.red}Fail: ${failCount}${colors.reset}`);
+    console.log(`${colors.bright}${colors.cyan}${'='.repeat(60)}${colors.reset}\n`);
+}
+
+/**
+ * Print the summary and exit with a non-zero code if any test failed.
+ */
+export function finish() {
+    printSummary();
+    process.exit(failCount > 0 ? 1 : 0);
+}
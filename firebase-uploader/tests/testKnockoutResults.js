@@ -0,0 +1,98 @@
+/**
+ * Test Module for parseKnockoutResult (src/fetchFixtures.js)
+ *
+ * Offline checks (no API calls) that TheSportsDB events are split into:
+ * - the 90-minute score
+ * - the score after extra time
+ * - the penalty shoot-out winner
+ *
+ * Usage:
+ *   node tests/testKnockoutResults.js
+ */
+
+import { parseKnockoutResult } from '../src/fetchFixtures.js';
+import { printHeader, printSubHeader, check, assertEqual, finish, colors } from './testHelpers.js';
+
+function event(fields) {
+    return { strHomeTeam: 'Barcelona', strAwayTeam: 'Real Madrid', ...fields };
+}
+
+async function runTests() {
+    printHeader('TESTING parseKnockoutResult');
+
+    printSubHeader('Regular time');
+
+    await check('Full-time result is the 90-minute score', () => {
+        const result = parseKnockoutResult(event({ strStatus: 'Match Finished', intHomeScore: '2', intAwayScore: '1' }));
+        assertEqual([result.homeScore, result.awayScore], [2, 1], '90-minute score');
+        assertEqual(result.wentToExtraTime, false, 'wentToExtraTime');
+        assertEqual(result.extraTimeHomeScore, null, 'extraTimeHomeScore');
+        assertEqual(result.penaltyWinner, null, 'penaltyWinner');
+    });
+
+    printSubHeader('Extra time');
+
+    await check('AET splits the score using goal minutes', () => {
+        const result = parseKnockoutResult(event({
+            strStatus: 'AET', intHomeScore: '2', intAwayScore: '1',
+            strHomeGoalDetails: "12':Lewandowski;105':Yamal;", strAwayGoalDetails: "90+3':Vinicius;",
+        }));
+        assertEqual([result.homeScore, result.awayScore], [1, 1], '90-minute score');
+        assertEqual([result.extraTimeHomeScore, result.extraTimeAwayScore], [2, 1], 'extra-time score');
+        assertEqual(result.wentToPenalties, false, 'wentToPenalties');
+    });
+
+    await check('AET without goal details leaves the 90-minute score unknown', () => {
+        const result = parseKnockoutResult(event({ strStatus: 'AET', intHomeScore: '3', intAwayScore: '2' }));
+        assertEqual([result.homeScore, result.awayScore], [null, null], '90-minute score');
+        assertEqual([result.extraTimeHomeScore, result.extraTimeAwayScore], [3, 2], 'extra-time score');
+    });
+
+    await check('Goal details that do not add up are ignored', () => {
+        const result = parseKnockoutResult(event({
+            strStatus: 'AET', intHomeScore: '1', intAwayScore: '1',
+            strHomeGoalDetails: "12':A;30':B;", strAwayGoalDetails: "50':C;",
+        }));
+        assertEqual([result.homeScore, result.awayScore], [null, null], '90-minute score');
+    });
+
+    printSubHeader('Penalties');
+
+    await check('Home team named first wins on penalties', () => {
+        const result = parseKnockoutResult(event({
+            strStatus: 'PEN', intHomeScore: '0', intAwayScore: '0', strResult: 'Barcelona win 4-3 on penalties',
+        }));
+        assertEqual([result.homeScore, result.awayScore], [0, 0], '90-minute score');
+        assertEqual(result.penaltyWinner, 'home', 'penaltyWinner');
+        assertEqual(result.wentToPenalties, true, 'wentToPenalties');
+    });
+
+    await check('Away team named first wins on penalties', () => {
+        const result = parseKnockoutResult(event({
+            strStatus: 'AP', intHomeScore: '0', intAwayScore: '0', strResult: 'Real Madrid win 5-4 on penalties',
+        }));
+        assertEqual(result.penaltyWinner, 'away', 'penaltyWinner');
+    });
+
+    await check('Shoot-out score without team names is read home-away', () => {
+        const result = parseKnockoutResult(event({
+            strStatus: 'FT', intHomeScore: '1', intAwayScore: '1', strResult: 'Penalties: 2-4',
+        }));
+        assertEqual(result.wentToExtraTime, true, 'wentToExtraTime');
+        assertEqual(result.penaltyWinner, 'away', 'penaltyWinner');
+    });
+
+    await check('PEN status without a shoot-out score leaves the winner unknown', () => {
+        const result = parseKnockoutResult(event({ strStatus: 'PEN', intHomeScore: '1', intAwayScore: '1' }));
+        assertEqual(result.penaltyWinner, null, 'penaltyWinner');
+        assertEqual(result.wentToPenalties, true, 'wentToPenalties');
+    });
+
+    finish();
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error(`${colors.red}Fatal error during testing:${colors.reset}`, error);
+    process.exit(1);
+});
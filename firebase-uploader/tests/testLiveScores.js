@@ -0,0 +1,166 @@
+/**
+ * Test Module for src/liveScores.js
+ *
+ * Offline checks (no API or Firestore calls) of provisional live scoring:
+ * - which games count as in progress
+ * - live scores from provider lookups and from admin-entered 'live' games
+ * - projected points and ranks if the current scores hold, next to the official ones,
+ *   also from the standings document and the fechas being played only
+ *
+ * Usage:
+ *   node tests/testLiveScores.js
+ */
+
+import {
+    LIVE_WINDOW_MS,
+    isInProgress,
+    getInProgressGames,
+    getLiveFechaGames,
+    toLiveScore,
+    liveScoreFromGame,
+    projectLiveGames,
+    projectLiveStandings,
+} from '../src/liveScores.js';
+import { buildStandings } from '../src/standings.js';
+import { calculatePlayerStats } from '../../js/calculations.js';
+import { printHeader, printSubHeader, check, assertEqual, finish, colors } from './testHelpers.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date('2026-03-01T20:00:00.000Z');
+const hoursFromNow = (hours) => new Date(now.getTime() + hours * HOUR_MS).toISOString();
+
+function game(id, fields = {}) {
+    return {
+        id,
+        HomeTeam: `Home ${id}`,
+        AwayTeam: `Away ${id}`,
+        Status: 'upcoming',
+        KickOffTime: hoursFromNow(-1),
+        Fecha: 'GW1',
+        season: '2025-26',
+        HomeScore: null,
+        AwayScore: null,
+        thesportsdbEventId: `event-${id}`,
+        ...fields,
+    };
+}
+
+function result(fields = {}) {
+    return {
+        homeScore: 1,
+        awayScore: 0,
+        extraTimeHomeScore: null,
+        extraTimeAwayScore: null,
+        penaltyWinner: null,
+        status: '2H',
+        gameStatus: null,
+        isFinished: false,
+        ...fields,
+    };
+}
+
+const predict = (userId, gameId, predictedHomeScore, predictedAwayScore, joker = false) =>
+    ({ userId, playerName: userId, gameId, predictedHomeScore, predictedAwayScore, joker });
+
+async function runTests() {
+    printHeader('TESTING liveScores (provisional live scoring)');
+
+    printSubHeader('Games in progress');
+
+    await check('Live games, and upcoming games within the window after kick-off', () => {
+        assertEqual(isInProgress(game('a', { Status: 'live', KickOffTime: hoursFromNow(-5) }), now), true, 'live');
+        assertEqual(isInProgress(game('b'), now), true, 'kicked off 1h ago');
+        assertEqual(isInProgress(game('c', { KickOffTime: hoursFromNow(1) }), now), false, 'not started');
+        assertEqual(isInProgress(game('d', { KickOffTime: new Date(now.getTime() - LIVE_WINDOW_MS).toISOString() }), now), false, 'window over');
+        assertEqual(isInProgress(game('e', { Status: 'finished', HomeScore: 1, AwayScore: 1 }), now), false, 'finished');
+        assertEqual(isInProgress(game('f', { Status: 'postponed' }), now), false, 'postponed');
+        const notMigrated = { toDate: () => new Date(now.getTime() - HOUR_MS) }; // Timestamp from before migrateSchema.js
+        assertEqual(isInProgress(game('g', { KickOffTime: notMigrated }), now), true, 'Timestamp kick-off');
+        assertEqual(getInProgressGames([game('a', { Status: 'live' }), game('c', { KickOffTime: hoursFromNow(1) }), game('b')], now).map(g => g.id), ['a', 'b'], 'filtered');
+    });
+
+    await check('Live scores from the provider and from admin-entered live games', () => {
+        assertEqual(toLiveScore(result()), { homeScore: 1, awayScore: 0, status: '2H', finished: false }, 'in play');
+        assertEqual(toLiveScore(result({ gameStatus: 'finished', status: 'FT' })).finished, true, 'full time');
+        assertEqual(toLiveScore(result({ homeScore: null, awayScore: null, status: 'NS' })), null, 'not started');
+        assertEqual(toLiveScore(result({ gameStatus: 'postponed' })), null, 'called off');
+        assertEqual(toLiveScore(null), null, 'failed lookup');
+        assertEqual(liveScoreFromGame(game('a', { Status: 'live', HomeScore: 2, AwayScore: 2 })), { homeScore: 2, awayScore: 2, status: null, finished: false }, 'admin score');
+        assertEqual(liveScoreFromGame(game('b', { HomeScore: 2, AwayScore: 2 })), null, 'not live');
+    });
+
+    printSubHeader('Projection');
+
+    const games = [
+        game('done', { Status: 'finished', HomeScore: 2, AwayScore: 0, KickOffTime: hoursFromNow(-26) }),
+        game('live', { Status: 'live' }),
+        game('later', { KickOffTime: hoursFromNow(2) }),
+    ];
+    const predictions = [
+        predict('ana', 'done', 2, 0),
+        predict('ana', 'live', 0, 2),
+        predict('ben', 'done', 1, 0),
+        predict('ben', 'live', 1, 0, true),
+        predict('ben', 'later', 1, 1),
+        predict('cam', 'live', 1, 0),
+    ];
+    const liveScores = { live: { homeScore: 1, awayScore: 0, status: '2H', finished: false }, done: { homeScore: 5, awayScore: 5 } };
+
+    await check('Only games without an official result are projected', () => {
+        const projected = projectLiveGames(games, liveScores);
+        assertEqual(projected[0], games[0], 'finished game untouched');
+        assertEqual([projected[1].Status, projected[1].HomeScore, projected[1].AwayScore, projected[1].Provisional], ['finished', 1, 0, true], 'live game');
+        assertEqual(projected[2], games[2], 'no live score');
+    });
+
+    await check('Projected ranks next to the official ones', () => {
+        const { rows } = projectLiveStandings(games, predictions, {}, liveScores);
+        assertEqual(rows.map(row => [row.userId, row.rank, row.officialRank, row.officialPoints, row.livePoints, row.totalPoints]), [
+            ['ben', 1, 2, 7, 20, 27],
+            ['ana', 2, 1, 10, 0, 10],
+            ['cam', 3, 3, 0, 10, 10],
+        ], 'rows');
+        assertEqual(rows[0].fechasWonCount, 1, 'fecha won if the score holds');
+    });
+
+    await check('Without live scores the projection is the official standings', () => {
+        const { rows } = projectLiveStandings(games, predictions, {}, {});
+        const official = calculatePlayerStats(games, predictions, {});
+        rows.forEach(row => {
+            assertEqual(row.totalPoints, official[row.userId].totalPoints, row.userId);
+            assertEqual(row.rank, row.officialRank, `${row.userId} rank`);
+        });
+    });
+
+    await check('Groups are projected among their members', () => {
+        const { rows } = projectLiveStandings(games, predictions, {}, liveScores, {}, ['ana', 'cam']);
+        assertEqual(rows.map(row => [row.userId, row.rank, row.officialRank]), [['ana', 1, 1], ['cam', 2, 2]], 'members');
+    });
+
+    await check('From the standings document only the fechas being played are needed', () => {
+        const season = [
+            ...games,
+            game('old', { Status: 'finished', HomeScore: 0, AwayScore: 0, Fecha: 'GW0', KickOffTime: hoursFromNow(-170) }),
+        ];
+        const seasonPredictions = [...predictions, predict('ana', 'old', 3, 3), predict('cam', 'old', 0, 0)];
+        const fechaGames = getLiveFechaGames(season, getInProgressGames(season, now));
+        assertEqual(fechaGames.map(g => g.id), ['done', 'live', 'later'], 'fecha games');
+
+        const standings = buildStandings('2025-26', season, seasonPredictions, {});
+        const fechaPredictions = seasonPredictions.filter(pred => fechaGames.some(g => g.id === pred.gameId));
+        [null, ['ana', 'cam']].forEach(memberIds => {
+            assertEqual(
+                projectLiveStandings(fechaGames, fechaPredictions, {}, liveScores, {}, memberIds, standings).rows,
+                projectLiveStandings(season, seasonPredictions, {}, liveScores, {}, memberIds).rows,
+                `rows (${memberIds ? 'group' : 'everyone'})`);
+        });
+    });
+
+    finish();
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error(`${colors.red}Fatal error during testing:${colors.reset}`, error);
+    process.exit(1);
+});
@@ -0,0 +1,124 @@
+/**
+ * Test Module for src/providers.js
+ *
+ * Offline checks (no API calls) of the JSON file provider with the bundled
+ * mock data (mock-data/thesportsdb-events.json), and of provider selection:
+ * - team and fixture search, incl. relative "daysFromNow" kick-offs
+ * - event lookup returns the same result shape as TheSportsDB (scores,
+ *   penalties, postponements)
+ * - listing a league round
+ * - getFixtureProvider / setFixtureProvider
+ *
+ * Usage:
+ *   node tests/testProviders.js
+ */
+
+import {
+    createJsonFileProvider,
+    getFixtureProvider,
+    setFixtureProvider,
+} from '../src/providers.js';
+import { printHeader, printSubHeader, check, assertEqual, finish, colors } from './testHelpers.js';
+
+async function runTests() {
+    printHeader('TESTING providers (JSON file provider)');
+
+    const provider = await createJsonFileProvider();
+
+    printSubHeader('Search');
+
+    await check('Known team is found (case-insensitive)', async () => {
+        assertEqual(await provider.searchTeam('barcelona'), { idTeam: '133739', strTeam: 'Barcelona', strBadge: null }, 'team');
+    });
+
+    await check('Unknown team returns null', async () => {
+        assertEqual(await provider.searchTeam('XYZ Nonexistent Team 12345'), null, 'team');
+    });
+
+    await check('Fixture search finds upcoming games in both team orders', async () => {
+        const fixtures = await provider.searchFixture('Real Madrid', 'Barcelona');
+        assertEqual(fixtures.map(f => f.thesportsdbEventId), ['9000001', '9000004'], 'event IDs (past game excluded)');
+        assertEqual(fixtures[0].League, 'La Liga', 'League');
+    });
+
+    await check('"daysFromNow" kick-offs are relative to today', async () => {
+        const [fixture] = await provider.searchFixture('Barcelona', 'Real Madrid');
+        const days = (new Date(fixture.KickOffTime) - Date.now()) / (24 * 60 * 60 * 1000);
+        if (days < 9 || days > 11) throw new Error(`kick-off is ${days.toFixed(1)} days away, expected ~10`);
+    });
+
+    printSubHeader('Event lookup');
+
+    await check('Finished event returns the final score', async () => {
+        const result = await provider.lookupEvent('9000012');
+        assertEqual([result.homeScore, result.awayScore, result.gameStatus, result.isFinished], [2, 1, 'finished', true], 'result');
+    });
+
+    await check('Penalty shoot-out returns the 90-minute score and winner', async () => {
+        const result = await provider.lookupEvent('9000021');
+        assertEqual([result.homeScore, result.awayScore, result.penaltyWinner], [1, 1, 'away'], 'score/penaltyWinner');
+    });
+
+    await check('Postponed event maps to postponed', async () => {
+        assertEqual((await provider.lookupEvent('9000013')).gameStatus, 'postponed', 'gameStatus');
+    });
+
+    await check('Unknown event returns null', async () => {
+        assertEqual(await provider.lookupEvent('1'), null, 'result');
+    });
+
+    printSubHeader('League rounds');
+
+    await check('Round lists its games sorted by kick-off', async () => {
+        const fixtures = await provider.listRound('4335', '2025-2026', 12);
+        assertEqual(fixtures.map(f => f.thesportsdbEventId), ['9000003', '9000002', '9000001'], 'event IDs');
+    });
+
+    await check('Unknown round is empty', async () => {
+        assertEqual(await provider.listRound('4335', '2025-2026', 99), [], 'fixtures');
+    });
+
+    printSubHeader('Provider selection');
+
+    await check('Inline data can be used as the source', async () => {
+        const inline = await createJsonFileProvider({
+            teams: [],
+            events: [{ idEvent: '1', strHomeTeam: 'A', strAwayTeam: 'B', strStatus: 'FT', intHomeScore: '0', intAwayScore: '3', strTimestamp: '2025-01-01T20:00:00' }],
+        });
+        assertEqual((await inline.lookupEvent('1')).awayScore, 3, 'awayScore');
+    });
+
+    await check('FIXTURE_PROVIDER selects the provider', async () => {
+        const previous = process.env.FIXTURE_PROVIDER;
+        process.env.FIXTURE_PROVIDER = 'json';
+        setFixtureProvider(null);
+        assertEqual((await getFixtureProvider()).name, 'json', 'json');
+        process.env.FIXTURE_PROVIDER = 'nope';
+        setFixtureProvider(null);
+        let message = null;
+        try {
+            await getFixtureProvider();
+        } catch (error) {
+            message = error.message;
+        }
+        if (!message) throw new Error('unknown provider name did not throw');
+        if (previous === undefined) delete process.env.FIXTURE_PROVIDER;
+        else process.env.FIXTURE_PROVIDER = previous;
+        setFixtureProvider(null);
+        assertEqual((await getFixtureProvider()).name, previous || 'thesportsdb', 'default');
+    });
+
+    await check('setFixtureProvider plugs in another data source', async () => {
+        setFixtureProvider({ name: 'custom' });
+        assertEqual((await getFixtureProvider()).name, 'custom', 'name');
+        setFixtureProvider(null);
+    });
+
+    finish();
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error(`${colors.red}Fatal error during testing:${colors.reset}`, error);
+    process.exit(1);
+});
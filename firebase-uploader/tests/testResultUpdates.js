@@ -0,0 +1,217 @@
+/**
+ * Test Module for src/resultUpdates.js
+ *
+ * Offline checks (no API or Firestore calls) of the decisions shared by the
+ * admin "Update All Results" button and updateResults.js:
+ * - which games are looked up
+ * - final scores (incl. knockout extra time / penalties)
+ * - postponed / cancelled / rescheduled games
+ * - re-running on an already updated game changes nothing
+ * - the reconciliation pass: amended scores are queued for review, kick-off sync
+ *
+ * Usage:
+ *   node tests/testResultUpdates.js
+ */
+
+import { shouldCheckGame, planResultUpdate, shouldReconcileGame, planReconciliation, shouldQueueReview } from '../src/resultUpdates.js';
+import { printHeader, printSubHeader, check, assertEqual, finish, colors } from './testHelpers.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date('2026-03-01T20:00:00.000Z');
+const hoursFromNow = (hours) => new Date(now.getTime() + hours * HOUR_MS).toISOString();
+
+function game(fields = {}) {
+    return {
+        HomeTeam: 'Barcelona',
+        AwayTeam: 'Real Madrid',
+        Status: 'upcoming',
+        KickOffTime: hoursFromNow(-3),
+        thesportsdbEventId: '1001',
+        ...fields,
+    };
+}
+
+function result(fields = {}) {
+    return {
+        homeScore: 2,
+        awayScore: 1,
+        extraTimeHomeScore: null,
+        extraTimeAwayScore: null,
+        penaltyWinner: null,
+        wentToExtraTime: false,
+        wentToPenalties: false,
+        status: 'Match Finished',
+        gameStatus: 'finished',
+        kickOffTime: hoursFromNow(-3),
+        isFinished: true,
+        ...fields,
+    };
+}
+
+async function runTests() {
+    printHeader('TESTING resultUpdates (shouldCheckGame / planResultUpdate)');
+
+    printSubHeader('Which games are looked up');
+
+    await check('Game without an event ID is skipped', () => {
+        assertEqual(shouldCheckGame(game({ thesportsdbEventId: null }), now).check, false, 'check');
+    });
+
+    await check('Game that kicked off is checked', () => {
+        assertEqual(shouldCheckGame(game(), now).check, true, 'check');
+    });
+
+    await check('Game kicking off within 48 hours is checked (postponements)', () => {
+        assertEqual(shouldCheckGame(game({ KickOffTime: hoursFromNow(24) }), now).check, true, 'check');
+    });
+
+    await check('Game kicking off next week is skipped', () => {
+        assertEqual(shouldCheckGame(game({ KickOffTime: hoursFromNow(24 * 7) }), now).check, false, 'check');
+    });
+
+    await check('Postponed game is always checked', () => {
+        assertEqual(shouldCheckGame(game({ Status: 'postponed', KickOffTime: hoursFromNow(24 * 7) }), now).check, true, 'check');
+    });
+
+    printSubHeader('Final scores');
+
+    await check('Finished game gets its score and status', () => {
+        const plan = planResultUpdate(game(), result(), now);
+        assertEqual(plan.type, 'finished', 'type');
+        assertEqual(plan.update, { HomeScore: 2, AwayScore: 1, Status: 'finished' }, 'update');
+    });
+
+    await check('Knockout game also gets extra time and the penalty winner', () => {
+        const plan = planResultUpdate(game({ Knockout: true }), result({
+            homeScore: 1, awayScore: 1, extraTimeHomeScore: 1, extraTimeAwayScore: 1,
+            penaltyWinner: 'away', wentToExtraTime: true, wentToPenalties: true,
+        }), now);
+        assertEqual(plan.update.PenaltyWinner, 'away', 'PenaltyWinner');
+        assertEqual([plan.update.ExtraTimeHomeScore, plan.update.ExtraTimeAwayScore], [1, 1], 'extra-time score');
+        assertEqual(plan.warnings, [], 'warnings');
+    });
+
+    await check('Unknown penalty winner is reported as a warning', () => {
+        const plan = planResultUpdate(game({ Knockout: true }), result({
+            homeScore: 0, awayScore: 0, wentToExtraTime: true, wentToPenalties: true,
+        }), now);
+        assertEqual(plan.type, 'finished', 'type');
+        assertEqual(plan.warnings.length, 1, 'warnings');
+    });
+
+    await check('Unknown 90-minute score needs a manual update', () => {
+        const plan = planResultUpdate(game(), result({ homeScore: null, awayScore: null }), now);
+        assertEqual(plan.type, 'manual', 'type');
+        assertEqual(plan.update, null, 'update');
+    });
+
+    await check('Failed lookup is an error', () => {
+        assertEqual(planResultUpdate(game(), null, now).type, 'error', 'type');
+    });
+
+    await check('Game still in play is left alone', () => {
+        const plan = planResultUpdate(game(), result({ isFinished: false, gameStatus: null, status: '2H' }), now);
+        assertEqual(plan.type, 'waiting', 'type');
+        assertEqual(plan.update, null, 'update');
+    });
+
+    printSubHeader('Postponed, cancelled and rescheduled');
+
+    await check('Postponed event marks the game postponed', () => {
+        const plan = planResultUpdate(game(), result({ isFinished: false, gameStatus: 'postponed', status: 'PST' }), now);
+        assertEqual(plan.type, 'called-off', 'type');
+        assertEqual(plan.update, { Status: 'postponed' }, 'update');
+    });
+
+    await check('Cancelled event marks the game cancelled', () => {
+        const plan = planResultUpdate(game(), result({ isFinished: false, gameStatus: 'cancelled', status: 'CANC' }), now);
+        assertEqual(plan.update, { Status: 'cancelled' }, 'update');
+    });
+
+    await check('Re-run on an already postponed game writes nothing', () => {
+        const plan = planResultUpdate(game({ Status: 'postponed' }), result({ isFinished: false, gameStatus: 'postponed' }), now);
+        assertEqual(plan.type, 'unchanged', 'type');
+        assertEqual(plan.update, null, 'update');
+    });
+
+    await check('Postponed game with a new date is rescheduled and reopened', () => {
+        const newKickOff = hoursFromNow(24 * 5);
+        const plan = planResultUpdate(game({ Status: 'postponed' }), result({
+            isFinished: false, gameStatus: null, status: 'Not Started', kickOffTime: newKickOff,
+        }), now);
+        assertEqual(plan.type, 'rescheduled', 'type');
+        assertEqual(plan.update, { KickOffTime: newKickOff, Status: 'upcoming' }, 'update');
+    });
+
+    await check('Same kick-off stored as a Timestamp-like value is not a reschedule', () => {
+        const kickOff = hoursFromNow(12);
+        const storedAsTimestamp = { toDate: () => new Date(kickOff) };
+        const plan = planResultUpdate(game({ KickOffTime: storedAsTimestamp }), result({
+            isFinished: false, gameStatus: null, status: 'Not Started', kickOffTime: kickOff,
+        }), now);
+        assertEqual(plan.type, 'waiting', 'type');
+    });
+
+    printSubHeader('Reconciliation');
+
+    const finishedGame = (fields = {}) => game({ id: 'g1', Status: 'finished', HomeScore: 2, AwayScore: 1, ...fields });
+
+    await check('Finished game from the last days is re-verified', () => {
+        assertEqual(shouldReconcileGame(finishedGame(), now), { check: true, kind: 'result' }, 'plan');
+    });
+
+    await check('Finished game older than the window is not', () => {
+        assertEqual(shouldReconcileGame(finishedGame({ KickOffTime: hoursFromNow(-24 * 10) }), now).check, false, 'check');
+    });
+
+    await check('Upcoming game next week gets its kick-off synced', () => {
+        assertEqual(shouldReconcileGame(game({ KickOffTime: hoursFromNow(24 * 7) }), now), { check: true, kind: 'kickoff' }, 'plan');
+    });
+
+    await check('Upcoming game within 48 hours is left to the update pass', () => {
+        assertEqual(shouldReconcileGame(game({ KickOffTime: hoursFromNow(24) }), now).check, false, 'check');
+    });
+
+    await check('Same score is confirmed', () => {
+        assertEqual(planReconciliation(finishedGame(), result()).type, 'match', 'type');
+    });
+
+    await check('Amended score is queued for review, not written', () => {
+        const plan = planReconciliation(finishedGame(), result({ homeScore: 2, awayScore: 2 }));
+        assertEqual(plan.type, 'discrepancy', 'type');
+        assertEqual(plan.review.fields, ['AwayScore'], 'fields');
+        assertEqual([plan.review.stored.AwayScore, plan.review.provider.AwayScore, plan.review.status], [1, 2, 'open'], 'stored/provider/status');
+        assertEqual(plan.update, undefined, 'update');
+    });
+
+    await check('Knockout games also compare the penalty winner', () => {
+        const plan = planReconciliation(finishedGame({ Knockout: true, HomeScore: 1, AwayScore: 1, ExtraTimeHomeScore: 1, ExtraTimeAwayScore: 1, PenaltyWinner: 'home' }),
+            result({ homeScore: 1, awayScore: 1, extraTimeHomeScore: 1, extraTimeAwayScore: 1, penaltyWinner: 'away' }));
+        assertEqual(plan.review.fields, ['PenaltyWinner'], 'fields');
+    });
+
+    await check('Provider without a final score needs a manual check', () => {
+        assertEqual(planReconciliation(finishedGame(), result({ isFinished: false, gameStatus: null })).type, 'manual', 'type');
+    });
+
+    await check('Failed reconciliation lookup is an error', () => {
+        assertEqual(planReconciliation(finishedGame(), null).type, 'error', 'type');
+    });
+
+    await check('The same discrepancy is not queued twice', () => {
+        const { review } = planReconciliation(finishedGame(), result({ homeScore: 3 }));
+        assertEqual(shouldQueueReview(null, review), true, 'new');
+        assertEqual(shouldQueueReview({ ...review, status: 'open' }, review), false, 'open');
+        assertEqual(shouldQueueReview({ ...review, status: 'dismissed' }, review), false, 'dismissed');
+        const { review: newer } = planReconciliation(finishedGame(), result({ homeScore: 4 }));
+        assertEqual(shouldQueueReview({ ...review, status: 'dismissed' }, newer), true, 'provider changed again');
+    });
+
+    finish();
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error(`${colors.red}Fatal error during testing:${colors.reset}`, error);
+    process.exit(1);
+});
@@ -0,0 +1,107 @@
+/**
+ * Test Module for src/roundImport.js
+ *
+ * Offline checks (no API or Firestore calls) of the admin "Import League Round"
+ * planning:
+ * - game documents get the Fecha, season, League and thesportsdbEventId
+ * - games already in Firestore are skipped (by event ID, or same teams and day)
+ * - games that already kicked off are not selected by default
+ *
+ * Usage:
+ *   node tests/testRoundImport.js
+ */
+
+import { planRoundImport, isSameFixture } from '../src/roundImport.js';
+import { createJsonFileProvider } from '../src/providers.js';
+import { printHeader, printSubHeader, check, assertEqual, finish, colors } from './testHelpers.js';
+
+const now = new Date('2026-03-01T12:00:00.000Z');
+const roundFields = { Fecha: 'GW14', season: '2025-26', Stage: 'regular', Multiplier: 1 };
+
+function fixture(fields = {}) {
+    return {
+        HomeTeam: 'Arsenal',
+        AwayTeam: 'Chelsea',
+        KickOffTime: '2026-03-07T15:00:00.000Z',
+        Status: 'upcoming',
+        League: 'Premier League',
+        thesportsdbEventId: '2001',
+        HomeScore: null,
+        AwayScore: null,
+        Fecha: null,
+        ...fields,
+    };
+}
+
+async function runTests() {
+    printHeader('TESTING roundImport (planRoundImport)');
+
+    printSubHeader('Game documents');
+
+    await check('Game gets the round fields and the event ID', () => {
+        const [entry] = planRoundImport([fixture()], [], roundFields, now);
+        assertEqual(entry.game, {
+            HomeTeam: 'Arsenal',
+            AwayTeam: 'Chelsea',
+            KickOffTime: '2026-03-07T15:00:00.000Z',
+            League: 'Premier League',
+            Status: 'upcoming',
+            HomeScore: null,
+            AwayScore: null,
+            thesportsdbEventId: '2001',
+            Fecha: 'GW14',
+            season: '2025-26',
+            Stage: 'regular',
+            Multiplier: 1,
+        }, 'game');
+        assertEqual(entry.selected, true, 'selected');
+    });
+
+    await check('Timestamp-like kick-offs are stored as ISO strings', () => {
+        const kickOff = { toDate: () => new Date('2026-03-07T15:00:00.000Z') };
+        const [entry] = planRoundImport([fixture({ KickOffTime: kickOff })], [], roundFields, now);
+        assertEqual(entry.game.KickOffTime, '2026-03-07T15:00:00.000Z', 'KickOffTime');
+    });
+
+    printSubHeader('Already imported');
+
+    await check('Game with the same event ID is skipped', () => {
+        const [entry] = planRoundImport([fixture()], [{ ...fixture(), Fecha: 'GW14' }], roundFields, now);
+        assertEqual([entry.alreadyImported, entry.selected], [true, false], 'alreadyImported/selected');
+    });
+
+    await check('Game added by hand (no event ID) is matched by teams and day', () => {
+        const manual = { HomeTeam: 'arsenal', AwayTeam: 'Chelsea', KickOffTime: '2026-03-07T17:30:00.000Z' };
+        assertEqual(isSameFixture(manual, fixture()), true, 'same day');
+        assertEqual(isSameFixture({ ...manual, KickOffTime: '2026-03-08T15:00:00.000Z' }, fixture()), false, 'other day');
+    });
+
+    await check('Different event IDs are different games', () => {
+        assertEqual(isSameFixture(fixture({ thesportsdbEventId: '2002' }), fixture()), false, 'same');
+    });
+
+    printSubHeader('Kick-off');
+
+    await check('Game that already kicked off is not selected', () => {
+        const [entry] = planRoundImport([fixture({ KickOffTime: '2026-02-28T15:00:00.000Z' })], [], roundFields, now);
+        assertEqual([entry.started, entry.selected], [true, false], 'started/selected');
+    });
+
+    printSubHeader('With the JSON provider');
+
+    await check('Mock La Liga round skips the game already imported', async () => {
+        const provider = await createJsonFileProvider();
+        const fixtures = await provider.listRound('4335', '2025-2026', 12);
+        const plan = planRoundImport(fixtures, [{ thesportsdbEventId: '9000001' }], roundFields);
+        assertEqual(plan.map(entry => entry.alreadyImported), [false, false, true], 'alreadyImported');
+        assertEqual(plan.filter(entry => entry.selected).length, 2, 'selected');
+    });
+
+    finish();
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error(`${colors.red}Fatal error during testing:${colors.reset}`, error);
+    process.exit(1);
+});
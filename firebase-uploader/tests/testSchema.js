@@ -0,0 +1,199 @@
+/**
+ * Test Module for src/schema.js
+ *
+ * Offline checks (no Firestore calls) of the canonical game/prediction schema:
+ * - canonical documents pass the validator, legacy shapes are reported
+ * - migrating rewrites lowercase field names, statuses, Timestamp kick-offs
+ *   and text scores, and lists every change for the dry-run diff
+ * - migrating a canonical document changes nothing
+ *
+ * Usage:
+ *   node tests/testSchema.js
+ */
+
+import {
+    validateGame,
+    validatePrediction,
+    migrateGame,
+    migratePrediction,
+    formatChanges,
+} from '../src/schema.js';
+import { printHeader, printSubHeader, check, assertEqual, finish, colors } from './testHelpers.js';
+
+// Same shape as a Firestore Timestamp (admin and web SDK)
+class FakeTimestamp {
+    constructor(date) {
+        this.seconds = Math.floor(date.getTime() / 1000);
+        this.nanoseconds = (date.getTime() % 1000) * 1e6;
+    }
+
+    toDate() {
+        return new Date(this.seconds * 1000 + this.nanoseconds / 1e6);
+    }
+}
+
+const canonicalGame = {
+    HomeTeam: 'Lazio',
+    AwayTeam: 'Roma',
+    KickOffTime: '2025-08-23T18:45:00.000Z',
+    Status: 'finished',
+    Fecha: 'GW1',
+    League: 'Serie A',
+    season: '2025-26',
+    HomeScore: 2,
+    AwayScore: 1,
+    Stage: 'regular',
+    Multiplier: 1,
+};
+
+const canonicalPrediction = {
+    userId: 'u1',
+    playerName: 'Ana',
+    gameId: 'g1',
+    predictedHomeScore: 2,
+    predictedAwayScore: 1,
+    joker: false,
+    timestamp: new FakeTimestamp(new Date('2025-08-22T10:00:00.000Z')),
+};
+
+async function runTests() {
+    printHeader('TESTING schema (validator and migration)');
+
+    printSubHeader('Validator');
+
+    await check('Canonical games and predictions are valid', () => {
+        assertEqual(validateGame(canonicalGame), [], 'game');
+        assertEqual(validateGame({ ...canonicalGame, season: undefined, Status: 'upcoming', HomeScore: null, AwayScore: null }), [], 'no-season upcoming game');
+        assertEqual(validatePrediction(canonicalPrediction), [], 'prediction');
+    });
+
+    await check('Legacy games are reported field by field', () => {
+        const errors = validateGame({
+            HomeTeam: 'Lazio',
+            AwayTeam: 'Roma',
+            KickOffTime: new FakeTimestamp(new Date('2025-08-23T18:45:00.000Z')),
+            Status: 'Finished',
+            HomeScore: '2',
+            homeScore: 2,
+        });
+        assertEqual(errors, [
+            'KickOffTime is a Timestamp, expected a UTC ISO string like 2025-08-23T18:45:00.000Z',
+            'Status "Finished" is not one of upcoming, live, finished, postponed, cancelled, abandoned',
+            'HomeScore "2" is not a whole number >= 0',
+            'homeScore should be HomeScore',
+        ], 'errors');
+    });
+
+    await check('Missing teams, short kick-off strings and bad predictions are reported', () => {
+        assertEqual(validateGame({ ...canonicalGame, AwayTeam: undefined, KickOffTime: '2025-08-23T18:45:00Z' }), [
+            'AwayTeam is missing',
+            'KickOffTime "2025-08-23T18:45:00Z", expected a UTC ISO string like 2025-08-23T18:45:00.000Z',
+        ], 'game');
+        assertEqual(validateGame({ ...canonicalGame, AwayScore: null }), ['finished games need HomeScore and AwayScore'], 'finished without score');
+        assertEqual(validatePrediction({ ...canonicalPrediction, predictedAwayScore: -1, joker: 'yes', predictedQualifier: 'draw' }), [
+            'predictedAwayScore -1 is not a whole number >= 0',
+            'joker "yes" is not true or false',
+            'predictedQualifier "draw" is not one of home, away',
+        ], 'prediction');
+    });
+
+    printSubHeader('Migration');
+
+    await check('Legacy games are rewritten into the canonical schema', () => {
+        const { data, changes } = migrateGame({
+            homeTeam: 'Lazio',
+            awayTeam: 'Roma',
+            kickOffTime: '2025-08-23T18:45:00Z',
+            status: 'Finished',
+            fecha: 'GW1',
+            League: 'Serie A',
+            season: '2025-26',
+            homeScore: '2',
+            AwayScore: 1,
+            multiplier: '2',
+            knockout: 'false',
+            Stage: '',
+        });
+        assertEqual(data, {
+            League: 'Serie A',
+            season: '2025-26',
+            AwayScore: 1,
+            Stage: null,
+            HomeTeam: 'Lazio',
+            AwayTeam: 'Roma',
+            KickOffTime: '2025-08-23T18:45:00.000Z',
+            Status: 'finished',
+            Fecha: 'GW1',
+            HomeScore: 2,
+            Multiplier: 2,
+            Knockout: false,
+        }, 'migrated game');
+        assertEqual(validateGame(data), [], 'valid after migration');
+        assertEqual(changes.length, 17, 'every renamed, removed and converted field is listed');
+    });
+
+    await check('Kick-offs without a time zone are read as UTC, whatever the local zone', () => {
+        const localZone = process.env.TZ;
+        process.env.TZ = 'America/Sao_Paulo';
+        try {
+            const kickOffs = ['2025-08-23T18:45:00', '2025-08-23 18:45', '2025-08-23T18:45:00Z', '2025-08-23T15:45:00-03:00']
+                .map(kickOffTime => migrateGame({ ...canonicalGame, KickOffTime: kickOffTime }).data.KickOffTime);
+            assertEqual(kickOffs, Array(4).fill('2025-08-23T18:45:00.000Z'), 'UTC kick-offs');
+            assertEqual(migrateGame({ ...canonicalGame, KickOffTime: '2025-08-23' }).data.KickOffTime, '2025-08-23T00:00:00.000Z', 'date only');
+        } finally {
+            if (localZone === undefined) delete process.env.TZ;
+            else process.env.TZ = localZone;
+        }
+    });
+
+    await check('Timestamp kick-offs become ISO strings; the canonical field wins', () => {
+        const { data, changes } = migrateGame({
+            ...canonicalGame,
+            KickOffTime: new FakeTimestamp(new Date('2025-08-23T18:45:00.000Z')),
+            Status: 'finished',
+            homeScore: 5,
+        });
+        assertEqual([data.KickOffTime, data.HomeScore, 'homeScore' in data], ['2025-08-23T18:45:00.000Z', 2, false], 'migrated');
+        assertEqual(formatChanges(changes), [
+            'KickOffTime: Timestamp(2025-08-23T18:45:00.000Z) -> "2025-08-23T18:45:00.000Z"',
+            'homeScore: 5 -> (removed)',
+        ], 'diff');
+    });
+
+    await check('Predictions get numbers, booleans and Timestamps', () => {
+        const { data, changes } = migratePrediction({
+            userId: 'u1',
+            gameId: 'g1',
+            playerName: 'Ana',
+            predictedHomeScore: '3',
+            predictedAwayScore: 0,
+            joker: 'true',
+            predictedQualifier: '',
+            timestamp: '2025-08-22T10:00:00.000Z',
+        }, date => new FakeTimestamp(date));
+        assertEqual([data.predictedHomeScore, data.joker, data.predictedQualifier], [3, true, null], 'values');
+        assertEqual(data.timestamp instanceof FakeTimestamp, true, 'timestamp');
+        assertEqual(changes.map(change => change.field), ['predictedHomeScore', 'joker', 'predictedQualifier', 'timestamp'], 'changed fields');
+        assertEqual(validatePrediction(data), [], 'valid after migration');
+    });
+
+    await check('Canonical documents are left alone (the migration can run twice)', () => {
+        assertEqual(migrateGame(canonicalGame).changes, [], 'game');
+        assertEqual(migratePrediction(canonicalPrediction).changes, [], 'prediction');
+        assertEqual(migrateGame(migrateGame({ status: 'Live', homeTeam: 'Lazio' }).data).changes, [], 'second run');
+    });
+
+    await check('Values that cannot be fixed are kept for the validator to report', () => {
+        const { data } = migrateGame({ ...canonicalGame, KickOffTime: 'next Sunday', HomeScore: 'two' });
+        assertEqual([data.KickOffTime, data.HomeScore], ['next Sunday', 'two'], 'kept');
+        assertEqual(validateGame(data).length, 2, 'still invalid');
+    });
+
+    finish();
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error(`${colors.red}Fatal error during testing:${colors.reset}`, error);
+    process.exit(1);
+});
@@ -0,0 +1,235 @@
+/**
+ * Test Module for src/standings.js
+ *
+ * Offline checks (no Firestore calls) of the materialised season standings:
+ * - the totals and fechas won match calculatePlayerStats, for everyone and for a group
+ * - recomputing one fecha after a result change gives the same standings as a full rebuild
+ * - refreshStandings reads only the affected fechas through the store, and a
+ *   game moved to another fecha updates both
+ * - calculateRankProgression ranks the same per-fecha scores after each fecha (and
+ *   standingsRankProgression from the standings document alone), and
+ *   calculatePlayerProgression charts a player's season from them
+ *
+ * Usage:
+ *   node tests/testStandings.js
+ */
+
+import {
+    NO_FECHA,
+    standingsDocId,
+    buildStandings,
+    summarizeStandings,
+    standingsPlayerNames,
+    updateStandingsFecha,
+    affectedFechas,
+    refreshStandings,
+    standingsRankProgression,
+} from '../src/standings.js';
+import { calculatePlayerStats, calculateRankProgression, calculatePlayerProgression, rankPlayers, getPlayerNames } from '../../js/calculations.js';
+import { printHeader, printSubHeader, check, assertEqual, finish, colors } from './testHelpers.js';
+
+const SEASON = '2025-26';
+
+const game = (id, Fecha, KickOffTime, HomeScore, AwayScore, extra = {}) => ({
+    id,
+    HomeTeam: `Home ${id}`,
+    AwayTeam: `Away ${id}`,
+    KickOffTime,
+    Status: HomeScore === null ? 'upcoming' : 'finished',
+    Fecha,
+    season: SEASON,
+    HomeScore,
+    AwayScore,
+    ...extra,
+});
+
+const games = [
+    game('g1', 'GW1', '2025-08-23T18:45:00.000Z', 2, 1),
+    game('g2', 'GW1', '2025-08-24T18:45:00.000Z', 0, 0),
+    game('g3', 'GW2', '2025-08-30T18:45:00.000Z', 1, 3, { Stage: 'final' }),
+    game('g4', 'GW2', '2025-08-31T18:45:00.000Z', null, null),
+    game('g5', null, '2025-09-02T18:45:00.000Z', 1, 0),
+];
+
+const predict = (userId, playerName, gameId, predictedHomeScore, predictedAwayScore, joker = false) =>
+    ({ userId, playerName, gameId, predictedHomeScore, predictedAwayScore, joker });
+
+const predictions = [
+    predict('ana', 'Ana', 'g1', 2, 1, true),
+    predict('ana', 'Ana', 'g2', 1, 0, true),     // second joker in GW1: does not count
+    predict('ana', 'Ana', 'g3', 0, 2),
+    predict('ana', 'Ana', 'g5', 1, 0),
+    predict('ben', 'Ben', 'g1', 1, 0),
+    predict('ben', 'Ben', 'g2', 0, 0),
+    predict('ben', 'Benjamin', 'g3', 1, 3),
+    predict('cam', 'Cam', 'g1', 3, 0),
+    predict('cam', 'Cam', 'g4', 2, 2),          // only an upcoming game: listed with 0 points
+];
+
+const scoringProfiles = { [SEASON]: { outcome: 3, homeGoals: 1, awayGoals: 1, goalDifference: 1, exactScore: 2 } };
+
+/**
+ * In-memory store for refreshStandings that records what was read
+ */
+function createMemoryStore(storedGames, storedPredictions) {
+    const store = {
+        docs: {},
+        reads: [],
+        async getFechaGames(season, fecha) {
+            store.reads.push(`${season}|${fecha}`);
+            return storedGames.filter(g => (g.season || null) === season && (g.Fecha || null) === fecha);
+        },
+        async getPredictions(gameIds) {
+            return storedPredictions.filter(pred => gameIds.includes(pred.gameId));
+        },
+        async updateStandings(docId, update) {
+            store.docs[docId] = { ...update(store.docs[docId] || null), updatedAt: 'now' };
+        },
+    };
+    return store;
+}
+
+async function runTests() {
+    printHeader('TESTING standings (materialised season leaderboard)');
+
+    printSubHeader('Full build');
+
+    const standings = buildStandings(SEASON, games, predictions, scoringProfiles);
+
+    await check('Totals and fechas won match calculatePlayerStats', () => {
+        const expected = calculatePlayerStats(games, predictions, scoringProfiles);
+        const totals = Object.fromEntries(Object.entries(standings.players).map(([userId, { playerName, ...stats }]) => [userId, stats]));
+        assertEqual(totals, expected, 'players');
+        assertEqual(summarizeStandings(standings), expected, 'summarizeStandings');
+    });
+
+    await check('Groups are ranked from the per-fecha scores', () => {
+        assertEqual(summarizeStandings(standings, ['ana', 'cam']), calculatePlayerStats(games, predictions, scoringProfiles, ['ana', 'cam']), 'ana + cam');
+        assertEqual(summarizeStandings(standings, []), {}, 'empty group');
+    });
+
+    await check('One entry per fecha; games without a Fecha never win one', () => {
+        assertEqual(Object.keys(standings.fechas).sort(), ['GW1', 'GW2', NO_FECHA], 'fechas');
+        assertEqual(standings.fechas.GW2.lastKickOff, '2025-08-31T18:45:00.000Z', 'lastKickOff');
+        assertEqual(standings.fechas.GW2.players.cam, { playerName: 'Cam', points: 0, perfect: 0, played: 0 }, 'upcoming only');
+        const onlyNoFecha = buildStandings(SEASON, [games[4]], predictions, scoringProfiles);
+        assertEqual(onlyNoFecha.players.ana.fechasWonCount, 0, 'no fecha win');
+    });
+
+    await check('Latest player name wins; document ids are safe', () => {
+        assertEqual(standingsPlayerNames(standings).ben, 'Benjamin', 'renamed player');
+        assertEqual(standings.players.ben.playerName, 'Benjamin', 'players');
+        assertEqual([standingsDocId('2025/26'), standingsDocId(null), standingsDocId(SEASON)], ['2025%2F26', '_noSeason', SEASON], 'ids');
+    });
+
+    printSubHeader('Incremental updates');
+
+    await check('Recomputing the changed fecha equals a full rebuild', () => {
+        const finishedGames = games.map(g => (g.id === 'g4' ? { ...g, Status: 'finished', HomeScore: 2, AwayScore: 2 } : g));
+        const updated = updateStandingsFecha(standings, SEASON, 'GW2', finishedGames.filter(g => g.Fecha === 'GW2'), predictions, scoringProfiles);
+        assertEqual(updated, buildStandings(SEASON, finishedGames, predictions, scoringProfiles), 'standings');
+        assertEqual(updated.fechas.GW1, standings.fechas.GW1, 'other fechas kept');
+    });
+
+    await check('A fecha without games is removed', () => {
+        const updated = updateStandingsFecha(standings, SEASON, null, [], [], scoringProfiles);
+        assertEqual(NO_FECHA in updated.fechas, false, 'removed');
+        assertEqual(updated.players.ana.totalPoints < standings.players.ana.totalPoints, true, 'totals');
+    });
+
+    await check('refreshStandings reads only the affected fechas', async () => {
+        const store = createMemoryStore(games, predictions);
+        store.docs[SEASON] = standings;
+        const corrected = games.map(g => (g.id === 'g1' ? { ...g, HomeScore: 3, AwayScore: 0 } : g));
+        const storeAfter = createMemoryStore(corrected, predictions);
+        storeAfter.docs[SEASON] = standings;
+        const written = await refreshStandings(storeAfter, affectedFechas([games[0]]), scoringProfiles);
+        assertEqual(written, [SEASON], 'written');
+        assertEqual(storeAfter.reads, [`${SEASON}|GW1`], 'reads');
+        const { updatedAt, ...stored } = storeAfter.docs[SEASON];
+        assertEqual(stored, buildStandings(SEASON, corrected, predictions, scoringProfiles), 'standings');
+    });
+
+    await check('A game moved to another fecha and season updates both', async () => {
+        const before = games[2];
+        const after = { ...before, Fecha: 'GW1', season: '2026-27' };
+        assertEqual(affectedFechas([before, after, null, before]), [
+            { season: SEASON, fecha: 'GW2' },
+            { season: '2026-27', fecha: 'GW1' },
+        ], 'affected');
+
+        const moved = games.map(g => (g.id === before.id ? after : g));
+        const store = createMemoryStore(moved, predictions);
+        store.docs[SEASON] = standings;
+        const written = await refreshStandings(store, affectedFechas([before, after]), scoringProfiles);
+        assertEqual(written, [SEASON, '2026-27'], 'written');
+        assertEqual(store.docs['2026-27'].fechas.GW1.players.ben.points > 0, true, 'new season');
+        const { updatedAt, ...stored } = store.docs[SEASON];
+        assertEqual(stored, buildStandings(SEASON, moved.filter(g => g.season === SEASON), predictions, scoringProfiles), 'old season');
+    });
+
+    printSubHeader('Rank progression');
+
+    await check('Cumulative ranks after each fecha, in kick-off order', () => {
+        const reversed = [...games].reverse();
+        const progression = calculateRankProgression(reversed, predictions, scoringProfiles);
+        assertEqual(progression.map(step => step.fecha), ['GW1', 'GW2'], 'fechas');
+        assertEqual(progression[0].ranks, { ana: 1, ben: 2, cam: 3 }, 'after GW1');
+        assertEqual(progression[0].totals, { ana: 17, ben: 12, cam: 3 }, 'GW1 totals');
+        assertEqual(progression[1].totals, { ana: 21, ben: 20, cam: 3 }, 'GW2 totals');
+        assertEqual(progression[1].ranks, { ana: 1, ben: 2, cam: 3 }, 'after GW2');
+    });
+
+    await check('The last fecha ranks like the leaderboard (games without a Fecha aside)', () => {
+        const withFecha = games.filter(g => g.Fecha);
+        const names = standingsPlayerNames(standings);
+        const leaderboard = rankPlayers(calculatePlayerStats(withFecha, predictions, scoringProfiles, ['ana', 'ben']), names);
+        const progression = calculateRankProgression(withFecha, predictions, scoringProfiles, ['ana', 'ben'], names);
+        assertEqual(progression[progression.length - 1].ranks, Object.fromEntries(leaderboard.map(([userId], index) => [userId, index + 1])), 'group ranks');
+        assertEqual(calculateRankProgression(games.filter(g => g.Status !== 'finished'), predictions, scoringProfiles), [], 'nothing played');
+    });
+
+    await check('The standings document gives the same rank progression', () => {
+        const names = standingsPlayerNames(standings);
+        assertEqual(standingsRankProgression(standings, null, names), calculateRankProgression(games, predictions, scoringProfiles, null, names), 'everyone');
+        assertEqual(standingsRankProgression(standings, ['ben', 'cam'], names), calculateRankProgression(games, predictions, scoringProfiles, ['ben', 'cam'], names), 'group');
+        assertEqual(standingsRankProgression(null), [], 'no standings');
+    });
+
+    await check('Tied players are ordered by their latest player name', () => {
+        const names = getPlayerNames([
+            { userId: 'u1', playerName: 'Zoe', timestamp: '2026-01-01T10:00:00.000Z' },
+            { userId: 'u1', playerName: 'Abe', timestamp: '2026-02-01T10:00:00.000Z' },
+            { userId: 'u2', playerName: 'Bea', timestamp: '2026-01-15T10:00:00.000Z' },
+            { userId: 'u3', timestamp: '2026-01-15T10:00:00.000Z' },
+        ]);
+        assertEqual(names, { u1: 'Abe', u2: 'Bea', u3: 'u3' }, 'names');
+        const tied = { totalPoints: 5, fechasWonCount: 0, perfectScoresCount: 0 };
+        assertEqual(rankPlayers({ u2: tied, u1: tied }, names).map(([userId]) => userId), ['u1', 'u2'], 'order');
+    });
+
+    await check('Player history charts: points vs average and leader, histogram, hit rate', () => {
+        const { fechas, pointsHistogram } = calculatePlayerProgression(games, predictions, scoringProfiles, 'ana');
+        assertEqual(fechas, [
+            { fecha: 'GW1', points: 17, average: 10.7, leader: 17, hitRate: 50, overallHitRate: 50 },
+            { fecha: 'GW2', points: 21, average: 14.7, leader: 21, hitRate: 100, overallHitRate: 67 },
+        ], 'fechas');
+        assertEqual(pointsHistogram, [0, 1, 0, 0, 1, 0, 0, 0, 2, 0, 0], 'points before the joker, games without a Fecha included');
+        const cam = calculatePlayerProgression(games, predictions, scoringProfiles, 'cam', ['ben', 'cam']);
+        assertEqual(cam.fechas.map(step => [step.points, step.leader, step.hitRate]), [[3, 12, 100], [3, 20, null]], 'group');
+    });
+
+    await check('Player history histogram rounds fractional profile points', () => {
+        const fractional = { [SEASON]: { outcome: 2.5, homeGoals: 0.5, awayGoals: 0.5, goalDifference: 0.5, exactScore: 1 } };
+        const { pointsHistogram } = calculatePlayerProgression(games, predictions, fractional, 'ana');
+        assertEqual(pointsHistogram, [0, 1, 0, 1, 0, 2, 0, 0, 0, 0, 0], '0.5 -> 1, 3 -> 3, 5 -> 5');
+    });
+
+    finish();
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error(`${colors.red}Fatal error during testing:${colors.reset}`, error);
+    process.exit(1);
+});
@@ -0,0 +1,105 @@
+/**
+ * Test Module for src/teamAliases.js
+ *
+ * Offline checks of the team alias registry:
+ * - name normalisation (case, accents, punctuation)
+ * - resolving aliases and provider names to the canonical team
+ * - provider names for fixture search, logos for index.html
+ * - alias suggestions written back by checkTeamNames.js
+ *
+ * Usage:
+ *   node tests/testTeamAliases.js
+ */
+
+import { normalizeTeamName, createTeamRegistry, suggestAliasUpdate } from '../src/teamAliases.js';
+import { createJsonFileProvider } from '../src/providers.js';
+import { printHeader, printSubHeader, check, assertEqual, finish, colors } from './testHelpers.js';
+
+const teams = [
+    {
+        id: 'atletico_madrid',
+        name: 'Atlético Madrid',
+        aliases: ['Atleti'],
+        providerNames: { thesportsdb: 'Atletico Madrid' },
+        logoUrl: 'https://example.com/atletico.png',
+    },
+    { id: 'brighton_hove_albion', name: 'Brighton and Hove Albion', aliases: ['Brighton'], logoUrl: 'https://example.com/brighton.png' },
+    { id: 'manchester_united', name: 'Manchester United', aliases: ['Man Utd'] },
+];
+
+async function runTests() {
+    printHeader('TESTING teamAliases (alias registry)');
+
+    const registry = createTeamRegistry(teams);
+
+    printSubHeader('Normalisation');
+
+    await check('Case, accents and punctuation are ignored', () => {
+        assertEqual(normalizeTeamName('  Atlético  Madrid '), 'atletico madrid', 'accents');
+        assertEqual(normalizeTeamName('Brighton & Hove Albion'), normalizeTeamName('brighton and hove albion'), '&');
+        assertEqual(normalizeTeamName(null), '', 'null');
+    });
+
+    printSubHeader('Resolving');
+
+    await check('Aliases and provider names resolve to the canonical team', () => {
+        assertEqual(registry.resolve('Atleti').id, 'atletico_madrid', 'alias');
+        assertEqual(registry.canonicalName('Atletico Madrid'), 'Atlético Madrid', 'provider name');
+        assertEqual(registry.canonicalName('man utd'), 'Manchester United', 'alias, other case');
+    });
+
+    await check('Unknown teams are passed through unchanged', () => {
+        assertEqual(registry.resolve('Getafe'), null, 'resolve');
+        assertEqual([registry.canonicalName('Getafe'), registry.providerName('Getafe')], ['Getafe', 'Getafe'], 'names');
+    });
+
+    await check('Fixture search uses the provider spelling', () => {
+        assertEqual(registry.providerName('Atleti'), 'Atletico Madrid', 'providerNames.thesportsdb');
+        assertEqual(registry.providerName('Man Utd'), 'Manchester United', 'falls back to the canonical name');
+    });
+
+    await check('Logos are found under any spelling', () => {
+        assertEqual(registry.logoUrl('ATLETICO MADRID'), 'https://example.com/atletico.png', 'provider name');
+        assertEqual(registry.logoUrl('Brighton & Hove Albion'), 'https://example.com/brighton.png', 'punctuation');
+        assertEqual(registry.logoUrl('Manchester United'), null, 'no logo');
+    });
+
+    await check('A canonical name wins over another team\'s alias', () => {
+        const clash = createTeamRegistry([{ id: 'a', name: 'Inter', aliases: ['Milan'] }, { id: 'b', name: 'Milan' }]);
+        assertEqual(clash.resolve('Milan').id, 'b', 'Milan');
+    });
+
+    printSubHeader('Suggestions (checkTeamNames.js --write-aliases)');
+
+    await check('Provider spelling is suggested as provider name and alias', () => {
+        assertEqual(suggestAliasUpdate({ name: 'Deportivo Alavés' }, 'Alaves'), {
+            providerNames: { thesportsdb: 'Alaves' },
+            aliases: ['Alaves'],
+        }, 'suggestion');
+    });
+
+    await check('Nothing is suggested when the alias is already registered', () => {
+        assertEqual(suggestAliasUpdate({ ...teams[0], aliases: ['Atleti', 'Atletico Madrid'] }, 'Atletico Madrid'), null, 'suggestion');
+    });
+
+    await check('Existing aliases are kept', () => {
+        const suggestion = suggestAliasUpdate(teams[1], 'Brighton and Hove');
+        assertEqual(suggestion.aliases, ['Brighton', 'Brighton and Hove'], 'aliases');
+    });
+
+    printSubHeader('With the JSON provider');
+
+    await check('Searching a local spelling finds the provider fixture', async () => {
+        const provider = await createJsonFileProvider();
+        const fixtures = await provider.searchFixture(registry.providerName('Atleti'), 'Sevilla');
+        assertEqual(fixtures.map(f => registry.canonicalName(f.HomeTeam)), ['Atlético Madrid'], 'HomeTeam');
+    });
+
+    finish();
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error(`${colors.red}Fatal error during testing:${colors.reset}`, error);
+    process.exit(1);
+});
@@ -0,0 +1,230 @@
+/**
+ * Test Module for updateResults.js (server-side result updater)
+ *
+ * Runs the CLI against the Firestore emulator with TheSportsDB replaced by a
+ * local stub server, and verifies:
+ * - --dry-run reports the planned updates without writing
+ * - scores, postponements and reschedules are written
+ * - a second run is a no-op (idempotent)
+ * - the reconciliation pass queues amended results for review (without
+ *   overwriting them) and syncs kick-offs of games further ahead
+ * - the season standings are recomputed for the written games
+ * - the JSON summary (stdout and --report) and the exit code on errors
+ *
+ * Usage (starts and stops the emulator):
+ *   npm run test:updater
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import admin from 'firebase-admin';
+import { printHeader, printSubHeader, check, assertEqual, finish, colors } from './testHelpers.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const UPDATER_PATH = path.join(__dirname, '..', 'updateResults.js');
+const PROJECT_ID = 'demo-ea-predictor';
+
+const HOUR_MS = 60 * 60 * 1000;
+const threeHoursAgo = new Date(Date.now() - 3 * HOUR_MS).toISOString();
+// TheSportsDB strTimestamp format, whole minutes (five days from now)
+const rescheduledKickOff = new Date(Math.floor((Date.now() + 5 * 24 * HOUR_MS) / 60000) * 60000);
+const rescheduledStrTimestamp = rescheduledKickOff.toISOString().slice(0, 19);
+const yesterday = new Date(Date.now() - 24 * HOUR_MS).toISOString();
+const tenDaysAhead = new Date(Date.now() + 10 * 24 * HOUR_MS).toISOString();
+const movedKickOff = new Date(Math.floor((Date.now() + 11 * 24 * HOUR_MS) / 60000) * 60000);
+
+// Stubbed TheSportsDB lookupevent.php responses by event id
+const stubEvents = {
+    '1001': { strStatus: 'Match Finished', intHomeScore: '2', intAwayScore: '1' },
+    '1002': {
+        strHomeTeam: 'Milan', strAwayTeam: 'Inter', strStatus: 'PEN', intHomeScore: '1', intAwayScore: '1',
+        strHomeGoalDetails: "30':Pulisic;", strAwayGoalDetails: "61':Lautaro;", strResult: 'Inter win 4-3 on penalties',
+    },
+    '1003': { strStatus: 'Postponed', intHomeScore: null, intAwayScore: null },
+    '1004': { strStatus: 'Not Started', intHomeScore: null, intAwayScore: null, strTimestamp: rescheduledStrTimestamp },
+    '1005': { strStatus: 'Match Finished', intHomeScore: '1', intAwayScore: '1' },
+    '1006': { strStatus: 'Not Started', intHomeScore: null, intAwayScore: null, strTimestamp: movedKickOff.toISOString().slice(0, 19) },
+    // Went to extra time, no goal details: the 90-minute score is unknown
+    '1007': { strStatus: 'AET', intHomeScore: '2', intAwayScore: '1' },
+};
+
+// Seed data: one game per updater scenario
+const games = {
+    finished: { HomeTeam: 'Barcelona', AwayTeam: 'Real Madrid', Status: 'upcoming', KickOffTime: threeHoursAgo, thesportsdbEventId: '1001' },
+    knockout: { HomeTeam: 'Milan', AwayTeam: 'Inter', Status: 'upcoming', KickOffTime: threeHoursAgo, thesportsdbEventId: '1002', Knockout: true },
+    postponed: { HomeTeam: 'Celtic', AwayTeam: 'Rangers', Status: 'upcoming', KickOffTime: threeHoursAgo, thesportsdbEventId: '1003' },
+    rescheduled: { HomeTeam: 'Porto', AwayTeam: 'Benfica', Status: 'postponed', KickOffTime: threeHoursAgo, thesportsdbEventId: '1004' },
+    missingEvent: { HomeTeam: 'Ajax', AwayTeam: 'PSV', Status: 'upcoming', KickOffTime: threeHoursAgo, thesportsdbEventId: '9999' },
+    noEventId: { HomeTeam: 'Lazio', AwayTeam: 'Roma', Status: 'upcoming', KickOffTime: threeHoursAgo },
+    amended: { HomeTeam: 'Lyon', AwayTeam: 'Marseille', Status: 'finished', KickOffTime: yesterday, thesportsdbEventId: '1005', HomeScore: 1, AwayScore: 0 },
+    nextWeek: { HomeTeam: 'Sevilla', AwayTeam: 'Betis', Status: 'upcoming', KickOffTime: tenDaysAhead, thesportsdbEventId: '1006' },
+};
+
+function startStubServer() {
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const event = url.pathname.endsWith('/lookupevent.php') ? stubEvents[url.searchParams.get('id')] : null;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            events: event ? [{ idEvent: url.searchParams.get('id'), strHomeTeam: 'Home', strAwayTeam: 'Away', ...event }] : null,
+        }));
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+/**
+ * Run the updater CLI (async, so the stub server keeps answering)
+ * @returns {Promise<object>} { code, summary }
+ */
+function runUpdater(stubUrl, args = []) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [UPDATER_PATH, ...args], {
+            cwd: path.join(__dirname, '..'),
+            env: {
+                ...process.env,
+                GCLOUD_PROJECT: PROJECT_ID,
+                THESPORTSDB_BASE_URL: stubUrl,
+                THESPORTSDB_RATE_LIMIT_MS: '0',
+            },
+        }, (error, stdout) => {
+            resolve({ code: error ? error.code : 0, summary: stdout ? JSON.parse(stdout) : null });
+        });
+    });
+}
+
+async function runTests() {
+    printHeader('TESTING updateResults.js (emulator + stubbed TheSportsDB)');
+
+    if (!process.env.FIRESTORE_EMULATOR_HOST) {
+        console.log(`${colors.yellow}FIRESTORE_EMULATOR_HOST is not set. Run with: npm run test:updater${colors.reset}`);
+        process.exit(1);
+    }
+
+    admin.initializeApp({ projectId: PROJECT_ID });
+    const db = admin.firestore();
+    const server = await startStubServer();
+    const stubUrl = `http://127.0.0.1:${server.address().port}`;
+    const readGame = async (id) => (await db.collection('games').doc(id).get()).data();
+
+    for (const [id, game] of Object.entries(games)) {
+        await db.collection('games').doc(id).set(game);
+    }
+    await db.collection('predictions').doc('ana-finished').set({
+        userId: 'ana', playerName: 'Ana', gameId: 'finished', predictedHomeScore: 2, predictedAwayScore: 1, joker: false,
+    });
+
+    printSubHeader('Dry run');
+
+    const dryRun = await runUpdater(stubUrl, ['--dry-run']);
+
+    await check('Dry run prints a JSON summary', () => {
+        assertEqual(dryRun.summary.dryRun, true, 'dryRun');
+        assertEqual(dryRun.summary.checked, 5, 'checked');
+        assertEqual(dryRun.summary.skipped, 2, 'skipped (no event ID, kick-off next week)');
+    });
+    await check('Dry run reports the planned updates', () => {
+        const { counts } = dryRun.summary;
+        assertEqual([counts.finished, counts['called-off'], counts.rescheduled, counts.error], [2, 1, 1, 1], 'finished/called-off/rescheduled/error');
+    });
+    await check('Dry run reports the reconciliation', () => {
+        const { checked, counts } = dryRun.summary.reconciliation;
+        assertEqual([checked, counts.discrepancy, counts.rescheduled], [2, 1, 1], 'checked/discrepancy/rescheduled');
+    });
+    await check('Dry run does not write', async () => {
+        assertEqual((await readGame('finished')).Status, 'upcoming', 'Status');
+        assertEqual((await readGame('nextWeek')).KickOffTime, tenDaysAhead, 'KickOffTime');
+        assertEqual((await db.collection('resultReviews').doc('amended').get()).exists, false, 'review');
+        assertEqual((await db.collection('standings').doc('_noSeason').get()).exists, false, 'standings');
+    });
+    await check('Dry run exits with 1 when a lookup fails', () => {
+        assertEqual(dryRun.code, 1, 'exit code');
+    });
+
+    printSubHeader('Update');
+
+    const reportPath = path.join(os.tmpdir(), `updateResults-${process.pid}.json`);
+    const firstRun = await runUpdater(stubUrl, ['--report', reportPath]);
+
+    await check('Final score is written', async () => {
+        const game = await readGame('finished');
+        assertEqual([game.HomeScore, game.AwayScore, game.Status], [2, 1, 'finished'], 'score/status');
+    });
+    await check('Knockout penalty winner is written', async () => {
+        const game = await readGame('knockout');
+        assertEqual([game.HomeScore, game.AwayScore, game.PenaltyWinner], [1, 1, 'away'], 'score/PenaltyWinner');
+    });
+    await check('Postponed game is marked postponed', async () => {
+        assertEqual((await readGame('postponed')).Status, 'postponed', 'Status');
+    });
+    await check('Rescheduled game gets the new kick-off and reopens', async () => {
+        const game = await readGame('rescheduled');
+        assertEqual([game.Status, game.KickOffTime], ['upcoming', rescheduledKickOff.toISOString()], 'Status/KickOffTime');
+    });
+    await check('Failed lookup leaves the game alone and exits with 1', async () => {
+        assertEqual((await readGame('missingEvent')).Status, 'upcoming', 'Status');
+        assertEqual(firstRun.code, 1, 'exit code');
+    });
+    await check('Amended result is queued for review, not overwritten', async () => {
+        const game = await readGame('amended');
+        assertEqual([game.HomeScore, game.AwayScore], [1, 0], 'stored score');
+        const review = (await db.collection('resultReviews').doc('amended').get()).data();
+        assertEqual([review.status, review.fields, review.provider.AwayScore], ['open', ['AwayScore'], 1], 'status/fields/provider');
+    });
+    await check('Kick-off moved by the provider is synced ahead of time', async () => {
+        assertEqual((await readGame('nextWeek')).KickOffTime, movedKickOff.toISOString(), 'KickOffTime');
+    });
+    await check('Standings are recomputed for the updated games', async () => {
+        assertEqual(firstRun.summary.standings, ['_noSeason'], 'summary');
+        const standings = (await db.collection('standings').doc('_noSeason').get()).data();
+        assertEqual([standings.players.ana.totalPoints, standings.players.ana.perfectScoresCount], [10, 1], 'Ana (exact score, default profile)');
+    });
+    await check('Games updated in the same run are not re-verified', () => {
+        const ids = firstRun.summary.reconciliation.games.map(game => game.id);
+        assertEqual(ids.includes('finished') || ids.includes('knockout'), false, 'finished/knockout');
+    });
+    await check('--report writes the same JSON summary', () => {
+        assertEqual(JSON.parse(fs.readFileSync(reportPath, 'utf8')), firstRun.summary, 'report');
+        fs.unlinkSync(reportPath);
+    });
+
+    printSubHeader('Re-run');
+
+    await db.collection('games').doc('missingEvent').delete();
+    await db.collection('games').doc('extraTime').set({
+        HomeTeam: 'Ajax', AwayTeam: 'PSV', Status: 'upcoming', KickOffTime: threeHoursAgo, thesportsdbEventId: '1007', Knockout: true,
+    });
+    const secondRun = await runUpdater(stubUrl);
+
+    await check('Second run changes nothing', () => {
+        const { counts } = secondRun.summary;
+        assertEqual([counts.finished, counts['called-off'], counts.rescheduled], [0, 0, 0], 'finished/called-off/rescheduled');
+        assertEqual(counts.unchanged, 1, 'unchanged (still postponed)');
+    });
+    await check('Game that needs a manual update is reported, not written', async () => {
+        assertEqual(secondRun.summary.counts.manual, 1, 'manual');
+        assertEqual((await readGame('extraTime')).Status, 'upcoming', 'Status');
+    });
+    await check('Second run confirms the new results and does not queue the review twice', async () => {
+        const { counts, games: checkedGames } = secondRun.summary.reconciliation;
+        assertEqual([counts.match, counts.discrepancy, counts.rescheduled], [2, 1, 0], 'match/discrepancy/rescheduled');
+        const amended = checkedGames.find(game => game.id === 'amended');
+        assertEqual(amended.message.endsWith('(already in the review queue)'), true, 'message');
+    });
+    await check('Second run exits with 0 (a manual update is not a failure)', () => {
+        assertEqual(secondRun.code, 0, 'exit code');
+    });
+
+    server.close();
+    await admin.app().delete();
+    finish();
+}
+
+// Run tests
+runTests().catch(error => {
+    console.error(`${colors.red}Fatal error during testing:${colors.reset}`, error);
+    process.exit(1);
+});
@@ -0,0 +1,288 @@
+/**
+ * Server-side result updater - the admin "Update All Results" button, for cron.
+ *
+ * Looks up every upcoming or postponed game that has a thesportsdbEventId on
+ * TheSportsDB (or the provider set with FIXTURE_PROVIDER, see src/providers.js)
+ * and applies the same updates as js/admin-panel.js (both use src/resultUpdates.js):
+ * final scores, postponements, cancellations and rescheduled kick-offs. Re-runs
+ * are safe: games whose status did not change are not written.
+ *
+ * A reconciliation pass then re-verifies games finished in the last few days
+ * (--reconcile-days, default 3; 0 turns it off) and syncs the kick-off of
+ * upcoming games up to two weeks ahead. A finished result the provider has
+ * since amended is never overwritten: it is queued in resultReviews/{gameId}
+ * for an admin to accept or dismiss in the admin panel.
+ *
+ * Afterwards the fechas of the written games are recomputed in the season
+ * standings (standings/{season}, see src/standings.js); if that fails the
+ * run exits with code 1 and rebuildStandings.js puts them right.
+ *
+ * Prints a JSON summary on stdout (progress goes to stderr) and exits with
+ * code 1 if a lookup or a Firestore write failed, so cron/CI can alert on it.
+ * Games an admin has to enter by hand (type 'manual', e.g. extra time with an
+ * unknown 90-minute score) are reported in the summary but don't fail the run.
+ *
+ * Usage:
+ *   node updateResults.js                     # Update Firestore
+ *   node updateResults.js --dry-run           # Only report what would change
+ *   node updateResults.js --report out.json   # Also write the summary to a file
+ *   node updateResults.js --reconcile-days 7  # Re-verify results of the last 7 days
+ *
+ * Against the emulator (no service account needed):
+ *   FIRESTORE_EMULATOR_HOST=localhost:8080 GCLOUD_PROJECT=demo-ea-predictor node updateResults.js
+ *
+ * Offline, with results from a local JSON file instead of TheSportsDB:
+ *   FIXTURE_PROVIDER=json FIXTURE_PROVIDER_FILE=mock-data/thesportsdb-events.json node updateResults.js --dry-run
+ */
+const admin = require('firebase-admin');
+const fs = require('fs');
+
+const SERVICE_ACCOUNT_KEY_PATH = './serviceAccountKey.json';
+const EMULATOR_PROJECT_ID = 'demo-ea-predictor';
+
+// Parse CLI args
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const reportIndex = args.indexOf('--report');
+const reportPath = reportIndex !== -1 ? args[reportIndex + 1] : null;
+const reconcileIndex = args.indexOf('--reconcile-days');
+const reconcileDays = reconcileIndex !== -1 ? Number(args[reconcileIndex + 1]) : null;
+
+if ((reportIndex !== -1 && !reportPath) ||
+    (reconcileIndex !== -1 && !(Number.isInteger(reconcileDays) && reconcileDays >= 0))) {
+    console.error('Usage: node updateResults.js [--dry-run] [--report <file.json>] [--reconcile-days <n>]');
+    process.exit(1);
+}
+
+if (!admin.apps.length) {
+    if (process.env.FIRESTORE_EMULATOR_HOST) {
+        admin.initializeApp({ projectId: process.env.GCLOUD_PROJECT || EMULATOR_PROJECT_ID });
+    } else {
+        admin.initializeApp({
+            credential: admin.credential.cert(require(SERVICE_ACCOUNT_KEY_PATH)),
+        });
+    }
+}
+const db = admin.firestore();
+
+async function updateResults() {
+    // The shared modules are ESM (they also run in the browser)
+    const { getFixtureProvider } = await import('./src/providers.js');
+    const {
+        PENDING_STATUSES,
+        RECONCILE_DAYS,
+        shouldCheckGame,
+        planResultUpdate,
+        shouldReconcileGame,
+        planReconciliation,
+        shouldQueueReview,
+    } = await import('./src/resultUpdates.js');
+    const { affectedFechas, refreshStandings } = await import('./src/standings.js');
+
+    const provider = await getFixtureProvider();
+    const now = new Date();
+    const summary = {
+        dryRun,
+        provider: provider.name,
+        startedAt: now.toISOString(),
+        finishedAt: null,
+        checked: 0,
+        skipped: 0,
+        counts: { finished: 0, 'called-off': 0, rescheduled: 0, unchanged: 0, waiting: 0, manual: 0, error: 0 },
+        games: [],
+        reconciliation: null,
+        standings: [],
+        standingsError: null,
+    };
+
+    const snapshot = await db.collection('games').where('Status', 'in', PENDING_STATUSES).get();
+    const updatedIds = new Set();
+    const writtenGames = [];
+    console.error(`Found ${snapshot.size} upcoming/postponed game(s)${dryRun ? ' (dry run)' : ''}`);
+
+    for (const gameDoc of snapshot.docs) {
+        const game = gameDoc.data();
+        const label = `${game.HomeTeam} vs ${game.AwayTeam}`;
+
+        const { check, reason } = shouldCheckGame(game, now);
+        if (!check) {
+            summary.skipped++;
+            summary.games.push({ id: gameDoc.id, label, type: 'skipped', message: reason });
+            continue;
+        }
+
+        summary.checked++;
+        const result = await provider.lookupEvent(game.thesportsdbEventId);
+        const plan = planResultUpdate(game, result, now);
+
+        if (plan.update && !dryRun) {
+            try {
+                await gameDoc.ref.update(plan.update);
+                updatedIds.add(gameDoc.id);
+                writtenGames.push(game);
+            } catch (error) {
+                plan.type = 'error';
+                plan.message = `Firestore update failed: ${error.message}`;
+            }
+        }
+
+        summary.counts[plan.type]++;
+        summary.games.push({
+            id: gameDoc.id,
+            label,
+            type: plan.type,
+            message: plan.message,
+            update: plan.update,
+            warnings: plan.warnings,
+        });
+        console.error(`  [${plan.type}] ${label} — ${plan.message}`);
+        plan.warnings.forEach(warning => console.error(`    ⚠️ ${warning}`));
+    }
+
+    const days = reconcileDays ?? RECONCILE_DAYS;
+    if (days > 0) {
+        summary.reconciliation = await reconcile(days, updatedIds, now, provider,
+            { shouldReconcileGame, planResultUpdate, planReconciliation, shouldQueueReview }, writtenGames);
+    }
+
+    if (writtenGames.length > 0) {
+        try {
+            summary.standings = await refreshStandings(createStandingsStore(), affectedFechas(writtenGames), await fetchScoringProfiles());
+            console.error(`Standings updated: ${summary.standings.join(', ')}`);
+        } catch (error) {
+            summary.standingsError = `Standings update failed: ${error.message} (run node rebuildStandings.js)`;
+            console.error(summary.standingsError);
+        }
+    }
+
+    summary.finishedAt = new Date().toISOString();
+    return summary;
+}
+
+/**
+ * Reconciliation pass: re-verify recently finished results (discrepancies go to
+ * the resultReviews queue) and sync kick-offs of upcoming games
+ *
+ * @param {number} days - Look-back window for finished games
+ * @param {Set<string>} updatedIds - Games already written by the update pass
+ * @param {Date} now - Current time
+ * @param {object} provider - Fixture provider
+ * @param {object} planners - Functions from src/resultUpdates.js
+ * @param {Array} writtenGames - Games written so far; games written here are added
+ * @returns {Promise<object>} { days, checked, counts, games }
+ */
+async function reconcile(days, updatedIds, now, provider, planners, writtenGames) {
+    const { shouldReconcileGame, planResultUpdate, planReconciliation, shouldQueueReview } = planners;
+    const reconciliation = {
+        days,
+        checked: 0,
+        counts: { match: 0, discrepancy: 0, rescheduled: 0, 'called-off': 0, finished: 0, unchanged: 0, waiting: 0, manual: 0, error: 0 },
+        games: [],
+    };
+
+    const snapshot = await db.collection('games').where('Status', 'in', ['finished', 'upcoming']).get();
+    for (const gameDoc of snapshot.docs) {
+        if (updatedIds.has(gameDoc.id)) continue;
+        const game = { id: gameDoc.id, ...gameDoc.data() };
+        const { check, kind } = shouldReconcileGame(game, now, days);
+        if (!check) continue;
+
+        reconciliation.checked++;
+        const label = `${game.HomeTeam} vs ${game.AwayTeam}`;
+        const result = await provider.lookupEvent(game.thesportsdbEventId);
+        const entry = { id: gameDoc.id, label, kind };
+
+        try {
+            if (kind === 'kickoff') {
+                const plan = planResultUpdate(game, result, now);
+                Object.assign(entry, { type: plan.type, message: plan.message, update: plan.update });
+                if (plan.update && !dryRun) {
+                    await gameDoc.ref.update(plan.update);
+                    writtenGames.push(game);
+                }
+            } else {
+                const plan = planReconciliation(game, result);
+                Object.assign(entry, { type: plan.type, message: plan.message, review: plan.review });
+                if (plan.review) {
+                    const reviewRef = db.collection('resultReviews').doc(gameDoc.id);
+                    const existing = await reviewRef.get();
+                    const stored = existing.exists ? existing.data() : null;
+                    if (!shouldQueueReview(stored, plan.review)) {
+                        entry.message += stored.status === 'open' ? ' (already in the review queue)' : ' (dismissed by an admin)';
+                    } else {
+                        entry.message += ' (queued for review)';
+                        if (!dryRun) {
+                            await reviewRef.set({ ...plan.review, detectedAt: new Date().toISOString() });
+                        }
+                    }
+                }
+            }
+        } catch (error) {
+            entry.type = 'error';
+            entry.message = `Firestore write failed: ${error.message}`;
+        }
+
+        reconciliation.counts[entry.type]++;
+        reconciliation.games.push(entry);
+        console.error(`  [reconcile:${entry.type}] ${label} — ${entry.message}`);
+    }
+
+    return reconciliation;
+}
+
+/**
+ * Scoring profiles of every season (config/activeSeason)
+ * @returns {Promise<object>}
+ */
+async function fetchScoringProfiles() {
+    const configSnap = await db.collection('config').doc('activeSeason').get();
+    return (configSnap.exists && configSnap.data().scoringProfiles) || {};
+}
+
+/**
+ * Firestore access for refreshStandings (src/standings.js)
+ */
+function createStandingsStore() {
+    return {
+        async getFechaGames(season, fecha) {
+            let gamesQuery = db.collection('games');
+            if (season) gamesQuery = gamesQuery.where('season', '==', season);
+            if (fecha) gamesQuery = gamesQuery.where('Fecha', '==', fecha);
+            const snapshot = await gamesQuery.get();
+            // Missing fields can't be queried: "No Season" and "no Fecha" are filtered here
+            return snapshot.docs
+                .map(gameDoc => ({ id: gameDoc.id, ...gameDoc.data() }))
+                .filter(game => (season || !game.season) && (fecha || !game.Fecha));
+        },
+        async getPredictions(gameIds) {
+            const predictions = [];
+            for (let i = 0; i < gameIds.length; i += 10) {
+                const snapshot = await db.collection('predictions').where('gameId', 'in', gameIds.slice(i, i + 10)).get();
+                snapshot.forEach(predictionDoc => predictions.push(predictionDoc.data()));
+            }
+            return predictions;
+        },
+        async updateStandings(docId, update) {
+            const ref = db.collection('standings').doc(docId);
+            await db.runTransaction(async transaction => {
+                const current = await transaction.get(ref);
+                transaction.set(ref, { ...update(current.exists ? current.data() : null), updatedAt: new Date().toISOString() });
+            });
+        },
+    };
+}
+
+updateResults()
+    .then(summary => {
+        const report = JSON.stringify(summary, null, 2);
+        console.log(report);
+        if (reportPath) {
+            fs.writeFileSync(reportPath, `${report}\n`);
+        }
+        const reconcileErrors = summary.reconciliation ? summary.reconciliation.counts.error : 0;
+        process.exit(summary.counts.error + reconcileErrors > 0 || summary.standingsError ? 1 : 0);
+    })
+    .catch(err => {
+        console.error('Fatal error:', err);
+        process.exit(1);
+    });
@@ -3,15 +3,30 @@
  * 
  * Handles all admin-related functionality:
  * - Admin form initialization and DOM references
- * - Fixture search integration with TheSportsDB
+ * - Fixture search integration (TheSportsDB or another provider, see firebase-uploader/src/providers.js)
  * - Game addition to Firestore
+ * - Bulk import of a league round as one Fecha
+ * - Games table: edit, reschedule and delete games (with their predictions)
+ * - Result corrections with a gameAudit trail and the resulting rank changes
+ * - Review queue of results the provider amended after they were recorded
+ * - Spreadsheets: CSV export of games, predictions and the leaderboard, and
+ *   CSV import of games and predictions with a validation preview
+ * - Season standings (standings/{season}): every write above recomputes the
+ *   fechas of the games it touched
  * - Form submission and validation
  * 
+ * - Role-based visibility of admin sections (see admin-roles.js)
+ * 
  * Usage:
- *   import { initializeAdminPanel } from './admin-panel.js';
- *   await initializeAdminPanel(db, auth, ADMIN_UID);
+ *   import { initializeAdminPanel, applyAdminRoles } from './admin-panel.js';
+ *   initializeAdminPanel(db, addDoc, collection, { getDocs, query, where, doc, updateDoc, getDoc, setDoc, arrayUnion, writeBatch, runTransaction });
+ *   applyAdminRoles(await fetchUserRoles(db, user.uid), user.uid);
  */
 
+import { DEFAULT_SCORING_PROFILE, resolveScoringProfile, getMaxPoints, GAME_STAGES, GAME_STATUSES, formatResultDetails, isKnockoutGame, calculatePlayerStats, rankPlayers, getPlayerNames, getResultSnapshot, calculateRankChanges } from './calculations.js';
+import { escapeHtml } from './ui-helpers.js';
+import { ADMIN_ROLES, ROLE_PERMISSIONS, hasPermission, normalizeRoles } from './admin-roles.js';
+
 // Admin DOM References
 let adminGameFormSection;
 let adminHomeTeamInput;
@@ -31,6 +46,41 @@ let fixtureSearchAway;
 let fixtureResults;
 let fixtureList;
 let adminThesportsdbEventId;
+let adminStageSelect;
+let adminMultiplierInput;
+let adminKnockoutCheckbox;
+let adminKnockoutFields;
+let adminExtraTimeHomeScoreInput;
+let adminExtraTimeAwayScoreInput;
+let adminPenaltyWinnerSelect;
+
+// Manage Games DOM References
+let manageGamesFechaSelect;
+let manageGamesTableBody;
+let manageGamesMessage;
+let refreshGamesButton;
+let findOrphansButton;
+
+// Games of the active season shown in the Manage Games table ({ id, ...data })
+let managedGames = [];
+
+// Round Import DOM References
+let roundImportLeagueSelect;
+let roundImportSeasonInput;
+let roundImportRoundInput;
+let roundImportFechaInput;
+let fetchRoundButton;
+let roundImportMessage;
+let roundImportPreview;
+let roundImportList;
+let roundImportSelectAll;
+let importRoundButton;
+
+// Entries of the fetched round (see planRoundImport in firebase-uploader/src/roundImport.js)
+let roundImportPlan = [];
+
+// Team documents, for the alias registry (see firebase-uploader/src/teamAliases.js)
+let knownTeams = [];
 
 // Database references (passed in during initialization)
 let db;
@@ -44,21 +94,84 @@ let updateDocFunction;
 let getDocFunction;
 let setDocFunction;
 let arrayUnionFunction;
+let writeBatchFunction;
+let runTransactionFunction;
 
 // Update Results DOM References
 let updateResultsButton;
 let updateResultsLog;
 let updateResultsMessage;
 
+// Result Correction DOM References
+let correctionGameSelect;
+let correctionHomeScoreInput;
+let correctionAwayScoreInput;
+let correctionKnockoutFields;
+let correctionExtraTimeHomeScoreInput;
+let correctionExtraTimeAwayScoreInput;
+let correctionPenaltyWinnerSelect;
+let correctionReasonInput;
+let correctResultButton;
+let correctionMessage;
+let correctionRankChanges;
+
+// Finished games offered for correction ({ id, ...data })
+let correctableGames = [];
+
+// Result Review Queue DOM References
+let resultReviewsList;
+let resultReviewsMessage;
+let resultReviewsRankChanges;
+
+// Spreadsheets (CSV) DOM References
+let csvSeasonSelect;
+let exportGamesCsvButton;
+let exportPredictionsCsvButton;
+let exportLeaderboardCsvButton;
+let csvExportMessage;
+let csvImportType;
+let csvImportFile;
+let csvImportMessage;
+let csvImportPreview;
+let csvImportTableBody;
+let csvImportButton;
+
+// Checked CSV import (see planGamesImport / planPredictionsImport in firebase-uploader/src/csvTransfer.js)
+let csvImportPlan = null;
+let csvImportKind = null;
+
 // Season Management DOM References
 let activeSeasonDisplay;
+let activeScoringDisplay;
 let newSeasonInput;
 let createSeasonButton;
 let seasonMessage;
+let scoringInputs;
+
+// Admin Roles DOM References
+let adminRolesList;
+let adminRoleUidInput;
+let saveAdminRoleButton;
+let adminRolesMessage;
 
 // Current active season
 let activeSeason = null;
 
+// Roles of the signed-in admin (set by applyAdminRoles)
+let currentRoles = [];
+let currentAdminUid = null;
+let currentAdminName = null;
+
+// Admin sections and the permission each one requires
+const ADMIN_SECTIONS = {
+    'season-management-section': 'manageSeasons',
+    'update-results-section': 'updateResults',
+    'add-game-section': 'addGames',
+    'manage-games-section': 'manageGames',
+    'spreadsheets-section': 'exportData',
+    'admin-roles-section': 'manageAdmins',
+};
+
 /**
  * Initialize admin panel by getting all DOM references
  * @param {object} database - Firestore database instance
@@ -70,6 +183,8 @@ let activeSeason = null;
  * @param {function} extraFunctions.where
  * @param {function} extraFunctions.doc
  * @param {function} extraFunctions.updateDoc
+ * @param {function} extraFunctions.writeBatch - For deleting a game with its predictions
+ * @param {function} extraFunctions.runTransaction - For updating the season standings
  */
 export function initializeAdminPanel(database, addDoc, collection, extraFunctions = {}) {
     db = database;
@@ -83,6 +198,8 @@ export function initializeAdminPanel(database, addDoc, collection, extraFunction
     getDocFunction = extraFunctions.getDoc;
     setDocFunction = extraFunctions.setDoc;
     arrayUnionFunction = extraFunctions.arrayUnion;
+    writeBatchFunction = extraFunctions.writeBatch;
+    runTransactionFunction = extraFunctions.runTransaction;
     
     // Debug logging
     console.log("Admin panel initialized with:");
@@ -113,17 +230,95 @@ export function initializeAdminPanel(database, addDoc, collection, extraFunction
     fixtureResults = document.getElementById('fixtureResults');
     fixtureList = document.getElementById('fixtureList');
     adminThesportsdbEventId = document.getElementById('adminThesportsdbEventId');
+    adminStageSelect = document.getElementById('adminStage');
+    adminMultiplierInput = document.getElementById('adminMultiplier');
+    adminKnockoutCheckbox = document.getElementById('adminKnockout');
+    adminKnockoutFields = document.getElementById('adminKnockoutFields');
+    adminExtraTimeHomeScoreInput = document.getElementById('adminExtraTimeHomeScore');
+    adminExtraTimeAwayScoreInput = document.getElementById('adminExtraTimeAwayScore');
+    adminPenaltyWinnerSelect = document.getElementById('adminPenaltyWinner');
+    populateStageSelect();
+    populateStatusSelect();
+    if (adminKnockoutCheckbox) {
+        adminKnockoutCheckbox.addEventListener('change', toggleKnockoutFields);
+    }
+    
+    // Get round import references
+    roundImportLeagueSelect = document.getElementById('roundImportLeague');
+    roundImportSeasonInput = document.getElementById('roundImportSeason');
+    roundImportRoundInput = document.getElementById('roundImportRound');
+    roundImportFechaInput = document.getElementById('roundImportFecha');
+    fetchRoundButton = document.getElementById('fetchRoundButton');
+    roundImportMessage = document.getElementById('roundImportMessage');
+    roundImportPreview = document.getElementById('roundImportPreview');
+    roundImportList = document.getElementById('roundImportList');
+    roundImportSelectAll = document.getElementById('roundImportSelectAll');
+    importRoundButton = document.getElementById('importRoundButton');
+    populateRoundLeagueSelect();
+    
+    // Get manage games references
+    manageGamesFechaSelect = document.getElementById('manageGamesFecha');
+    manageGamesTableBody = document.getElementById('manageGamesTableBody');
+    manageGamesMessage = document.getElementById('manageGamesMessage');
+    refreshGamesButton = document.getElementById('refreshGamesButton');
+    findOrphansButton = document.getElementById('findOrphansButton');
     
     // Get update results references
     updateResultsButton = document.getElementById('updateResultsButton');
     updateResultsLog = document.getElementById('updateResultsLog');
     updateResultsMessage = document.getElementById('updateResultsMessage');
     
+    // Get result correction references
+    correctionGameSelect = document.getElementById('correctionGameSelect');
+    correctionHomeScoreInput = document.getElementById('correctionHomeScore');
+    correctionAwayScoreInput = document.getElementById('correctionAwayScore');
+    correctionKnockoutFields = document.getElementById('correctionKnockoutFields');
+    correctionExtraTimeHomeScoreInput = document.getElementById('correctionExtraTimeHomeScore');
+    correctionExtraTimeAwayScoreInput = document.getElementById('correctionExtraTimeAwayScore');
+    correctionPenaltyWinnerSelect = document.getElementById('correctionPenaltyWinner');
+    correctionReasonInput = document.getElementById('correctionReason');
+    correctResultButton = document.getElementById('correctResultButton');
+    correctionMessage = document.getElementById('correctionMessage');
+    correctionRankChanges = document.getElementById('correctionRankChanges');
+    
+    // Get result review queue references
+    resultReviewsList = document.getElementById('resultReviewsList');
+    resultReviewsMessage = document.getElementById('resultReviewsMessage');
+    resultReviewsRankChanges = document.getElementById('resultReviewsRankChanges');
+    
+    // Get spreadsheet (CSV) references
+    csvSeasonSelect = document.getElementById('csvSeasonSelect');
+    exportGamesCsvButton = document.getElementById('exportGamesCsvButton');
+    exportPredictionsCsvButton = document.getElementById('exportPredictionsCsvButton');
+    exportLeaderboardCsvButton = document.getElementById('exportLeaderboardCsvButton');
+    csvExportMessage = document.getElementById('csvExportMessage');
+    csvImportType = document.getElementById('csvImportType');
+    csvImportFile = document.getElementById('csvImportFile');
+    csvImportMessage = document.getElementById('csvImportMessage');
+    csvImportPreview = document.getElementById('csvImportPreview');
+    csvImportTableBody = document.getElementById('csvImportTableBody');
+    csvImportButton = document.getElementById('csvImportButton');
+    
     // Get season management references
     activeSeasonDisplay = document.getElementById('activeSeasonDisplay');
+    activeScoringDisplay = document.getElementById('activeScoringDisplay');
     newSeasonInput = document.getElementById('newSeasonInput');
     createSeasonButton = document.getElementById('createSeasonButton');
     seasonMessage = document.getElementById('seasonMessage');
+    scoringInputs = {
+        outcome: document.getElementById('scoringOutcome'),
+        homeGoals: document.getElementById('scoringHomeGoals'),
+        awayGoals: document.getElementById('scoringAwayGoals'),
+        goalDifference: document.getElementById('scoringGoalDifference'),
+        exactScore: document.getElementById('scoringExactScore'),
+        qualifier: document.getElementById('scoringQualifier'),
+    };
+    
+    // Get admin roles references
+    adminRolesList = document.getElementById('adminRolesList');
+    adminRoleUidInput = document.getElementById('adminRoleUid');
+    saveAdminRoleButton = document.getElementById('saveAdminRoleButton');
+    adminRolesMessage = document.getElementById('adminRolesMessage');
     
     // Attach event listeners
     if (searchFixturesButton) {
@@ -132,12 +327,98 @@ export function initializeAdminPanel(database, addDoc, collection, extraFunction
     if (addGameButton) {
         addGameButton.addEventListener('click', handleAdminGameAdd);
     }
+    if (fetchRoundButton) {
+        fetchRoundButton.addEventListener('click', handleFetchRound);
+    }
+    if (importRoundButton) {
+        importRoundButton.addEventListener('click', handleImportRound);
+    }
+    if (roundImportSelectAll) {
+        roundImportSelectAll.addEventListener('change', () => {
+            roundImportPlan.forEach(entry => {
+                if (!entry.alreadyImported) entry.selected = roundImportSelectAll.checked;
+            });
+            renderRoundImportPreview();
+        });
+    }
     if (updateResultsButton) {
         updateResultsButton.addEventListener('click', handleUpdateResults);
     }
+    if (correctionGameSelect) {
+        correctionGameSelect.addEventListener('change', fillCorrectionForm);
+    }
+    if (correctResultButton) {
+        correctResultButton.addEventListener('click', handleCorrectResult);
+    }
+    if (refreshGamesButton) {
+        refreshGamesButton.addEventListener('click', loadGamesTable);
+    }
+    if (manageGamesFechaSelect) {
+        manageGamesFechaSelect.addEventListener('change', renderGamesTable);
+    }
+    if (findOrphansButton) {
+        findOrphansButton.addEventListener('click', handleFindOrphanedPredictions);
+    }
     if (createSeasonButton) {
         createSeasonButton.addEventListener('click', handleCreateSeason);
     }
+    if (exportGamesCsvButton) {
+        exportGamesCsvButton.addEventListener('click', () => handleExportCsv('games'));
+    }
+    if (exportPredictionsCsvButton) {
+        exportPredictionsCsvButton.addEventListener('click', () => handleExportCsv('predictions'));
+    }
+    if (exportLeaderboardCsvButton) {
+        exportLeaderboardCsvButton.addEventListener('click', () => handleExportCsv('leaderboard'));
+    }
+    if (csvImportFile) {
+        csvImportFile.addEventListener('change', handleCheckCsvImport);
+    }
+    if (csvImportType) {
+        csvImportType.addEventListener('change', handleCheckCsvImport);
+    }
+    if (csvImportButton) {
+        csvImportButton.addEventListener('click', handleCsvImport);
+    }
+    if (saveAdminRoleButton) {
+        saveAdminRoleButton.addEventListener('click', handleSaveAdminRole);
+    }
+}
+
+/**
+ * Store the signed-in admin's roles and show only the sections they allow
+ * @param {string[]} roles - Roles from config/admins (see admin-roles.js)
+ * @param {string} uid - Signed-in user's UID
+ * @param {string} displayName - Shown as "who" in the result correction history
+ */
+export function applyAdminRoles(roles, uid, displayName = null) {
+    currentRoles = roles || [];
+    currentAdminUid = uid || null;
+    currentAdminName = displayName || null;
+
+    Object.entries(ADMIN_SECTIONS).forEach(([sectionId, action]) => {
+        const section = document.getElementById(sectionId);
+        if (section) {
+            section.style.display = hasPermission(currentRoles, action) ? 'block' : 'none';
+        }
+    });
+}
+
+/**
+ * Guard for admin actions: shows a message and returns false if the
+ * signed-in admin's roles don't allow the action.
+ * Firestore rules enforce the same roles server-side.
+ * @param {string} action - Key of ROLE_PERMISSIONS
+ * @param {HTMLElement} messageEl - Element to show the error in
+ */
+function requirePermission(action, messageEl) {
+    if (hasPermission(currentRoles, action)) return true;
+    if (messageEl) {
+        const roles = ['owner', ...ROLE_PERMISSIONS[action]].join(' or ');
+        messageEl.textContent = `You need the ${roles} role for this action.`;
+        messageEl.style.color = 'red';
+    }
+    return false;
 }
 
 /**
@@ -155,10 +436,28 @@ export function toggleAdminForm(show) {
     }
 }
 
+/**
+ * Parse a datetime-local value as a UTC wall time and return the ISO string (no timezone shift)
+ * @param {string} dtStr - 'YYYY-MM-DDTHH:mm'
+ * @returns {string|null}
+ */
+function localDateTimeToUTCISOString(dtStr) {
+    if (!dtStr) return null;
+    const [datePart, timePart] = dtStr.split('T');
+    if (!datePart || !timePart) return null;
+    const [year, month, day] = datePart.split('-').map(Number);
+    const [hour, minute] = timePart.split(':').map(Number);
+    // Create a Date as if the input is local, then get UTC ISO string for that wall time
+    const utcDate = new Date(Date.UTC(year, month - 1, day, hour, minute));
+    return isNaN(utcDate.getTime()) ? null : utcDate.toISOString();
+}
+
 /**
  * Handle admin game addition
  */
 export async function handleAdminGameAdd() {
+    if (!requirePermission('addGames', gameMessageDiv)) return;
+
     gameMessageDiv.textContent = 'Adding game...';
     gameMessageDiv.style.color = 'orange';
     addGameButton.disabled = true;
@@ -172,6 +471,12 @@ export async function handleAdminGameAdd() {
     const homeScore = adminHomeScoreInput.value ? parseInt(adminHomeScoreInput.value, 10) : null;
     const awayScore = adminAwayScoreInput.value ? parseInt(adminAwayScoreInput.value, 10) : null;
     const thesportsdbEventId = adminThesportsdbEventId.value || null;
+    const stage = adminStageSelect ? adminStageSelect.value : GAME_STAGES[0].id;
+    const multiplier = adminMultiplierInput ? Number(adminMultiplierInput.value || 1) : 1;
+    const knockout = adminKnockoutCheckbox ? adminKnockoutCheckbox.checked : false;
+    const extraTimeHomeScore = knockout && adminExtraTimeHomeScoreInput.value ? parseInt(adminExtraTimeHomeScoreInput.value, 10) : null;
+    const extraTimeAwayScore = knockout && adminExtraTimeAwayScoreInput.value ? parseInt(adminExtraTimeAwayScoreInput.value, 10) : null;
+    const penaltyWinner = knockout && adminPenaltyWinnerSelect ? adminPenaltyWinnerSelect.value || null : null;
 
     // Basic validation
     if (!homeTeam || !awayTeam || !league || !kickOffTimeStr || !status) {
@@ -192,20 +497,14 @@ export async function handleAdminGameAdd() {
         addGameButton.disabled = false;
         return;
     }
+    if (!Number.isInteger(multiplier) || multiplier < 1 || multiplier > 5) {
+        gameMessageDiv.textContent = 'Points Multiplier must be a whole number between 1 and 5.';
+        gameMessageDiv.style.color = 'red';
+        addGameButton.disabled = false;
+        return;
+    }
 
     try {
-        // Parse datetime-local as local time and construct UTC ISO string (no timezone shift)
-        // kickOffTimeStr is in format 'YYYY-MM-DDTHH:mm'
-        function localDateTimeToUTCISOString(dtStr) {
-            if (!dtStr) return null;
-            const [datePart, timePart] = dtStr.split('T');
-            if (!datePart || !timePart) return null;
-            const [year, month, day] = datePart.split('-').map(Number);
-            const [hour, minute] = timePart.split(':').map(Number);
-            // Create a Date as if the input is local, then get UTC ISO string for that wall time
-            const utcDate = new Date(Date.UTC(year, month - 1, day, hour, minute));
-            return utcDate.toISOString();
-        }
         const kickOffTimeISO = localDateTimeToUTCISOString(kickOffTimeStr);
         if (!kickOffTimeISO) {
             gameMessageDiv.textContent = 'Invalid Kick-off Time.';
@@ -229,6 +528,8 @@ export async function handleAdminGameAdd() {
             Status: status,
             Fecha: fecha,
             season: activeSeason,
+            Stage: stage,
+            Multiplier: multiplier,
         };
 
         // Add thesportsdbEventId if available
@@ -244,6 +545,25 @@ export async function handleAdminGameAdd() {
             gameData.AwayScore = null;
         }
 
+        // Knockout games: extra time and penalties decide who advances
+        if (knockout) {
+            gameData.Knockout = true;
+            if (status === 'finished') {
+                gameData.ExtraTimeHomeScore = extraTimeHomeScore;
+                gameData.ExtraTimeAwayScore = extraTimeAwayScore;
+                gameData.PenaltyWinner = penaltyWinner;
+            }
+        }
+
+        // Last check against the canonical schema (firebase-uploader/src/schema.js)
+        const { validateGame } = await import('../firebase-uploader/src/schema.js');
+        const schemaErrors = validateGame(gameData);
+        if (schemaErrors.length > 0) {
+            gameMessageDiv.textContent = `Game not added: ${schemaErrors.join('; ')}`;
+            gameMessageDiv.style.color = 'red';
+            return;
+        }
+
         // Use the Firestore functions passed during initialization
         console.log("Before adding game - checking functions:");
         console.log("  addDocFunction:", addDocFunction ? "✓" : "✗");
@@ -257,6 +577,7 @@ export async function handleAdminGameAdd() {
         await addDocFunction(collectionFunction(db, 'games'), gameData);
         gameMessageDiv.textContent = 'Game added successfully!';
         gameMessageDiv.style.color = 'green';
+        await refreshStandingsFor([gameData], gameMessageDiv);
 
         // Clear form for next entry
         clearAdminForm();
@@ -274,7 +595,30 @@ export async function handleAdminGameAdd() {
 }
 
 /**
- * Handle fixture search from TheSportsDB
+ * Alias registry built from the teams passed to populateTeamDatalist
+ * @returns {Promise<object>} See createTeamRegistry
+ */
+async function getTeamRegistry() {
+    const { createTeamRegistry } = await import('../firebase-uploader/src/teamAliases.js');
+    return createTeamRegistry(knownTeams);
+}
+
+/**
+ * Replace a provider fixture's team names with our canonical names
+ * @param {object} registry - From getTeamRegistry
+ * @param {object} fixture - Fixture in Firestore format
+ * @returns {object} Fixture with canonical HomeTeam/AwayTeam
+ */
+function toCanonicalTeams(registry, fixture) {
+    return {
+        ...fixture,
+        HomeTeam: registry.canonicalName(fixture.HomeTeam),
+        AwayTeam: registry.canonicalName(fixture.AwayTeam),
+    };
+}
+
+/**
+ * Handle fixture search from the configured fixture provider
  */
 export async function handleFixtureSearch() {
     const homeTeam = fixtureSearchHome.value.trim();
@@ -291,9 +635,13 @@ export async function handleFixtureSearch() {
         fixtureMessageDiv.style.color = 'blue';
         fixtureList.innerHTML = '';
 
-        // Dynamically import the fixture search module
-        const { searchFixture } = await import('../firebase-uploader/src/fetchFixtures.js');
-        const fixtures = await searchFixture(homeTeam, awayTeam);
+        // Dynamically import the fixture provider (admin.html?provider=json works offline)
+        const { getFixtureProvider } = await import('../firebase-uploader/src/providers.js');
+        const provider = await getFixtureProvider();
+        // Search with the provider's spelling, show our own (e.g. "Atlético Madrid")
+        const registry = await getTeamRegistry();
+        const fixtures = (await provider.searchFixture(registry.providerName(homeTeam), registry.providerName(awayTeam)))
+            .map(fixture => toCanonicalTeams(registry, fixture));
 
         if (!fixtures || fixtures.length === 0) {
             fixtureMessageDiv.textContent = 'No fixtures found for this match';
@@ -320,7 +668,7 @@ export async function handleFixtureSearch() {
         });
 
         fixtureResults.style.display = 'block';
-        fixtureMessageDiv.textContent = `Found ${fixtures.length} fixture(s)`;
+        fixtureMessageDiv.textContent = `Found ${fixtures.length} fixture(s)${provider.name !== 'thesportsdb' ? ` (provider: ${provider.name})` : ''}`;
         fixtureMessageDiv.style.color = 'green';
 
     } catch (error) {
@@ -375,14 +723,201 @@ export function selectFixture(fixture) {
     }
 }
 
+/**
+ * Fill the round import league dropdown with the TheSportsDB leagues
+ */
+async function populateRoundLeagueSelect() {
+    if (!roundImportLeagueSelect) return;
+    const { THESPORTSDB_LEAGUES } = await import('../firebase-uploader/src/fetchFixtures.js');
+    roundImportLeagueSelect.innerHTML = THESPORTSDB_LEAGUES
+        .map(league => `<option value="${league.id}">${league.name}</option>`)
+        .join('');
+}
+
+/**
+ * Handle "Fetch Round" — lists every game of a league round from the fixture
+ * provider and previews them with checkboxes. Games of the active season that
+ * are already in Firestore (same event ID, or same teams on the same day) are
+ * shown but can't be selected.
+ */
+export async function handleFetchRound() {
+    if (!requirePermission('addGames', roundImportMessage)) return;
+
+    const leagueId = roundImportLeagueSelect.value;
+    const season = roundImportSeasonInput.value.trim();
+    const round = roundImportRoundInput.value.trim();
+
+    if (!leagueId || !season || !round) {
+        roundImportMessage.textContent = 'Please enter the league, season and round.';
+        roundImportMessage.style.color = 'red';
+        return;
+    }
+    if (!activeSeason) {
+        roundImportMessage.textContent = '⚠️ No active season set. Please create a season first.';
+        roundImportMessage.style.color = 'red';
+        return;
+    }
+    if (!roundImportFechaInput.value.trim()) {
+        roundImportFechaInput.value = `GW${round}`;
+    }
+
+    try {
+        roundImportMessage.textContent = 'Fetching round...';
+        roundImportMessage.style.color = 'blue';
+        roundImportPreview.style.display = 'none';
+        fetchRoundButton.disabled = true;
+
+        const { getFixtureProvider } = await import('../firebase-uploader/src/providers.js');
+        const { planRoundImport } = await import('../firebase-uploader/src/roundImport.js');
+        const provider = await getFixtureProvider();
+        const registry = await getTeamRegistry();
+        const fixtures = (await provider.listRound(leagueId, season, round))
+            .map(fixture => toCanonicalTeams(registry, fixture));
+
+        if (fixtures.length === 0) {
+            roundImportPlan = [];
+            roundImportMessage.textContent = 'No games found for this round.';
+            roundImportMessage.style.color = 'orange';
+            return;
+        }
+
+        const snapshot = await getDocsFunction(queryFunction(collectionFunction(db, 'games'), whereFunction('season', '==', activeSeason)));
+        const seasonGames = snapshot.docs.map(gameDoc => gameDoc.data());
+
+        roundImportPlan = planRoundImport(fixtures, seasonGames, {
+            Fecha: roundImportFechaInput.value.trim(),
+            season: activeSeason,
+            Stage: GAME_STAGES[0].id,
+            Multiplier: 1,
+        });
+        renderRoundImportPreview();
+
+        const importedCount = roundImportPlan.filter(entry => entry.alreadyImported).length;
+        roundImportMessage.textContent = `Found ${fixtures.length} game(s)` +
+            (importedCount ? `, ${importedCount} already imported` : '') +
+            (provider.name !== 'thesportsdb' ? ` (provider: ${provider.name})` : '');
+        roundImportMessage.style.color = 'green';
+    } catch (error) {
+        console.error('Error fetching round:', error);
+        roundImportMessage.textContent = `Error fetching round: ${error.message}`;
+        roundImportMessage.style.color = 'red';
+    } finally {
+        fetchRoundButton.disabled = false;
+    }
+}
+
+/**
+ * Render the round preview: one checkbox per game
+ */
+function renderRoundImportPreview() {
+    roundImportList.innerHTML = '';
+    roundImportPlan.forEach(entry => {
+        const { fixture } = entry;
+        const item = document.createElement('label');
+        item.className = 'list-group-item d-flex align-items-center gap-2';
+        if (entry.alreadyImported) item.classList.add('text-muted');
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = entry.selected;
+        checkbox.disabled = entry.alreadyImported;
+        checkbox.addEventListener('change', () => { entry.selected = checkbox.checked; });
+
+        const badges = [];
+        if (entry.alreadyImported) badges.push('<span class="badge bg-secondary">Already imported</span>');
+        if (entry.started) badges.push('<span class="badge bg-warning text-dark">Kicked off</span>');
+
+        const text = document.createElement('span');
+        text.innerHTML = `<strong>${fixture.HomeTeam} vs ${fixture.AwayTeam}</strong>
+            <small class="ms-2">${new Date(fixture.KickOffTime).toLocaleString()}</small> ${badges.join(' ')}`;
+
+        item.append(checkbox, text);
+        roundImportList.appendChild(item);
+    });
+
+    const selectable = roundImportPlan.filter(entry => !entry.alreadyImported);
+    roundImportSelectAll.checked = selectable.length > 0 && selectable.every(entry => entry.selected);
+    roundImportSelectAll.disabled = selectable.length === 0;
+    importRoundButton.disabled = selectable.length === 0;
+    roundImportPreview.style.display = 'block';
+}
+
+/**
+ * Handle "Import Selected Games" — adds every selected game of the previewed
+ * round with the Fecha, season, League and thesportsdbEventId filled in
+ */
+export async function handleImportRound() {
+    if (!requirePermission('addGames', roundImportMessage)) return;
+
+    const fecha = roundImportFechaInput.value.trim();
+    const selected = roundImportPlan.filter(entry => entry.selected && !entry.alreadyImported);
+
+    if (!fecha) {
+        roundImportMessage.textContent = '⚠️ Please enter the Fecha (Game Week) - e.g., GW1, GW2, etc.';
+        roundImportMessage.style.color = 'orange';
+        return;
+    }
+    if (selected.length === 0) {
+        roundImportMessage.textContent = 'Select at least one game to import.';
+        roundImportMessage.style.color = 'orange';
+        return;
+    }
+
+    importRoundButton.disabled = true;
+    roundImportMessage.textContent = `Importing ${selected.length} game(s)...`;
+    roundImportMessage.style.color = 'orange';
+
+    const addedGames = [];
+    const failed = [];
+    for (const entry of selected) {
+        try {
+            // The Fecha may have been edited after fetching the round
+            const game = { ...entry.game, Fecha: fecha };
+            await addDocFunction(collectionFunction(db, 'games'), game);
+            addedGames.push(game);
+            entry.alreadyImported = true;
+            entry.selected = false;
+        } catch (error) {
+            console.error(`Error importing ${entry.fixture.HomeTeam} vs ${entry.fixture.AwayTeam}:`, error);
+            failed.push(`${entry.fixture.HomeTeam} vs ${entry.fixture.AwayTeam}`);
+        }
+    }
+
+    renderRoundImportPreview();
+    if (failed.length > 0) {
+        roundImportMessage.textContent = `Imported ${addedGames.length} game(s) into ${fecha}. Failed: ${failed.join(', ')}`;
+        roundImportMessage.style.color = 'red';
+    } else {
+        roundImportMessage.textContent = `Imported ${addedGames.length} game(s) into ${fecha}.`;
+        roundImportMessage.style.color = 'green';
+    }
+
+    if (addedGames.length > 0) {
+        await refreshStandingsFor(addedGames, roundImportMessage);
+        // Notify parent that data was updated
+        window.dispatchEvent(new Event('adminGameAdded'));
+    }
+}
+
 /**
  * Handle "Update All Results" — queries Firestore for pending games with
  * a thesportsdbEventId, checks the API for final scores, and updates Firestore.
  * 
- * This is the same logic that the GitHub Actions cron job will replicate
- * server-side using firebase-admin + the same TheSportsDB endpoint.
+ * Also follows postponements: games the API reports as postponed, cancelled or
+ * abandoned get that Status, and a postponed game that has a new kick-off
+ * date is moved to it and reopened for predictions ('upcoming').
+ * 
+ * Then runs the reconciliation pass: games finished in the last RECONCILE_DAYS
+ * days are looked up again and, if the provider has since amended the result,
+ * queued in resultReviews for an admin to accept or dismiss (never overwritten);
+ * upcoming games up to two weeks ahead get kick-off changes synced.
+ * 
+ * The decisions come from firebase-uploader/src/resultUpdates.js, shared with the
+ * server-side updater (firebase-uploader/updateResults.js) that runs from cron.
  */
 export async function handleUpdateResults() {
+    if (!requirePermission('updateResults', updateResultsMessage)) return;
+
     if (!getDocsFunction || !queryFunction || !whereFunction || !docFunction || !updateDocFunction) {
         console.error('Firestore query/update functions not initialized');
         if (updateResultsMessage) {
@@ -408,94 +943,167 @@ export async function handleUpdateResults() {
     };
 
     try {
-        // 1. Query games that are still upcoming (finished games are never touched)
-        addLogEntry('Querying Firestore for upcoming games...');
+        // 1. Query games that are still upcoming or postponed (finished and voided games are never touched)
+        const {
+            PENDING_STATUSES,
+            RECONCILE_DAYS,
+            shouldCheckGame,
+            planResultUpdate,
+            shouldReconcileGame,
+            planReconciliation,
+            shouldQueueReview,
+        } = await import('../firebase-uploader/src/resultUpdates.js');
+        addLogEntry('Querying Firestore for upcoming and postponed games...');
         const gamesRef = collectionFunction(db, 'games');
-        const q = queryFunction(gamesRef, whereFunction('Status', '==', 'upcoming'));
+        const q = queryFunction(gamesRef, whereFunction('Status', 'in', PENDING_STATUSES));
         const snapshot = await getDocsFunction(q);
 
-        if (snapshot.empty) {
-            addLogEntry('No upcoming games found.', 'warning');
-            updateResultsMessage.textContent = 'No upcoming games to check.';
-            updateResultsMessage.className = 'mt-2 text-center text-warning';
-            return;
-        }
-
-        // 2. Filter to games that have a thesportsdbEventId and kick-off is in the past
+        // 2. Filter to games that have a thesportsdbEventId and kick off soon or already did
+        //    (postponed games are always checked for a new date)
         const now = new Date();
         const pendingGames = [];
         snapshot.forEach(docSnap => {
             const data = docSnap.data();
-            const eventId = data.thesportsdbEventId;
-            const kickOff = data.KickOffTime ? new Date(data.KickOffTime) : null;
+            const { check, reason } = shouldCheckGame(data, now);
 
-            if (!eventId) {
-                addLogEntry(`⏭️ ${data.HomeTeam} vs ${data.AwayTeam} — no event ID, skipping`, 'skip');
-                return;
-            }
-            if (kickOff && kickOff > now) {
-                addLogEntry(`⏭️ ${data.HomeTeam} vs ${data.AwayTeam} — hasn't kicked off yet`, 'skip');
+            if (!check) {
+                addLogEntry(`⏭️ ${data.HomeTeam} vs ${data.AwayTeam} — ${reason}, skipping`, 'skip');
                 return;
             }
 
             pendingGames.push({ id: docSnap.id, ...data });
         });
 
-        if (pendingGames.length === 0) {
+        if (snapshot.empty) {
+            addLogEntry('No upcoming or postponed games found.', 'warning');
+        } else if (pendingGames.length === 0) {
             addLogEntry('All pending games either lack event IDs or haven\'t kicked off.', 'warning');
-            updateResultsMessage.textContent = 'No games ready for result updates.';
-            updateResultsMessage.className = 'mt-2 text-center text-warning';
-            return;
+        } else {
+            addLogEntry(`Found ${pendingGames.length} game(s) to check...`);
         }
 
-        addLogEntry(`Found ${pendingGames.length} game(s) to check...`);
-
-        // 3. Look up each event via TheSportsDB API
-        const { lookupEventById } = await import('../firebase-uploader/src/fetchFixtures.js');
+        // 3. Look up each event via the fixture provider (TheSportsDB by default)
+        const { getFixtureProvider } = await import('../firebase-uploader/src/providers.js');
+        const provider = await getFixtureProvider();
+        if (provider.name !== 'thesportsdb') {
+            addLogEntry(`Using the "${provider.name}" provider`);
+        }
 
         let updatedCount = 0;
+        let rescheduledCount = 0;
         let notFinishedCount = 0;
+        let manualCount = 0;
         let errorCount = 0;
+        let confirmedCount = 0;
+        let queuedCount = 0;
+        const updatedIds = new Set();
+        const updatedGames = [];
 
-        for (const game of pendingGames) {
+        // Apply a planned update (same rules as the server-side updater) and log it
+        const applyPlan = async (game, plan) => {
             const label = `${game.HomeTeam} vs ${game.AwayTeam}`;
-            addLogEntry(`🔍 Checking: ${label} (event ${game.thesportsdbEventId})...`);
+            if (plan.update) {
+                await updateDocFunction(docFunction(db, 'games', game.id), plan.update);
+                updatedIds.add(game.id);
+                updatedGames.push(game);
+            }
+            plan.warnings.forEach(warning => addLogEntry(`⚠️ ${label} — ${warning}`, 'warning'));
+
+            switch (plan.type) {
+                case 'finished':
+                    addLogEntry(`✅ ${label} — updated: ${formatResultDetails(plan.update)}`, 'success');
+                    updatedCount++;
+                    break;
+                case 'called-off':
+                    addLogEntry(`🚫 ${label} — ${plan.message}`, 'warning');
+                    updatedCount++;
+                    break;
+                case 'rescheduled':
+                    addLogEntry(`📅 ${label} — rescheduled to ${new Date(plan.update.KickOffTime).toLocaleString()}, predictions reopened`, 'success');
+                    rescheduledCount++;
+                    break;
+                case 'unchanged':
+                    addLogEntry(`⏳ ${label} — ${plan.message}`, 'skip');
+                    notFinishedCount++;
+                    break;
+                case 'waiting':
+                    addLogEntry(`⏳ ${label} — ${plan.message}`, 'warning');
+                    notFinishedCount++;
+                    break;
+                case 'manual':
+                    addLogEntry(`✏️ ${label} — ${plan.message}`, 'warning');
+                    manualCount++;
+                    break;
+                default:
+                    addLogEntry(`❌ ${label} — ${plan.message}`, 'error');
+                    errorCount++;
+            }
+        };
 
-            const result = await lookupEventById(game.thesportsdbEventId);
+        // 4. Update the games that kicked off (or were postponed)
+        for (const game of pendingGames) {
+            addLogEntry(`🔍 Checking: ${game.HomeTeam} vs ${game.AwayTeam} (event ${game.thesportsdbEventId})...`);
+            const result = await provider.lookupEvent(game.thesportsdbEventId);
+            await applyPlan(game, planResultUpdate(game, result, now));
+        }
 
-            if (!result) {
-                addLogEntry(`❌ ${label} — API lookup failed`, 'error');
-                errorCount++;
-                continue;
-            }
+        // 5. Reconciliation: re-verify recent results, sync kick-offs further ahead
+        addLogEntry(`Re-verifying results of the last ${RECONCILE_DAYS} days and upcoming kick-offs...`);
+        const reconcileSnapshot = await getDocsFunction(queryFunction(gamesRef, whereFunction('Status', 'in', ['finished', 'upcoming'])));
+        for (const docSnap of reconcileSnapshot.docs) {
+            if (updatedIds.has(docSnap.id)) continue;
+            const game = { id: docSnap.id, ...docSnap.data() };
+            const { check, kind } = shouldReconcileGame(game, now);
+            if (!check) continue;
 
-            if (!result.isFinished) {
-                addLogEntry(`⏳ ${label} — not finished yet (status: ${result.status || 'unknown'})`, 'warning');
-                notFinishedCount++;
+            const label = `${game.HomeTeam} vs ${game.AwayTeam}`;
+            const result = await provider.lookupEvent(game.thesportsdbEventId);
+            if (kind === 'kickoff') {
+                const plan = planResultUpdate(game, result, now);
+                // Nothing to log for games that are simply still to come
+                if (plan.type !== 'waiting') await applyPlan(game, plan);
                 continue;
             }
 
-            // 4. Update Firestore with the final score
-            const gameRef = docFunction(db, 'games', game.id);
-            await updateDocFunction(gameRef, {
-                HomeScore: result.homeScore,
-                AwayScore: result.awayScore,
-                Status: 'finished',
-            });
-
-            addLogEntry(`✅ ${label} — updated: ${result.homeScore}-${result.awayScore}`, 'success');
-            updatedCount++;
+            const plan = planReconciliation(game, result);
+            if (plan.type === 'match') {
+                addLogEntry(`✔️ ${label} — ${plan.message}`, 'skip');
+                confirmedCount++;
+            } else if (plan.type === 'manual') {
+                addLogEntry(`✏️ ${label} — ${plan.message}`, 'warning');
+                manualCount++;
+            } else if (plan.type === 'error') {
+                addLogEntry(`❌ ${label} — ${plan.message}`, 'error');
+                errorCount++;
+            } else {
+                const reviewRef = docFunction(db, 'resultReviews', game.id);
+                const existing = await getDocFunction(reviewRef);
+                const stored = existing.exists() ? existing.data() : null;
+                if (shouldQueueReview(stored, plan.review)) {
+                    await setDocFunction(reviewRef, { ...plan.review, detectedAt: new Date().toISOString() });
+                    addLogEntry(`🔎 ${label} — ${plan.message}, queued for review`, 'warning');
+                    queuedCount++;
+                } else {
+                    addLogEntry(`🔎 ${label} — ${plan.message} (${stored.status === 'open' ? 'already in the review queue' : 'dismissed by an admin'})`, 'skip');
+                }
+            }
         }
 
-        // 5. Summary
-        const summary = `Done! Updated: ${updatedCount} | Not finished: ${notFinishedCount} | Errors: ${errorCount}`;
-        addLogEntry(summary, updatedCount > 0 ? 'success' : 'info');
+        // 6. Summary
+        const changedCount = updatedCount + rescheduledCount;
+        const summary = `Done! Updated: ${updatedCount} | Rescheduled: ${rescheduledCount} | Not finished: ${notFinishedCount} | Confirmed: ${confirmedCount} | Queued for review: ${queuedCount} | Needs manual update: ${manualCount} | Errors: ${errorCount}`;
+        addLogEntry(summary, changedCount > 0 ? 'success' : 'info');
         updateResultsMessage.textContent = summary;
-        updateResultsMessage.className = `mt-2 text-center ${updatedCount > 0 ? 'text-success' : 'text-info'}`;
+        updateResultsMessage.className = `mt-2 text-center ${changedCount > 0 ? 'text-success' : 'text-info'}`;
+        if (updatedGames.length > 0) {
+            await refreshStandingsFor(updatedGames, updateResultsMessage);
+        }
 
         // Notify parent that data was updated (so game lists refresh)
-        if (updatedCount > 0) {
+        if (changedCount > 0) {
             window.dispatchEvent(new Event('adminGameAdded'));
+        } else if (queuedCount > 0) {
+            await loadResultReviews();
         }
 
     } catch (error) {
@@ -521,11 +1129,56 @@ function clearAdminForm() {
     adminHomeScoreInput.value = "";
     adminAwayScoreInput.value = "";
     adminThesportsdbEventId.value = "";
+    if (adminStageSelect) adminStageSelect.value = GAME_STAGES[0].id;
+    if (adminMultiplierInput) adminMultiplierInput.value = GAME_STAGES[0].multiplier;
+    if (adminKnockoutCheckbox) adminKnockoutCheckbox.checked = false;
+    if (adminExtraTimeHomeScoreInput) adminExtraTimeHomeScoreInput.value = "";
+    if (adminExtraTimeAwayScoreInput) adminExtraTimeAwayScoreInput.value = "";
+    if (adminPenaltyWinnerSelect) adminPenaltyWinnerSelect.value = "";
+    toggleKnockoutFields();
     fixtureSearchHome.value = "";
     fixtureSearchAway.value = "";
     fixtureResults.style.display = 'none';
 }
 
+/**
+ * Fill the Stage dropdown from GAME_STAGES; picking a stage suggests its multiplier
+ * (and marks anything other than a regular game as knockout)
+ */
+function populateStageSelect() {
+    if (!adminStageSelect) return;
+    adminStageSelect.innerHTML = GAME_STAGES
+        .map(stage => `<option value="${stage.id}">${stage.label} (x${stage.multiplier})</option>`)
+        .join('');
+    adminStageSelect.addEventListener('change', () => {
+        const stage = GAME_STAGES.find(s => s.id === adminStageSelect.value);
+        if (stage && adminMultiplierInput) adminMultiplierInput.value = stage.multiplier;
+        if (adminKnockoutCheckbox) {
+            adminKnockoutCheckbox.checked = adminStageSelect.value !== GAME_STAGES[0].id;
+            toggleKnockoutFields();
+        }
+    });
+}
+
+/**
+ * Fill the Status dropdown from GAME_STATUSES
+ */
+function populateStatusSelect() {
+    if (!adminStatusSelect) return;
+    adminStatusSelect.innerHTML = GAME_STATUSES
+        .map(status => `<option value="${status.id}">${status.label}</option>`)
+        .join('');
+    adminStatusSelect.value = 'upcoming';
+}
+
+/**
+ * Show the extra-time / penalty inputs only for knockout games
+ */
+function toggleKnockoutFields() {
+    if (!adminKnockoutFields || !adminKnockoutCheckbox) return;
+    adminKnockoutFields.style.display = adminKnockoutCheckbox.checked ? '' : 'none';
+}
+
 /**
  * Populate admin dropdowns from Firestore data
  * Uses global allLeagues variable from index.html
@@ -613,10 +1266,13 @@ export function populateLeagueDropdown(leagues) {
 
 /**
  * Populate team datalist for autocomplete on text inputs
+ * Team objects (with aliases/providerNames) also feed the alias registry used
+ * by the fixture search and round import.
  * @param {array} teams - Array of team objects or names
  */
 export function populateTeamDatalist(teams) {
     console.log("populateTeamDatalist called with teams:", teams);
+    knownTeams = Array.isArray(teams) ? teams.filter(team => team && typeof team === 'object') : [];
     
     const datalist = document.getElementById('teamNamesList');
     if (!datalist) {
@@ -649,7 +1305,7 @@ export function populateTeamDatalist(teams) {
 
 /**
  * Fetch the active season from Firestore config/activeSeason doc.
- * Returns the season name string or null if not set.
+ * Returns { name, allSeasons, scoringProfile } or null if not set.
  */
 export async function getActiveSeason() {
     if (!getDocFunction || !docFunction) {
@@ -662,7 +1318,12 @@ export async function getActiveSeason() {
         if (configSnap.exists()) {
             const data = configSnap.data();
             activeSeason = data.name || null;
-            return { name: data.name, allSeasons: data.allSeasons || [] };
+            const scoringProfiles = data.scoringProfiles || {};
+            return {
+                name: data.name,
+                allSeasons: data.allSeasons || [],
+                scoringProfile: resolveScoringProfile(scoringProfiles[data.name]),
+            };
         }
         return null;
     } catch (error) {
@@ -671,11 +1332,39 @@ export async function getActiveSeason() {
     }
 }
 
+/**
+ * Read the scoring profile inputs from the season form.
+ * Returns null if any weight is not a non-negative integer.
+ */
+function readScoringProfileInputs() {
+    const profile = {};
+    for (const [key, input] of Object.entries(scoringInputs)) {
+        const value = input && input.value !== '' ? Number(input.value) : DEFAULT_SCORING_PROFILE[key];
+        if (!Number.isInteger(value) || value < 0) {
+            return null;
+        }
+        profile[key] = value;
+    }
+    return profile;
+}
+
+/**
+ * Format a scoring profile as a short human-readable summary.
+ * @param {object} profile - Scoring profile
+ */
+function formatScoringProfile(profile) {
+    profile = resolveScoringProfile(profile);
+    return `Outcome ${profile.outcome} · Home ${profile.homeGoals} · Away ${profile.awayGoals} · Diff ${profile.goalDifference} · Exact ${profile.exactScore} · Qualifier ${profile.qualifier} (max ${getMaxPoints(profile)})`;
+}
+
 /**
  * Handle creating a new season.
- * Updates config/activeSeason doc with new name and appends to allSeasons array.
+ * Updates config/activeSeason doc with new name, appends to allSeasons array
+ * and stores the season's scoring profile under scoringProfiles[name].
  */
 async function handleCreateSeason() {
+    if (!requirePermission('manageSeasons', seasonMessage)) return;
+
     const newName = newSeasonInput.value.trim();
     if (!newName) {
         seasonMessage.textContent = 'Please enter a season name.';
@@ -689,6 +1378,18 @@ async function handleCreateSeason() {
         return;
     }
 
+    const scoringProfile = readScoringProfileInputs();
+    if (!scoringProfile) {
+        seasonMessage.textContent = 'Scoring points must be whole numbers of 0 or more.';
+        seasonMessage.style.color = 'red';
+        return;
+    }
+    if (getMaxPoints(scoringProfile) === 0) {
+        seasonMessage.textContent = 'At least one scoring rule must award points.';
+        seasonMessage.style.color = 'red';
+        return;
+    }
+
     createSeasonButton.disabled = true;
     seasonMessage.textContent = 'Creating season...';
     seasonMessage.style.color = 'orange';
@@ -698,15 +1399,20 @@ async function handleCreateSeason() {
         await setDocFunction(configRef, {
             name: newName,
             allSeasons: arrayUnionFunction(newName),
+            scoringProfiles: { [newName]: scoringProfile },
         }, { merge: true });
 
         activeSeason = newName;
         if (activeSeasonDisplay) {
             activeSeasonDisplay.textContent = newName;
         }
+        if (activeScoringDisplay) {
+            activeScoringDisplay.textContent = formatScoringProfile(scoringProfile);
+        }
         newSeasonInput.value = '';
         seasonMessage.textContent = `Season "${newName}" created and set as active!`;
         seasonMessage.style.color = 'green';
+        await loadGamesTable();
     } catch (error) {
         console.error('Error creating season:', error);
         seasonMessage.textContent = `Error: ${error.message}`;
@@ -725,4 +1431,1028 @@ export async function loadSeasonUI() {
     if (activeSeasonDisplay) {
         activeSeasonDisplay.textContent = seasonData ? seasonData.name : 'None — create one below';
     }
+    if (activeScoringDisplay) {
+        activeScoringDisplay.textContent = seasonData ? formatScoringProfile(seasonData.scoringProfile) : '';
+    }
+    populateCsvSeasonSelect(seasonData);
+}
+
+// ===================================
+// Games Management (edit / reschedule / delete)
+// ===================================
+
+/**
+ * Convert a stored KickOffTime (UTC ISO string) to a Date
+ * @param {string} value
+ * @returns {Date|null}
+ */
+function kickOffToDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Load the active season's games into the Manage Games table
+ */
+export async function loadGamesTable() {
+    if (!manageGamesTableBody || !hasPermission(currentRoles, 'manageGames')) return;
+
+    if (!activeSeason) {
+        managedGames = [];
+        manageGamesTableBody.innerHTML = '<tr><td colspan="7" class="text-muted text-center">No active season.</td></tr>';
+        return;
+    }
+
+    try {
+        const snapshot = await getDocsFunction(queryFunction(collectionFunction(db, 'games'), whereFunction('season', '==', activeSeason)));
+        managedGames = snapshot.docs
+            .map(gameDoc => ({ id: gameDoc.id, ...gameDoc.data() }))
+            .sort((a, b) => (kickOffToDate(a.KickOffTime) || 0) - (kickOffToDate(b.KickOffTime) || 0));
+
+        // Fecha filter: keep the current choice if it still exists
+        const fechas = [...new Set(managedGames.map(game => game.Fecha).filter(Boolean))];
+        const selectedFecha = manageGamesFechaSelect.value;
+        manageGamesFechaSelect.innerHTML = '<option value="">All Fechas</option>' +
+            fechas.map(fecha => `<option value="${escapeHtml(fecha)}">${escapeHtml(fecha)}</option>`).join('');
+        manageGamesFechaSelect.value = fechas.includes(selectedFecha) ? selectedFecha : '';
+
+        renderGamesTable();
+    } catch (error) {
+        console.error('Error loading games table:', error);
+        manageGamesMessage.textContent = `Error loading games: ${error.message}`;
+        manageGamesMessage.style.color = 'red';
+    }
+}
+
+/**
+ * Render the Manage Games table (read-only rows with Edit / Delete buttons)
+ */
+function renderGamesTable() {
+    const fecha = manageGamesFechaSelect.value;
+    const games = managedGames.filter(game => !fecha || game.Fecha === fecha);
+
+    if (games.length === 0) {
+        manageGamesTableBody.innerHTML = '<tr><td colspan="7" class="text-muted text-center">No games.</td></tr>';
+        return;
+    }
+
+    manageGamesTableBody.innerHTML = '';
+    games.forEach(game => {
+        const kickOff = kickOffToDate(game.KickOffTime);
+        const status = GAME_STATUSES.find(s => s.id === game.Status);
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(game.Fecha)}</td>
+            <td>${escapeHtml(game.HomeTeam)}</td>
+            <td>${escapeHtml(game.AwayTeam)}</td>
+            <td>${escapeHtml(game.League)}</td>
+            <td><small>${kickOff ? kickOff.toISOString().slice(0, 16).replace('T', ' ') : '—'}</small></td>
+            <td>${escapeHtml(status ? status.label : game.Status)}</td>
+            <td class="text-nowrap"></td>
+        `;
+        const actions = row.lastElementChild;
+
+        const editButton = document.createElement('button');
+        editButton.className = 'btn btn-sm btn-outline-primary me-1';
+        editButton.textContent = 'Edit';
+        editButton.addEventListener('click', () => renderGameEditRow(row, game));
+
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'btn btn-sm btn-outline-danger';
+        deleteButton.textContent = 'Delete';
+        deleteButton.addEventListener('click', () => handleDeleteGame(game));
+
+        actions.append(editButton, deleteButton);
+        manageGamesTableBody.appendChild(row);
+    });
+}
+
+/**
+ * Turn a table row into inline inputs for editing a game
+ * @param {HTMLTableRowElement} row
+ * @param {object} game - Game ({ id, ...data })
+ */
+function renderGameEditRow(row, game) {
+    const kickOff = kickOffToDate(game.KickOffTime);
+    row.innerHTML = `
+        <td><input type="text" class="form-control form-control-sm" data-field="Fecha" value="${escapeHtml(game.Fecha)}"></td>
+        <td><input type="text" class="form-control form-control-sm" data-field="HomeTeam" value="${escapeHtml(game.HomeTeam)}" list="teamNamesList"></td>
+        <td><input type="text" class="form-control form-control-sm" data-field="AwayTeam" value="${escapeHtml(game.AwayTeam)}" list="teamNamesList"></td>
+        <td><select class="form-control form-control-sm" data-field="League">${adminLeagueSelect ? adminLeagueSelect.innerHTML : ''}</select></td>
+        <td><input type="datetime-local" class="form-control form-control-sm" data-field="KickOffTime" value="${kickOff ? kickOff.toISOString().slice(0, 16) : ''}"></td>
+        <td>${escapeHtml(game.Status)}</td>
+        <td class="text-nowrap"></td>
+    `;
+    const leagueSelect = row.querySelector('[data-field="League"]');
+    if (![...leagueSelect.options].some(option => option.value === game.League)) {
+        leagueSelect.add(new Option(game.League, game.League));
+    }
+    leagueSelect.value = game.League;
+
+    const actions = row.lastElementChild;
+    const saveButton = document.createElement('button');
+    saveButton.className = 'btn btn-sm btn-success me-1';
+    saveButton.textContent = 'Save';
+    saveButton.addEventListener('click', () => {
+        const values = {};
+        row.querySelectorAll('[data-field]').forEach(input => { values[input.dataset.field] = input.value.trim(); });
+        handleSaveGameEdit(game, values);
+    });
+
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'btn btn-sm btn-outline-secondary';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', renderGamesTable);
+
+    actions.append(saveButton, cancelButton);
+}
+
+/**
+ * Save an inline edit: only changed fields are written. Moving a postponed
+ * game to a future kick-off reopens it for predictions (Status 'upcoming'),
+ * like the result updater does for rescheduled games.
+ * @param {object} game - Game before the edit ({ id, ...data })
+ * @param {object} values - Input values: Fecha, HomeTeam, AwayTeam, League, KickOffTime (datetime-local, UTC)
+ */
+async function handleSaveGameEdit(game, values) {
+    if (!requirePermission('manageGames', manageGamesMessage)) return;
+
+    const kickOffISO = localDateTimeToUTCISOString(values.KickOffTime);
+    if (!values.Fecha || !values.HomeTeam || !values.AwayTeam || !values.League || !kickOffISO) {
+        manageGamesMessage.textContent = 'Fecha, teams, league and kick-off are required.';
+        manageGamesMessage.style.color = 'red';
+        return;
+    }
+    if (values.HomeTeam === values.AwayTeam) {
+        manageGamesMessage.textContent = 'Home Team and Away Team cannot be the same.';
+        manageGamesMessage.style.color = 'red';
+        return;
+    }
+
+    const update = {};
+    ['Fecha', 'HomeTeam', 'AwayTeam', 'League'].forEach(field => {
+        if (values[field] !== game[field]) update[field] = values[field];
+    });
+    const storedKickOff = kickOffToDate(game.KickOffTime);
+    if (!storedKickOff || storedKickOff.toISOString() !== kickOffISO) {
+        update.KickOffTime = kickOffISO;
+        if (game.Status === 'postponed' && new Date(kickOffISO) > new Date()) {
+            update.Status = 'upcoming';
+        }
+    }
+
+    if (Object.keys(update).length === 0) {
+        renderGamesTable();
+        return;
+    }
+
+    try {
+        await updateDocFunction(docFunction(db, 'games', game.id), update);
+        manageGamesMessage.textContent = `Updated ${values.HomeTeam} vs ${values.AwayTeam}` +
+            (update.Status === 'upcoming' ? ' (rescheduled, predictions reopened)' : '');
+        manageGamesMessage.style.color = 'green';
+        // A game moved to another Fecha changes both fechas
+        await refreshStandingsFor([game, { ...game, ...update }], manageGamesMessage);
+        // Notify listeners (dropdowns, this table) that games changed
+        window.dispatchEvent(new Event('adminGameAdded'));
+    } catch (error) {
+        console.error('Error updating game:', error);
+        manageGamesMessage.textContent = `Error updating game: ${error.message}`;
+        manageGamesMessage.style.color = 'red';
+    }
+}
+
+/**
+ * Delete a game together with its predictions, so no orphaned predictions
+ * are left behind. Uses batched writes; the game is deleted in the last batch.
+ * @param {object} game - Game ({ id, ...data })
+ */
+async function handleDeleteGame(game) {
+    if (!requirePermission('manageGames', manageGamesMessage)) return;
+
+    try {
+        const predictionsSnapshot = await getDocsFunction(queryFunction(collectionFunction(db, 'predictions'), whereFunction('gameId', '==', game.id)));
+        const predictionCount = predictionsSnapshot.size;
+        const label = `${game.HomeTeam} vs ${game.AwayTeam}`;
+        const warning = predictionCount > 0 ? `\n\nIts ${predictionCount} prediction(s) will be deleted too.` : '';
+        if (!window.confirm(`Delete ${label} (${game.Fecha || 'no Fecha'})?${warning}`)) return;
+
+        await deleteDocsInBatches([...predictionsSnapshot.docs.map(predictionDoc => predictionDoc.ref), docFunction(db, 'games', game.id)]);
+
+        manageGamesMessage.textContent = `Deleted ${label}` + (predictionCount > 0 ? ` and ${predictionCount} prediction(s)` : '');
+        manageGamesMessage.style.color = 'green';
+        await refreshStandingsFor([game], manageGamesMessage);
+        // Notify listeners (dropdowns, this table) that games changed
+        window.dispatchEvent(new Event('adminGameAdded'));
+    } catch (error) {
+        console.error('Error deleting game:', error);
+        manageGamesMessage.textContent = `Error deleting game: ${error.message}`;
+        manageGamesMessage.style.color = 'red';
+    }
+}
+
+/**
+ * Delete documents with batched writes (Firestore allows 500 writes per batch)
+ * @param {array} refs - Document references, deleted in order
+ */
+async function deleteDocsInBatches(refs) {
+    const BATCH_SIZE = 450;
+    for (let i = 0; i < refs.length; i += BATCH_SIZE) {
+        const batch = writeBatchFunction(db);
+        refs.slice(i, i + BATCH_SIZE).forEach(ref => batch.delete(ref));
+        await batch.commit();
+    }
+}
+
+/**
+ * Find predictions whose game no longer exists (e.g. games deleted from the
+ * Firebase console) and offer to delete them
+ */
+async function handleFindOrphanedPredictions() {
+    if (!requirePermission('manageGames', manageGamesMessage)) return;
+
+    try {
+        manageGamesMessage.textContent = 'Looking for orphaned predictions...';
+        manageGamesMessage.style.color = 'blue';
+
+        const [gamesSnapshot, predictionsSnapshot] = await Promise.all([
+            getDocsFunction(collectionFunction(db, 'games')),
+            getDocsFunction(collectionFunction(db, 'predictions')),
+        ]);
+        const gameIds = new Set(gamesSnapshot.docs.map(gameDoc => gameDoc.id));
+        const orphans = predictionsSnapshot.docs.filter(predictionDoc => !gameIds.has(predictionDoc.data().gameId));
+
+        if (orphans.length === 0) {
+            manageGamesMessage.textContent = 'No orphaned predictions found.';
+            manageGamesMessage.style.color = 'green';
+            return;
+        }
+        if (!window.confirm(`Found ${orphans.length} prediction(s) for games that no longer exist. Delete them?`)) {
+            manageGamesMessage.textContent = `${orphans.length} orphaned prediction(s) left in place.`;
+            manageGamesMessage.style.color = 'orange';
+            return;
+        }
+
+        await deleteDocsInBatches(orphans.map(predictionDoc => predictionDoc.ref));
+        manageGamesMessage.textContent = `Deleted ${orphans.length} orphaned prediction(s).`;
+        manageGamesMessage.style.color = 'green';
+    } catch (error) {
+        console.error('Error cleaning up orphaned predictions:', error);
+        manageGamesMessage.textContent = `Error: ${error.message}`;
+        manageGamesMessage.style.color = 'red';
+    }
+}
+
+// ===================================
+// Season Standings (standings/{season})
+// ===================================
+
+/**
+ * Firestore access for refreshStandings (firebase-uploader/src/standings.js)
+ */
+function createStandingsStore() {
+    return {
+        async getFechaGames(season, fecha) {
+            const constraints = [];
+            if (season) constraints.push(whereFunction('season', '==', season));
+            if (fecha) constraints.push(whereFunction('Fecha', '==', fecha));
+            const snapshot = await getDocsFunction(queryFunction(collectionFunction(db, 'games'), ...constraints));
+            // Missing fields can't be queried: "No Season" and "no Fecha" are filtered here
+            return snapshot.docs
+                .map(gameDoc => ({ id: gameDoc.id, ...gameDoc.data() }))
+                .filter(game => (season || !game.season) && (fecha || !game.Fecha));
+        },
+        async getPredictions(gameIds) {
+            // Firestore 'in' queries support max 10 items per batch
+            const predictions = [];
+            for (let i = 0; i < gameIds.length; i += 10) {
+                const predSnapshot = await getDocsFunction(queryFunction(collectionFunction(db, 'predictions'), whereFunction('gameId', 'in', gameIds.slice(i, i + 10))));
+                predSnapshot.forEach(predictionDoc => predictions.push(predictionDoc.data()));
+            }
+            return predictions;
+        },
+        async updateStandings(docId, update) {
+            const standingsRef = docFunction(db, 'standings', docId);
+            await runTransactionFunction(db, async transaction => {
+                const current = await transaction.get(standingsRef);
+                transaction.set(standingsRef, { ...update(current.exists() ? current.data() : null), updatedAt: new Date().toISOString() });
+            });
+        },
+    };
+}
+
+/**
+ * Recompute the standings of the fechas these games belong to, after writing them.
+ * The games are saved either way: a failure only adds a warning to messageEl
+ * (firebase-uploader/rebuildStandings.js puts the standings right).
+ * @param {array} games - Written games (before and after an edit), with season and Fecha
+ * @param {HTMLElement} messageEl - Optional, where to warn
+ */
+async function refreshStandingsFor(games, messageEl = null) {
+    try {
+        const { affectedFechas, refreshStandings } = await import('../firebase-uploader/src/standings.js');
+        const configSnap = await getDocFunction(docFunction(db, 'config', 'activeSeason'));
+        const scoringProfiles = configSnap.exists() ? (configSnap.data().scoringProfiles || {}) : {};
+        await refreshStandings(createStandingsStore(), affectedFechas(games), scoringProfiles);
+    } catch (error) {
+        console.error('Error updating standings:', error);
+        if (messageEl) {
+            messageEl.textContent += ` Standings not updated (${error.message}): run rebuildStandings.js.`;
+            messageEl.style.color = 'orange';
+        }
+    }
+}
+
+// ===================================
+// Result Corrections (gameAudit)
+// ===================================
+
+/**
+ * Load the active season's finished games into the correction dropdown (newest first)
+ */
+export async function loadCorrectionGames() {
+    if (!correctionGameSelect || !hasPermission(currentRoles, 'updateResults')) return;
+
+    try {
+        const gamesQuery = activeSeason
+            ? queryFunction(collectionFunction(db, 'games'), whereFunction('season', '==', activeSeason), whereFunction('Status', '==', 'finished'))
+            : queryFunction(collectionFunction(db, 'games'), whereFunction('Status', '==', 'finished'));
+        const snapshot = await getDocsFunction(gamesQuery);
+        correctableGames = snapshot.docs
+            .map(gameDoc => ({ id: gameDoc.id, ...gameDoc.data() }))
+            .sort((a, b) => (kickOffToDate(b.KickOffTime) || 0) - (kickOffToDate(a.KickOffTime) || 0));
+
+        const selectedId = correctionGameSelect.value;
+        correctionGameSelect.innerHTML = '<option value="">Select a finished game</option>' + correctableGames
+            .map(game => `<option value="${game.id}">${escapeHtml(game.Fecha || '—')} · ${escapeHtml(game.HomeTeam)} vs ${escapeHtml(game.AwayTeam)} · ${escapeHtml(formatResultDetails(game))}</option>`)
+            .join('');
+        correctionGameSelect.value = correctableGames.some(game => game.id === selectedId) ? selectedId : '';
+        fillCorrectionForm();
+    } catch (error) {
+        console.error('Error loading finished games:', error);
+        correctionMessage.textContent = `Error loading finished games: ${error.message}`;
+        correctionMessage.style.color = 'red';
+    }
+}
+
+/**
+ * Fill the correction inputs with the selected game's current result
+ */
+function fillCorrectionForm() {
+    const game = correctableGames.find(g => g.id === correctionGameSelect.value);
+    const value = field => (game && game[field] !== null && game[field] !== undefined ? game[field] : '');
+    correctionHomeScoreInput.value = value('HomeScore');
+    correctionAwayScoreInput.value = value('AwayScore');
+    correctionExtraTimeHomeScoreInput.value = value('ExtraTimeHomeScore');
+    correctionExtraTimeAwayScoreInput.value = value('ExtraTimeAwayScore');
+    correctionPenaltyWinnerSelect.value = value('PenaltyWinner');
+    correctionKnockoutFields.style.display = isKnockoutGame(game) ? 'flex' : 'none';
+    correctionRankChanges.innerHTML = '';
+}
+
+/**
+ * Fetch what the leaderboard needs to rank a season: its games, their
+ * predictions and the scoring profiles
+ * @param {string|null} season - Season name (null = games without a season)
+ * @returns {Promise<object>} { games, predictions, scoringProfiles }
+ */
+async function fetchSeasonStandingsData(season) {
+    const gamesSnapshot = await getDocsFunction(season
+        ? queryFunction(collectionFunction(db, 'games'), whereFunction('season', '==', season))
+        : collectionFunction(db, 'games'));
+    const games = gamesSnapshot.docs
+        .map(gameDoc => ({ id: gameDoc.id, ...gameDoc.data() }))
+        .filter(game => season || !game.season);
+
+    // Firestore 'in' queries support max 10 items per batch
+    const predictions = [];
+    const gameIds = games.map(game => game.id);
+    for (let i = 0; i < gameIds.length; i += 10) {
+        const predSnapshot = await getDocsFunction(queryFunction(collectionFunction(db, 'predictions'), whereFunction('gameId', 'in', gameIds.slice(i, i + 10))));
+        predSnapshot.forEach(predictionDoc => predictions.push({ id: predictionDoc.id, ...predictionDoc.data() }));
+    }
+
+    const configSnap = await getDocFunction(docFunction(db, 'config', 'activeSeason'));
+    const scoringProfiles = configSnap.exists() ? (configSnap.data().scoringProfiles || {}) : {};
+    return { games, predictions, scoringProfiles };
+}
+
+/**
+ * Handle "Save Correction" — writes the corrected result of a finished game
+ * and its gameAudit entry in one batch, then shows how the leaderboard ranks
+ * moved (calculatePlayerStats before vs. after the correction)
+ */
+export async function handleCorrectResult() {
+    if (!requirePermission('updateResults', correctionMessage)) return;
+
+    const game = correctableGames.find(g => g.id === correctionGameSelect.value);
+    const reason = correctionReasonInput.value.trim();
+    const parseScoreInput = input => (input.value === '' ? null : parseInt(input.value, 10));
+    const knockout = isKnockoutGame(game);
+
+    if (!game) {
+        correctionMessage.textContent = 'Select the game to correct.';
+        correctionMessage.style.color = 'red';
+        return;
+    }
+
+    const after = {
+        HomeScore: parseScoreInput(correctionHomeScoreInput),
+        AwayScore: parseScoreInput(correctionAwayScoreInput),
+        ExtraTimeHomeScore: knockout ? parseScoreInput(correctionExtraTimeHomeScoreInput) : null,
+        ExtraTimeAwayScore: knockout ? parseScoreInput(correctionExtraTimeAwayScoreInput) : null,
+        PenaltyWinner: knockout ? correctionPenaltyWinnerSelect.value || null : null,
+    };
+    const isScore = score => Number.isInteger(score) && score >= 0;
+
+    if (!isScore(after.HomeScore) || !isScore(after.AwayScore)) {
+        correctionMessage.textContent = 'Enter the corrected 90-minute score.';
+        correctionMessage.style.color = 'red';
+        return;
+    }
+    if ((after.ExtraTimeHomeScore === null) !== (after.ExtraTimeAwayScore === null) ||
+        (after.ExtraTimeHomeScore !== null && (!isScore(after.ExtraTimeHomeScore) || !isScore(after.ExtraTimeAwayScore)))) {
+        correctionMessage.textContent = 'Enter both extra-time scores, or neither.';
+        correctionMessage.style.color = 'red';
+        return;
+    }
+    if (!reason) {
+        correctionMessage.textContent = 'Please give a reason for the correction.';
+        correctionMessage.style.color = 'red';
+        return;
+    }
+
+    const before = getResultSnapshot(game);
+    const changedFields = Object.keys(after).filter(field => after[field] !== before[field]);
+    if (changedFields.length === 0) {
+        correctionMessage.textContent = 'The result is unchanged — nothing to correct.';
+        correctionMessage.style.color = 'orange';
+        return;
+    }
+
+    correctResultButton.disabled = true;
+    correctionMessage.textContent = 'Saving correction...';
+    correctionMessage.style.color = 'orange';
+    correctionRankChanges.innerHTML = '';
+
+    try {
+        const { changes, userNames } = await applyResultCorrection(game, after, reason);
+
+        const label = `${game.HomeTeam} vs ${game.AwayTeam}`;
+        correctionMessage.textContent = `Corrected ${label}: ${formatResultDetails({ ...game, ...before })} → ${formatResultDetails({ ...game, ...after })}`;
+        correctionMessage.style.color = 'green';
+        correctionReasonInput.value = '';
+        renderRankChanges(correctionRankChanges, changes, userNames);
+
+        // Notify listeners (dropdowns, game lists) that games changed
+        window.dispatchEvent(new Event('adminGameAdded'));
+    } catch (error) {
+        console.error('Error correcting result:', error);
+        correctionMessage.textContent = `Error correcting result: ${error.message}`;
+        correctionMessage.style.color = 'red';
+    } finally {
+        correctResultButton.disabled = false;
+    }
+}
+
+/**
+ * Write a corrected result and its gameAudit entry in one batch
+ * @param {object} game - Finished game ({ id, ...data })
+ * @param {object} after - Corrected result (RESULT_FIELDS)
+ * @param {string} reason - Shown in the audit history
+ * @param {function} addToBatch - Optional, adds more writes to the same batch
+ * @returns {Promise<object>} { changes (see calculateRankChanges), userNames: { userId: playerName } }
+ */
+async function applyResultCorrection(game, after, reason, addToBatch = null) {
+    const before = getResultSnapshot(game);
+    const { games, predictions, scoringProfiles } = await fetchSeasonStandingsData(game.season || null);
+    const correctedGames = games.map(g => (g.id === game.id ? { ...g, ...after } : g));
+    // Ranked like the leaderboard (rankPlayers), so ties move the same way there
+    const userNames = getPlayerNames(predictions);
+    const rankingBefore = rankPlayers(calculatePlayerStats(games, predictions, scoringProfiles), userNames);
+    const rankingAfter = rankPlayers(calculatePlayerStats(correctedGames, predictions, scoringProfiles), userNames);
+
+    const update = {};
+    Object.keys(after).filter(field => after[field] !== before[field]).forEach(field => { update[field] = after[field]; });
+
+    const batch = writeBatchFunction(db);
+    batch.update(docFunction(db, 'games', game.id), update);
+    batch.set(docFunction(collectionFunction(db, 'gameAudit')), {
+        gameId: game.id,
+        season: game.season || null,
+        Fecha: game.Fecha || null,
+        HomeTeam: game.HomeTeam,
+        AwayTeam: game.AwayTeam,
+        Knockout: isKnockoutGame(game),
+        before,
+        after,
+        changedBy: currentAdminUid,
+        changedByName: currentAdminName,
+        changedAt: new Date().toISOString(),
+        reason,
+    });
+    if (addToBatch) addToBatch(batch);
+    await batch.commit();
+    await refreshStandingsFor([game]);
+
+    return { changes: calculateRankChanges(rankingBefore, rankingAfter), userNames };
+}
+
+/**
+ * Show the rank changes caused by a correction
+ * @param {HTMLElement} container - Where to render the table
+ * @param {array} changes - From calculateRankChanges
+ * @param {object} userNames - { userId: playerName }
+ */
+function renderRankChanges(container, changes, userNames) {
+    if (changes.length === 0) {
+        container.innerHTML = '<p class="text-muted small text-center">No points or ranks changed.</p>';
+        return;
+    }
+    const arrow = change => {
+        if (change.rankBefore === change.rankAfter) return '<span class="text-muted">=</span>';
+        return change.rankAfter < change.rankBefore
+            ? `<span class="text-success">▲ ${change.rankBefore - change.rankAfter}</span>`
+            : `<span class="text-danger">▼ ${change.rankAfter - change.rankBefore}</span>`;
+    };
+    container.innerHTML = `
+        <table class="table table-sm mb-0">
+            <thead><tr><th>Player</th><th>Points</th><th>Rank</th><th></th></tr></thead>
+            <tbody>
+                ${changes.map(change => `
+                    <tr>
+                        <td>${escapeHtml(userNames[change.userId] || change.userId)}</td>
+                        <td>${change.pointsBefore} → ${change.pointsAfter}</td>
+                        <td>${change.rankBefore ?? '—'} → ${change.rankAfter ?? '—'}</td>
+                        <td>${arrow(change)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// ===================================
+// Result Review Queue (resultReviews)
+// ===================================
+
+/**
+ * Load the open result reviews queued by the reconciliation pass
+ * (handleUpdateResults and firebase-uploader/updateResults.js)
+ */
+export async function loadResultReviews() {
+    if (!resultReviewsList || !hasPermission(currentRoles, 'updateResults')) return;
+
+    try {
+        const snapshot = await getDocsFunction(queryFunction(collectionFunction(db, 'resultReviews'), whereFunction('status', '==', 'open')));
+        const reviews = snapshot.docs.map(reviewDoc => ({ id: reviewDoc.id, ...reviewDoc.data() }));
+
+        if (reviews.length === 0) {
+            resultReviewsList.innerHTML = '<p class="text-muted small text-center">No amended results waiting for review.</p>';
+            return;
+        }
+
+        resultReviewsList.innerHTML = '';
+        reviews.forEach(review => {
+            const item = document.createElement('div');
+            item.className = 'border rounded p-2 mb-2 bg-white';
+            item.innerHTML = `
+                <div><strong>${escapeHtml(review.HomeTeam)} vs ${escapeHtml(review.AwayTeam)}</strong> <small class="text-muted">${escapeHtml(review.Fecha || '')}</small></div>
+                <div class="small">Recorded: ${escapeHtml(formatResultDetails({ ...review, ...review.stored }))}</div>
+                <div class="small">Provider: <strong>${escapeHtml(formatResultDetails({ ...review, ...review.provider }))}</strong></div>
+                <div class="mt-1"></div>
+            `;
+            const actions = item.lastElementChild;
+
+            const acceptButton = document.createElement('button');
+            acceptButton.className = 'btn btn-sm btn-warning me-1';
+            acceptButton.textContent = 'Accept provider result';
+            acceptButton.addEventListener('click', () => handleResolveReview(review, true));
+
+            const dismissButton = document.createElement('button');
+            dismissButton.className = 'btn btn-sm btn-outline-secondary';
+            dismissButton.textContent = 'Keep current';
+            dismissButton.addEventListener('click', () => handleResolveReview(review, false));
+
+            actions.append(acceptButton, dismissButton);
+            resultReviewsList.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Error loading result reviews:', error);
+        resultReviewsMessage.textContent = `Error loading result reviews: ${error.message}`;
+        resultReviewsMessage.style.color = 'red';
+    }
+}
+
+/**
+ * Resolve a result review: accepting applies the provider's result as a
+ * correction (gameAudit entry, rank changes), dismissing keeps the stored
+ * result. Either way the review is closed in the same write.
+ * @param {object} review - resultReviews document ({ id, ...data })
+ * @param {boolean} accept
+ */
+async function handleResolveReview(review, accept) {
+    if (!requirePermission('updateResults', resultReviewsMessage)) return;
+
+    const reviewRef = docFunction(db, 'resultReviews', review.id);
+    const resolution = {
+        status: accept ? 'accepted' : 'dismissed',
+        resolvedBy: currentAdminUid,
+        resolvedAt: new Date().toISOString(),
+    };
+    const label = `${review.HomeTeam} vs ${review.AwayTeam}`;
+    resultReviewsRankChanges.innerHTML = '';
+
+    try {
+        if (!accept) {
+            await updateDocFunction(reviewRef, resolution);
+            resultReviewsMessage.textContent = `Kept the recorded result of ${label}.`;
+            resultReviewsMessage.style.color = 'green';
+            await loadResultReviews();
+            return;
+        }
+
+        const gameSnap = await getDocFunction(docFunction(db, 'games', review.gameId));
+        if (!gameSnap.exists() || gameSnap.data().Status !== 'finished') {
+            resultReviewsMessage.textContent = `${label} is no longer a finished game — dismiss the review instead.`;
+            resultReviewsMessage.style.color = 'red';
+            return;
+        }
+        const game = { id: gameSnap.id, ...gameSnap.data() };
+        const after = { ...getResultSnapshot(game), ...review.provider };
+        const current = getResultSnapshot(game);
+
+        resultReviewsMessage.textContent = 'Applying provider result...';
+        resultReviewsMessage.style.color = 'orange';
+
+        // Already corrected by hand: just close the review
+        if (Object.keys(after).every(field => after[field] === current[field])) {
+            await updateDocFunction(reviewRef, resolution);
+        } else {
+            const { changes, userNames } = await applyResultCorrection(game, after, 'Provider amended result',
+                batch => batch.update(reviewRef, resolution));
+            renderRankChanges(resultReviewsRankChanges, changes, userNames);
+        }
+
+        resultReviewsMessage.textContent = `Updated ${label}: ${formatResultDetails({ ...game, ...current })} → ${formatResultDetails({ ...game, ...after })}`;
+        resultReviewsMessage.style.color = 'green';
+
+        // Notify listeners (dropdowns, game lists, this queue) that games changed
+        window.dispatchEvent(new Event('adminGameAdded'));
+    } catch (error) {
+        console.error('Error resolving result review:', error);
+        resultReviewsMessage.textContent = `Error: ${error.message}`;
+        resultReviewsMessage.style.color = 'red';
+    }
+}
+
+// ===================================
+// Spreadsheets (CSV import / export)
+// ===================================
+
+/**
+ * Fill the export season dropdown: every season plus "No Season", active season selected
+ * @param {object|null} seasonData - From getActiveSeason
+ */
+function populateCsvSeasonSelect(seasonData) {
+    if (!csvSeasonSelect) return;
+    const seasons = seasonData ? [...new Set([...(seasonData.allSeasons || []), seasonData.name].filter(Boolean))] : [];
+    csvSeasonSelect.innerHTML = seasons
+        .map(season => `<option value="${escapeHtml(season)}">${escapeHtml(season)}</option>`)
+        .join('') + '<option value="__none__">No Season (historical)</option>';
+    csvSeasonSelect.value = seasonData && seasonData.name ? seasonData.name : '__none__';
+}
+
+/**
+ * Offer a CSV file for download. The byte order mark makes Excel read it as
+ * UTF-8, so accented team and player names show correctly.
+ * @param {string} fileName
+ * @param {string} csv
+ */
+function downloadCsv(fileName, csv) {
+    const url = URL.createObjectURL(new Blob(['\ufeff' + csv], { type: 'text/csv;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Handle the export buttons — downloads the selected season's games, its
+ * predictions with their points, or its leaderboard as CSV
+ * @param {string} kind - 'games', 'predictions' or 'leaderboard'
+ */
+async function handleExportCsv(kind) {
+    if (!requirePermission('exportData', csvExportMessage)) return;
+
+    const season = csvSeasonSelect.value === '__none__' ? null : csvSeasonSelect.value;
+    try {
+        csvExportMessage.textContent = `Preparing ${kind} export...`;
+        csvExportMessage.style.color = 'blue';
+
+        const { gamesToCsv, predictionsToCsv, leaderboardToCsv } = await import('../firebase-uploader/src/csvTransfer.js');
+        const { games, predictions, scoringProfiles } = await fetchSeasonStandingsData(season);
+        const csv = {
+            games: () => gamesToCsv(games),
+            predictions: () => predictionsToCsv(games, predictions, scoringProfiles),
+            leaderboard: () => leaderboardToCsv(games, predictions, scoringProfiles),
+        }[kind]();
+
+        const fileName = `${kind}-${(season || 'no-season').replace(/[^A-Za-z0-9_-]+/g, '_')}.csv`;
+        downloadCsv(fileName, csv);
+        csvExportMessage.textContent = `Downloaded ${fileName}.`;
+        csvExportMessage.style.color = 'green';
+    } catch (error) {
+        console.error(`Error exporting ${kind}:`, error);
+        csvExportMessage.textContent = `Error exporting ${kind}: ${error.message}`;
+        csvExportMessage.style.color = 'red';
+    }
+}
+
+/**
+ * Players that predictions can be imported for: everyone who has made a
+ * prediction or joined a group, with their latest player name
+ * @returns {Promise<object>} { userId: playerName }
+ */
+async function fetchKnownUsers() {
+    const [predictionsSnapshot, groupsSnapshot] = await Promise.all([
+        getDocsFunction(collectionFunction(db, 'predictions')),
+        getDocsFunction(collectionFunction(db, 'groups')),
+    ]);
+    const predictions = predictionsSnapshot.docs.map(predictionDoc => predictionDoc.data());
+    const userIds = new Set([
+        ...predictions.map(pred => pred.userId),
+        ...groupsSnapshot.docs.flatMap(groupDoc => groupDoc.data().members || []),
+    ].filter(Boolean));
+    const names = getPlayerNames(predictions);
+    return Object.fromEntries([...userIds].map(userId => [userId, names[userId] || userId]));
+}
+
+/**
+ * Check the chosen CSV file (on file or type change) — plans the import into
+ * the active season and previews every row with its problems. Nothing is
+ * written until "Import" is clicked, and only when no row has an error.
+ */
+async function handleCheckCsvImport() {
+    csvImportPlan = null;
+    csvImportPreview.style.display = 'none';
+    const file = csvImportFile.files[0];
+    if (!file) return;
+
+    const kind = csvImportType.value;
+    if (!requirePermission(kind === 'games' ? 'addGames' : 'importPredictions', csvImportMessage)) return;
+    if (!activeSeason) {
+        csvImportMessage.textContent = '⚠️ No active season set. Please create a season first.';
+        csvImportMessage.style.color = 'red';
+        return;
+    }
+
+    try {
+        csvImportMessage.textContent = `Checking ${file.name}...`;
+        csvImportMessage.style.color = 'blue';
+
+        const { planGamesImport, planPredictionsImport } = await import('../firebase-uploader/src/csvTransfer.js');
+        const text = await file.text();
+        if (kind === 'games') {
+            const snapshot = await getDocsFunction(queryFunction(collectionFunction(db, 'games'), whereFunction('season', '==', activeSeason)));
+            csvImportPlan = planGamesImport(text, {
+                registry: await getTeamRegistry(),
+                existingGames: snapshot.docs.map(gameDoc => gameDoc.data()),
+                season: activeSeason,
+            });
+        } else {
+            const { games, predictions } = await fetchSeasonStandingsData(activeSeason);
+            csvImportPlan = planPredictionsImport(text, {
+                games,
+                existingPredictions: predictions,
+                knownUsers: await fetchKnownUsers(),
+                adminUid: currentAdminUid,
+            });
+        }
+        csvImportKind = kind;
+        renderCsvImportPreview();
+    } catch (error) {
+        console.error('Error checking CSV file:', error);
+        csvImportMessage.textContent = `Error reading ${file.name}: ${error.message}`;
+        csvImportMessage.style.color = 'red';
+    }
+}
+
+/**
+ * Render the checked import: one table row per CSV line with what will
+ * happen to it and its errors/warnings
+ */
+function renderCsvImportPreview() {
+    const plan = csvImportPlan;
+    const actionLabels = { create: 'New', update: 'Replace', skip: 'Skip' };
+
+    csvImportTableBody.innerHTML = '';
+    plan.rows.forEach(row => {
+        const description = csvImportKind === 'games'
+            ? `${row.game.Fecha || '?'} · ${row.game.HomeTeam || '?'} vs ${row.game.AwayTeam || '?'}` +
+                (row.game.KickOffTime ? ` · ${new Date(row.game.KickOffTime).toLocaleString()}` : '')
+            : `${row.prediction.playerName || row.prediction.userId || '?'} · ` +
+                (row.game ? `${row.game.HomeTeam} vs ${row.game.AwayTeam}` : row.prediction.gameId || '?') +
+                `: ${row.prediction.predictedHomeScore ?? '?'}-${row.prediction.predictedAwayScore ?? '?'}` +
+                (row.prediction.joker ? ' (joker)' : '');
+        const issues = [
+            ...row.errors.map(error => `<div class="text-danger">✗ ${escapeHtml(error)}</div>`),
+            ...row.warnings.map(warning => `<div class="text-warning">⚠ ${escapeHtml(warning)}</div>`),
+        ].join('');
+
+        const tr = document.createElement('tr');
+        if (row.errors.length > 0) tr.classList.add('table-danger');
+        tr.innerHTML = `
+            <td>${row.line}</td>
+            <td>${escapeHtml(description)}</td>
+            <td>${row.errors.length > 0 ? 'Error' : actionLabels[row.action]}</td>
+            <td class="small">${issues}</td>`;
+        csvImportTableBody.appendChild(tr);
+    });
+
+    if (plan.headerErrors.length > 0) {
+        csvImportMessage.textContent = plan.headerErrors.join('. ');
+        csvImportMessage.style.color = 'red';
+    } else if (plan.errorCount > 0) {
+        csvImportMessage.textContent = `${plan.errorCount} row(s) have errors. Fix them in the spreadsheet and choose the file again — nothing has been imported.`;
+        csvImportMessage.style.color = 'red';
+    } else {
+        const skipped = plan.rows.length - plan.writeCount;
+        csvImportMessage.textContent = `${plan.writeCount} row(s) ready to import into ${activeSeason}` + (skipped ? `, ${skipped} skipped` : '') + '.';
+        csvImportMessage.style.color = plan.writeCount > 0 ? 'green' : 'orange';
+    }
+    csvImportButton.disabled = plan.errorCount > 0 || plan.writeCount === 0;
+    csvImportPreview.style.display = plan.rows.length > 0 ? 'block' : 'none';
+}
+
+/**
+ * Handle "Import" — writes the checked rows: new games, or predictions made
+ * on the players' behalf (marked importedBy, see firestore.rules)
+ */
+async function handleCsvImport() {
+    const kind = csvImportKind;
+    if (!requirePermission(kind === 'games' ? 'addGames' : 'importPredictions', csvImportMessage)) return;
+    if (!csvImportPlan || csvImportPlan.errorCount > 0) return;
+
+    const rows = csvImportPlan.rows.filter(row => row.action !== 'skip');
+    csvImportButton.disabled = true;
+    csvImportMessage.textContent = `Importing ${rows.length} row(s)...`;
+    csvImportMessage.style.color = 'orange';
+
+    let writtenCount = 0;
+    const writtenGames = [];
+    const failed = [];
+    for (const row of rows) {
+        try {
+            if (kind === 'games') {
+                await addDocFunction(collectionFunction(db, 'games'), row.game);
+            } else {
+                const predictionData = {
+                    ...row.prediction,
+                    timestamp: new Date(),
+                    season: activeSeason,
+                    importedBy: currentAdminUid,
+                    importedAt: new Date().toISOString(),
+                };
+                if (row.action === 'update') {
+                    await updateDocFunction(docFunction(db, 'predictions', row.existingId), predictionData);
+                } else {
+                    await addDocFunction(collectionFunction(db, 'predictions'), predictionData);
+                }
+            }
+            row.action = 'skip';
+            writtenCount++;
+            writtenGames.push(row.game);
+        } catch (error) {
+            console.error(`Error importing CSV line ${row.line}:`, error);
+            failed.push(row.line);
+        }
+    }
+
+    csvImportPlan = null;
+    csvImportPreview.style.display = 'none';
+    csvImportFile.value = '';
+    const noun = kind === 'games' ? 'game(s)' : 'prediction(s)';
+    if (failed.length > 0) {
+        csvImportMessage.textContent = `Imported ${writtenCount} ${noun}. Failed lines: ${failed.join(', ')}`;
+        csvImportMessage.style.color = 'red';
+    } else {
+        csvImportMessage.textContent = `Imported ${writtenCount} ${noun} into ${activeSeason}.`;
+        csvImportMessage.style.color = 'green';
+    }
+
+    if (writtenCount > 0) {
+        await refreshStandingsFor(writtenGames, csvImportMessage);
+        // Notify parent that data was updated
+        window.dispatchEvent(new Event('adminGameAdded'));
+    }
+}
+
+// ===================================
+// Admin Roles Management (owner only)
+// ===================================
+
+/**
+ * Load config/admins and render the list of admins with their roles.
+ */
+export async function loadAdminRolesUI() {
+    if (!adminRolesList || !hasPermission(currentRoles, 'manageAdmins')) return;
+
+    try {
+        const adminsSnap = await getDocFunction(docFunction(db, 'config', 'admins'));
+        const roles = adminsSnap.exists() ? (adminsSnap.data().roles || {}) : {};
+        const entries = Object.entries(roles);
+
+        if (entries.length === 0) {
+            adminRolesList.innerHTML = '<p class="text-muted small text-center">No admins configured.</p>';
+            return;
+        }
+
+        adminRolesList.innerHTML = '';
+        entries.forEach(([uid, userRoles]) => {
+            const row = document.createElement('div');
+            row.className = 'd-flex justify-content-between align-items-center border-bottom py-2';
+            row.innerHTML = `
+                <div>
+                    <code>${uid}</code>${uid === currentAdminUid ? ' <span class="text-muted small">(you)</span>' : ''}<br>
+                    ${normalizeRoles(userRoles).map(role => `<span class="badge bg-secondary me-1">${role}</span>`).join('')}
+                </div>
+            `;
+            const editButton = document.createElement('button');
+            editButton.type = 'button';
+            editButton.className = 'btn btn-sm btn-outline-primary';
+            editButton.textContent = 'Edit';
+            editButton.addEventListener('click', () => {
+                adminRoleUidInput.value = uid;
+                document.querySelectorAll('.admin-role-checkbox').forEach(checkbox => {
+                    checkbox.checked = normalizeRoles(userRoles).includes(checkbox.value);
+                });
+            });
+            row.appendChild(editButton);
+            adminRolesList.appendChild(row);
+        });
+    } catch (error) {
+        console.error('Error loading admin roles:', error);
+        adminRolesList.innerHTML = `<p class="text-danger small text-center">Error loading admins: ${error.message}</p>`;
+    }
+}
+
+/**
+ * Grant (or revoke, when no role is checked) admin roles for a UID.
+ * Rewrites the roles map in config/admins.
+ */
+async function handleSaveAdminRole() {
+    if (!requirePermission('manageAdmins', adminRolesMessage)) return;
+
+    const uid = adminRoleUidInput.value.trim();
+    const selectedRoles = Array.from(document.querySelectorAll('.admin-role-checkbox'))
+        .filter(checkbox => checkbox.checked && ADMIN_ROLES.includes(checkbox.value))
+        .map(checkbox => checkbox.value);
+
+    if (!uid) {
+        adminRolesMessage.textContent = 'Please enter the user UID.';
+        adminRolesMessage.style.color = 'red';
+        return;
+    }
+    if (uid === currentAdminUid && !selectedRoles.includes('owner')) {
+        adminRolesMessage.textContent = 'You cannot remove your own owner role.';
+        adminRolesMessage.style.color = 'red';
+        return;
+    }
+
+    saveAdminRoleButton.disabled = true;
+    adminRolesMessage.textContent = 'Saving roles...';
+    adminRolesMessage.style.color = 'orange';
+
+    try {
+        const adminsRef = docFunction(db, 'config', 'admins');
+        const adminsSnap = await getDocFunction(adminsRef);
+        const roles = adminsSnap.exists() ? { ...(adminsSnap.data().roles || {}) } : {};
+
+        if (selectedRoles.length > 0) {
+            roles[uid] = selectedRoles;
+        } else {
+            delete roles[uid];
+        }
+
+        await setDocFunction(adminsRef, { roles });
+
+        adminRolesMessage.textContent = selectedRoles.length > 0
+            ? `Saved roles for ${uid}: ${selectedRoles.join(', ')}`
+            : `Removed all admin roles from ${uid}`;
+        adminRolesMessage.style.color = 'green';
+        adminRoleUidInput.value = '';
+        document.querySelectorAll('.admin-role-checkbox').forEach(checkbox => { checkbox.checked = false; });
+        await loadAdminRolesUI();
+    } catch (error) {
+        console.error('Error saving admin roles:', error);
+        adminRolesMessage.textContent = `Error: ${error.message}`;
+        adminRolesMessage.style.color = 'red';
+    } finally {
+        saveAdminRoleButton.disabled = false;
+    }
 }
@@ -0,0 +1,90 @@
+/**
+ * Admin Roles Module
+ *
+ * Role-based admin access backed by the Firestore config/admins document:
+ *   { roles: { <uid>: ['owner'] , <uid>: ['results'], <uid>: ['fixtures', 'seasons'] } }
+ *
+ * The same roles are enforced server-side by firestore.rules (hasRole()).
+ *
+ * Usage:
+ *   import { fetchUserRoles, hasPermission } from './admin-roles.js';
+ *   const roles = await fetchUserRoles(db, user.uid);
+ *   if (hasPermission(roles, 'updateResults')) { ... }
+ */
+
+import { doc, getDoc } from "https://www.gstatic.com/firebasejs/9.6.1/firebase-firestore.js";
+
+/**
+ * Available admin roles
+ * - owner: everything, including granting roles to other admins
+ * - results: enter/update game results, import predictions from CSV
+ * - fixtures: add, edit and delete games, search fixtures
+ * - seasons: create seasons and change the active season
+ */
+export const ADMIN_ROLES = ['owner', 'results', 'fixtures', 'seasons'];
+
+/**
+ * Actions the admin panel offers, mapped to the roles allowed to perform them
+ * (owner is always allowed)
+ */
+export const ROLE_PERMISSIONS = {
+    updateResults: ['results'],
+    importPredictions: ['results'],
+    exportData: ['results', 'fixtures', 'seasons'],
+    addGames: ['fixtures'],
+    manageGames: ['fixtures'],
+    manageSeasons: ['seasons'],
+    manageAdmins: [],
+};
+
+/**
+ * Fetch the roles granted to a user from config/admins.
+ * @param {object} db - Firestore database instance
+ * @param {string} uid - Firebase Auth UID
+ * @returns {Promise<string[]>} Array of role names (empty if none)
+ */
+export async function fetchUserRoles(db, uid) {
+    if (!uid) return [];
+    try {
+        const adminsSnap = await getDoc(doc(db, 'config', 'admins'));
+        if (!adminsSnap.exists()) return [];
+        const roles = (adminsSnap.data().roles || {})[uid];
+        return normalizeRoles(roles);
+    } catch (error) {
+        console.error('Error fetching admin roles:', error);
+        return [];
+    }
+}
+
+/**
+ * Normalize a stored roles value to known role names.
+ * Roles must be stored as an array (firestore.rules only accepts arrays).
+ * @param {string[]} roles - Stored roles value
+ * @returns {string[]}
+ */
+export function normalizeRoles(roles) {
+    if (!Array.isArray(roles)) return [];
+    return roles.filter(role => ADMIN_ROLES.includes(role));
+}
+
+/**
+ * Check whether a set of roles grants an admin action.
+ * @param {string[]} roles - User's roles
+ * @param {string} action - Key of ROLE_PERMISSIONS
+ * @returns {boolean}
+ */
+export function hasPermission(roles, action) {
+    if (!roles || roles.length === 0) return false;
+    if (roles.includes('owner')) return true;
+    const allowed = ROLE_PERMISSIONS[action] || [];
+    return roles.some(role => allowed.includes(role));
+}
+
+/**
+ * Check whether a user has any admin role at all.
+ * @param {string[]} roles - User's roles
+ * @returns {boolean}
+ */
+export function isAnyAdmin(roles) {
+    return Array.isArray(roles) && roles.length > 0;
+}
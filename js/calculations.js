@@ -6,34 +6,379 @@
  * 
  * All pages should use userId as the primary identifier (not playerName)
  * since playerName can change but userId is permanent.
+ *
+ * Games and predictions are read as stored, in the canonical schema of
+ * firebase-uploader/src/schema.js (HomeScore, Status in lowercase, KickOffTime
+ * as a UTC ISO string, ...). Older documents are migrated with
+ * firebase-uploader/migrateSchema.js.
  */
 
+// ============================================
+// SCORING PROFILES - Per-season scoring rules
+// ============================================
+
+/**
+ * Default scoring profile (the original 5/2/2/1 rules)
+ * Used for seasons without a stored profile and for historical "No Season" games
+ */
+const DEFAULT_SCORING_PROFILE = Object.freeze({
+  outcome: 5,        // Correct Winner/Draw
+  homeGoals: 2,      // Correct Home Team Goals
+  awayGoals: 2,      // Correct Away Team Goals
+  goalDifference: 1, // Correct Goal Difference (absolute value)
+  exactScore: 0,     // Bonus for predicting the exact final score
+  qualifier: 3       // Correct team to advance (knockout games only)
+});
+
+/**
+ * Merges a (possibly partial) stored profile with the defaults
+ * Non-numeric or negative values fall back to the default weight
+ * 
+ * @param {Object} profile - Scoring profile as stored in Firestore (may be null)
+ * @returns {Object} Complete scoring profile
+ */
+function resolveScoringProfile(profile) {
+  const resolved = { ...DEFAULT_SCORING_PROFILE };
+  if (!profile) return resolved;
+
+  Object.keys(DEFAULT_SCORING_PROFILE).forEach(key => {
+    const value = Number(profile[key]);
+    if (profile[key] !== undefined && profile[key] !== null && Number.isFinite(value) && value >= 0) {
+      resolved[key] = value;
+    }
+  });
+  return resolved;
+}
+
+/**
+ * Picks the scoring profile for a game based on its season
+ * 
+ * @param {Object} game - Game object with season field
+ * @param {Object} scoringProfiles - Map of season name to stored profile (from config/activeSeason)
+ * @returns {Object} Complete scoring profile for that game's season
+ */
+function getScoringProfileForGame(game, scoringProfiles = {}) {
+  const season = game && game.season;
+  return resolveScoringProfile(season && scoringProfiles ? scoringProfiles[season] : null);
+}
+
+/**
+ * Maximum points a single prediction can earn under a profile (before multipliers)
+ * 
+ * @param {Object} scoringProfile - Scoring profile
+ * @param {Object} game - Optional game; knockout games add the qualifier points
+ * @returns {number} Sum of all rule weights
+ */
+function getMaxPoints(scoringProfile = DEFAULT_SCORING_PROFILE, game = null) {
+  const profile = resolveScoringProfile(scoringProfile);
+  const maxPoints = profile.outcome + profile.homeGoals + profile.awayGoals + profile.goalDifference + profile.exactScore;
+  return isKnockoutGame(game) ? maxPoints + profile.qualifier : maxPoints;
+}
+
+// ============================================
+// STATUSES - Postponed and voided games
+// ============================================
+
+/**
+ * Game statuses the admin can set (stored lowercase in Status)
+ * postponed games wait for a new KickOffTime; cancelled/abandoned games are void
+ */
+const GAME_STATUSES = Object.freeze([
+  { id: 'upcoming', label: 'Upcoming' },
+  { id: 'live', label: 'Live' },
+  { id: 'finished', label: 'Finished' },
+  { id: 'postponed', label: 'Postponed' },
+  { id: 'cancelled', label: 'Cancelled' },
+  { id: 'abandoned', label: 'Abandoned' }
+]);
+
+// Statuses whose predictions never score (excluded from totals and fechas)
+const VOIDED_STATUSES = Object.freeze(['cancelled', 'abandoned']);
+
+/**
+ * Whether a game was called off for good (cancelled or abandoned)
+ * 
+ * @param {Object} game - Game object with Status
+ * @returns {boolean}
+ */
+function isVoidedGame(game) {
+  return !!game && VOIDED_STATUSES.includes(game.Status);
+}
+
+// ============================================
+// KNOCKOUT - Extra time, penalties and qualifiers
+// ============================================
+
+/**
+ * Whether players also predict who advances (Knockout flag set by the admin)
+ * 
+ * @param {Object} game - Game object with Knockout
+ * @returns {boolean}
+ */
+function isKnockoutGame(game) {
+  return !!game && game.Knockout === true;
+}
+
+/**
+ * Team that advanced from a finished knockout game
+ * HomeScore/AwayScore are the 90-minute score; a draw is settled by the
+ * extra-time score (ExtraTimeHomeScore/ExtraTimeAwayScore), then by PenaltyWinner.
+ * 
+ * @param {Object} game - Game object
+ * @returns {string|null} 'home', 'away' or null if not decided (yet)
+ */
+function getQualifier(game) {
+  if (!game) return null;
+  const penaltyWinner = game.PenaltyWinner;
+  const extraTimeHome = game.ExtraTimeHomeScore;
+  const extraTimeAway = game.ExtraTimeAwayScore;
+  const homeScore = game.HomeScore;
+  const awayScore = game.AwayScore;
+
+  if (penaltyWinner === 'home' || penaltyWinner === 'away') return penaltyWinner;
+  if (Number.isInteger(extraTimeHome) && Number.isInteger(extraTimeAway)) {
+    return extraTimeHome === extraTimeAway ? null : (extraTimeHome > extraTimeAway ? 'home' : 'away');
+  }
+  if (Number.isInteger(homeScore) && Number.isInteger(awayScore) && homeScore !== awayScore) {
+    return homeScore > awayScore ? 'home' : 'away';
+  }
+  return null;
+}
+
+/**
+ * Qualifier pick for display, e.g. "Barcelona to advance" (empty for non-knockout games)
+ * 
+ * @param {Object} prediction - Prediction with predictedQualifier
+ * @param {Object} game - Game object
+ * @returns {string}
+ */
+function formatQualifierPick(prediction, game) {
+  if (!prediction || !isKnockoutGame(game)) return '';
+  if (prediction.predictedQualifier === 'home') return `${game.HomeTeam || 'Home'} to advance`;
+  if (prediction.predictedQualifier === 'away') return `${game.AwayTeam || 'Away'} to advance`;
+  return '';
+}
+
+/**
+ * Short result text for display, e.g. "1-1 (AET 2-1)" or "0-0 (Barcelona on pens)"
+ * 
+ * @param {Object} game - Game object
+ * @returns {string} Empty string if the game has no score yet
+ */
+function formatResultDetails(game) {
+  if (!game) return '';
+  const homeScore = game.HomeScore;
+  const awayScore = game.AwayScore;
+  if (homeScore === null || homeScore === undefined || awayScore === null || awayScore === undefined) return '';
+
+  const details = [];
+  const extraTimeHome = game.ExtraTimeHomeScore;
+  const extraTimeAway = game.ExtraTimeAwayScore;
+  const penaltyWinner = game.PenaltyWinner;
+  if (Number.isInteger(extraTimeHome) && Number.isInteger(extraTimeAway)) {
+    details.push(`AET ${extraTimeHome}-${extraTimeAway}`);
+  }
+  if (penaltyWinner === 'home' || penaltyWinner === 'away') {
+    const teamName = penaltyWinner === 'home' ? game.HomeTeam : game.AwayTeam;
+    details.push(`${teamName || (penaltyWinner === 'home' ? 'Home' : 'Away')} on pens`);
+  }
+  return details.length > 0 ? `${homeScore}-${awayScore} (${details.join(', ')})` : `${homeScore}-${awayScore}`;
+}
+
+// ============================================
+// STAGES - Per-game points multipliers
+// ============================================
+
+/**
+ * Competition stages the admin can tag a game with, and their suggested multiplier
+ * The game's stored Multiplier is what counts; the stage is a label plus a default
+ */
+const GAME_STAGES = Object.freeze([
+  { id: 'regular', label: 'Regular / Group stage', multiplier: 1 },
+  { id: 'round-of-32', label: 'Round of 32', multiplier: 1 },
+  { id: 'round-of-16', label: 'Round of 16', multiplier: 1 },
+  { id: 'quarter-final', label: 'Quarter-final', multiplier: 1 },
+  { id: 'semi-final', label: 'Semi-final', multiplier: 2 },
+  { id: 'third-place', label: 'Third place', multiplier: 1 },
+  { id: 'final', label: 'Final', multiplier: 2 }
+]);
+
+/**
+ * Display label of a stage id (unknown ids are shown as stored)
+ * 
+ * @param {string} stageId - Stage id stored on the game
+ * @returns {string|null} Label, or null for games without a stage
+ */
+function getStageLabel(stageId) {
+  if (!stageId) return null;
+  const stage = GAME_STAGES.find(s => s.id === stageId);
+  return stage ? stage.label : stageId;
+}
+
+/**
+ * Points multiplier of a game (Multiplier field, whole number >= 1, defaults to 1)
+ * 
+ * @param {Object} game - Game object with Multiplier
+ * @returns {number} Multiplier
+ */
+function getGameMultiplier(game) {
+  if (!game) return 1;
+  const value = Number(game.Multiplier);
+  return Number.isInteger(value) && value >= 1 ? value : 1;
+}
+
+// ============================================
+// JOKER - One double-points pick per fecha
+// ============================================
+
+/**
+ * Points multiplier for a prediction marked as the player's joker
+ */
+const JOKER_MULTIPLIER = 2;
+
+/**
+ * Multiplier a prediction's points are scaled by (joker = JOKER_MULTIPLIER, otherwise 1)
+ * 
+ * @param {Object} prediction - Prediction object with optional joker flag
+ * @returns {number} Multiplier
+ */
+function getPredictionMultiplier(prediction) {
+  return prediction && prediction.joker === true ? JOKER_MULTIPLIER : 1;
+}
+
+/**
+ * Key identifying the fecha a joker is spent on
+ * Fecha names repeat across seasons ("Fecha 1"), so the season is part of the key
+ * 
+ * @param {Object} game - Game object with Fecha and season
+ * @returns {string|null} Key, or null for games without a fecha (no joker allowed)
+ */
+function getJokerFechaKey(game) {
+  const fecha = game && game.Fecha;
+  return fecha ? `${game.season || ''}|${fecha}` : null;
+}
+
+/**
+ * Ensures each player has at most one joker per fecha
+ * If a player has several jokers in a fecha (e.g. written around the client),
+ * only the one on the earliest kick-off counts - that is the joker that was locked in first.
+ * Jokers on games without a fecha are dropped.
+ * 
+ * @param {Array} predictions - Array of prediction objects
+ * @param {Array} games - Array of game objects covering the predictions' games
+ * @returns {Array} Predictions with extra jokers turned off (unchanged objects are reused)
+ */
+function enforceOneJokerPerFecha(predictions, games) {
+  const gameMap = {};
+  games.forEach(game => {
+    gameMap[game.id] = game;
+  });
+
+  const kickOffTime = (game) => {
+    const date = getKickOffDate(game);
+    return date ? date.getTime() : Infinity;
+  };
+
+  // { userId|fechaKey: prediction } - the joker that counts
+  const validJokers = {};
+  predictions.forEach(pred => {
+    if (pred.joker !== true) return;
+    const game = gameMap[pred.gameId];
+    const fechaKey = getJokerFechaKey(game);
+    if (!fechaKey) return;
+
+    const key = `${pred.userId}|${fechaKey}`;
+    const current = validJokers[key];
+    if (!current) {
+      validJokers[key] = pred;
+      return;
+    }
+    const currentGame = gameMap[current.gameId];
+    const timeDiff = kickOffTime(game) - kickOffTime(currentGame);
+    if (timeDiff < 0 || (timeDiff === 0 && pred.gameId < current.gameId)) {
+      validJokers[key] = pred;
+    }
+  });
+
+  const kept = new Set(Object.values(validJokers));
+  return predictions.map(pred =>
+    pred.joker === true && !kept.has(pred) ? { ...pred, joker: false } : pred
+  );
+}
+
+/**
+ * Total multiplier applied to a prediction's points (joker x game stage)
+ * Use it to recover the base points, e.g. for perfect-score detection and score colours
+ * 
+ * @param {Object} prediction - Prediction object with optional joker flag
+ * @param {Object} game - Game object with optional Multiplier
+ * @returns {number} Multiplier
+ */
+function getPointsMultiplier(prediction, game) {
+  return getPredictionMultiplier(prediction) * getGameMultiplier(game);
+}
+
 // ============================================
 // SCORING LOGIC - Core Points Calculation
 // ============================================
 
+/**
+ * Outcome of a score: 'HW' (home win), 'AW' (away win) or 'D' (draw)
+ * 
+ * @param {number} homeScore
+ * @param {number} awayScore
+ * @returns {string}
+ */
+function getOutcome(homeScore, awayScore) {
+  return homeScore > awayScore ? 'HW' : (homeScore < awayScore ? 'AW' : 'D');
+}
+
+/**
+ * Whether a prediction picked the right winner/draw (the 90-minute score, as calculatePoints)
+ * 
+ * @param {Object} prediction - Prediction object
+ * @param {Object} game - Game object
+ * @returns {boolean|null} null if the game is not finished or no score was predicted
+ */
+function isCorrectOutcome(prediction, game) {
+  if (game.Status !== 'finished' || game.HomeScore === null || game.HomeScore === undefined || game.AwayScore === null || game.AwayScore === undefined) {
+    return null;
+  }
+  if (prediction.predictedHomeScore === null || prediction.predictedHomeScore === undefined
+    || prediction.predictedAwayScore === null || prediction.predictedAwayScore === undefined) {
+    return null;
+  }
+  return getOutcome(prediction.predictedHomeScore, prediction.predictedAwayScore) === getOutcome(game.HomeScore, game.AwayScore);
+}
+
 /**
  * Calculates points for a single prediction against actual game result
  * 
- * @param {Object} prediction - Prediction object with predictedHomeScore, predictedAwayScore
- * @param {Object} game - Game object with status, HomeScore, AwayScore
- * @returns {number|null} Points earned (0-10) or null if game not finished
+ * @param {Object} prediction - Prediction object with predictedHomeScore, predictedAwayScore (optional joker, predictedQualifier)
+ * @param {Object} game - Game object with Status, HomeScore, AwayScore (optional Multiplier, knockout result fields)
+ * @param {Object} scoringProfile - Scoring profile for the game's season (defaults to 5/2/2/1)
+ * @returns {number|null} Points earned (0 to profile maximum, times the joker and game multipliers) or null if game not finished
  * 
- * Scoring Rules:
+ * Scoring Rules (default profile):
  * - Correct Winner/Draw: +5 points
  * - Correct Home Score: +2 points
  * - Correct Away Score: +2 points
  * - Correct Goal Difference (abs): +1 point
- * Maximum: 10 points
+ * - Exact Score bonus: +0 points
+ * - Correct qualifier (knockout games): +3 points
+ * Maximum: 10 points (13 in knockout games), times the joker (x2) and the game's stage multiplier
+ * 
+ * In knockout games the score rules use the 90-minute score.
+ * Postponed and voided (cancelled/abandoned) games return null like any unfinished game.
  */
-function calculatePoints(prediction, game) {
-  // Normalize game object to handle both uppercase and lowercase properties
-  const gameStatus = (game.status || game.Status || '').toLowerCase();
-  const homeScore = game.homeScore !== undefined ? game.homeScore : game.HomeScore;
-  const awayScore = game.awayScore !== undefined ? game.awayScore : game.AwayScore;
+function calculatePoints(prediction, game, scoringProfile = DEFAULT_SCORING_PROFILE) {
+  const profile = resolveScoringProfile(scoringProfile);
+
+  const homeScore = game.HomeScore;
+  const awayScore = game.AwayScore;
 
   // Initial checks
-  if (gameStatus !== 'finished' || homeScore === null || awayScore === null) {
+  if (game.Status !== 'finished' || homeScore === null || homeScore === undefined || awayScore === null || awayScore === undefined) {
     return null; // Game not finished or actual scores not available
   }
 
@@ -49,10 +394,8 @@ function calculatePoints(prediction, game) {
   let points = 0;
 
   // Determine outcomes
-  const predictedOutcome =
-    predictedHome > predictedAway ? 'HW' : (predictedHome < predictedAway ? 'AW' : 'D');
-  const actualOutcome =
-    actualHome > actualAway ? 'HW' : (actualHome < actualAway ? 'AW' : 'D');
+  const predictedOutcome = getOutcome(predictedHome, predictedAway);
+  const actualOutcome = getOutcome(actualHome, actualAway);
 
   // Determine goal differences
   const predictedGoalDifference = predictedHome - predictedAway;
@@ -60,41 +403,89 @@ function calculatePoints(prediction, game) {
 
   // Apply Scoring Rules
   if (predictedOutcome === actualOutcome) {
-    points += 5; // Correct Winner/Draw
+    points += profile.outcome; // Correct Winner/Draw
   }
   if (predictedHome === actualHome) {
-    points += 2; // Correct Home Team Goals
+    points += profile.homeGoals; // Correct Home Team Goals
   }
   if (predictedAway === actualAway) {
-    points += 2; // Correct Away Team Goals
+    points += profile.awayGoals; // Correct Away Team Goals
   }
   if (Math.abs(predictedGoalDifference) === Math.abs(actualGoalDifference)) {
-    points += 1; // Correct Goal Difference (absolute value)
+    points += profile.goalDifference; // Correct Goal Difference (absolute value)
+  }
+  if (predictedHome === actualHome && predictedAway === actualAway) {
+    points += profile.exactScore; // Exact Score bonus
+  }
+  if (isKnockoutGame(game) && prediction.predictedQualifier && prediction.predictedQualifier === getQualifier(game)) {
+    points += profile.qualifier; // Correct team to advance
   }
 
-  return points;
+  return points * getPointsMultiplier(prediction, game);
 }
 
+// ============================================
+// PREDICTION LOCK - Kick-off cut-off
+// ============================================
+
 /**
- * Calculates all player statistics from predictions and games
- * Properly handles Fechas Won by comparing all players' scores per fecha
+ * Converts a game's KickOffTime (UTC ISO string) to a Date
+ * Firestore Timestamps from before the schema migration are still read, as
+ * firestore.rules still accepts them
  * 
- * @param {Array} games - Array of game objects with id, status, homeScore, awayScore, fecha
+ * @param {Object} game - Game object with KickOffTime
+ * @returns {Date|null} Kick-off date or null if missing/invalid
+ */
+function getKickOffDate(game) {
+  const value = game.KickOffTime;
+  if (value === null || value === undefined || value === '') return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Checks whether predictions for a game are locked
+ * Mirrors the predictions rule in firestore.rules: a game is open only while
+ * it is 'upcoming' and its kick-off is still in the future
+ * 
+ * @param {Object} game - Game object with Status and KickOffTime
+ * @param {Date} now - Current time, ideally from a trusted (server) clock
+ * @returns {boolean} True if predictions can no longer be created or edited
+ */
+function isPredictionLocked(game, now = new Date()) {
+  if (game.Status !== 'upcoming') return true;
+
+  const kickOff = getKickOffDate(game);
+  if (!kickOff) return true; // Cannot verify kick-off, so treat as locked
+  return now.getTime() >= kickOff.getTime();
+}
+
+/**
+ * Keeps only predictions made by members of a group
+ *
  * @param {Array} predictions - Array of prediction objects
- * @returns {Object} Object with userId keys mapping to player stats
+ * @param {Array|null} memberIds - Group member userIds, or null for everyone
+ * @returns {Array} Filtered predictions (the same array when memberIds is null)
+ */
+function filterPredictionsByMembers(predictions, memberIds = null) {
+  if (!memberIds) return predictions;
+  const members = new Set(memberIds);
+  return predictions.filter(pred => members.has(pred.userId));
+}
+
+/**
+ * Scores every prediction once, for calculatePlayerStats and calculateRankProgression
  * 
- * Player stats include:
- * - totalPoints: Sum of all points across all games
- * - fechasWonCount: Number of game weeks won (where player had highest score vs others)
- * - perfectScoresCount: Number of 10-point predictions
- * - gamesParticipated: Number of games with predictions
+ * @returns {Object} { playerStats, fechaScores } - player stats without fechas won, and
+ *   { fecha: { userId: { points, perfect } } } for the players who scored in each fecha
  */
-function calculatePlayerStats(games, predictions) {
+function scorePredictions(games, predictions, scoringProfiles, memberIds) {
+  predictions = enforceOneJokerPerFecha(filterPredictionsByMembers(predictions, memberIds), games);
   const playerStats = {}; // { userId: { totalPoints, fechasWonCount, perfectScoresCount, gamesParticipated } }
-  const fechaScores = {}; // { fecha: { userId: totalScore } } - ALL players' scores per fecha
+  const fechaScores = {}; // { fecha: { userId: { points, perfect } } } - ALL players' scores per fecha
   const gameMap = {}; // Create map for faster game lookup
 
-  // Build game map - normalize to lowercase status and fields
+  // Build game map
   games.forEach(game => {
     gameMap[game.id] = game;
   });
@@ -118,58 +509,149 @@ function calculatePlayerStats(games, predictions) {
     const game = gameMap[pred.gameId];
 
     if (game) {
-      // Normalize game data to use lowercase 'status', 'homeScore', 'awayScore'
-      const normalizedGame = {
-        status: (game.Status || game.status || '').toLowerCase(),
-        homeScore: game.HomeScore !== undefined ? game.HomeScore : game.homeScore,
-        awayScore: game.AwayScore !== undefined ? game.AwayScore : game.awayScore
-      };
-
-      const points = calculatePoints(pred, normalizedGame);
+      const scoringProfile = getScoringProfileForGame(game, scoringProfiles);
+      const points = calculatePoints(pred, game, scoringProfile);
 
       if (points !== null) {
+        const perfect = points === getMaxPoints(scoringProfile, game) * getPointsMultiplier(pred, game);
         playerStats[userId].totalPoints += points;
         playerStats[userId].gamesParticipated += 1;
 
         // Track perfect scores
-        if (points === 10) {
+        if (perfect) {
           playerStats[userId].perfectScoresCount += 1;
         }
 
         // Track fecha scores for all players
-        const fecha = game.Fecha || game.fecha;
+        const fecha = game.Fecha;
         if (fecha) {
           if (!fechaScores[fecha]) {
             fechaScores[fecha] = {};
           }
           if (!fechaScores[fecha][userId]) {
-            fechaScores[fecha][userId] = 0;
+            fechaScores[fecha][userId] = { points: 0, perfect: 0 };
           }
-          fechaScores[fecha][userId] += points;
+          fechaScores[fecha][userId].points += points;
+          fechaScores[fecha][userId].perfect += perfect ? 1 : 0;
         }
       }
     }
   });
 
-  // Calculate fecha wins - where player had HIGHEST score in that fecha
+  return { playerStats, fechaScores };
+}
+
+/**
+ * Winners of a fecha - where player had HIGHEST score in that fecha
+ * All players tied for max score in a fecha get credited with a win
+ * 
+ * @param {Object} playersInFecha - { userId: { points } } (one fecha of fechaScores)
+ * @returns {Array} userIds
+ */
+function getFechaWinners(playersInFecha) {
+  const scores = Object.values(playersInFecha).map(score => score.points);
+  if (scores.length === 0) return [];
+  const maxScore = Math.max(...scores);
+  return Object.keys(playersInFecha).filter(userId => playersInFecha[userId].points === maxScore);
+}
+
+/**
+ * Calculates all player statistics from predictions and games
+ * Properly handles Fechas Won by comparing all players' scores per fecha
+ * 
+ * @param {Array} games - Array of game objects with id, Status, HomeScore, AwayScore, Fecha, season
+ * @param {Array} predictions - Array of prediction objects
+ * @param {Object} scoringProfiles - Map of season name to scoring profile (each game uses its season's rules)
+ * @param {Array|null} memberIds - Optional group member userIds; when given, only members are
+ *   ranked (fechas are won against other members only). null = everyone
+ * @returns {Object} Object with userId keys mapping to player stats
+ * 
+ * Jokers and game stage multipliers apply to every total and to fechas won;
+ * a multiplied perfect prediction still counts as one perfect score.
+ * 
+ * Player stats include:
+ * - totalPoints: Sum of all points across all games
+ * - fechasWonCount: Number of game weeks won (where player had highest score vs others)
+ * - perfectScoresCount: Number of maximum-points predictions under the game's profile
+ * - gamesParticipated: Number of games with predictions
+ */
+function calculatePlayerStats(games, predictions, scoringProfiles = {}, memberIds = null) {
+  const { playerStats, fechaScores } = scorePredictions(games, predictions, scoringProfiles, memberIds);
+
+  // Calculate fecha wins
   Object.keys(fechaScores).forEach(fecha => {
-    const playersInFecha = fechaScores[fecha];
-    const scores = Object.values(playersInFecha);
-
-    if (scores.length > 0) {
-      const maxScore = Math.max(...scores);
-      // All players tied for max score in a fecha get credited with a win
-      Object.keys(playersInFecha).forEach(userId => {
-        if (playersInFecha[userId] === maxScore) {
-          playerStats[userId].fechasWonCount += 1;
-        }
-      });
-    }
+    getFechaWinners(fechaScores[fecha]).forEach(userId => {
+      playerStats[userId].fechasWonCount += 1;
+    });
   });
 
   return playerStats;
 }
 
+/**
+ * Cumulative standings after each fecha, in the order the fechas were played
+ * (by the kick-off of their last finished game). Built from the same per-fecha
+ * scores as calculatePlayerStats, so the last entry ranks like the leaderboard;
+ * games without a Fecha are left out, as they win no fecha.
+ * 
+ * @param {Array} games - Array of game objects
+ * @param {Array} predictions - Array of prediction objects
+ * @param {Object} scoringProfiles - Map of season name to scoring profile
+ * @param {Array|null} memberIds - Optional group member userIds (as calculatePlayerStats). null = everyone
+ * @param {Object} userNames - { userId: name }, for ties (as the leaderboard table)
+ * @returns {Array} [{ fecha, ranks: { userId: rank }, totals: { userId: totalPoints } }], oldest fecha first;
+ *   players appear from the first fecha they scored in
+ */
+function calculateRankProgression(games, predictions, scoringProfiles = {}, memberIds = null, userNames = {}) {
+  const { fechaScores } = scorePredictions(games, predictions, scoringProfiles, memberIds);
+
+  const lastKickOffs = {}; // { fecha: time of its last finished game }
+  games.forEach(game => {
+    const kickOff = getKickOffDate(game);
+    if (game.Fecha && game.Status === 'finished' && kickOff) {
+      lastKickOffs[game.Fecha] = Math.max(lastKickOffs[game.Fecha] || 0, kickOff.getTime());
+    }
+  });
+
+  return rankFechaProgression(fechaScores, lastKickOffs, userNames);
+}
+
+/**
+ * Cumulative ranks after each fecha, from the per-fecha scores
+ * Shared by calculateRankProgression and the standings document
+ * (standingsRankProgression in firebase-uploader/src/standings.js).
+ * 
+ * @param {Object} fechaScores - { fecha: { userId: { points, perfect } } } for the players who scored in each fecha
+ * @param {Object} lastKickOffs - { fecha: time in ms }, the order the fechas were played in (ties by name)
+ * @param {Object} userNames - { userId: name }, for ties
+ * @returns {Array} [{ fecha, ranks: { userId: rank }, totals: { userId: totalPoints } }], oldest fecha first
+ */
+function rankFechaProgression(fechaScores, lastKickOffs = {}, userNames = {}) {
+  const standings = {}; // running totals, in the shape of calculatePlayerStats
+  return Object.keys(fechaScores)
+    .sort((a, b) => (lastKickOffs[a] || 0) - (lastKickOffs[b] || 0) || a.localeCompare(b, undefined, { numeric: true }))
+    .map(fecha => {
+      Object.entries(fechaScores[fecha]).forEach(([userId, score]) => {
+        if (!standings[userId]) {
+          standings[userId] = { totalPoints: 0, fechasWonCount: 0, perfectScoresCount: 0 };
+        }
+        standings[userId].totalPoints += score.points;
+        standings[userId].perfectScoresCount += score.perfect;
+      });
+      getFechaWinners(fechaScores[fecha]).forEach(userId => {
+        standings[userId].fechasWonCount += 1;
+      });
+
+      const ranks = {};
+      const totals = {};
+      rankPlayers(standings, userNames).forEach(([userId, stats], index) => {
+        ranks[userId] = index + 1;
+        totals[userId] = stats.totalPoints;
+      });
+      return { fecha, ranks, totals };
+    });
+}
+
 /**
  * Gets stats for a specific player from pre-calculated player stats
  * Used for player history modals
@@ -194,9 +676,10 @@ function getPlayerStats(playerStats, userId) {
  * 
  * @param {Array} games - Array of game objects
  * @param {Array} predictions - Array of prediction objects with playerName (for backward compat)
+ * @param {Object} scoringProfiles - Map of season name to scoring profile
  * @returns {Object} Organized data: { players: [...], gameIds: [...], matrix: {...} }
  */
-function aggregatePredictionsByPlayer(games, predictions) {
+function aggregatePredictionsByPlayer(games, predictions, scoringProfiles = {}) {
   const matrix = {}; // { playerId: { gameId: { points, prediction } } }
   const players = new Set();
   const gameIds = new Set();
@@ -209,7 +692,7 @@ function aggregatePredictionsByPlayer(games, predictions) {
   });
 
   // Organize predictions
-  predictions.forEach(pred => {
+  enforceOneJokerPerFecha(predictions, games).forEach(pred => {
     const playerId = pred.userId || 'unknown';
     const game = gameMap[pred.gameId];
 
@@ -220,11 +703,7 @@ function aggregatePredictionsByPlayer(games, predictions) {
         matrix[playerId] = {};
       }
 
-      const points = calculatePoints(pred, {
-        status: game.status,
-        homeScore: game.homeScore,
-        awayScore: game.awayScore
-      });
+      const points = calculatePoints(pred, game, getScoringProfileForGame(game, scoringProfiles));
 
       matrix[playerId][pred.gameId] = {
         points,
@@ -241,135 +720,250 @@ function aggregatePredictionsByPlayer(games, predictions) {
 }
 
 /**
- * Gets the latest display name for a user from predictions
- * Uses most recent prediction's playerName
+ * Latest display name of every player, from their most recent prediction
+ * (one pass over the predictions)
  * 
  * @param {Array} predictions - Array of prediction objects
- * @param {string} userId - The userId to find display name for
- * @returns {string} Latest playerName or userId if not found
- */
-function getLatestPlayerName(predictions, userId) {
-  const userPredictions = predictions.filter(p => p.userId === userId);
-  if (userPredictions.length > 0) {
-    // Find most recent prediction
-    let latest = userPredictions[0];
-    userPredictions.forEach(pred => {
-      const predTime = pred.timestamp ? new Date(pred.timestamp).getTime() : 0;
-      const latestTime = latest.timestamp ? new Date(latest.timestamp).getTime() : 0;
-      if (predTime > latestTime) {
-        latest = pred;
-      }
-    });
-    return latest.playerName || userId;
-  }
-  return userId;
+ * @returns {Object} { userId: playerName } - userId when the prediction has no playerName
+ */
+function getPlayerNames(predictions) {
+  const latest = {}; // userId -> { time, name }
+  predictions.forEach(pred => {
+    if (!pred.userId) return;
+    const time = pred.timestamp ? new Date(pred.timestamp).getTime() : 0;
+    if (!latest[pred.userId] || time > latest[pred.userId].time) {
+      latest[pred.userId] = { time, name: pred.playerName || pred.userId };
+    }
+  });
+  return Object.fromEntries(Object.entries(latest).map(([userId, { name }]) => [userId, name]));
 }
 
 /**
- * Sorts players by their statistics (for leaderboard)
+ * Ranks players like the leaderboard table: total points, fechas won,
+ * perfect scores, then name
  * 
  * @param {Object} playerStats - Player stats object from calculatePlayerStats
- * @param {Array} predictions - Array of predictions (to get display names)
+ * @param {Object} userNames - { userId: name }, for ties
  * @returns {Array} Array of [userId, stats] sorted by ranking
  */
-function sortPlayersByStats(playerStats, predictions) {
+function rankPlayers(playerStats, userNames = {}) {
   return Object.entries(playerStats)
-    .sort(([idA, statsA], [idB, statsB]) => {
-      // Primary: Total Points
-      if (statsB.totalPoints !== statsA.totalPoints) {
-        return statsB.totalPoints - statsA.totalPoints;
-      }
-      // Secondary: Fechas Won
-      if (statsB.fechasWonCount !== statsA.fechasWonCount) {
-        return statsB.fechasWonCount - statsA.fechasWonCount;
-      }
-      // Tertiary: Perfect Scores
-      if (statsB.perfectScoresCount !== statsA.perfectScoresCount) {
-        return statsB.perfectScoresCount - statsA.perfectScoresCount;
-      }
-      // Quaternary: Alphabetical
-      const nameA = getLatestPlayerName(predictions, idA);
-      const nameB = getLatestPlayerName(predictions, idB);
-      return nameA.localeCompare(nameB);
-    });
+    .sort(([idA, statsA], [idB, statsB]) =>
+      statsB.totalPoints - statsA.totalPoints
+      || statsB.fechasWonCount - statsA.fechasWonCount
+      || statsB.perfectScoresCount - statsA.perfectScoresCount
+      || (userNames[idA] || '').localeCompare(userNames[idB] || ''));
 }
 
+// ============================================
+// PLAYER HISTORY - Chart data
+// ============================================
+
 /**
- * Gets score classification for UI coloring
+ * Highest points-per-game bucket of the player history histogram ("10+")
+ */
+const HISTOGRAM_MAX_POINTS = 10;
+
+/**
+ * Chart data of one player's season, for the player history modal
  * 
- * @param {number} points - Points earned (0-10)
- * @returns {string} Classification: 'perfect', 'high', 'medium', 'low', 'zero', 'pending'
+ * Cumulative points after each fecha (calculateRankProgression) next to the
+ * average and the leader of everyone ranked (the group members when memberIds
+ * is given), how often each points value was scored in a game, and the share
+ * of predictions with the right winner/draw.
+ * 
+ * @param {Array} games - The season's games
+ * @param {Array} predictions - Predictions on those games (all players)
+ * @param {Object} scoringProfiles - Map of season name to scoring profile
+ * @param {string} userId - The player
+ * @param {Array|null} memberIds - Optional group member userIds. null = everyone
+ * @returns {Object} {
+ *   fechas: [{ fecha, points, average, leader, hitRate, overallHitRate }], oldest first; points is null
+ *     before the player's first scored fecha, hit rates are percentages (null without scored predictions),
+ *   pointsHistogram: [games with 0 points, 1 point, ..., HISTOGRAM_MAX_POINTS or more] - points
+ *     before the joker and stage multipliers, rounded to whole points
+ * }
  */
-function getScoreClass(points) {
-  if (points === null || points === undefined) return 'pending';
-  if (points === 10) return 'perfect';
-  if (points >= 7) return 'high';
-  if (points >= 4) return 'medium';
-  if (points >= 1) return 'low';
-  if (points === 0) return 'zero';
-  return 'pending';
+function calculatePlayerProgression(games, predictions, scoringProfiles, userId, memberIds = null) {
+  const progression = calculateRankProgression(games, predictions, scoringProfiles, memberIds);
+  const gameMap = new Map(games.map(game => [game.id, game]));
+  const playerPredictions = enforceOneJokerPerFecha(predictions.filter(pred => pred.userId === userId), games);
+
+  const pointsHistogram = new Array(HISTOGRAM_MAX_POINTS + 1).fill(0);
+  const outcomes = {}; // { fecha: { hits, scored } }
+  playerPredictions.forEach(pred => {
+    const game = gameMap.get(pred.gameId);
+    if (!game) return;
+    const points = calculatePoints(pred, game, getScoringProfileForGame(game, scoringProfiles));
+    const hit = isCorrectOutcome(pred, game);
+    if (points === null || hit === null) return;
+
+    // Fractional profile weights give fractional points: count them in the nearest bar
+    const bar = Math.round(points / getPointsMultiplier(pred, game));
+    pointsHistogram[Math.max(0, Math.min(HISTOGRAM_MAX_POINTS, bar))] += 1;
+    if (game.Fecha) {
+      if (!outcomes[game.Fecha]) outcomes[game.Fecha] = { hits: 0, scored: 0 };
+      outcomes[game.Fecha].hits += hit ? 1 : 0;
+      outcomes[game.Fecha].scored += 1;
+    }
+  });
+
+  const percentage = (hits, scored) => (scored > 0 ? Math.round((hits / scored) * 100) : null);
+  let hits = 0;
+  let scored = 0;
+  const fechas = progression.map(step => {
+    const totals = Object.values(step.totals);
+    const fechaOutcomes = outcomes[step.fecha] || { hits: 0, scored: 0 };
+    hits += fechaOutcomes.hits;
+    scored += fechaOutcomes.scored;
+    return {
+      fecha: step.fecha,
+      points: step.totals[userId] !== undefined ? step.totals[userId] : null,
+      average: Math.round((totals.reduce((sum, total) => sum + total, 0) / totals.length) * 10) / 10,
+      leader: Math.max(...totals),
+      hitRate: percentage(fechaOutcomes.hits, fechaOutcomes.scored),
+      overallHitRate: percentage(hits, scored)
+    };
+  });
+
+  return { fechas, pointsHistogram };
 }
 
 // ============================================
-// DATA TRANSFORMATION HELPERS
+// RESULT CORRECTIONS - Audit snapshots and rank changes
 // ============================================
 
 /**
- * Transforms Firestore game data to standard format
- * Handles Firestore Timestamps and normalizes field names
+ * Game fields a result correction can change (recorded in gameAudit before/after)
  */
-function normalizeGame(firestoreGame) {
-  const kickOffTime = firestoreGame.KickOffTime?.toDate?.()
-    ? firestoreGame.KickOffTime.toDate()
-    : new Date(firestoreGame.KickOffTime);
+const RESULT_FIELDS = Object.freeze(['HomeScore', 'AwayScore', 'ExtraTimeHomeScore', 'ExtraTimeAwayScore', 'PenaltyWinner']);
 
-  return {
-    id: firestoreGame.id,
-    homeTeam: firestoreGame.HomeTeam,
-    awayTeam: firestoreGame.AwayTeam,
-    homeScore: firestoreGame.HomeScore !== null ? firestoreGame.HomeScore : null,
-    awayScore: firestoreGame.AwayScore !== null ? firestoreGame.AwayScore : null,
-    status: firestoreGame.Status?.toLowerCase?.() || 'upcoming',
-    kickOffTime: kickOffTime.toISOString(),
-    fecha: firestoreGame.Fecha,
-    league: firestoreGame.League,
-    // Keep original fields for backward compatibility
-    HomeTeam: firestoreGame.HomeTeam,
-    AwayTeam: firestoreGame.AwayTeam,
-    HomeScore: firestoreGame.HomeScore,
-    AwayScore: firestoreGame.AwayScore,
-    Status: firestoreGame.Status,
-    KickOffTime: firestoreGame.KickOffTime,
-    Fecha: firestoreGame.Fecha,
-    League: firestoreGame.League
-  };
+/**
+ * Copy of a game's result fields (missing fields as null)
+ * 
+ * @param {Object} game - Game object as stored in Firestore
+ * @returns {Object} { HomeScore, AwayScore, ExtraTimeHomeScore, ExtraTimeAwayScore, PenaltyWinner }
+ */
+function getResultSnapshot(game) {
+  const snapshot = {};
+  RESULT_FIELDS.forEach(field => {
+    snapshot[field] = game && game[field] !== undefined ? game[field] : null;
+  });
+  return snapshot;
 }
 
 /**
- * Transforms Firestore prediction data to standard format
+ * Compares two rankings (from rankPlayers) and lists the players whose
+ * rank or total changed, biggest movers first. Rank is the 1-based position,
+ * as in renderLeaderboardTable; players missing from a ranking get rank null.
+ * 
+ * @param {Array} sortedBefore - [[userId, stats], ...] before the change
+ * @param {Array} sortedAfter - [[userId, stats], ...] after the change
+ * @returns {Array} [{ userId, rankBefore, rankAfter, pointsBefore, pointsAfter }]
  */
-function normalizePrediction(firestorePrediction) {
+function calculateRankChanges(sortedBefore, sortedAfter) {
+  const toRanks = sorted => new Map(sorted.map(([userId, stats], index) => [userId, { rank: index + 1, points: stats.totalPoints }]));
+  const before = toRanks(sortedBefore);
+  const after = toRanks(sortedAfter);
+  const userIds = new Set([...before.keys(), ...after.keys()]);
+
+  const changes = [];
+  userIds.forEach(userId => {
+    const previous = before.get(userId) || { rank: null, points: 0 };
+    const current = after.get(userId) || { rank: null, points: 0 };
+    if (previous.rank !== current.rank || previous.points !== current.points) {
+      changes.push({
+        userId,
+        rankBefore: previous.rank,
+        rankAfter: current.rank,
+        pointsBefore: previous.points,
+        pointsAfter: current.points
+      });
+    }
+  });
+
+  const movement = change => Math.abs((change.rankBefore || 0) - (change.rankAfter || 0));
+  return changes.sort((a, b) => movement(b) - movement(a) || (a.rankAfter || Infinity) - (b.rankAfter || Infinity));
+}
+
+/**
+ * Gets the minimum points for each score class under a profile
+ * Thresholds scale with the profile maximum (70% high, 40% medium)
+ * 
+ * @param {Object} scoringProfile - Scoring profile
+ * @param {Object} game - Optional game (knockout games have a higher maximum)
+ * @returns {Object} { perfect, high, medium, low } minimum points per class
+ */
+function getScoreClassThresholds(scoringProfile = DEFAULT_SCORING_PROFILE, game = null) {
+  const maxPoints = getMaxPoints(scoringProfile, game);
   return {
-    userId: firestorePrediction.userId,
-    playerName: firestorePrediction.playerName,
-    gameId: firestorePrediction.gameId,
-    predictedHomeScore: firestorePrediction.predictedHomeScore,
-    predictedAwayScore: firestorePrediction.predictedAwayScore,
-    timestamp: firestorePrediction.timestamp?.toDate?.()
-      ? firestorePrediction.timestamp.toDate()
-      : new Date(firestorePrediction.timestamp)
+    perfect: maxPoints,
+    high: Math.ceil(maxPoints * 0.7),
+    medium: Math.ceil(maxPoints * 0.4),
+    low: 1
   };
 }
 
+/**
+ * Gets score classification for UI coloring
+ * 
+ * @param {number} points - Points earned (0 to profile maximum, times the multiplier)
+ * @param {Object} scoringProfile - Scoring profile the points were earned under
+ * @param {number} multiplier - Multiplier applied to the points (see getPointsMultiplier); classes use the base points
+ * @param {Object} game - Optional game the points were earned on (knockout games have a higher maximum)
+ * @returns {string} Classification: 'perfect', 'high', 'medium', 'low', 'zero', 'pending'
+ */
+function getScoreClass(points, scoringProfile = DEFAULT_SCORING_PROFILE, multiplier = 1, game = null) {
+  if (points === null || points === undefined) return 'pending';
+  points = points / multiplier;
+  const thresholds = getScoreClassThresholds(scoringProfile, game);
+  if (points === thresholds.perfect) return 'perfect';
+  if (points >= thresholds.high) return 'high';
+  if (points >= thresholds.medium) return 'medium';
+  if (points >= thresholds.low) return 'low';
+  if (points === 0) return 'zero';
+  return 'pending';
+}
+
 // Export functions for use in other modules (ES6 syntax)
 export {
+  DEFAULT_SCORING_PROFILE,
+  resolveScoringProfile,
+  getScoringProfileForGame,
+  getMaxPoints,
+  getKickOffDate,
+  isPredictionLocked,
+  filterPredictionsByMembers,
+  GAME_STAGES,
+  getStageLabel,
+  getGameMultiplier,
+  getPointsMultiplier,
+  GAME_STATUSES,
+  VOIDED_STATUSES,
+  isVoidedGame,
+  isKnockoutGame,
+  getQualifier,
+  formatResultDetails,
+  formatQualifierPick,
+  JOKER_MULTIPLIER,
+  getPredictionMultiplier,
+  getJokerFechaKey,
+  enforceOneJokerPerFecha,
+  getOutcome,
+  isCorrectOutcome,
   calculatePoints,
   calculatePlayerStats,
+  calculateRankProgression,
+  rankFechaProgression,
   getPlayerStats,
   aggregatePredictionsByPlayer,
-  getLatestPlayerName,
-  sortPlayersByStats,
-  getScoreClass,
-  normalizeGame,
-  normalizePrediction
+  getPlayerNames,
+  rankPlayers,
+  HISTOGRAM_MAX_POINTS,
+  calculatePlayerProgression,
+  RESULT_FIELDS,
+  getResultSnapshot,
+  calculateRankChanges,
+  getScoreClassThresholds,
+  getScoreClass
 };
@@ -0,0 +1,136 @@
+/**
+ * Charts
+ *
+ * Small inline SVG charts for the leaderboard and the player history modal
+ * (no chart library). Every function returns SVG markup to put into the page
+ * with innerHTML; the chart scales to the width of its container.
+ *
+ * Usage:
+ *   import { renderLineChart, renderBarChart } from './js/charts.js';
+ *   container.innerHTML = renderLineChart([{ label: 'Rank', values: [3, 2, 2, 1] }],
+ *       { labels: ['GW1', 'GW2', 'GW3', 'GW4'], invertY: true, yMin: 1 });
+ *   container.innerHTML = renderBarChart([4, 0, 2], { labels: ['0', '1', '2'], yLabel: 'Games' });
+ */
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = { top: 24, right: 16, bottom: 32, left: 40 };
+
+// Series colours, in order (the first series is the player's)
+const SERIES_COLORS = ['#3fc1c9', '#f0ad4e', '#9e9e9e', '#28a745', '#dc3545'];
+
+function escapeText(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Up to maxTicks round values from min to max
+ */
+function niceTicks(min, max, maxTicks = 5) {
+    const step = Math.max(1, Math.ceil((max - min) / (maxTicks - 1)));
+    const ticks = [];
+    for (let value = min; value < max; value += step) ticks.push(value);
+    ticks.push(max);
+    return ticks;
+}
+
+/**
+ * Horizontal grid lines with their y-axis values
+ */
+function renderGrid(low, high, y) {
+    return niceTicks(low, high).map(tick => `
+        <line x1="${PADDING.left}" x2="${WIDTH - PADDING.right}" y1="${y(tick).toFixed(1)}" y2="${y(tick).toFixed(1)}" stroke="#444" stroke-width="1" />
+        <text x="${PADDING.left - 8}" y="${(y(tick) + 4).toFixed(1)}" text-anchor="end" font-size="11" fill="#9e9e9e">${tick}</text>`).join('');
+}
+
+/**
+ * x-axis labels, thinned out so they don't overlap
+ */
+function renderXLabels(labels, x) {
+    const labelEvery = Math.ceil(labels.length / 12);
+    return labels.map((label, index) => (index % labelEvery === 0 || index === labels.length - 1) ? `
+        <text x="${x(index).toFixed(1)}" y="${HEIGHT - 10}" text-anchor="middle" font-size="11" fill="#9e9e9e">${escapeText(label)}</text>` : '').join('');
+}
+
+/**
+ * Line chart
+ *
+ * @param {Array} series - [{ label, values: [number|null, ...], color? }]; null leaves a gap
+ * @param {object} options
+ * @param {Array} options.labels - x-axis label of each value
+ * @param {boolean} [options.invertY] - Smallest value at the top (ranks)
+ * @param {number} [options.yMin] - Lowest y value shown (default: smallest value)
+ * @param {number} [options.yMax] - Highest y value shown (default: largest value)
+ * @param {string} [options.yLabel] - Shown in the point tooltips ("GW3: Rank 2")
+ * @param {string} [options.valueSuffix] - Added to the values in the tooltips (e.g. '%')
+ * @returns {string} SVG markup
+ */
+export function renderLineChart(series, { labels, invertY = false, yMin = null, yMax = null, yLabel = '', valueSuffix = '' }) {
+    const values = series.flatMap(line => line.values).filter(value => value !== null && value !== undefined);
+    if (values.length === 0 || labels.length === 0) {
+        return '<p class="text-muted text-center mb-0">Nothing to chart yet.</p>';
+    }
+
+    const low = yMin !== null ? yMin : Math.min(...values);
+    const high = Math.max(yMax !== null ? yMax : Math.max(...values), low + 1);
+    const plotWidth = WIDTH - PADDING.left - PADDING.right;
+    const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+    const x = index => PADDING.left + (labels.length === 1 ? plotWidth / 2 : (index * plotWidth) / (labels.length - 1));
+    const y = value => {
+        const share = (value - low) / (high - low);
+        return PADDING.top + (invertY ? share : 1 - share) * plotHeight;
+    };
+
+    const grid = renderGrid(low, high, y);
+    const xLabels = renderXLabels(labels, x);
+
+    const lines = series.map((line, seriesIndex) => {
+        const color = line.color || SERIES_COLORS[seriesIndex % SERIES_COLORS.length];
+        let path = '';
+        let penDown = false;
+        const points = line.values.map((value, index) => {
+            if (value === null || value === undefined) {
+                penDown = false;
+                return '';
+            }
+            path += `${penDown ? 'L' : 'M'}${x(index).toFixed(1)},${y(value).toFixed(1)} `;
+            penDown = true;
+            return `<circle cx="${x(index).toFixed(1)}" cy="${y(value).toFixed(1)}" r="3" fill="${color}"><title>${escapeText(`${labels[index]}: ${line.label || yLabel} ${value}${valueSuffix}`)}</title></circle>`;
+        }).join('');
+        return `<path d="${path.trim()}" fill="none" stroke="${color}" stroke-width="2" />${points}`;
+    }).join('');
+
+    const legend = series.length > 1 ? series.map((line, seriesIndex) => `
+        <text x="${PADDING.left + seriesIndex * 140}" y="${PADDING.top - 4}" font-size="11" fill="${line.color || SERIES_COLORS[seriesIndex % SERIES_COLORS.length]}">■ ${escapeText(line.label)}</text>`).join('') : '';
+
+    return `<svg class="chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" width="100%" role="img" aria-label="${escapeText(yLabel || 'Chart')}" xmlns="http://www.w3.org/2000/svg">${grid}${xLabels}${lines}${legend}</svg>`;
+}
+
+/**
+ * Bar chart (one bar per label, from zero)
+ *
+ * @param {Array} values - Height of each bar
+ * @param {object} options
+ * @param {Array} options.labels - x-axis label of each bar
+ * @param {string} [options.yLabel] - Shown in the bar tooltips ("3 points: Games 4")
+ * @param {string} [options.labelSuffix] - Added to the labels in the tooltips (e.g. ' points')
+ * @param {string} [options.color]
+ * @returns {string} SVG markup
+ */
+export function renderBarChart(values, { labels, yLabel = '', labelSuffix = '', color = SERIES_COLORS[0] }) {
+    if (values.length === 0 || values.every(value => !value)) {
+        return '<p class="text-muted text-center mb-0">Nothing to chart yet.</p>';
+    }
+
+    const high = Math.max(...values, 1);
+    const plotWidth = WIDTH - PADDING.left - PADDING.right;
+    const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+    const slot = plotWidth / values.length;
+    const x = index => PADDING.left + slot * (index + 0.5);
+    const y = value => PADDING.top + (1 - value / high) * plotHeight;
+
+    const bars = values.map((value, index) => `
+        <rect x="${(x(index) - slot * 0.35).toFixed(1)}" y="${y(value).toFixed(1)}" width="${(slot * 0.7).toFixed(1)}" height="${(PADDING.top + plotHeight - y(value)).toFixed(1)}" fill="${color}"><title>${escapeText(`${labels[index]}${labelSuffix}: ${yLabel} ${value}`)}</title></rect>`).join('');
+
+    return `<svg class="chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" width="100%" role="img" aria-label="${escapeText(yLabel || 'Chart')}" xmlns="http://www.w3.org/2000/svg">${renderGrid(0, high, y)}${renderXLabels(labels, x)}${bars}</svg>`;
+}
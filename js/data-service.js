@@ -0,0 +1,329 @@
+/**
+ * Data Service Module
+ *
+ * Shared read access to games, predictions, teams and the season standings,
+ * so every page fetches them the same way:
+ * - season filters: a season name, NO_SEASON ('__none__', games without a
+ *   season, like the "No Season (historical)" option) or null for all games
+ * - gameId lists are queried in batches of IN_QUERY_LIMIT ('in' query limit)
+ * - results are cached in memory for CACHE_TTL_MS, so switching seasons, game
+ *   weeks or opening a player's history doesn't re-read the same documents
+ *
+ * Documents come back as { id, ...data } in the canonical schema
+ * (firebase-uploader/src/schema.js); games are sorted by kick-off.
+ * Results are shared between callers: copy before mutating them.
+ * Call clearDataCache() after writing (e.g. after saving predictions).
+ *
+ * The watch* functions are live versions (onSnapshot) with the same filters:
+ * they call onChange with the full, current result after every change, keep
+ * the cache up to date while they run, and return an unsubscribe function
+ * that pages call when the season or fecha selection changes.
+ *
+ * Usage:
+ *   import { getGames, getPredictions, getTeams } from './js/data-service.js';
+ *   const games = await getGames(db, { season: '2025-26', fecha: 'GW3' });
+ *   const predictions = await getPredictions(db, { gameIds: games.map(game => game.id) });
+ *   const stop = watchGamesWithPredictions(db, { season: '2025-26' }, ({ games, predictions }) => render(games, predictions), showError);
+ */
+
+import { collection, getDocs, query, where, documentId, doc, getDoc, onSnapshot } from "https://www.gstatic.com/firebasejs/9.6.1/firebase-firestore.js";
+import { standingsDocId } from "../firebase-uploader/src/standings.js";
+
+// Season filter value for games without a season
+export const NO_SEASON = '__none__';
+
+// Firestore 'in' queries support max 10 values
+const IN_QUERY_LIMIT = 10;
+
+// How long fetched results are reused
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+// { cacheKey: { expires, promise } }
+const cache = new Map();
+
+/**
+ * Run a fetch once per cache key; concurrent and later calls share its result
+ * @param {string} key - Cache key, prefixed with the collection name
+ * @param {function} fetch - () => Promise
+ * @returns {Promise<*>}
+ */
+function cached(key, fetch) {
+    const entry = cache.get(key);
+    if (entry && entry.expires > Date.now()) return entry.promise;
+
+    const promise = fetch();
+    cache.set(key, { expires: Date.now() + CACHE_TTL_MS, promise });
+    // Failed fetches are not cached
+    promise.catch(() => cache.delete(key));
+    return promise;
+}
+
+/**
+ * Cache a live listener's latest result, so one-shot reads on the same page
+ * (e.g. the player history modal) see the same data
+ */
+function remember(key, value) {
+    cache.set(key, { expires: Date.now() + CACHE_TTL_MS, promise: Promise.resolve(value) });
+}
+
+/**
+ * Forget cached results
+ * @param {string} [collectionName] - 'games', 'predictions', 'teams' or 'standings' (default: everything)
+ */
+export function clearDataCache(collectionName = null) {
+    [...cache.keys()]
+        .filter(key => !collectionName || key.startsWith(`${collectionName}:`))
+        .forEach(key => cache.delete(key));
+}
+
+function toDocs(snapshot) {
+    return snapshot.docs.map(snapshotDoc => ({ id: snapshotDoc.id, ...snapshotDoc.data() }));
+}
+
+function byKickOff(a, b) {
+    return (a.KickOffTime ? new Date(a.KickOffTime).getTime() : 0) - (b.KickOffTime ? new Date(b.KickOffTime).getTime() : 0);
+}
+
+/**
+ * Query documents whose `field` is one of `values`, IN_QUERY_LIMIT values at a time
+ * @returns {Promise<array>} { id, ...data } of all batches
+ */
+async function getDocsIn(db, collectionName, field, values) {
+    const docs = [];
+    for (let i = 0; i < values.length; i += IN_QUERY_LIMIT) {
+        const snapshot = await getDocs(query(collection(db, collectionName), where(field, 'in', values.slice(i, i + IN_QUERY_LIMIT))));
+        docs.push(...toDocs(snapshot));
+    }
+    return docs;
+}
+
+/**
+ * Query for the games of a season (see the season filters above)
+ * "No Season" games have no season field to query on: all games are read and
+ * filtered with seasonGamesFrom
+ */
+function seasonGamesQuery(db, season) {
+    return season && season !== NO_SEASON
+        ? query(collection(db, 'games'), where('season', '==', season))
+        : collection(db, 'games');
+}
+
+function seasonGamesFrom(snapshot, season) {
+    return toDocs(snapshot).filter(game => season !== NO_SEASON || !game.season).sort(byKickOff);
+}
+
+/**
+ * Games of a season (see the season filters above), sorted by kick-off
+ */
+function getSeasonGames(db, season) {
+    return cached(`games:season:${season ?? ''}`, async () =>
+        seasonGamesFrom(await getDocs(seasonGamesQuery(db, season)), season));
+}
+
+/**
+ * Fetch games
+ * @param {object} db - Firestore database instance
+ * @param {object} [options]
+ * @param {string|null} [options.season] - Season name, NO_SEASON, or null for every season
+ * @param {string} [options.fecha] - Only this game week (filtered from the season's games)
+ * @param {array} [options.gameIds] - Only these games (season and fecha are ignored)
+ * @returns {Promise<array>} Games ({ id, ...data }) sorted by KickOffTime
+ */
+export async function getGames(db, { season = null, fecha = null, gameIds = null } = {}) {
+    if (gameIds) {
+        const ids = [...new Set(gameIds)].sort();
+        if (ids.length === 0) return [];
+        const games = await cached(`games:ids:${ids.join(',')}`, () => getDocsIn(db, 'games', documentId(), ids));
+        return [...games].sort(byKickOff);
+    }
+
+    const games = await getSeasonGames(db, season);
+    return fecha ? games.filter(game => game.Fecha === fecha) : games;
+}
+
+/**
+ * Fetch predictions
+ * @param {object} db - Firestore database instance
+ * @param {object} [options]
+ * @param {array} [options.gameIds] - Only predictions on these games
+ * @param {string} [options.userId] - Only this player's predictions
+ * @returns {Promise<array>} Predictions ({ id, ...data })
+ */
+export async function getPredictions(db, { gameIds = null, userId = null } = {}) {
+    if (gameIds) {
+        const ids = [...new Set(gameIds)].sort();
+        if (ids.length === 0) return [];
+        const predictions = await cached(`predictions:games:${ids.join(',')}`, () => getDocsIn(db, 'predictions', 'gameId', ids));
+        return userId ? predictions.filter(prediction => prediction.userId === userId) : predictions;
+    }
+    if (userId) {
+        return cached(`predictions:user:${userId}`, async () =>
+            toDocs(await getDocs(query(collection(db, 'predictions'), where('userId', '==', userId)))));
+    }
+    return cached('predictions:all', async () => toDocs(await getDocs(collection(db, 'predictions'))));
+}
+
+/**
+ * Fetch all teams, sorted by name
+ * @param {object} db - Firestore database instance
+ * @returns {Promise<array>} Teams ({ id, ...data })
+ */
+export function getTeams(db) {
+    return cached('teams:all', async () =>
+        toDocs(await getDocs(collection(db, 'teams'))).sort((a, b) => (a.name || '').localeCompare(b.name || '')));
+}
+
+/**
+ * Teams keyed by name, for logo lookups
+ * @param {array} teams - From getTeams
+ * @returns {object} { name: team }
+ */
+export function indexTeamsByName(teams) {
+    return Object.fromEntries(teams.map(team => [team.name, team]));
+}
+
+/**
+ * Fetch the materialised standings of a season (see firebase-uploader/src/standings.js)
+ * @param {object} db - Firestore database instance
+ * @param {string|null} season - Season name or NO_SEASON
+ * @returns {Promise<object|null>} Standings document, or null when there is none
+ *   (not built yet, or season null = every season, which has no standings)
+ */
+export function getStandings(db, season) {
+    if (!season) return Promise.resolve(null);
+    const docId = standingsDocId(season === NO_SEASON ? null : season);
+    return cached(`standings:${docId}`, async () => {
+        const standingsSnap = await getDoc(doc(db, 'standings', docId));
+        return standingsSnap.exists() ? standingsSnap.data() : null;
+    });
+}
+
+/**
+ * Subscribe to games (live getGames)
+ * @param {object} db - Firestore database instance
+ * @param {object} options - season and fecha, as for getGames
+ * @param {function} onChange - Called with the games ({ id, ...data }, sorted by KickOffTime) after every change
+ * @param {function} onError - Called with the Firestore error if the listener fails
+ * @returns {function} Unsubscribe
+ */
+export function watchGames(db, { season = null, fecha = null } = {}, onChange, onError) {
+    return onSnapshot(seasonGamesQuery(db, season), snapshot => {
+        const games = seasonGamesFrom(snapshot, season);
+        remember(`games:season:${season ?? ''}`, games);
+        onChange(fecha ? games.filter(game => game.Fecha === fecha) : games);
+    }, onError);
+}
+
+/**
+ * Subscribe to predictions (live getPredictions)
+ * gameIds are watched in batches of IN_QUERY_LIMIT; onChange first runs once
+ * every batch has loaded.
+ * @param {object} db - Firestore database instance
+ * @param {object} options - gameIds and userId, as for getPredictions
+ * @param {function} onChange - Called with the predictions ({ id, ...data }) after every change
+ * @param {function} onError - Called with the Firestore error if a listener fails
+ * @returns {function} Unsubscribe
+ */
+export function watchPredictions(db, { gameIds = null, userId = null } = {}, onChange, onError) {
+    if (!gameIds) {
+        const predictionsQuery = userId
+            ? query(collection(db, 'predictions'), where('userId', '==', userId))
+            : collection(db, 'predictions');
+        return onSnapshot(predictionsQuery, snapshot => {
+            const predictions = toDocs(snapshot);
+            remember(userId ? `predictions:user:${userId}` : 'predictions:all', predictions);
+            onChange(predictions);
+        }, onError);
+    }
+
+    const ids = [...new Set(gameIds)].sort();
+    if (ids.length === 0) {
+        onChange([]);
+        return () => {};
+    }
+
+    // Latest snapshot of each batch (null until it has loaded)
+    const batches = [];
+    for (let i = 0; i < ids.length; i += IN_QUERY_LIMIT) {
+        batches.push(ids.slice(i, i + IN_QUERY_LIMIT));
+    }
+    const results = batches.map(() => null);
+    const unsubscribers = batches.map((batch, index) =>
+        onSnapshot(query(collection(db, 'predictions'), where('gameId', 'in', batch)), snapshot => {
+            results[index] = toDocs(snapshot);
+            if (results.includes(null)) return;
+            const predictions = results.flat();
+            remember(`predictions:games:${ids.join(',')}`, predictions);
+            onChange(userId ? predictions.filter(prediction => prediction.userId === userId) : predictions);
+        }, onError));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
+
+/**
+ * Subscribe to games and the predictions on them
+ * Predictions on the games are re-subscribed whenever the set of games changes
+ * (a game added, deleted or moved to another fecha); a player's predictions
+ * (userId) are watched once and narrowed to the current games.
+ * @param {object} db - Firestore database instance
+ * @param {object} options - season and fecha as for getGames, userId: only this player's predictions
+ * @param {function} onChange - Called with { games, predictions } once both have loaded and after every change
+ * @param {function} onError - Called with the Firestore error if a listener fails
+ * @returns {function} Unsubscribe
+ */
+export function watchGamesWithPredictions(db, { season = null, fecha = null, userId = null } = {}, onChange, onError) {
+    let games = null;
+    let predictions = null;
+    let watchedGameIds = null;
+    let stopPredictions = () => {};
+
+    const emit = () => {
+        if (!games || !predictions) return;
+        const gameIds = new Set(games.map(game => game.id));
+        onChange({ games, predictions: predictions.filter(prediction => gameIds.has(prediction.gameId)) });
+    };
+    const onPredictions = latest => {
+        predictions = latest;
+        emit();
+    };
+
+    if (userId) {
+        stopPredictions = watchPredictions(db, { userId }, onPredictions, onError);
+    }
+    const stopGames = watchGames(db, { season, fecha }, latest => {
+        games = latest;
+        const gameIds = games.map(game => game.id).sort().join(',');
+        if (!userId && gameIds !== watchedGameIds) {
+            watchedGameIds = gameIds;
+            stopPredictions();
+            predictions = null;
+            stopPredictions = watchPredictions(db, { gameIds: games.map(game => game.id) }, onPredictions, onError);
+        }
+        emit();
+    }, onError);
+
+    return () => {
+        stopGames();
+        stopPredictions();
+    };
+}
+
+/**
+ * Subscribe to a season's standings document (live getStandings)
+ * @param {object} db - Firestore database instance
+ * @param {string|null} season - Season name or NO_SEASON
+ * @param {function} onChange - Called with the standings document, or null when there is none
+ * @param {function} onError - Called with the Firestore error if the listener fails
+ * @returns {function} Unsubscribe
+ */
+export function watchStandings(db, season, onChange, onError) {
+    if (!season) {
+        onChange(null);
+        return () => {};
+    }
+    const docId = standingsDocId(season === NO_SEASON ? null : season);
+    return onSnapshot(doc(db, 'standings', docId), standingsSnap => {
+        const standings = standingsSnap.exists() ? standingsSnap.data() : null;
+        remember(`standings:${docId}`, standings);
+        onChange(standings);
+    }, onError);
+}
@@ -0,0 +1,234 @@
+/**
+ * Groups Module
+ *
+ * Private prediction groups (office pool, family pool, ...) that share the
+ * same fixtures and predictions but rank only their own members.
+ *
+ * Firestore: groups/{groupId}
+ *   { name, inviteCode, ownerId, members: [uid], createdAt }
+ * readable by members only. inviteCodes/{inviteCode} { groupId, ownerId }
+ * leads non-members to the group; joining also writes
+ * inviteCodes/{inviteCode}/joins/{uid}, which firestore.rules requires.
+ *
+ * Usage:
+ *   import { fetchUserGroups, createGroup, joinGroupByCode } from './js/groups.js';
+ *   const groups = await fetchUserGroups(db, user.uid);
+ */
+
+import { collection, getDocs, query, where, doc, getDoc, updateDoc, writeBatch, arrayUnion, arrayRemove } from "https://www.gstatic.com/firebasejs/9.6.1/firebase-firestore.js";
+
+// Invite codes avoid look-alike characters (0/O, 1/I/L)
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 6;
+const MAX_INVITE_CODE_ATTEMPTS = 5;
+
+// localStorage key so the selected group carries across pages
+const SELECTED_GROUP_KEY = 'ea.selectedGroupId';
+
+/**
+ * Generate a random invite code
+ * @returns {string} e.g. 'K7QX2M'
+ */
+export function generateInviteCode() {
+    let code = '';
+    for (let i = 0; i < INVITE_CODE_LENGTH; i++) {
+        code += INVITE_CODE_ALPHABET[Math.floor(Math.random() * INVITE_CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+/**
+ * Normalize user-typed invite codes (case, spaces, dashes)
+ * @param {string} code
+ * @returns {string}
+ */
+export function normalizeInviteCode(code) {
+    return (code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Look up an invite code
+ * @param {object} db - Firestore database instance
+ * @param {string} inviteCode
+ * @returns {Promise<object|null>} { groupId, ownerId }, or null
+ */
+async function findInviteCode(db, inviteCode) {
+    const codeSnap = await getDoc(doc(db, 'inviteCodes', inviteCode));
+    return codeSnap.exists() ? codeSnap.data() : null;
+}
+
+/**
+ * Create a new group owned by the user, with a unique invite code
+ * @param {object} db - Firestore database instance
+ * @param {string} uid - Owner's UID
+ * @param {string} name - Group name
+ * @returns {Promise<object>} Created group with id
+ */
+export async function createGroup(db, uid, name) {
+    const groupName = (name || '').trim();
+    if (!uid) throw new Error('You must be signed in to create a group.');
+    if (!groupName) throw new Error('Please enter a group name.');
+
+    let inviteCode = null;
+    for (let attempt = 0; attempt < MAX_INVITE_CODE_ATTEMPTS; attempt++) {
+        const candidate = generateInviteCode();
+        if (!(await findInviteCode(db, candidate))) {
+            inviteCode = candidate;
+            break;
+        }
+    }
+    if (!inviteCode) throw new Error('Could not generate a unique invite code. Please try again.');
+
+    const groupData = {
+        name: groupName,
+        inviteCode,
+        ownerId: uid,
+        members: [uid],
+        createdAt: new Date(),
+    };
+    // The group and its invite code are written together
+    const groupRef = doc(collection(db, 'groups'));
+    const batch = writeBatch(db);
+    batch.set(groupRef, groupData);
+    batch.set(doc(db, 'inviteCodes', inviteCode), { groupId: groupRef.id, ownerId: uid });
+    await batch.commit();
+    return { id: groupRef.id, ...groupData };
+}
+
+/**
+ * Register the invite codes of the user's own groups that have none yet
+ * (groups created before invite codes were looked up in inviteCodes)
+ * @param {object} db - Firestore database instance
+ * @param {string} uid - User's UID
+ * @param {array} groups - The user's groups (fetchUserGroups)
+ */
+export async function registerInviteCodes(db, uid, groups) {
+    for (const group of groups.filter(g => g.ownerId === uid && g.inviteCode)) {
+        try {
+            if (!(await findInviteCode(db, group.inviteCode))) {
+                const batch = writeBatch(db);
+                batch.set(doc(db, 'inviteCodes', group.inviteCode), { groupId: group.id, ownerId: uid });
+                await batch.commit();
+            }
+        } catch (error) {
+            console.error(`Error registering the invite code of group ${group.id}:`, error);
+        }
+    }
+}
+
+/**
+ * Join a group using its invite code
+ * @param {object} db - Firestore database instance
+ * @param {string} uid - Joining user's UID
+ * @param {string} code - Invite code as typed by the user
+ * @returns {Promise<object>} Joined group with id
+ */
+export async function joinGroupByCode(db, uid, code) {
+    const inviteCode = normalizeInviteCode(code);
+    if (!uid) throw new Error('You must be signed in to join a group.');
+    if (!inviteCode) throw new Error('Please enter an invite code.');
+
+    const invite = await findInviteCode(db, inviteCode);
+    if (!invite) throw new Error(`No group found with invite code "${inviteCode}".`);
+
+    // Non-members can't read the group: join first (the joins entry shows the rules the code was known)
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'inviteCodes', inviteCode, 'joins', uid), { groupId: invite.groupId, joinedAt: new Date() });
+    batch.update(doc(db, 'groups', invite.groupId), { members: arrayUnion(uid) });
+    try {
+        await batch.commit();
+    } catch (error) {
+        console.error('Error joining group:', error);
+        throw new Error(`Could not join the group with invite code "${inviteCode}".`);
+    }
+    return fetchGroup(db, invite.groupId);
+}
+
+/**
+ * Leave a group (the owner cannot leave their own group)
+ * @param {object} db - Firestore database instance
+ * @param {string} uid - Leaving user's UID
+ * @param {object} group - Group object with id and ownerId
+ */
+export async function leaveGroup(db, uid, group) {
+    if (group.ownerId === uid) throw new Error('The group owner cannot leave the group.');
+    await updateDoc(doc(db, 'groups', group.id), { members: arrayRemove(uid) });
+}
+
+/**
+ * Fetch all groups the user is a member of, sorted by name
+ * @param {object} db - Firestore database instance
+ * @param {string} uid - User's UID
+ * @returns {Promise<array>} Array of group objects with id
+ */
+export async function fetchUserGroups(db, uid) {
+    if (!uid) return [];
+    try {
+        const snapshot = await getDocs(query(collection(db, 'groups'), where('members', 'array-contains', uid)));
+        const groups = [];
+        snapshot.forEach(groupDoc => groups.push({ id: groupDoc.id, ...groupDoc.data() }));
+        return groups.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+    } catch (error) {
+        console.error('Error fetching user groups:', error);
+        return [];
+    }
+}
+
+/**
+ * Fetch a single group by id
+ * @param {object} db - Firestore database instance
+ * @param {string} groupId
+ * @returns {Promise<object|null>}
+ */
+export async function fetchGroup(db, groupId) {
+    if (!groupId) return null;
+    const groupSnap = await getDoc(doc(db, 'groups', groupId));
+    return groupSnap.exists() ? { id: groupSnap.id, ...groupSnap.data() } : null;
+}
+
+/**
+ * Member ids of a group as an array, or null for "Everyone"
+ * @param {object|null} group
+ * @returns {string[]|null}
+ */
+export function getGroupMemberIds(group) {
+    return group ? (group.members || []) : null;
+}
+
+/**
+ * Read the last selected group id (shared between pages)
+ * @returns {string|null}
+ */
+export function getStoredGroupId() {
+    try {
+        return localStorage.getItem(SELECTED_GROUP_KEY) || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Remember the selected group id (null clears it, i.e. "Everyone")
+ * @param {string|null} groupId
+ */
+export function storeGroupId(groupId) {
+    try {
+        if (groupId) {
+            localStorage.setItem(SELECTED_GROUP_KEY, groupId);
+        } else {
+            localStorage.removeItem(SELECTED_GROUP_KEY);
+        }
+    } catch (error) {
+        // localStorage unavailable (private mode) - selection just won't persist
+    }
+}
+
+/**
+ * Pick the stored group out of the user's groups (null = "Everyone")
+ * @param {array} groups - The user's groups
+ * @returns {object|null}
+ */
+export function resolveSelectedGroup(groups) {
+    const storedGroupId = getStoredGroupId();
+    return (groups || []).find(group => group.id === storedGroupId) || null;
+}
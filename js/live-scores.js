@@ -0,0 +1,101 @@
+/**
+ * Live Scores Tracker
+ *
+ * Keeps the current scores of the games in progress up to date, for the
+ * provisional "live standings" (firebase-uploader/src/liveScores.js). Scores
+ * come from the fixture provider (firebase-uploader/src/providers.js, so
+ * ?provider=json works here as in admin.html); a 'live' game without a
+ * provider event, or whose lookup fails, falls back to the score an admin entered.
+ *
+ * Games are looked up every LIVE_POLL_MS while the tracker runs, and right away
+ * when a game starts or stops being in progress. Nothing is written to Firestore.
+ *
+ * Usage:
+ *   import { createLiveScoreTracker } from './js/live-scores.js';
+ *   const tracker = createLiveScoreTracker(({ inProgress, liveScores }) => render(inProgress, liveScores));
+ *   tracker.setGames(games);   // on every games update
+ *   tracker.start();           // tracker.stop() when the season changes or live mode is turned off
+ */
+
+import { getInProgressGames, toLiveScore, liveScoreFromGame, LIVE_POLL_MS } from "../firebase-uploader/src/liveScores.js";
+import { getFixtureProvider } from "../firebase-uploader/src/providers.js";
+import { getTrustedNow } from "./ui-helpers.js";
+
+/**
+ * Create a live score tracker
+ * @param {function} onChange - Called after every lookup with { inProgress: games in progress,
+ *   liveScores: { gameId: { homeScore, awayScore, status, finished } }, updatedAt: Date }
+ * @param {object} [options]
+ * @param {number} [options.intervalMs] - Time between lookups
+ * @returns {object} { setGames(games), start(), stop(), isRunning() }
+ */
+export function createLiveScoreTracker(onChange, { intervalMs = LIVE_POLL_MS } = {}) {
+    let games = [];
+    let inProgressKey = '';
+    let running = false;
+    let timer = null;
+    let generation = 0; // lookups started before the last stop() are dropped
+
+    const getInProgressKey = () => getInProgressGames(games, getTrustedNow()).map(game => game.id).join(',');
+
+    async function lookUp() {
+        const current = ++generation;
+        const inProgress = getInProgressGames(games, getTrustedNow());
+        inProgressKey = inProgress.map(game => game.id).join(',');
+        const liveScores = {};
+
+        let provider = null;
+        if (inProgress.some(game => game.thesportsdbEventId)) {
+            try {
+                provider = await getFixtureProvider();
+            } catch (error) {
+                console.error('Error loading the fixture provider:', error);
+            }
+        }
+        // A failed lookup only costs that game its provider score: it falls back
+        // to the admin-entered score like a game without a provider event
+        for (const game of inProgress) {
+            let providerScore = null;
+            if (provider && game.thesportsdbEventId) {
+                try {
+                    providerScore = toLiveScore(await provider.lookupEvent(game.thesportsdbEventId));
+                } catch (error) {
+                    console.error(`Error looking up the live score of ${game.HomeTeam} vs ${game.AwayTeam}:`, error);
+                }
+            }
+            const score = providerScore || liveScoreFromGame(game);
+            if (score) liveScores[game.id] = score;
+        }
+
+        if (current !== generation || !running) return;
+        onChange({ inProgress, liveScores, updatedAt: new Date() });
+        timer = setTimeout(lookUp, intervalMs);
+    }
+
+    function restart() {
+        clearTimeout(timer);
+        generation++;
+        lookUp();
+    }
+
+    return {
+        setGames(latestGames) {
+            games = latestGames;
+            // A game kicked off, finished or was added: look up right away
+            if (running && getInProgressKey() !== inProgressKey) restart();
+        },
+        start() {
+            if (running) return;
+            running = true;
+            restart();
+        },
+        stop() {
+            running = false;
+            generation++;
+            clearTimeout(timer);
+        },
+        isRunning() {
+            return running;
+        }
+    };
+}
@@ -5,7 +5,18 @@
  */
 
 import { collection, getDocs, query, where, doc, getDoc } from "https://www.gstatic.com/firebasejs/9.6.1/firebase-firestore.js";
-import { calculatePoints, calculatePlayerStats, getPlayerStats } from "./calculations.js";
+import { getGames, getPredictions, NO_SEASON } from "./data-service.js";
+import { renderLineChart, renderBarChart } from "./charts.js";
+import { calculatePoints, calculatePlayerStats, calculatePlayerProgression, HISTOGRAM_MAX_POINTS, getPlayerStats, getScoringProfileForGame, getScoreClass, enforceOneJokerPerFecha, getPointsMultiplier, getGameMultiplier, getStageLabel, isVoidedGame, formatResultDetails, formatQualifierPick, JOKER_MULTIPLIER } from "./calculations.js";
+
+/**
+ * Escape text for use inside an HTML attribute or element
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
 
 /**
  * Create and append player history modal to the DOM if it doesn't exist
@@ -49,13 +60,52 @@ export function closePlayerHistoryModal() {
     }
 }
 
+/**
+ * Charts of the player history modal: cumulative points against the average and the leader,
+ * points per game, and the outcome hit rate after each fecha
+ * @param {object} progression - From calculatePlayerProgression
+ * @param {string|null} season - Season the charts cover (null = games without a season)
+ * @param {object|null} group - Selected group (compared against its members), null = everyone
+ * @returns {string} HTML
+ */
+function renderPlayerCharts(progression, season, group) {
+    const { fechas, pointsHistogram } = progression;
+    const labels = fechas.map(step => step.fecha);
+    const others = group ? `${group.name} members` : 'all players';
+    const heading = (text) => `<div style="font-size: 0.8rem; color: #7e8a99; text-transform: uppercase; letter-spacing: 0.5px; margin: 12px 0 4px;">${text}</div>`;
+
+    let html = '<details class="player-history-charts" open style="margin-bottom: 20px;">';
+    html += `<summary style="color: #bdbdbd; cursor: pointer;">Charts · ${season ? `Season ${season}` : 'No Season'}</summary>`;
+    html += heading(`Cumulative points vs ${others}`);
+    html += renderLineChart([
+        { label: 'Player', values: fechas.map(step => step.points) },
+        { label: 'Average', values: fechas.map(step => step.average) },
+        { label: 'Leader', values: fechas.map(step => step.leader) }
+    ], { labels, yMin: 0, yLabel: 'Points' });
+    html += heading('Points per game');
+    html += renderBarChart(pointsHistogram, {
+        labels: pointsHistogram.map((count, points) => (points === HISTOGRAM_MAX_POINTS ? `${points}+` : `${points}`)),
+        yLabel: 'Games',
+        labelSuffix: ' points'
+    });
+    html += heading('Correct winner/draw');
+    html += renderLineChart([
+        { label: 'Per fecha', values: fechas.map(step => step.hitRate) },
+        { label: 'Overall', values: fechas.map(step => step.overallHitRate) }
+    ], { labels, yMin: 0, yMax: 100, yLabel: 'Hit rate', valueSuffix: '%' });
+    html += '</details>';
+    return html;
+}
+
 /**
  * Open player history modal with predictions and stats
  * @param {string} userId - The user ID to fetch history for
  * @param {object} db - Firestore database instance
  * @param {object} userDisplayNames - Map of userId to display names
+ * @param {object} groupOptions - Optional { groups, groupId }: the viewer's groups, shown as a
+ *   selector so fechas won can be compared within a group (groupId null = everyone)
  */
-export async function openPlayerHistory(userId, db, userDisplayNames) {
+export async function openPlayerHistory(userId, db, userDisplayNames, groupOptions = {}) {
     const modal = document.getElementById('player-history-modal');
     if (!modal) {
         console.error('Player history modal not found. Call createPlayerHistoryModal() first.');
@@ -72,16 +122,13 @@ export async function openPlayerHistory(userId, db, userDisplayNames) {
     contentEl.innerHTML = '<p style="color: #bdbdbd;">Loading predictions...</p>';
     modal.style.display = 'block';
 
+    // Only groups this player belongs to make sense as a comparison
+    const playerGroups = (groupOptions.groups || []).filter(group => (group.members || []).includes(userId));
+    const selectedGroup = playerGroups.find(group => group.id === groupOptions.groupId) || null;
+
     try {
         // Fetch all predictions for this user
-        const predictionsRef = collection(db, 'predictions');
-        const predQuery = query(predictionsRef, where('userId', '==', userId));
-        const predSnapshot = await getDocs(predQuery);
-
-        const userPredictions = [];
-        predSnapshot.forEach(doc => {
-            userPredictions.push(doc.data());
-        });
+        const userPredictions = await getPredictions(db, { userId });
 
         if (userPredictions.length === 0) {
             contentEl.innerHTML = '<p style="color: #bdbdbd;">No predictions found for this player.</p>';
@@ -89,34 +136,14 @@ export async function openPlayerHistory(userId, db, userDisplayNames) {
         }
 
         // Fetch game details for all predictions
-        const gameIds = [...new Set(userPredictions.map(p => p.gameId))];
-        const gamesArray = [];
-        const gamesMap = {};
-
-        for (let i = 0; i < gameIds.length; i += 10) {
-            const batch = gameIds.slice(i, i + 10);
-            const gamesQuery = query(collection(db, 'games'), where('__name__', 'in', batch));
-            const gamesSnapshot = await getDocs(gamesQuery);
-            gamesSnapshot.forEach(doc => {
-                const gameData = {
-                    id: doc.id,
-                    ...doc.data(),
-                    // Normalize field names for calculations module
-                    status: (doc.data().Status || '').toLowerCase(),
-                    homeScore: doc.data().HomeScore,
-                    awayScore: doc.data().AwayScore,
-                    fecha: doc.data().Fecha
-                };
-                gamesArray.push(gameData);
-                gamesMap[doc.id] = gameData;
-            });
-        }
+        const gamesArray = await getGames(db, { gameIds: userPredictions.map(p => p.gameId) });
+        const gamesMap = Object.fromEntries(gamesArray.map(game => [game.id, game]));
 
-        // Normalize predictions for calculations module
-        const normalizedPredictions = userPredictions.map(pred => ({
+        // Normalize predictions for calculations module (only one joker per fecha counts)
+        const normalizedPredictions = enforceOneJokerPerFecha(userPredictions.map(pred => ({
             ...pred,
             userId: userId
-        }));
+        })), gamesArray);
 
         // Sort predictions by game kick-off time (descending, most recent first)
         normalizedPredictions.sort((a, b) => {
@@ -128,21 +155,14 @@ export async function openPlayerHistory(userId, db, userDisplayNames) {
         });
 
         // Fetch ALL predictions to calculate if this user won any fechas
-        const allPredictionsRef = collection(db, 'predictions');
-        const allPredSnapshot = await getDocs(allPredictionsRef);
-        const allPredictions = [];
-        allPredSnapshot.forEach(doc => {
-            const pred = doc.data();
-            allPredictions.push({
-                ...pred,
-                status: (gamesMap[pred.gameId]?.Status || '').toLowerCase(),
-                homeScore: gamesMap[pred.gameId]?.HomeScore,
-                awayScore: gamesMap[pred.gameId]?.AwayScore
-            });
-        });
+        const allPredictions = await getPredictions(db);
+
+        // Each game is scored under its own season's scoring profile
+        const seasonConfig = await fetchActiveSeason(db);
+        const scoringProfiles = seasonConfig ? seasonConfig.scoringProfiles : {};
 
         // Use centralized calculatePlayerStats to get proper fechas won count
-        const allPlayerStats = calculatePlayerStats(gamesArray, allPredictions);
+        const allPlayerStats = calculatePlayerStats(gamesArray, allPredictions, scoringProfiles, selectedGroup ? selectedGroup.members : null);
         const playerStats = getPlayerStats(allPlayerStats, userId) || {
             totalPoints: 0,
             perfectScoresCount: 0,
@@ -150,7 +170,8 @@ export async function openPlayerHistory(userId, db, userDisplayNames) {
         };
 
         // Build stats header with subtle styling
-        let html = '<div style="margin-bottom: 20px; padding: 15px; background: linear-gradient(135deg, rgba(0, 229, 255, 0.1) 0%, rgba(118, 255, 3, 0.05) 100%); border-left: 3px solid #00e5ff; border-radius: 4px;">';
+        let html = playerGroups.length > 0 ? '<div id="player-history-group-selector"></div>' : '';
+        html += '<div style="margin-bottom: 20px; padding: 15px; background: linear-gradient(135deg, rgba(0, 229, 255, 0.1) 0%, rgba(118, 255, 3, 0.05) 100%); border-left: 3px solid #00e5ff; border-radius: 4px;">';
         html += '<div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 15px;">';
         html += '<div style="text-align: center;">';
         html += `<div style="font-size: 1.8rem; font-weight: 700; color: #76ff03;">${playerStats.totalPoints}</div>`;
@@ -167,15 +188,26 @@ export async function openPlayerHistory(userId, db, userDisplayNames) {
         html += '</div>';
         html += '</div>';
 
+        // Charts of the season of the player's latest prediction (the season's games come from the cache)
+        const latestGame = gamesMap[normalizedPredictions[0].gameId];
+        const chartSeason = latestGame && latestGame.season ? latestGame.season : null;
+        const seasonGames = await getGames(db, { season: chartSeason || NO_SEASON });
+        html += renderPlayerCharts(calculatePlayerProgression(seasonGames, allPredictions, scoringProfiles, userId, selectedGroup ? selectedGroup.members : null), chartSeason, selectedGroup);
+
         // Build predictions list
         html += '<div style="max-height: 500px; overflow-y: auto;">';
         normalizedPredictions.forEach(pred => {
             const game = gamesMap[pred.gameId];
             if (!game) return;
 
-            const points = calculatePoints(pred, game);
-            const pointsClass = points === null ? 'pending' : points === 10 ? 'perfect' : points >= 7 ? 'high' : points >= 4 ? 'medium' : points > 0 ? 'low' : 'zero';
-            const pointsDisplay = points === null ? 'N/A' : `${points}p`;
+            const scoringProfile = getScoringProfileForGame(game, scoringProfiles);
+            const points = calculatePoints(pred, game, scoringProfile);
+            const pointsClass = getScoreClass(points, scoringProfile, getPointsMultiplier(pred, game), game);
+            const qualifierPick = formatQualifierPick(pred, game);
+            const pointsDisplay = isVoidedGame(game) ? 'Void' : (points === null ? 'N/A' : `${points}p`);
+            const jokerDisplay = pred.joker === true
+                ? `<span style="margin-left: 8px; font-size: 0.75rem; color: #ffeb3b;" title="Joker: x${JOKER_MULTIPLIER} points">🃏 Joker</span>`
+                : '';
 
             const gameDate = new Date(game.KickOffTime).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
 
@@ -184,11 +216,11 @@ export async function openPlayerHistory(userId, db, userDisplayNames) {
                     <div style="flex: 1;">
                         <div style="font-weight: 600; color: #f0f0f0;">${game.HomeTeam} vs ${game.AwayTeam}</div>
                         <div style="font-size: 0.85rem; color: #9e9e9e; margin-top: 4px;">
-                            <span>Predicted: ${pred.predictedHomeScore} - ${pred.predictedAwayScore}</span>
-                            ${game.Status === 'finished' && game.HomeScore !== null ? ` | Actual: ${game.HomeScore} - ${game.AwayScore}` : ''}
+                            <span>Predicted: ${pred.predictedHomeScore} - ${pred.predictedAwayScore}${qualifierPick ? ` (${qualifierPick})` : ''}</span>${jokerDisplay}
+                            ${game.Status === 'finished' && game.HomeScore !== null ? ` | Actual: ${formatResultDetails(game)}` : ''}
                             <span style="margin-left: 8px; font-size: 0.75rem;">${gameDate}</span>
                         </div>
-                        ${game.Fecha ? `<div style="font-size: 0.75rem; color: #7e8a99; margin-top: 2px;">Fecha: ${game.Fecha}</div>` : ''}
+                        ${game.Fecha ? `<div style="font-size: 0.75rem; color: #7e8a99; margin-top: 2px;">Fecha: ${game.Fecha}${getGameMultiplier(game) > 1 ? ` · ${getStageLabel(game.Stage) || 'Stage'} x${getGameMultiplier(game)}` : ''}</div>` : ''}
                     </div>
                     <span class="score ${pointsClass}">${pointsDisplay}</span>
                 </div>
@@ -198,20 +230,74 @@ export async function openPlayerHistory(userId, db, userDisplayNames) {
 
         contentEl.innerHTML = html;
 
+        createGroupSelector('player-history-group-selector', playerGroups, selectedGroup ? selectedGroup.id : null, (groupId) => {
+            openPlayerHistory(userId, db, userDisplayNames, { ...groupOptions, groupId });
+        });
+
     } catch (error) {
         console.error("Error loading player history: ", error);
         contentEl.innerHTML = '<p style="color: #ff6b6b;">Error loading player history. Please try again.</p>';
     }
 }
 
+// Players whose rank-over-time chart is open (kept when live updates re-render the table)
+const openRankCharts = new Set();
+
+/**
+ * Rank change of a player between the last two entries of a rank progression
+ * @param {array} rankProgression - From calculateRankProgression
+ * @param {string} userId
+ * @returns {string} HTML of the ▲/▼/– marker
+ */
+function renderRankMove(rankProgression, userId) {
+    const latest = rankProgression[rankProgression.length - 1];
+    const previous = rankProgression[rankProgression.length - 2];
+    const rank = latest && latest.ranks[userId];
+    if (!rank || !previous) return '<span class="rank-move same">–</span>';
+
+    const previousRank = previous.ranks[userId];
+    if (!previousRank) return `<span class="rank-move up" title="First points in ${latest.fecha}">new</span>`;
+    const move = previousRank - rank;
+    if (move > 0) return `<span class="rank-move up" title="Up ${move} since ${previous.fecha} (was ${previousRank})">▲${move}</span>`;
+    if (move < 0) return `<span class="rank-move down" title="Down ${-move} since ${previous.fecha} (was ${previousRank})">▼${-move}</span>`;
+    return `<span class="rank-move same" title="Unchanged since ${previous.fecha}">–</span>`;
+}
+
+/**
+ * Rank-over-time chart of one player
+ * @param {array} rankProgression - From calculateRankProgression
+ * @param {string} userId
+ * @returns {string} SVG markup
+ */
+function renderRankChart(rankProgression, userId) {
+    const playerCount = Math.max(1, ...rankProgression.map(step => Object.keys(step.ranks).length));
+    return renderLineChart([{ label: 'Rank', values: rankProgression.map(step => step.ranks[userId] || null) }], {
+        labels: rankProgression.map(step => step.fecha),
+        invertY: true,
+        yMin: 1,
+        yMax: playerCount,
+        yLabel: 'Rank'
+    });
+}
+
 /**
  * Render the overall leaderboard table
  * @param {array} sortedPlayers - Array of [userId, stats] tuples
  * @param {object} userNames - Map of userId to display names
  * @param {function} onPlayerClick - Callback when player is clicked
+ * @param {array|null} memberIds - Optional group member userIds; other players are left out
+ *   and ranks are numbered within the group
+ * @param {array|null} rankProgression - Optional ranks after each fecha (calculateRankProgression,
+ *   for the same players); adds the rank change since the previous fecha and a rank-over-time chart per player
  * @returns {HTMLElement} - The constructed table element
  */
-export function renderLeaderboardTable(sortedPlayers, userNames, onPlayerClick) {
+export function renderLeaderboardTable(sortedPlayers, userNames, onPlayerClick, memberIds = null, rankProgression = null) {
+    if (memberIds) {
+        const members = new Set(memberIds);
+        sortedPlayers = sortedPlayers.filter(([userId]) => members.has(userId));
+    }
+    const columnCount = rankProgression ? 7 : 5;
+
     const table = document.createElement('table');
     table.classList.add('table', 'table-dark', 'table-striped', 'table-hover');
 
@@ -219,10 +305,12 @@ export function renderLeaderboardTable(sortedPlayers, userNames, onPlayerClick)
         <thead>
             <tr>
                 <th scope="col">#</th>
+                ${rankProgression ? '<th scope="col">Move</th>' : ''}
                 <th scope="col">Player</th>
                 <th scope="col">Total Points</th>
                 <th scope="col" class="text-center">Fechas Won</th>
-                <th scope="col" class="text-center">Perfect Scores (10s)</th>
+                <th scope="col" class="text-center">Perfect Scores</th>
+                ${rankProgression ? '<th scope="col" class="text-center">Trend</th>' : ''}
             </tr>
         </thead>
     `;
@@ -230,14 +318,18 @@ export function renderLeaderboardTable(sortedPlayers, userNames, onPlayerClick)
     let bodyHtml = '<tbody>';
     
     sortedPlayers.forEach(([userId, stats], index) => {
+        const chartOpen = rankProgression && openRankCharts.has(userId);
         bodyHtml += `
             <tr style="cursor: pointer;" data-user-id="${userId}" title="Click to view prediction history">
                 <th scope="row">${index + 1}</th>
+                ${rankProgression ? `<td>${renderRankMove(rankProgression, userId)}</td>` : ''}
                 <td><strong>${userNames[userId] || 'Anonymous'}</strong></td>
                 <td><span class="badge badge-light badge-pill">${stats.totalPoints}</span></td>
                 <td class="text-center"><span class="badge badge-info">${stats.fechasWonCount}</span></td>
                 <td class="text-center"><span class="badge badge-warning">${stats.perfectScoresCount}</span></td>
+                ${rankProgression ? `<td class="text-center"><button type="button" class="btn btn-sm btn-outline-info rank-chart-toggle${chartOpen ? ' active' : ''}" title="Rank over time">📈</button></td>` : ''}
             </tr>
+            ${chartOpen ? `<tr class="rank-chart-row" data-chart-user-id="${userId}"><td colspan="${columnCount}">${renderRankChart(rankProgression, userId)}</td></tr>` : ''}
         `;
     });
     
@@ -248,8 +340,24 @@ export function renderLeaderboardTable(sortedPlayers, userNames, onPlayerClick)
     // Add click handler to table using event delegation
     table.addEventListener('click', (e) => {
         const row = e.target.closest('tr[data-user-id]');
-        if (row && onPlayerClick) {
-            const userId = row.getAttribute('data-user-id');
+        if (!row) return;
+        const userId = row.getAttribute('data-user-id');
+
+        // Chart button: show or hide the rank-over-time chart below the row
+        if (e.target.closest('.rank-chart-toggle')) {
+            const chartRow = table.querySelector(`tr[data-chart-user-id="${userId}"]`);
+            if (chartRow) {
+                chartRow.remove();
+                openRankCharts.delete(userId);
+            } else {
+                row.insertAdjacentHTML('afterend', `<tr class="rank-chart-row" data-chart-user-id="${userId}"><td colspan="${columnCount}">${renderRankChart(rankProgression, userId)}</td></tr>`);
+                openRankCharts.add(userId);
+            }
+            e.target.closest('.rank-chart-toggle').classList.toggle('active', !chartRow);
+            return;
+        }
+
+        if (onPlayerClick) {
             console.log('Row clicked! UserId:', userId);
             onPlayerClick(userId);
         }
@@ -352,7 +460,8 @@ export function filterPredictionsByGameWeek(predictions, gamesMap, gameWeek) {
 
 /**
  * Fetch the active season config from Firestore.
- * Returns { name, allSeasons } or null if not set.
+ * Returns { name, allSeasons, scoringProfiles } or null if not set.
+ * scoringProfiles maps each season name to its stored scoring profile.
  * @param {object} db - Firestore database instance
  * @returns {Promise<object|null>}
  */
@@ -362,7 +471,7 @@ export async function fetchActiveSeason(db) {
         const configSnap = await getDoc(configRef);
         if (configSnap.exists()) {
             const data = configSnap.data();
-            return { name: data.name || null, allSeasons: data.allSeasons || [] };
+            return { name: data.name || null, allSeasons: data.allSeasons || [], scoringProfiles: data.scoringProfiles || {} };
         }
         return null;
     } catch (error) {
@@ -371,6 +480,56 @@ export async function fetchActiveSeason(db) {
     }
 }
 
+/**
+ * Fetch the result correction history (gameAudit) of some games.
+ * @param {object} db - Firestore database instance
+ * @param {array} gameIds - Game IDs
+ * @returns {Promise<object>} { gameId: [audit entries, newest first] }
+ */
+export async function fetchGameAudits(db, gameIds) {
+    const auditsByGame = {};
+    try {
+        // Firestore 'in' queries support max 10 items per batch
+        for (let i = 0; i < gameIds.length; i += 10) {
+            const snapshot = await getDocs(query(collection(db, 'gameAudit'), where('gameId', 'in', gameIds.slice(i, i + 10))));
+            snapshot.forEach(auditDoc => {
+                const entry = auditDoc.data();
+                (auditsByGame[entry.gameId] = auditsByGame[entry.gameId] || []).push(entry);
+            });
+        }
+        Object.values(auditsByGame).forEach(entries => entries.sort((a, b) => (b.changedAt || '').localeCompare(a.changedAt || '')));
+    } catch (error) {
+        console.error('Error fetching result corrections:', error);
+    }
+    return auditsByGame;
+}
+
+/**
+ * Render a game's result correction history as a collapsible block
+ * @param {array} entries - gameAudit entries of one game (newest first)
+ * @returns {string} HTML (empty when the result was never corrected)
+ */
+export function renderGameAuditHistory(entries) {
+    if (!entries || entries.length === 0) return '';
+    const items = entries.map(entry => {
+        const teams = { HomeTeam: entry.HomeTeam, AwayTeam: entry.AwayTeam };
+        const when = entry.changedAt ? new Date(entry.changedAt).toLocaleString() : '';
+        return `
+            <li>
+                <strong>${escapeHtml(formatResultDetails({ ...teams, ...entry.before }))} → ${escapeHtml(formatResultDetails({ ...teams, ...entry.after }))}</strong>
+                <small class="text-muted">${when}${entry.changedByName ? ` by ${escapeHtml(entry.changedByName)}` : ''}</small><br>
+                <small>${escapeHtml(entry.reason)}</small>
+            </li>
+        `;
+    }).join('');
+    return `
+        <details class="game-audit">
+            <summary>✎ Result corrected (${entries.length})</summary>
+            <ul class="game-audit-list">${items}</ul>
+        </details>
+    `;
+}
+
 /**
  * Create a season selector dropdown at the given container.
  * Calls onSelect(seasonName) when the user picks a season.
@@ -406,3 +565,117 @@ export function createSeasonSelector(containerId, allSeasons, activeSeason, onSe
         onSelect(e.target.value);
     });
 }
+
+// ===================================
+// Group Helpers
+// ===================================
+
+/**
+ * Create a group selector dropdown ("Everyone" + the user's groups) at the given container.
+ * Calls onSelect(groupId) when the user picks a group (null for "Everyone").
+ * Hidden when the user has no groups.
+ * @param {string} containerId - ID of the element to render into
+ * @param {array} groups - Array of group objects ({ id, name, members })
+ * @param {string|null} selectedGroupId - Currently selected group id
+ * @param {function} onSelect - Callback when a group is selected
+ */
+export function createGroupSelector(containerId, groups, selectedGroupId, onSelect) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    if (!groups || groups.length === 0) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    container.style.display = 'block';
+    container.innerHTML = `
+        <div class="d-flex align-items-center justify-content-center mb-3" style="gap: 10px;">
+            <label for="group-select-${containerId}" class="mb-0" style="white-space: nowrap; font-weight: 600;">Group:</label>
+            <select id="group-select-${containerId}" class="form-control" style="max-width: 280px; padding: 8px 12px;"></select>
+        </div>
+    `;
+
+    // Group names are user-entered, so build options with textContent
+    const select = document.getElementById(`group-select-${containerId}`);
+    select.appendChild(new Option('Everyone', ''));
+    groups.forEach(group => {
+        const memberCount = (group.members || []).length;
+        select.appendChild(new Option(`${group.name} (${memberCount})`, group.id));
+    });
+    select.value = groups.some(group => group.id === selectedGroupId) ? selectedGroupId : '';
+
+    select.addEventListener('change', (e) => {
+        onSelect(e.target.value || null);
+    });
+}
+
+// ===================================
+// Trusted Clock Helpers
+// ===================================
+
+// Offset between the hosting server's clock and the local device clock (ms)
+let serverTimeOffsetMs = 0;
+
+/**
+ * Sync with the server clock using the HTTP Date header of the hosting server,
+ * so a wrong device clock cannot reopen games that already kicked off.
+ * Keeps the previous offset if the header is unavailable.
+ * @returns {Promise<number>} Offset in milliseconds (server - local)
+ */
+export async function syncServerClock() {
+    try {
+        const requestStart = Date.now();
+        const response = await fetch(window.location.href, { method: 'HEAD', cache: 'no-store' });
+        const requestEnd = Date.now();
+        const serverDate = response.headers.get('Date');
+        const serverTime = serverDate ? new Date(serverDate).getTime() : NaN;
+        if (!isNaN(serverTime)) {
+            serverTimeOffsetMs = serverTime - Math.round((requestStart + requestEnd) / 2);
+        }
+    } catch (error) {
+        console.warn('Could not sync with server clock, using device time:', error);
+    }
+    return serverTimeOffsetMs;
+}
+
+/**
+ * Current time corrected by the last server clock sync
+ * @returns {Date}
+ */
+export function getTrustedNow() {
+    return new Date(Date.now() + serverTimeOffsetMs);
+}
+
+// ===================================
+// Live Update Helpers
+// ===================================
+
+/**
+ * Highlight the rows a live update changed
+ * Every render passes a signature per row key (a string of what the row shows);
+ * rows whose signature differs from the previous render flash briefly with the
+ * 'live-updated' class. Nothing flashes on the first render, or after reset()
+ * (call it when the season, fecha or group selection changes).
+ * @param {string} attribute - Attribute holding the row key, e.g. 'data-user-id'
+ * @returns {object} { highlight(container, signatures), reset() }
+ */
+export function createRowHighlighter(attribute) {
+    let previous = null;
+    return {
+        highlight(container, signatures) {
+            if (previous) {
+                container.querySelectorAll(`[${attribute}]`).forEach(row => {
+                    const key = row.getAttribute(attribute);
+                    if (previous[key] === signatures[key]) return;
+                    row.classList.add('live-updated');
+                    row.addEventListener('animationend', () => row.classList.remove('live-updated'), { once: true });
+                });
+            }
+            previous = signatures;
+        },
+        reset() {
+            previous = null;
+        }
+    };
+}